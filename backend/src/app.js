@@ -0,0 +1,166 @@
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const HealthService = require('./services/HealthService');
+const { errorHandler, notFound, identifyDevice } = require('./middleware');
+const { requestLogger, errorLogger } = require('./middleware/logger');
+const {
+  securityMiddleware,
+  authLimiter,
+  apiLimiter,
+  deviceLimiter,
+  punchLimiter
+} = require('./middleware/security');
+const {
+  authRoutes,
+  userRoutes,
+  punchRoutes,
+  nfcRoutes,
+  dashboardRoutes,
+  adminRoutes,
+  adminHealthRoutes,
+  leaveRoutes,
+  holidayRoutes,
+  shiftRoutes,
+  timesheetRoutes,
+  teamRoutes,
+  correctionRoutes,
+  adminExportRoutes,
+  attendanceRoutes,
+  eventRoutes,
+  deviceRoutes,
+  siteRoutes
+} = require('./routes');
+
+/**
+ * Build the Express application
+ * Used by the API server (src/server.js) and by the production server, which
+ * also serves the built frontend from staticDir.
+ */
+const createApp = ({ staticDir = null } = {}) => {
+  const app = express();
+
+  // Trust proxy (for rate limiting behind reverse proxy)
+  app.set('trust proxy', 1);
+
+  // Middleware
+  const allowedOrigins = [
+    'http://localhost:5173',
+    'http://localhost:5174',
+    'http://localhost:3000',
+    process.env.FRONTEND_URL
+  ].filter(Boolean);
+
+  app.use(cors((req, callback) => {
+    const origin = req.headers.origin;
+
+    // Allow requests with no origin (mobile apps, curl, etc.) and, when the frontend
+    // is served from here, same-origin requests
+    const allowed = !origin ||
+      allowedOrigins.indexOf(origin) !== -1 ||
+      process.env.NODE_ENV === 'development' ||
+      (!!staticDir && origin.replace(/^https?:\/\//, '') === req.headers.host);
+
+    if (allowed) {
+      callback(null, { origin: true, credentials: true });
+    } else {
+      callback(new Error('Not allowed by CORS'));
+    }
+  }));
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Request logging
+  app.use(requestLogger);
+
+  // Apply security middleware (XSS, NoSQL injection, HPP protection)
+  app.use(securityMiddleware);
+
+  if (staticDir) {
+    // Event streams are flushed event by event; compression would buffer them
+    const compression = require('compression');
+    app.use(compression({
+      filter: (req, res) => !String(res.getHeader('Content-Type') || '').startsWith('text/event-stream') &&
+        compression.filter(req, res)
+    }));
+  }
+
+  // Apply general API rate limiting (per device for registered readers and kiosks, per IP otherwise)
+  app.use('/api', identifyDevice, deviceLimiter, apiLimiter);
+
+  // Health check endpoints
+  app.get('/health', async (req, res) => {
+    const health = await HealthService.getQuickHealth();
+    const statusCode = health.status === 'healthy' ? 200 : 503;
+    res.status(statusCode).json(health);
+  });
+
+  app.get('/api/health', async (req, res) => {
+    const health = await HealthService.getHealthStatus();
+    const statusCode = health.status === 'healthy' ? 200 : 503;
+    res.status(statusCode).json({
+      success: health.status === 'healthy',
+      ...health
+    });
+  });
+
+  app.get('/api/health/metrics', async (req, res) => {
+    try {
+      const metrics = await HealthService.getMetrics();
+      res.json({
+        success: true,
+        data: metrics
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get metrics'
+      });
+    }
+  });
+
+  // API Routes with specific rate limiters
+  app.use('/api/auth', authLimiter, authRoutes);  // Strict: 5 requests per 15 minutes
+  app.use('/api/users', userRoutes);
+  app.use('/api/punch', punchLimiter, punchRoutes);  // 10 punches per minute
+  app.use('/api/nfc', nfcRoutes);
+  app.use('/api/dashboard', dashboardRoutes);
+  app.use('/api/leaves', leaveRoutes);
+  app.use('/api/holidays', holidayRoutes);
+  app.use('/api/shifts', shiftRoutes);
+  app.use('/api/timesheets', timesheetRoutes);
+  app.use('/api/teams', teamRoutes);
+  app.use('/api/corrections', correctionRoutes);
+  app.use('/api/attendance', attendanceRoutes);
+  app.use('/api/events', eventRoutes);
+  app.use('/api/devices', deviceRoutes);
+  app.use('/api/sites', siteRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/admin/health', adminHealthRoutes);  // Admin health check routes
+  app.use('/api/admin/exports', adminExportRoutes);  // Payroll exports
+
+  if (staticDir) {
+    // Built frontend; every other non-API GET gets index.html for React Router.
+    // Unknown /api paths still fall through to the JSON 404 below.
+    app.use(express.static(staticDir));
+    app.get(/^(?!\/api(\/|$)).*/, (req, res) => {
+      res.sendFile(path.join(staticDir, 'index.html'));
+    });
+  } else {
+    // Root redirect
+    app.get('/', (req, res) => {
+      res.redirect('/api/health');
+    });
+  }
+
+  // Error Logging Middleware
+  app.use(errorLogger);
+
+  // Error Handlers
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -1,8 +1,15 @@
 require('dotenv').config();
 
+// Integer setting where an explicit 0 is meaningful; falls back only when unset or not a number
+const intOrDefault = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
 module.exports = {
   port: process.env.PORT || 5000,
   nodeEnv: process.env.NODE_ENV || 'development',
+  frontendUrl: (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, ''), // base of links in emails
   
   mongodb: {
     uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/office-time-manager'
@@ -15,6 +22,19 @@ module.exports = {
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d'
   },
   
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Time Manager', // name shown in authenticator apps
+    challengeSecret: process.env.TWO_FACTOR_CHALLENGE_SECRET || `${process.env.JWT_SECRET || 'fallback-secret-key'}:two-factor`,
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' // time to enter the code after the password
+  },
+  
+  accountEmails: {
+    requireVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true', // false by default
+    tokenSecret: process.env.ACCOUNT_TOKEN_SECRET || `${process.env.JWT_SECRET || 'fallback-secret-key'}:account`,
+    verifyExpiresIn: process.env.EMAIL_VERIFY_EXPIRES_IN || '24h',
+    resetExpiresIn: process.env.PASSWORD_RESET_EXPIRES_IN || '1h'
+  },
+  
   defaults: {
     timezone: process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata',
     workHours: parseInt(process.env.DEFAULT_WORK_HOURS) || 8,
@@ -25,8 +45,41 @@ module.exports = {
     },
     graceMinutes: parseInt(process.env.GRACE_PERIOD_MINUTES) || 15,
     shiftStartTime: process.env.SHIFT_START_TIME || '09:00',
+    shiftPunchWindowMinutes: parseInt(process.env.SHIFT_PUNCH_WINDOW_MINUTES) || 120, // allowed punch window around a shift
+    dayCutoff: process.env.WORK_DAY_CUTOFF || '00:00', // punches before this time count towards the previous work day
     minimumWorkHours: parseInt(process.env.MINIMUM_WORK_HOURS) || 8,
     autoCloseEnabled: process.env.AUTO_CLOSE_ENABLED !== 'false', // true by default
     punchOutReminderTime: process.env.PUNCH_OUT_REMINDER_TIME || '20:00' // 8 PM
+  },
+  
+  overtime: {
+    dailyThresholdMinutes: parseInt(process.env.OVERTIME_DAILY_THRESHOLD_MINUTES) || null, // null = user's daily work target
+    weeklyThresholdMinutes: intOrDefault(process.env.OVERTIME_WEEKLY_THRESHOLD_MINUTES, 2400), // 40 hours, 0 = no weekly overtime
+    minimumBlockMinutes: intOrDefault(process.env.OVERTIME_MINIMUM_BLOCK_MINUTES, 30), // shorter overtime counts as regular time
+    multiplier: parseFloat(process.env.OVERTIME_MULTIPLIER) || 1.5,
+    weekendMultiplier: parseFloat(process.env.OVERTIME_WEEKEND_MULTIPLIER) || 2,
+    holidayMultiplier: parseFloat(process.env.OVERTIME_HOLIDAY_MULTIPLIER) || 2
+  },
+  
+  summaryEmails: {
+    enabled: process.env.SUMMARY_EMAILS_ENABLED !== 'false', // true by default (users still opt in)
+    sendHour: parseInt(process.env.SUMMARY_EMAIL_HOUR) || 8, // local hour in each user's timezone
+    maxAttempts: parseInt(process.env.SUMMARY_EMAIL_MAX_ATTEMPTS) || 3
+  },
+  
+  lateArrivalNotifications: {
+    enabled: process.env.LATE_NOTIFICATIONS_ENABLED !== 'false', // true by default
+    minMinutesLate: parseInt(process.env.LATE_NOTIFICATION_MIN_MINUTES) || 1, // ignore smaller lateness
+    fromMonthlyCount: parseInt(process.env.LATE_NOTIFICATION_FROM_COUNT) || 1 // first late arrival of the month that triggers an email
+  },
+  
+  absenceDetection: {
+    enabled: process.env.ABSENCE_DETECTION_ENABLED !== 'false' // true by default
+  },
+  
+  qrPunch: {
+    secret: process.env.QR_PUNCH_SECRET || `${process.env.JWT_SECRET || 'fallback-secret-key'}:qr`,
+    rotateSeconds: parseInt(process.env.QR_ROTATE_SECONDS) || 10, // how often kiosks show a new code
+    ttlSeconds: parseInt(process.env.QR_TOKEN_TTL_SECONDS) || 20 // how long a code is accepted after it is issued
   }
 };
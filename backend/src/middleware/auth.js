@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, Team, Device } = require('../models');
 const config = require('../config');
+const { normalizeIp, isIpAllowed } = require('../utils/network');
 
 // Generate Access Token
 const generateAccessToken = (user) => {
@@ -24,6 +25,16 @@ const generateRefreshToken = (user) => {
   );
 };
 
+// Generate Two-Factor Challenge Token (password accepted, code still needed)
+// purpose: 'login' (enter a code) or 'setup' (enrolment required by an admin)
+const generateChallengeToken = (user, purpose) => {
+  return jwt.sign(
+    { id: user._id, purpose },
+    config.twoFactor.challengeSecret,
+    { expiresIn: config.twoFactor.challengeExpiresIn }
+  );
+};
+
 // Verify Access Token
 const verifyAccessToken = (token) => {
   try {
@@ -42,6 +53,16 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+// Verify Two-Factor Challenge Token for the expected purpose
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, config.twoFactor.challengeSecret);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 // Auth Middleware - Protect Routes
 const protect = async (req, res, next) => {
   try {
@@ -98,6 +119,71 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Device Identification - resolves the device behind an X-Device-Key header without
+// rejecting the request, so rate limiters can tell readers apart from browsers
+// sharing the same office IP
+const identifyDevice = async (req, res, next) => {
+  const apiKey = req.headers['x-device-key'];
+  
+  if (apiKey) {
+    try {
+      const device = await Device.findActiveByApiKey(apiKey);
+      req.device = device && isIpAllowed(normalizeIp(req.ip), device.allowedIps) ? device : null;
+    } catch (error) {
+      req.device = null;
+    }
+  }
+  
+  next();
+};
+
+// Device Auth Middleware - registered NFC readers authenticate with an API key
+const protectDevice = async (req, res, next) => {
+  try {
+    const apiKey = req.headers['x-device-key'];
+    
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized. No device key provided.'
+      });
+    }
+    
+    // Already looked up by identifyDevice for this request
+    const device = req.device || await Device.findActiveByApiKey(apiKey);
+    
+    if (!device) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized. Device key invalid or device disabled.'
+      });
+    }
+    
+    const ip = normalizeIp(req.ip);
+    
+    if (!isIpAllowed(ip, device.allowedIps)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Device is not allowed to punch from this network.'
+      });
+    }
+    
+    device.lastSeenAt = new Date();
+    device.lastSeenIp = ip;
+    await device.save();
+    
+    // Attach device to request
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error('Device auth middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error.'
+    });
+  }
+};
+
 // Role-based Authorization Middleware
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -119,8 +205,8 @@ const authorize = (...roles) => {
   };
 };
 
-// Check if user can access resource (own data or admin)
-const canAccessUser = (req, res, next) => {
+// Check if user can access resource (own data, a manager's reports, or admin)
+const canAccessUser = async (req, res, next) => {
   const targetUserId = req.params.userId || req.body.userId;
   
   if (!targetUserId) {
@@ -137,6 +223,15 @@ const canAccessUser = (req, res, next) => {
     return next();
   }
   
+  // Manager can access members of the teams they manage
+  try {
+    if (req.user.role === 'Manager' && await Team.isManagerOf(req.user._id, targetUserId)) {
+      return next();
+    }
+  } catch (error) {
+    return next(error);
+  }
+  
   return res.status(403).json({
     success: false,
     message: 'Not authorized to access this resource.'
@@ -148,7 +243,11 @@ module.exports = {
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken,
   protect,
+  identifyDevice,
+  protectDevice,
   authorize,
   canAccessUser
 };
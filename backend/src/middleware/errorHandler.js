@@ -42,6 +42,11 @@ const errorHandler = (err, req, res, next) => {
     return res.status(401).json(error);
   }
   
+  // Client errors raised with a code (e.g. punch validation) pass it on
+  if (err.statusCode && typeof err.code === 'string') {
+    error.code = err.code;
+  }
+  
   // Default to 500 server error
   const statusCode = err.statusCode || 500;
   res.status(statusCode).json(error);
@@ -1,9 +1,11 @@
-const { protect, authorize, canAccessUser } = require('./auth');
+const { protect, identifyDevice, protectDevice, authorize, canAccessUser } = require('./auth');
 const { errorHandler, notFound, asyncHandler } = require('./errorHandler');
 const validation = require('./validation');
 
 module.exports = {
   protect,
+  identifyDevice,
+  protectDevice,
   authorize,
   canAccessUser,
   errorHandler,
@@ -13,7 +13,7 @@ const hpp = require('hpp');
  * Rate Limiting Configuration
  * Prevents brute force attacks
  */
-const createRateLimiter = (windowMs = 15 * 60 * 1000, max = 100, message = 'Too many requests from this IP, please try again later.') => {
+const createRateLimiter = (windowMs = 15 * 60 * 1000, max = 100, message = 'Too many requests from this IP, please try again later.', options = {}) => {
     return rateLimit({
         windowMs, // 15 minutes default
         max, // limit each IP to max requests per windowMs
@@ -21,9 +21,16 @@ const createRateLimiter = (windowMs = 15 * 60 * 1000, max = 100, message = 'Too
         standardHeaders: true,
         legacyHeaders: false,
         skipSuccessfulRequests: false,
+        ...options
     });
 };
 
+// Requests from a registered reader or kiosk (resolved by identifyDevice)
+const isDeviceRequest = (req) => !!req.device;
+
+// Dashboards hold one long-lived event stream open and reconnect whenever it drops
+const isEventStream = (req) => req.method === 'GET' && req.originalUrl.split('?')[0] === '/api/events';
+
 // Specific rate limiters for different endpoints
 const authLimiter = createRateLimiter(
     15 * 60 * 1000,
@@ -34,13 +41,26 @@ const authLimiter = createRateLimiter(
 const apiLimiter = createRateLimiter(
     15 * 60 * 1000,
     100, // 100 API requests per 15 minutes
-    'Too many API requests, please try again later.'
+    'Too many API requests, please try again later.',
+    { skip: (req) => isDeviceRequest(req) || isEventStream(req) } // devices are limited by deviceLimiter instead
+);
+
+// Readers and kiosks sit behind the office IP with everyone else: limit each device on its own
+const deviceLimiter = createRateLimiter(
+    1 * 60 * 1000,
+    120, // 120 requests per minute per device (a busy door reader at shift change)
+    'Too many requests from this device, please slow down.',
+    {
+        skip: (req) => !isDeviceRequest(req),
+        keyGenerator: (req) => `device:${req.device._id}`
+    }
 );
 
 const punchLimiter = createRateLimiter(
     1 * 60 * 1000,
     10, // 10 punches per minute (generous for NFC scan issues)
-    'Too many punch attempts, please wait a minute.'
+    'Too many punch attempts, please wait a minute.',
+    { skip: isDeviceRequest } // QR kiosks poll for a new code every few seconds
 );
 
 /**
@@ -103,6 +123,9 @@ module.exports = {
     helmetMiddleware,
     authLimiter,
     apiLimiter,
+    deviceLimiter,
     punchLimiter,
+    isDeviceRequest,
+    isEventStream,
     createRateLimiter
 };
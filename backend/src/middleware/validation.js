@@ -1,4 +1,6 @@
-const { validationResult, body, param } = require('express-validator');
+const { validationResult, body, param, query } = require('express-validator');
+const { ExportTemplate } = require('../models');
+const { isValidRange } = require('../utils/network');
 
 // Validation result handler
 const handleValidationErrors = (req, res, next) => {
@@ -46,6 +48,64 @@ const loginValidation = [
   handleValidationErrors
 ];
 
+// Forgot password / resend verification
+const accountEmailValidation = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  handleValidationErrors
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .isString().withMessage('Token is required')
+    .notEmpty().withMessage('Token is required'),
+  handleValidationErrors
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString().withMessage('Token is required')
+    .notEmpty().withMessage('Token is required'),
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  handleValidationErrors
+];
+
+// Two-Factor Validations
+const twoFactorCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/).withMessage('Enter the 6-digit code from your authenticator app'),
+  handleValidationErrors
+];
+
+// An authenticator code or a recovery code
+const twoFactorVerifyValidation = [
+  body('code')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^\d{6}$/).withMessage('Enter the 6-digit code from your authenticator app'),
+  body('recoveryCode')
+    .optional({ values: 'falsy' })
+    .isString().withMessage('Recovery code must be a string')
+    .isLength({ max: 32 }).withMessage('Invalid recovery code'),
+  body()
+    .custom((value) => !!(value.code || value.recoveryCode))
+    .withMessage('An authentication code or a recovery code is required'),
+  handleValidationErrors
+];
+
+const twoFactorRequireValidation = [
+  body('required')
+    .isBoolean().withMessage('Required must be a boolean')
+    .toBoolean(),
+  handleValidationErrors
+];
+
 // Profile Validations
 const profileUpdateValidation = [
   body('name')
@@ -64,17 +124,82 @@ const profileUpdateValidation = [
   body('profile.preferredPunchMethod')
     .optional()
     .isIn(['NFC', 'Manual']).withMessage('Preferred punch method must be NFC or Manual'),
+  body('profile.emailReports.weekly')
+    .optional()
+    .isBoolean().withMessage('Weekly report preference must be a boolean'),
+  body('profile.emailReports.monthly')
+    .optional()
+    .isBoolean().withMessage('Monthly report preference must be a boolean'),
+  handleValidationErrors
+];
+
+// Admin user update
+const userUpdateValidation = [
+  param('userId')
+    .isMongoId().withMessage('Invalid userId'),
+  body('teamId')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Invalid team ID'),
+  body('profile.dayCutoff')
+    .optional({ nullable: true })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Day cutoff must be in HH:mm format'),
+  body('emailVerified')
+    .optional()
+    .isBoolean().withMessage('Email verified flag must be a boolean')
+    .toBoolean(),
   handleValidationErrors
 ];
 
 // Punch Validations
+
+// Browser geolocation sent with a punch
+const locationRules = [
+  body('location')
+    .optional({ nullable: true })
+    .isObject().withMessage('Location must be an object'),
+  body('location.latitude')
+    .if(body('location').exists({ checkNull: true }))
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  body('location.longitude')
+    .if(body('location').exists({ checkNull: true }))
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+  body('location.accuracy')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 }).withMessage('Accuracy must be a positive number')
+    .toFloat()
+];
+
+// Why a punch is made off the trusted office network
+const reasonRule = body('reason')
+  .optional({ nullable: true })
+  .isString().withMessage('Reason must be a string')
+  .trim()
+  .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters');
+
 const punchValidation = [
   body('source')
     .optional()
-    .isIn(['NFC', 'Manual', 'Admin']).withMessage('Invalid punch source'),
+    .isIn(['NFC', 'Manual']).withMessage('Invalid punch source'),
   body('nfcUID')
     .optional()
     .isString().withMessage('NFC UID must be a string'),
+  body('nfcPayload')
+    .optional({ nullable: true })
+    .isString().withMessage('NFC payload must be a string')
+    .isLength({ max: 2000 }).withMessage('NFC payload is too long'),
+  ...locationRules,
+  reasonRule,
+  handleValidationErrors
+];
+
+const qrPunchValidation = [
+  body('token')
+    .isString().withMessage('QR code is required')
+    .isLength({ min: 1, max: 200 }).withMessage('Invalid QR code'),
+  ...locationRules,
+  reasonRule,
   handleValidationErrors
 ];
 
@@ -107,6 +232,372 @@ const nfcTagValidation = [
   handleValidationErrors
 ];
 
+// Leave Validations
+const leaveRequestValidation = [
+  body('duration')
+    .notEmpty().withMessage('Leave duration is required')
+    .isIn(['FullDay', 'HalfDay', 'Hourly']).withMessage('Duration must be FullDay, HalfDay or Hourly'),
+  body('leaveType')
+    .optional()
+    .isIn(['Casual', 'Sick', 'Earned', 'Unpaid', 'Other']).withMessage('Invalid leave type'),
+  body('startDate')
+    .notEmpty().withMessage('Start date is required')
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Start date must be in YYYY-MM-DD format'),
+  body('endDate')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('End date must be in YYYY-MM-DD format'),
+  body('halfDaySession')
+    .optional()
+    .isIn(['FirstHalf', 'SecondHalf']).withMessage('Half-day session must be FirstHalf or SecondHalf'),
+  body('minutes')
+    .if(body('duration').equals('Hourly'))
+    .isInt({ min: 15, max: 1440 }).withMessage('Hourly leave must be between 15-1440 minutes'),
+  body('reason')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+const leaveReviewValidation = [
+  param('leaveId')
+    .isMongoId().withMessage('Invalid leave ID'),
+  body('note')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Review note cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Holiday Validations
+const holidayValidation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Holiday name is required')
+    .isLength({ max: 100 }).withMessage('Holiday name cannot exceed 100 characters'),
+  body('date')
+    .notEmpty().withMessage('Holiday date is required')
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format'),
+  body('recurring')
+    .optional()
+    .isBoolean().withMessage('Recurring must be a boolean'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Shift Validations
+const shiftValidation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Shift name is required')
+    .isLength({ max: 50 }).withMessage('Shift name cannot exceed 50 characters'),
+  body('startTime')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be in HH:mm format'),
+  body('endTime')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('End time must be in HH:mm format'),
+  body('graceMinutes')
+    .optional()
+    .isInt({ min: 0, max: 240 }).withMessage('Grace period must be between 0-240 minutes'),
+  body('breakMinutes')
+    .optional()
+    .isInt({ min: 0, max: 480 }).withMessage('Break allowance must be between 0-480 minutes'),
+  body('isOvernight')
+    .optional()
+    .isBoolean().withMessage('Overnight flag must be a boolean'),
+  body('dayCutoff')
+    .optional({ nullable: true })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Day cutoff must be in HH:mm format'),
+  handleValidationErrors
+];
+
+const rosterValidation = [
+  body('userIds')
+    .isArray({ min: 1 }).withMessage('At least one user is required'),
+  body('userIds.*')
+    .isMongoId().withMessage('Invalid user ID'),
+  body('shiftId')
+    .isMongoId().withMessage('Invalid shift ID'),
+  body('startDate')
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Start date must be in YYYY-MM-DD format'),
+  body('endDate')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('End date must be in YYYY-MM-DD format'),
+  handleValidationErrors
+];
+
+// Timesheet Validations
+const timesheetSubmitValidation = [
+  body('weekOffset')
+    .optional()
+    .isInt({ min: 1, max: 52 }).withMessage('Week offset must be between 1-52'),
+  body('note')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+const timesheetReviewValidation = [
+  param('timesheetId')
+    .isMongoId().withMessage('Invalid timesheet ID'),
+  body('note')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Review note cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Team Validations
+const teamValidation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Team name is required')
+    .isLength({ max: 100 }).withMessage('Team name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('managerId')
+    .isMongoId().withMessage('Invalid manager ID'),
+  handleValidationErrors
+];
+
+const teamMembersValidation = [
+  body('userIds')
+    .isArray().withMessage('User IDs must be an array'),
+  body('userIds.*')
+    .isMongoId().withMessage('Invalid user ID'),
+  handleValidationErrors
+];
+
+// Correction Request Validations
+const correctionRequestValidation = [
+  body('requestType')
+    .isIn(['Add', 'Move', 'Delete']).withMessage('Request type must be Add, Move or Delete'),
+  body('punchId')
+    .if(body('requestType').isIn(['Move', 'Delete']))
+    .isMongoId().withMessage('Invalid punch ID'),
+  body('punchType')
+    .if(body('requestType').equals('Add'))
+    .notEmpty().withMessage('Punch type is required to add a punch'),
+  body('punchType')
+    .optional({ nullable: true })
+    .isIn(['IN', 'OUT']).withMessage('Punch type must be IN or OUT'),
+  body('punchTime')
+    .if(body('requestType').equals('Add'))
+    .notEmpty().withMessage('Punch time is required to add a punch'),
+  body('punchTime')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Invalid punch time format'),
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+const correctionReviewValidation = [
+  param('requestId')
+    .isMongoId().withMessage('Invalid correction request ID'),
+  body('note')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Review note cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// History Export Validations
+const historyExportValidation = [
+  query('startDate')
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Start date must be in YYYY-MM-DD format'),
+  query('endDate')
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('End date must be in YYYY-MM-DD format'),
+  query('format')
+    .optional()
+    .isIn(['csv', 'pdf']).withMessage('Format must be csv or pdf'),
+  handleValidationErrors
+];
+
+// Break Analytics Validations
+const breakAnalyticsValidation = [
+  query('from')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('From date must be in YYYY-MM-DD format'),
+  query('to')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('To date must be in YYYY-MM-DD format'),
+  handleValidationErrors
+];
+
+// Attendance Validations
+const monthlyAttendanceValidation = [
+  query('month')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be in YYYY-MM format'),
+  handleValidationErrors
+];
+
+const absenceListValidation = [
+  query('from')
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('From date must be in YYYY-MM-DD format'),
+  query('to')
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('To date must be in YYYY-MM-DD format'),
+  query('userId')
+    .optional()
+    .isMongoId().withMessage('Invalid user ID'),
+  handleValidationErrors
+];
+
+// Break Policy Validations
+const breakPolicyValidation = [
+  body('paidAllowanceMinutes')
+    .optional()
+    .isInt({ min: 0, max: 480 }).withMessage('Paid break allowance must be between 0 and 480 minutes'),
+  body('autoDeduct.enabled')
+    .optional()
+    .isBoolean().withMessage('Auto-deduct flag must be a boolean'),
+  body('autoDeduct.afterMinutes')
+    .optional()
+    .isInt({ min: 0, max: 1440 }).withMessage('Auto-deduct threshold must be between 0 and 1440 minutes'),
+  body('autoDeduct.lunchMinutes')
+    .optional()
+    .isInt({ min: 0, max: 240 }).withMessage('Lunch duration must be between 0 and 240 minutes'),
+  body('categories')
+    .optional()
+    .isArray({ min: 1 }).withMessage('At least one break category is required'),
+  body('categories.*.name')
+    .trim()
+    .notEmpty().withMessage('Category name is required')
+    .isLength({ max: 50 }).withMessage('Category name cannot exceed 50 characters'),
+  body('categories.*.maxMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Category limit must be a positive number of minutes'),
+  body('categories.*.isPaid')
+    .optional()
+    .isBoolean().withMessage('Paid flag must be a boolean'),
+  handleValidationErrors
+];
+
+// Payroll Export Validations
+const payrollExportValidation = [
+  query('from')
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('From date must be in YYYY-MM-DD format'),
+  query('to')
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('To date must be in YYYY-MM-DD format'),
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx', 'json']).withMessage('Format must be csv, xlsx or json'),
+  query('templateId')
+    .optional()
+    .isMongoId().withMessage('Invalid template ID'),
+  query('teamId')
+    .optional()
+    .isMongoId().withMessage('Invalid team ID'),
+  handleValidationErrors
+];
+
+const exportTemplateValidation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Template name is required')
+    .isLength({ max: 100 }).withMessage('Template name cannot exceed 100 characters'),
+  body('columns')
+    .isArray({ min: 1 }).withMessage('At least one column is required'),
+  body('columns.*.field')
+    .isIn(ExportTemplate.PAYROLL_FIELDS).withMessage('Invalid column field'),
+  body('columns.*.header')
+    .trim()
+    .notEmpty().withMessage('Column header is required'),
+  body('columns.*.format')
+    .optional()
+    .isIn(['minutes', 'hours', 'hhmm']).withMessage('Column format must be minutes, hours or hhmm'),
+  body('delimiter')
+    .optional()
+    .isIn([',', ';', '\t']).withMessage('Delimiter must be comma, semicolon or tab'),
+  body('isDefault')
+    .optional()
+    .isBoolean().withMessage('Default flag must be a boolean'),
+  handleValidationErrors
+];
+
+// Device fields shared by create and update
+const deviceFields = [
+  body('allowedIps')
+    .optional()
+    .isArray({ max: 50 }).withMessage('Allowed IPs must be a list of at most 50 entries'),
+  body('allowedIps.*')
+    .custom(isValidRange).withMessage('Allowed IPs must be IP addresses or CIDR ranges'),
+  body('location.label')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 200 }).withMessage('Location cannot exceed 200 characters'),
+  body('location.latitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('location.longitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+];
+
+const deviceValidation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Device name is required')
+    .isLength({ max: 100 }).withMessage('Device name cannot exceed 100 characters'),
+  ...deviceFields,
+  handleValidationErrors
+];
+
+const deviceUpdateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Device name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Device name cannot exceed 100 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('Active flag must be a boolean'),
+  ...deviceFields,
+  handleValidationErrors
+];
+
+const siteValidation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Site name is required')
+    .isLength({ max: 100 }).withMessage('Site name cannot exceed 100 characters'),
+  body('fenceType')
+    .optional()
+    .isIn(['circle', 'polygon']).withMessage('Fence type must be circle or polygon'),
+  body('center.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('center.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('radiusMeters')
+    .optional()
+    .isFloat({ min: 10, max: 50000 }).withMessage('Radius must be between 10 m and 50 km'),
+  body('polygon')
+    .optional()
+    .isArray({ max: 100 }).withMessage('Polygon must be a list of at most 100 points'),
+  body('polygon.*.latitude')
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('polygon.*.longitude')
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('policy')
+    .optional()
+    .isIn(['off', 'warn', 'reject']).withMessage('Policy must be off, warn or reject'),
+  body('trustedNetworks')
+    .optional()
+    .isArray({ max: 50 }).withMessage('Trusted networks must be a list of at most 50 ranges'),
+  body('trustedNetworks.*')
+    .custom(isValidRange).withMessage('Trusted networks must be IP addresses or CIDR ranges'),
+  body('networkPolicy')
+    .optional()
+    .isIn(['off', 'flag', 'reason', 'block']).withMessage('Network policy must be off, flag, reason or block'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('Active flag must be a boolean'),
+  handleValidationErrors
+];
+
 // MongoDB ID Validation
 const mongoIdValidation = (paramName = 'id') => [
   param(paramName)
@@ -118,9 +609,38 @@ module.exports = {
   handleValidationErrors,
   registerValidation,
   loginValidation,
+  accountEmailValidation,
+  verifyEmailValidation,
+  resetPasswordValidation,
+  twoFactorCodeValidation,
+  twoFactorVerifyValidation,
+  twoFactorRequireValidation,
   profileUpdateValidation,
+  userUpdateValidation,
   punchValidation,
+  qrPunchValidation,
   punchEditValidation,
   nfcTagValidation,
+  leaveRequestValidation,
+  leaveReviewValidation,
+  holidayValidation,
+  shiftValidation,
+  rosterValidation,
+  timesheetSubmitValidation,
+  timesheetReviewValidation,
+  teamValidation,
+  teamMembersValidation,
+  correctionRequestValidation,
+  correctionReviewValidation,
+  historyExportValidation,
+  breakAnalyticsValidation,
+  breakPolicyValidation,
+  monthlyAttendanceValidation,
+  absenceListValidation,
+  payrollExportValidation,
+  exportTemplateValidation,
+  deviceValidation,
+  deviceUpdateValidation,
+  siteValidation,
   mongoIdValidation
 };
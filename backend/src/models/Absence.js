@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const absenceSchema = new mongoose.Schema({
+  // Absent User
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+
+  // Work date with no punches (YYYY-MM-DD, in the user's timezone)
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+
+  // Shift the user was expected to work (null = default schedule)
+  shiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    default: null
+  },
+
+  // When the punch window closed without a punch
+  windowEnd: {
+    type: Date,
+    required: true
+  },
+
+  // Notification Tracking
+  userNotified: {
+    type: Boolean,
+    default: false
+  },
+  adminNotified: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// One absence per user and work date
+absenceSchema.index({ userId: 1, date: 1 }, { unique: true });
+absenceSchema.index({ date: -1 });  // Absences by date range
+
+module.exports = mongoose.model('Absence', absenceSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Actions recorded without a performer
+const SYSTEM_ACTIONS = ['NFC_CLONE_SUSPECTED'];
+
 const auditLogSchema = new mongoose.Schema({
   // Action Type
   action: {
@@ -15,17 +18,63 @@ const auditLogSchema = new mongoose.Schema({
       'LOGIN',
       'LOGOUT',
       'PASSWORD_CHANGE',
-      'PROFILE_UPDATE'
+      'PROFILE_UPDATE',
+      'LEAVE_APPROVE',
+      'LEAVE_REJECT',
+      'HOLIDAY_CREATE',
+      'HOLIDAY_UPDATE',
+      'HOLIDAY_DELETE',
+      'HOLIDAY_IMPORT',
+      'SHIFT_CREATE',
+      'SHIFT_UPDATE',
+      'SHIFT_DELETE',
+      'ROSTER_UPDATE',
+      'TIMESHEET_SUBMIT',
+      'TIMESHEET_APPROVE',
+      'TIMESHEET_RETURN',
+      'TIMESHEET_REOPEN',
+      'TEAM_CREATE',
+      'TEAM_UPDATE',
+      'TEAM_DELETE',
+      'CORRECTION_APPROVE',
+      'CORRECTION_REJECT',
+      'PAYROLL_EXPORT',
+      'EXPORT_TEMPLATE_CREATE',
+      'EXPORT_TEMPLATE_UPDATE',
+      'EXPORT_TEMPLATE_DELETE',
+      'BREAK_POLICY_UPDATE',
+      'DEVICE_CREATE',
+      'DEVICE_UPDATE',
+      'DEVICE_KEY_ROTATE',
+      'NFC_SECURE_ENABLE',
+      'NFC_SECURE_DISABLE',
+      'NFC_CLONE_SUSPECTED',
+      'SITE_CREATE',
+      'SITE_UPDATE',
+      'SITE_DELETE',
+      'TWO_FACTOR_SETUP',
+      'TWO_FACTOR_ENABLE',
+      'TWO_FACTOR_DISABLE',
+      'TWO_FACTOR_VERIFY',
+      'TWO_FACTOR_FAILED',
+      'TWO_FACTOR_RECOVERY_USED',
+      'TWO_FACTOR_RECOVERY_REGENERATE',
+      'TWO_FACTOR_RESET',
+      'TWO_FACTOR_REQUIRE',
+      'EMAIL_VERIFY',
+      'PASSWORD_RESET_REQUEST',
+      'PASSWORD_RESET'
     ],
     required: [true, 'Action is required'],
     index: true
   },
 
-  // Who performed the action
+  // Who performed the action (none for events detected by the system, e.g. a cloned tag)
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Performer ID is required'],
+    required: [function () { return !SYSTEM_ACTIONS.includes(this.action); }, 'Performer ID is required'],
+    default: null,
     index: true
   },
 
@@ -39,7 +88,7 @@ const auditLogSchema = new mongoose.Schema({
   // Reference to affected resource
   resourceType: {
     type: String,
-    enum: ['PunchLog', 'User', 'NfcTag', null],
+    enum: ['PunchLog', 'User', 'NfcTag', 'Leave', 'Holiday', 'Shift', 'Roster', 'Timesheet', 'Team', 'CorrectionRequest', 'ExportTemplate', 'BreakPolicy', 'Device', 'Site', null],
     default: null
   },
   resourceId: {
@@ -47,6 +96,13 @@ const auditLogSchema = new mongoose.Schema({
     default: null
   },
 
+  // Correction request that caused the change (punch changes applied on approval)
+  correctionRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CorrectionRequest',
+    default: null
+  },
+
   // Before and After states
   previousState: {
     type: mongoose.Schema.Types.Mixed,
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Built-in break buckets, used until an admin saves a policy
+const DEFAULT_CATEGORIES = [
+  { name: 'Short Break', maxMinutes: 15, isPaid: true },
+  { name: 'Tea Break', maxMinutes: 30, isPaid: true },
+  { name: 'Lunch Break', maxMinutes: 60, isPaid: false },
+  { name: 'Extended Break', maxMinutes: 120, isPaid: false },
+  { name: 'Long Absence', maxMinutes: null, isPaid: false }
+];
+
+const categorySchema = new mongoose.Schema({
+  // Category Name
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+
+  // Longest break in this category (null = no upper bound)
+  maxMinutes: {
+    type: Number,
+    min: [1, 'Category limit must be at least 1 minute'],
+    default: null
+  },
+
+  // Counts towards the paid break allowance
+  isPaid: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const breakPolicySchema = new mongoose.Schema({
+  // Paid break minutes per work day (breaks in paid categories, up to this total)
+  paidAllowanceMinutes: {
+    type: Number,
+    min: [0, 'Paid break allowance cannot be negative'],
+    max: [480, 'Paid break allowance cannot exceed 8 hours'],
+    default: 0
+  },
+
+  // Mandatory unpaid lunch, deducted when a day's worked time reaches the
+  // threshold and not enough unpaid break was punched
+  autoDeduct: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    afterMinutes: {
+      type: Number,
+      min: [0, 'Auto-deduct threshold cannot be negative'],
+      max: [1440, 'Auto-deduct threshold cannot exceed 24 hours'],
+      default: 360
+    },
+    lunchMinutes: {
+      type: Number,
+      min: [0, 'Lunch duration cannot be negative'],
+      max: [240, 'Lunch duration cannot exceed 4 hours'],
+      default: 30
+    }
+  },
+
+  // Break categories by duration
+  categories: {
+    type: [categorySchema],
+    default: () => DEFAULT_CATEGORIES.map(category => ({ ...category }))
+  },
+
+  // Last Updated By
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Categories need unique names and exactly one open-ended bucket
+breakPolicySchema.pre('validate', function (next) {
+  const names = this.categories.map(category => category.name?.toLowerCase());
+
+  if (this.categories.length === 0) {
+    this.invalidate('categories', 'At least one break category is required');
+  } else if (new Set(names).size !== names.length) {
+    this.invalidate('categories', 'Break category names must be unique');
+  } else if (this.categories.filter(category => category.maxMinutes == null).length !== 1) {
+    this.invalidate('categories', 'Exactly one break category must have no upper limit');
+  }
+
+  next();
+});
+
+// Static method to get the active policy (defaults if none has been saved)
+breakPolicySchema.statics.getActive = async function () {
+  return (await this.findOne()) || new this();
+};
+
+breakPolicySchema.statics.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+module.exports = mongoose.model('BreakPolicy', breakPolicySchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const correctionRequestSchema = new mongoose.Schema({
+  // Requester (owner of the punches being corrected)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+
+  // Requested Change
+  requestType: {
+    type: String,
+    enum: ['Add', 'Move', 'Delete'],
+    required: [true, 'Request type is required']
+  },
+
+  // Punch to move or delete (not set for Add)
+  punchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PunchLog',
+    default: null
+  },
+
+  // Proposed punch values (Add, Move)
+  punchType: {
+    type: String,
+    enum: ['IN', 'OUT', null],
+    default: null
+  },
+  punchTime: {
+    type: Date,
+    default: null
+  },
+
+  // Punch values when the request was made (Move, Delete)
+  originalPunchType: {
+    type: String,
+    enum: ['IN', 'OUT', null],
+    default: null
+  },
+  originalPunchTime: {
+    type: Date,
+    default: null
+  },
+
+  // Reason provided by the requester
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  // Approval Status
+  status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Rejected', 'Cancelled'],
+    default: 'Pending',
+    index: true
+  },
+
+  // Review Info
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    maxlength: [500, 'Review note cannot exceed 500 characters'],
+    default: null
+  },
+
+  // Result of an approval
+  appliedPunchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PunchLog',
+    default: null
+  },
+  auditLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AuditLog',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for common queries
+correctionRequestSchema.index({ status: 1, createdAt: -1 });  // Pending approvals queue
+correctionRequestSchema.index({ punchId: 1, status: 1 });  // Open request for a punch
+
+// Validate fields required by each request type
+correctionRequestSchema.pre('validate', function (next) {
+  if (this.requestType === 'Add') {
+    if (!this.punchType) {
+      this.invalidate('punchType', 'Punch type is required to add a punch');
+    }
+    if (!this.punchTime) {
+      this.invalidate('punchTime', 'Punch time is required to add a punch');
+    }
+  } else if (!this.punchId) {
+    this.invalidate('punchId', `Punch ID is required to ${this.requestType?.toLowerCase()} a punch`);
+  }
+
+  if (this.requestType === 'Move' && !this.punchTime && !this.punchType) {
+    this.invalidate('punchTime', 'A new punch time or type is required to move a punch');
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('CorrectionRequest', correctionRequestSchema);
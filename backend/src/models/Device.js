@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { isValidRange } = require('../utils/network');
+
+const deviceSchema = new mongoose.Schema({
+  // Device Name (e.g. "Main Entrance")
+  name: {
+    type: String,
+    required: [true, 'Device name is required'],
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+
+  // API Key (only the SHA-256 hash is stored; the key is shown once on creation)
+  apiKeyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the key, to recognise it in the admin list
+  apiKeyPrefix: {
+    type: String,
+    required: true
+  },
+
+  // Device Status
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // IPs / CIDR ranges the device may call from (empty = any)
+  allowedIps: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (ranges) => ranges.every(isValidRange),
+      message: 'Allowed IPs must be IP addresses or CIDR ranges'
+    }
+  },
+
+  // Where the device is installed
+  location: {
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Location cannot exceed 200 characters'],
+      default: null
+    },
+    latitude: { type: Number, default: null },
+    longitude: { type: Number, default: null }
+  },
+
+  // Registration Info
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Last Seen
+  lastSeenAt: {
+    type: Date,
+    default: null
+  },
+  lastSeenIp: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Never expose the key hash (API responses, audit log snapshots)
+const hideApiKeyHash = (doc, ret) => {
+  delete ret.apiKeyHash;
+  return ret;
+};
+deviceSchema.set('toJSON', { transform: hideApiKeyHash });
+deviceSchema.set('toObject', { transform: hideApiKeyHash });
+
+deviceSchema.index({ isActive: 1, name: 1 });  // Admin device list
+
+// Hash an API key for storage and lookup
+deviceSchema.statics.hashApiKey = function (apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+};
+
+// Generate a new random API key
+deviceSchema.statics.generateApiKey = function () {
+  return `dev_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+// Static method to find an active device by API key
+deviceSchema.statics.findActiveByApiKey = async function (apiKey) {
+  return await this.findOne({
+    apiKeyHash: this.hashApiKey(apiKey),
+    isActive: true
+  });
+};
+
+// Instance method to assign a new API key (returns the plain key)
+deviceSchema.methods.setApiKey = function () {
+  const apiKey = this.constructor.generateApiKey();
+  this.apiKeyHash = this.constructor.hashApiKey(apiKey);
+  this.apiKeyPrefix = apiKey.slice(0, 8);
+  return apiKey;
+};
+
+module.exports = mongoose.model('Device', deviceSchema);
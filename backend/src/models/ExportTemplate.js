@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Values available to payroll export columns
+const PAYROLL_FIELDS = [
+  'userId',
+  'name',
+  'email',
+  'team',
+  'periodStart',
+  'periodEnd',
+  'daysWorked',
+  'workedMinutes',
+  'targetMinutes',
+  'regularMinutes',
+  'overtimeMinutes',
+  'premiumMinutes',
+  'leaveMinutes',
+  'breakMinutes',
+  'lateCount',
+  'constant'
+];
+
+const columnSchema = new mongoose.Schema({
+  // Source value
+  field: {
+    type: String,
+    enum: PAYROLL_FIELDS,
+    required: [true, 'Column field is required']
+  },
+
+  // Column heading in the exported file
+  header: {
+    type: String,
+    required: [true, 'Column header is required'],
+    trim: true,
+    maxlength: [100, 'Column header cannot exceed 100 characters']
+  },
+
+  // Duration format for minute fields
+  format: {
+    type: String,
+    enum: ['minutes', 'hours', 'hhmm'],
+    default: 'minutes'
+  },
+
+  // Fixed value (constant field only), e.g. a vendor company code
+  value: {
+    type: String,
+    maxlength: [100, 'Constant value cannot exceed 100 characters'],
+    default: null
+  }
+}, { _id: false });
+
+const exportTemplateSchema = new mongoose.Schema({
+  // Template Name
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+
+  // Description
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: null
+  },
+
+  // Ordered column mapping
+  columns: {
+    type: [columnSchema],
+    validate: {
+      validator: columns => columns.length > 0,
+      message: 'At least one column is required'
+    }
+  },
+
+  // CSV field delimiter
+  delimiter: {
+    type: String,
+    enum: [',', ';', '\t'],
+    default: ','
+  },
+
+  // Used when an export does not name a template
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+
+  // Created By
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the default template (null if none is marked)
+exportTemplateSchema.statics.findDefault = async function () {
+  return await this.findOne({ isDefault: true });
+};
+
+exportTemplateSchema.statics.PAYROLL_FIELDS = PAYROLL_FIELDS;
+
+module.exports = mongoose.model('ExportTemplate', exportTemplateSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const holidaySchema = new mongoose.Schema({
+  // Holiday Name
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true,
+    maxlength: [100, 'Holiday name cannot exceed 100 characters']
+  },
+
+  // Calendar date (organization-wide, YYYY-MM-DD)
+  date: {
+    type: String,
+    required: [true, 'Holiday date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'],
+    index: true
+  },
+
+  // Repeats every year on the same month and day, from the year of `date` onwards
+  recurring: {
+    type: Boolean,
+    default: false
+  },
+
+  // Description
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: null
+  },
+
+  // Origin of the entry
+  source: {
+    type: String,
+    enum: ['Manual', 'ICS'],
+    default: 'Manual'
+  },
+
+  // iCalendar UID (for re-imports)
+  icsUid: {
+    type: String,
+    default: null
+  },
+
+  // Created By
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for common queries
+holidaySchema.index({ date: 1, name: 1 }, { unique: true });  // One entry per holiday per day
+holidaySchema.index({ recurring: 1 });  // Annual holidays
+holidaySchema.index({ icsUid: 1 });  // Re-import lookups
+
+// Static method to find the holiday on a calendar date (YYYY-MM-DD)
+holidaySchema.statics.findByDate = async function (date) {
+  return await this.findOne({
+    $or: [
+      { date },
+      { recurring: true, date: { $regex: `-${date.slice(5)}$`, $lte: date } }
+    ]
+  });
+};
+
+// Static method to get holidays per calendar date within a range
+holidaySchema.statics.getByDateInRange = async function (startDate, endDate) {
+  const holidays = await this.find({
+    $or: [
+      { date: { $gte: startDate, $lte: endDate } },
+      { recurring: true, date: { $lte: endDate } }
+    ]
+  }).sort({ date: 1 });
+
+  const startYear = parseInt(startDate.slice(0, 4));
+  const endYear = parseInt(endDate.slice(0, 4));
+  const holidaysByDate = {};
+
+  for (const holiday of holidays) {
+    const dates = holiday.recurring
+      ? Array.from({ length: endYear - startYear + 1 }, (_, i) => `${startYear + i}${holiday.date.slice(4)}`)
+      : [holiday.date];
+
+    for (const date of dates) {
+      // Recurring holidays don't reach back before the year they start in
+      if (date >= startDate && date <= endDate && date >= holiday.date && !holidaysByDate[date]) {
+        holidaysByDate[date] = holiday;
+      }
+    }
+  }
+
+  return holidaysByDate;
+};
+
+module.exports = mongoose.model('Holiday', holidaySchema);
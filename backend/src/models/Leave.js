@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const leaveSchema = new mongoose.Schema({
+  // User Reference
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+
+  // Leave Category
+  leaveType: {
+    type: String,
+    enum: ['Casual', 'Sick', 'Earned', 'Unpaid', 'Other'],
+    default: 'Casual'
+  },
+
+  // Duration Unit
+  duration: {
+    type: String,
+    enum: ['FullDay', 'HalfDay', 'Hourly'],
+    required: [true, 'Leave duration is required']
+  },
+
+  // Date Range (calendar dates in the user's timezone, YYYY-MM-DD)
+  startDate: {
+    type: String,
+    required: [true, 'Start date is required'],
+    match: [DATE_PATTERN, 'Start date must be in YYYY-MM-DD format']
+  },
+  endDate: {
+    type: String,
+    required: [true, 'End date is required'],
+    match: [DATE_PATTERN, 'End date must be in YYYY-MM-DD format']
+  },
+
+  // Half-day session (HalfDay only)
+  halfDaySession: {
+    type: String,
+    enum: ['FirstHalf', 'SecondHalf', null],
+    default: null
+  },
+
+  // Leave minutes per day (Hourly only)
+  minutes: {
+    type: Number,
+    min: [15, 'Hourly leave must be at least 15 minutes'],
+    max: [1440, 'Hourly leave cannot exceed 24 hours'],
+    default: null
+  },
+
+  // Reason provided by the requester
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  },
+
+  // Approval Status
+  status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Rejected', 'Cancelled'],
+    default: 'Pending',
+    index: true
+  },
+
+  // Review Info
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    maxlength: [500, 'Review note cannot exceed 500 characters'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for common queries
+leaveSchema.index({ userId: 1, status: 1, startDate: 1, endDate: 1 });  // Approved leave lookup
+leaveSchema.index({ status: 1, createdAt: -1 });  // Pending approvals queue
+
+// Validate date range and duration-specific fields
+leaveSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before start date');
+  }
+
+  if (this.duration !== 'FullDay' && this.startDate !== this.endDate) {
+    this.invalidate('endDate', `${this.duration} leave must start and end on the same day`);
+  }
+
+  if (this.duration === 'HalfDay' && !this.halfDaySession) {
+    this.halfDaySession = 'FirstHalf';
+  }
+
+  if (this.duration === 'Hourly' && !this.minutes) {
+    this.invalidate('minutes', 'Minutes are required for hourly leave');
+  }
+
+  next();
+});
+
+// Check whether the leave covers a calendar date (YYYY-MM-DD)
+leaveSchema.methods.coversDate = function (date) {
+  return date >= this.startDate && date <= this.endDate;
+};
+
+// Minutes of the daily target covered by this leave on a single day
+leaveSchema.methods.getLeaveMinutes = function (dailyTargetMinutes) {
+  if (this.duration === 'FullDay') {
+    return dailyTargetMinutes;
+  }
+
+  if (this.duration === 'HalfDay') {
+    return dailyTargetMinutes / 2;
+  }
+
+  return Math.min(this.minutes || 0, dailyTargetMinutes);
+};
+
+// Static method to get approved leaves overlapping a date range
+leaveSchema.statics.getApprovedInRange = async function (userId, startDate, endDate) {
+  return await this.find({
+    userId,
+    status: 'Approved',
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate }
+  }).sort({ startDate: 1 });
+};
+
+module.exports = mongoose.model('Leave', leaveSchema);
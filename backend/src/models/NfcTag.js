@@ -33,6 +33,28 @@ const nfcTagSchema = new mongoose.Schema({
     default: null
   },
 
+  // Secure messaging (anti-cloning): an NTAG 424 DNA tag mirrors its read counter
+  // and an AES-CMAC made with a per-tag key into its NDEF URL (SUN), so a copied
+  // UID or a recorded read is rejected
+  secureMode: {
+    type: Boolean,
+    default: false
+  },
+  secretKey: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Highest counter accepted so far; lower or equal counters are replays
+  lastCounter: {
+    type: Number,
+    default: 0
+  },
+  cloneSuspectedAt: {
+    type: Date,
+    default: null
+  },
+
   // Registration Info
   registeredBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -69,6 +91,14 @@ const nfcTagSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Never expose the secure-mode key (API responses, audit log snapshots)
+const hideSecretKey = (doc, ret) => {
+  delete ret.secretKey;
+  return ret;
+};
+nfcTagSchema.set('toJSON', { transform: hideSecretKey });
+nfcTagSchema.set('toObject', { transform: hideSecretKey });
+
 // Compound indexes for common queries
 nfcTagSchema.index({ uid: 1, isActive: 1 });  // Find active tag by UID
 nfcTagSchema.index({ userId: 1, isActive: 1 });  // User's active tags
@@ -78,7 +108,9 @@ nfcTagSchema.statics.findActiveByUID = async function (uid) {
   return await this.findOne({
     uid: uid.toUpperCase(),
     isActive: true
-  }).populate('userId', 'name email role isActive');
+  })
+    .select('+secretKey')
+    .populate('userId', 'name email role isActive');
 };
 
 // Instance method to deactivate tag
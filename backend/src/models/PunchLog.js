@@ -26,7 +26,7 @@ const punchLogSchema = new mongoose.Schema({
   // Source of Punch
   source: {
     type: String,
-    enum: ['NFC', 'Manual', 'Admin'],
+    enum: ['NFC', 'QR', 'Manual', 'Admin'],
     required: [true, 'Punch source is required']
   },
 
@@ -37,6 +37,13 @@ const punchLogSchema = new mongoose.Schema({
     default: null
   },
 
+  // Registered reader the punch was made on (NFC / QR kiosk, door reader)
+  deviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    default: null
+  },
+
   // Edit Tracking
   edited: {
     type: Boolean,
@@ -68,10 +75,63 @@ const punchLogSchema = new mongoose.Schema({
     default: null
   },
 
-  // Location (optional, for future use)
+  // Attendance (checked against the work day's shift when the punch is recorded)
+  // Late: first IN of the work day past the grace period
+  isLate: {
+    type: Boolean,
+    default: false
+  },
+  lateMinutes: {
+    type: Number,
+    default: 0
+  },
+  // Early departure: OUT before the minimum work time; cleared if the user
+  // punches back IN on the same work day
+  isEarlyDeparture: {
+    type: Boolean,
+    default: false
+  },
+  earlyMinutes: {
+    type: Number,
+    default: 0
+  },
+
+  // Location reported by the browser (geolocation), if any
   location: {
     latitude: { type: Number, default: null },
-    longitude: { type: Number, default: null }
+    longitude: { type: Number, default: null },
+    accuracy: { type: Number, default: null }  // meters
+  },
+
+  // Geofence check: nearest site and distance outside its fence (0 = inside)
+  siteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Site',
+    default: null
+  },
+  distanceMeters: {
+    type: Number,
+    default: null
+  },
+  outsideGeofence: {
+    type: Boolean,
+    default: false
+  },
+
+  // Network check for manual punches: the trusted network matched, if any
+  network: {
+    siteId: { type: mongoose.Schema.Types.ObjectId, ref: 'Site', default: null },
+    range: { type: String, default: null },
+    ipAddress: { type: String, default: null }
+  },
+  outsideNetwork: {
+    type: Boolean,
+    default: false
+  },
+  outsideNetworkReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
   },
 
   // Notes
@@ -89,7 +149,12 @@ punchLogSchema.index({ userId: 1, punchTime: -1 });  // User's punch history
 punchLogSchema.index({ userId: 1, punchType: 1, punchTime: -1 });  // Filter by type
 punchLogSchema.index({ punchTime: -1 });  // Global time-based queries
 punchLogSchema.index({ source: 1, punchTime: -1 });  // Filter by source
+punchLogSchema.index({ deviceId: 1, punchTime: -1 });  // Punches per reader device
 punchLogSchema.index({ userId: 1, createdAt: -1 });  // User's recent punches
+punchLogSchema.index({ isLate: 1, punchTime: -1 });  // Late arrival reports
+punchLogSchema.index({ isEarlyDeparture: 1, punchTime: -1 });  // Early departure reports
+punchLogSchema.index({ outsideGeofence: 1, punchTime: -1 });  // Off-site punch reports
+punchLogSchema.index({ outsideNetwork: 1, punchTime: -1 });  // Untrusted network punch reports
 
 // Get punch for display (formatted)
 punchLogSchema.methods.toDisplayJSON = function (timezone = 'UTC') {
@@ -102,9 +167,21 @@ punchLogSchema.methods.toDisplayJSON = function (timezone = 'UTC') {
     punchTime: this.punchTime.toISOString(),
     punchTimeLocal: moment(this.punchTime).tz(timezone).format('YYYY-MM-DD HH:mm:ss'),
     source: this.source,
+    deviceId: this.deviceId,
     edited: this.edited,
     editedBy: this.editedBy,
     editReason: this.editReason,
+    isLate: this.isLate,
+    lateMinutes: this.lateMinutes,
+    isEarlyDeparture: this.isEarlyDeparture,
+    earlyMinutes: this.earlyMinutes,
+    location: this.location,
+    siteId: this.siteId,
+    distanceMeters: this.distanceMeters,
+    outsideGeofence: this.outsideGeofence,
+    network: this.network,
+    outsideNetwork: this.outsideNetwork,
+    outsideNetworkReason: this.outsideNetworkReason,
     notes: this.notes,
     createdAt: this.createdAt
   };
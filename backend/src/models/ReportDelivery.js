@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const reportDeliverySchema = new mongoose.Schema({
+  // Recipient
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+
+  // Report Kind
+  reportType: {
+    type: String,
+    enum: ['Weekly', 'Monthly'],
+    required: [true, 'Report type is required']
+  },
+
+  // Period covered (week start YYYY-MM-DD or month YYYY-MM, in the user's timezone)
+  period: {
+    type: String,
+    required: [true, 'Report period is required']
+  },
+
+  // Delivery Status
+  status: {
+    type: String,
+    enum: ['Sent', 'Failed'],
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+
+  // Stats included in the email
+  stats: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One delivery record per user, report and period (prevents duplicate sends)
+reportDeliverySchema.index({ userId: 1, reportType: 1, period: 1 }, { unique: true });
+reportDeliverySchema.index({ reportType: 1, createdAt: -1 });  // Send history
+
+module.exports = mongoose.model('ReportDelivery', reportDeliverySchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const rosterSchema = new mongoose.Schema({
+  // User Reference
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  // Shift Reference
+  shiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    required: [true, 'Shift ID is required']
+  },
+
+  // Calendar date the shift starts on (YYYY-MM-DD, in the user's timezone)
+  date: {
+    type: String,
+    required: [true, 'Roster date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+
+  // Assigned By
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for common queries
+rosterSchema.index({ userId: 1, date: 1 }, { unique: true });  // One shift per user per day
+rosterSchema.index({ date: 1 });  // Daily roster view
+rosterSchema.index({ shiftId: 1 });  // Assignments for a shift
+
+// Static method to get a user's rostered shift for a date
+rosterSchema.statics.findShiftForDate = async function (userId, date) {
+  const entry = await this.findOne({ userId, date }).populate('shiftId');
+  return entry?.shiftId || null;
+};
+
+module.exports = mongoose.model('Roster', rosterSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const shiftSchema = new mongoose.Schema({
+  // Shift Name
+  name: {
+    type: String,
+    required: [true, 'Shift name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Shift name cannot exceed 50 characters']
+  },
+
+  // Start and End Time (HH:mm, in the user's timezone)
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_PATTERN, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_PATTERN, 'End time must be in HH:mm format']
+  },
+
+  // Late arrival grace period (minutes)
+  graceMinutes: {
+    type: Number,
+    min: [0, 'Grace period cannot be negative'],
+    max: [240, 'Grace period cannot exceed 4 hours'],
+    default: 15
+  },
+
+  // Break allowance included in the shift (minutes)
+  breakMinutes: {
+    type: Number,
+    min: [0, 'Break allowance cannot be negative'],
+    max: [480, 'Break allowance cannot exceed 8 hours'],
+    default: 60
+  },
+
+  // Shift ends on the following calendar day
+  isOvernight: {
+    type: Boolean,
+    default: false
+  },
+
+  // Work-day cutoff (HH:mm): punches before this clock time belong to the
+  // previous work day. Overnight shifts default to the middle of the off-hours
+  dayCutoff: {
+    type: String,
+    match: [TIME_PATTERN, 'Day cutoff must be in HH:mm format'],
+    default: null
+  },
+
+  // Status
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Created By
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Overnight shifts must end before they start on the clock, day shifts after
+shiftSchema.pre('validate', function (next) {
+  if (this.startTime && this.endTime) {
+    const start = toMinutes(this.startTime);
+    const end = toMinutes(this.endTime);
+
+    if (this.isOvernight && end >= start) {
+      this.invalidate('endTime', 'Overnight shift must end before its start time on the next day');
+    }
+    if (!this.isOvernight && end <= start) {
+      this.invalidate('endTime', 'End time must be after start time (mark the shift as overnight if it crosses midnight)');
+    }
+  }
+
+  next();
+});
+
+// Total scheduled minutes, including breaks
+shiftSchema.virtual('durationMinutes').get(function () {
+  const duration = toMinutes(this.endTime) - toMinutes(this.startTime);
+  return this.isOvernight ? duration + 1440 : duration;
+});
+
+// Expected working minutes (scheduled minus break allowance)
+shiftSchema.virtual('workMinutes').get(function () {
+  return Math.max(0, this.durationMinutes - this.breakMinutes);
+});
+
+// Effective work-day cutoff for this shift (null when the day starts at midnight)
+shiftSchema.methods.getDayCutoff = function () {
+  if (this.dayCutoff) {
+    return this.dayCutoff;
+  }
+
+  if (!this.isOvernight) {
+    return null;
+  }
+
+  const offMinutes = 1440 - this.durationMinutes;
+  const cutoff = (toMinutes(this.endTime) + Math.floor(offMinutes / 2)) % 1440;
+  return `${String(Math.floor(cutoff / 60)).padStart(2, '0')}:${String(cutoff % 60).padStart(2, '0')}`;
+};
+
+shiftSchema.set('toJSON', { virtuals: true });
+shiftSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Shift', shiftSchema);
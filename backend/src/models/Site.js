@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { isValidRange } = require('../utils/network');
+
+const pointSchema = new mongoose.Schema({
+  latitude: {
+    type: Number,
+    required: true,
+    min: [-90, 'Latitude must be between -90 and 90'],
+    max: [90, 'Latitude must be between -90 and 90']
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: [-180, 'Longitude must be between -180 and 180'],
+    max: [180, 'Longitude must be between -180 and 180']
+  }
+}, { _id: false });
+
+const siteSchema = new mongoose.Schema({
+  // Site Name (e.g. "Head Office")
+  name: {
+    type: String,
+    required: [true, 'Site name is required'],
+    trim: true,
+    maxlength: [100, 'Site name cannot exceed 100 characters']
+  },
+
+  // Geofence: a circle (center + radius) or a polygon
+  fenceType: {
+    type: String,
+    enum: ['circle', 'polygon'],
+    default: 'circle'
+  },
+  center: {
+    type: pointSchema,
+    default: null
+  },
+  radiusMeters: {
+    type: Number,
+    min: [10, 'Radius must be at least 10 meters'],
+    max: [50000, 'Radius cannot exceed 50 km'],
+    default: 200
+  },
+  polygon: {
+    type: [pointSchema],
+    default: []
+  },
+
+  // What happens when a punch is outside the fence
+  // off: record only, warn: allow with a warning, reject: refuse the punch
+  policy: {
+    type: String,
+    enum: ['off', 'warn', 'reject'],
+    default: 'warn'
+  },
+
+  // Trusted office networks (IPs / CIDR ranges) for manual punches
+  trustedNetworks: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (ranges) => ranges.every(isValidRange),
+      message: 'Trusted networks must be IP addresses or CIDR ranges'
+    }
+  },
+
+  // What happens when a manual punch comes from outside the trusted networks
+  // off: record only, flag: allow and flag the punch, reason: require a reason, block: refuse the punch
+  networkPolicy: {
+    type: String,
+    enum: ['off', 'flag', 'reason', 'block'],
+    default: 'flag'
+  },
+
+  // Site Status
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+siteSchema.index({ isActive: 1, name: 1 });  // Active sites
+
+// A circle needs a center, a polygon at least three points
+siteSchema.pre('validate', function (next) {
+  if (this.fenceType === 'circle' && !this.center) {
+    this.invalidate('center', 'A circular geofence needs a center');
+  }
+  if (this.fenceType === 'polygon' && this.polygon.length < 3) {
+    this.invalidate('polygon', 'A polygon geofence needs at least three points');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Site', siteSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const teamSchema = new mongoose.Schema({
+  // Team / Department Name
+  name: {
+    type: String,
+    required: [true, 'Team name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Team name cannot exceed 100 characters']
+  },
+
+  // Description
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: null
+  },
+
+  // Manager responsible for the team's members
+  managerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Manager is required'],
+    index: true
+  },
+
+  // Status
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Created By
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the IDs of all users reporting to a manager
+teamSchema.statics.getReportIds = async function (managerId) {
+  const teams = await this.find({ managerId, isActive: true }).select('_id');
+  if (teams.length === 0) {
+    return [];
+  }
+
+  const User = mongoose.model('User');
+  const reports = await User.find({ teamId: { $in: teams.map(t => t._id) } }).select('_id');
+  return reports.map(u => u._id);
+};
+
+// Static method to check whether a user reports to a manager
+teamSchema.statics.isManagerOf = async function (managerId, userId) {
+  const User = mongoose.model('User');
+  const user = await User.findById(userId).select('teamId');
+  if (!user?.teamId) {
+    return false;
+  }
+
+  return !!(await this.exists({ _id: user.teamId, managerId, isActive: true }));
+};
+
+// Static method to check whether a reviewer may approve requests for a user
+// (Admins for anyone, Managers for their reports)
+teamSchema.statics.canApproveFor = async function (reviewer, userId) {
+  if (reviewer.role === 'Admin') {
+    return true;
+  }
+
+  return reviewer.role === 'Manager' && await this.isManagerOf(reviewer._id, userId);
+};
+
+module.exports = mongoose.model('Team', teamSchema);
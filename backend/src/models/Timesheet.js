@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Statuses that lock the punches covered by a timesheet
+const LOCKED_STATUSES = ['Submitted', 'Approved'];
+
+const timesheetSchema = new mongoose.Schema({
+  // User Reference
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+
+  // Week covered (work dates in the user's timezone, YYYY-MM-DD)
+  weekStart: {
+    type: String,
+    required: [true, 'Week start is required'],
+    match: [DATE_PATTERN, 'Week start must be in YYYY-MM-DD format']
+  },
+  weekEnd: {
+    type: String,
+    required: [true, 'Week end is required'],
+    match: [DATE_PATTERN, 'Week end must be in YYYY-MM-DD format']
+  },
+
+  // Covered period in UTC (first work day start to last work day end)
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+
+  // Settings the snapshot was computed with
+  timezone: {
+    type: String,
+    required: true
+  },
+  dayCutoff: {
+    type: String,
+    default: '00:00'
+  },
+
+  // Workflow Status
+  status: {
+    type: String,
+    enum: ['Submitted', 'Approved', 'Returned', 'Reopened'],
+    default: 'Submitted',
+    index: true
+  },
+
+  // Signed-off totals (minutes), snapshotted at submission
+  totals: {
+    workedMinutes: { type: Number, default: 0 },
+    targetMinutes: { type: Number, default: 0 },
+    leaveMinutes: { type: Number, default: 0 },
+    regularMinutes: { type: Number, default: 0 },
+    overtimeMinutes: { type: Number, default: 0 },
+    premiumMinutes: { type: Number, default: 0 }
+  },
+
+  // Per-day breakdown from the weekly summary
+  dailyData: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+
+  // Submission Info
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  submitNote: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: null
+  },
+
+  // Review Info (approve / return)
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    maxlength: [500, 'Review note cannot exceed 500 characters'],
+    default: null
+  },
+
+  // Reopen Info
+  reopenedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reopenedAt: {
+    type: Date,
+    default: null
+  },
+  reopenReason: {
+    type: String,
+    maxlength: [500, 'Reopen reason cannot exceed 500 characters'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for common queries
+timesheetSchema.index({ userId: 1, weekStart: 1 }, { unique: true });  // One timesheet per user per week
+timesheetSchema.index({ userId: 1, status: 1, periodStart: 1, periodEnd: 1 });  // Lock lookup
+timesheetSchema.index({ status: 1, submittedAt: -1 });  // Approval queue
+
+// Virtual: whether the covered punches are locked
+timesheetSchema.virtual('isLocked').get(function () {
+  return LOCKED_STATUSES.includes(this.status);
+});
+
+// Static method to find the timesheet locking a point in time for a user
+timesheetSchema.statics.findLocking = async function (userId, time) {
+  return await this.findOne({
+    userId,
+    status: { $in: LOCKED_STATUSES },
+    periodStart: { $lte: time },
+    periodEnd: { $gte: time }
+  });
+};
+
+timesheetSchema.set('toJSON', { virtuals: true });
+timesheetSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Timesheet', timesheetSchema);
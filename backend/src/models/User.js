@@ -19,6 +19,14 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
@@ -29,10 +37,17 @@ const userSchema = new mongoose.Schema({
   // Role
   role: {
     type: String,
-    enum: ['Admin', 'User'],
+    enum: ['Admin', 'Manager', 'User'],
     default: 'User'
   },
 
+  // Team / Department (its manager can view this user's data)
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+
   // Profile Settings (User can configure)
   profile: {
     timezone: {
@@ -54,6 +69,93 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['NFC', 'Manual'],
       default: 'NFC'
+    },
+    // Default shift (used when no roster entry exists for a date)
+    shiftId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift',
+      default: null
+    },
+    // Site the user punches at (null = any active site)
+    siteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Site',
+      default: null
+    },
+    // Geofence policy override (null = the site's policy)
+    geofencePolicy: {
+      type: String,
+      enum: ['off', 'warn', 'reject', null],
+      default: null
+    },
+    // Work-day cutoff (HH:mm) for night work; overrides the shift's cutoff
+    dayCutoff: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Day cutoff must be in HH:mm format'],
+      default: null
+    },
+    // Scheduled summary emails (opt-in)
+    emailReports: {
+      weekly: {
+        type: Boolean,
+        default: false
+      },
+      monthly: {
+        type: Boolean,
+        default: false
+      }
+    }
+  },
+
+  // Two-Factor Authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Enforced by an admin: the user must enrol before they can log in
+    required: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false,
+      default: null
+    },
+    // Secret issued during setup, active once the first code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false,
+      default: null
+    },
+    // Last accepted time step, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false,
+      default: null
+    },
+    // One-time recovery codes (SHA-256 hashes)
+    recoveryCodes: {
+      type: [{
+        _id: false,
+        hash: { type: String, required: true },
+        usedAt: { type: Date, default: null }
+      }],
+      select: false,
+      default: []
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
     }
   },
 
@@ -77,6 +179,7 @@ userSchema.index({ role: 1 });  // Admin user queries
 userSchema.index({ isActive: 1 });  // Active/inactive users
 userSchema.index({ role: 1, isActive: 1 });  // Filter active users by role
 userSchema.index({ createdAt: -1 });  // Recent users
+userSchema.index({ teamId: 1 });  // Team members
 
 // Hash password before saving
 userSchema.pre('save', async function (next) {
@@ -102,8 +205,15 @@ userSchema.methods.toPublicJSON = function () {
     id: this._id,
     name: this.name,
     email: this.email,
+    emailVerified: !!this.emailVerified,
     role: this.role,
+    teamId: this.teamId,
     profile: this.profile,
+    twoFactor: {
+      enabled: !!this.twoFactor?.enabled,
+      required: !!this.twoFactor?.required,
+      enabledAt: this.twoFactor?.enabledAt || null
+    },
     isActive: this.isActive,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
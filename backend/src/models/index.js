@@ -2,10 +2,36 @@ const User = require('./User');
 const PunchLog = require('./PunchLog');
 const NfcTag = require('./NfcTag');
 const AuditLog = require('./AuditLog');
+const Leave = require('./Leave');
+const Holiday = require('./Holiday');
+const Shift = require('./Shift');
+const Roster = require('./Roster');
+const Timesheet = require('./Timesheet');
+const Team = require('./Team');
+const CorrectionRequest = require('./CorrectionRequest');
+const ExportTemplate = require('./ExportTemplate');
+const ReportDelivery = require('./ReportDelivery');
+const BreakPolicy = require('./BreakPolicy');
+const Absence = require('./Absence');
+const Device = require('./Device');
+const Site = require('./Site');
 
 module.exports = {
   User,
   PunchLog,
   NfcTag,
-  AuditLog
+  AuditLog,
+  Leave,
+  Holiday,
+  Shift,
+  Roster,
+  Timesheet,
+  Team,
+  CorrectionRequest,
+  ExportTemplate,
+  ReportDelivery,
+  BreakPolicy,
+  Absence,
+  Device,
+  Site
 };
@@ -1,7 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { AuditLog } = require('../models');
-const { protect, authorize, asyncHandler } = require('../middleware');
+const { AuditLog, User } = require('../models');
+const { SummaryReportService, BreakTimeService, AttendanceService, PunchValidator, TimeEngine } = require('../services');
+const {
+  protect,
+  authorize,
+  canAccessUser,
+  asyncHandler,
+  breakPolicyValidation,
+  absenceListValidation,
+  mongoIdValidation
+} = require('../middleware');
 
 /**
  * @route   GET /api/admin/audit-logs
@@ -90,14 +99,14 @@ router.get('/stats',
       punchTime: { $gte: todayStart, $lte: todayEnd }
     });
     
-    // Users currently working (last punch is IN)
-    const lastPunches = await PunchLog.aggregate([
-      { $sort: { punchTime: -1 } },
-      { $group: { _id: '$userId', lastPunch: { $first: '$$ROOT' } } },
-      { $match: { 'lastPunch.punchType': 'IN' } }
-    ]);
+    // Users currently working (last punch in the past day is IN)
+    const activeUserIds = (await User.find({ isActive: true }).select('_id')).map(u => u._id);
+    const lastPunches = await AttendanceService.getLastPunches(
+      activeUserIds,
+      moment().subtract(24, 'hours').toDate()
+    );
     
-    const usersWorking = lastPunches.length;
+    const usersWorking = Object.values(lastPunches).filter(p => p.punchType === 'IN').length;
     
     res.json({
       success: true,
@@ -121,4 +130,145 @@ router.get('/stats',
   })
 );
 
+/**
+ * @route   GET /api/admin/presence
+ * @desc    Get every active user's current state (working, on break, left,
+ *          not arrived, on leave), grouped by team
+ * @access  Private/Admin
+ */
+router.get('/presence', protect, authorize('Admin'), asyncHandler(async (req, res) => {
+  const presence = await AttendanceService.getPresence();
+  
+  res.json({
+    success: true,
+    data: presence
+  });
+}));
+
+/**
+ * @route   GET /api/admin/report-deliveries
+ * @desc    Get the weekly/monthly summary email send history
+ * @access  Private/Admin
+ */
+router.get('/report-deliveries',
+  protect,
+  authorize('Admin'),
+  asyncHandler(async (req, res) => {
+    const { userId, reportType, status, page = 1, limit = 50 } = req.query;
+    
+    const result = await SummaryReportService.getDeliveries({
+      userId,
+      reportType,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+/**
+ * @route   GET /api/admin/absences
+ * @desc    Get recorded absences for a date range (?from&to&userId)
+ * @access  Private/Admin
+ */
+router.get('/absences',
+  protect,
+  authorize('Admin'),
+  absenceListValidation,
+  asyncHandler(async (req, res) => {
+    const { from, to, userId, page = 1, limit = 50 } = req.query;
+    
+    const result = await AttendanceService.getAbsences({
+      from,
+      to,
+      userId,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+/**
+ * @route   GET /api/admin/break-policy
+ * @desc    Get the break policy (paid allowance, lunch auto-deduction, categories)
+ * @access  Private/Admin
+ */
+router.get('/break-policy', protect, authorize('Admin'), asyncHandler(async (req, res) => {
+  const policy = await BreakTimeService.getPolicy();
+  
+  res.json({
+    success: true,
+    data: { policy }
+  });
+}));
+
+/**
+ * @route   PUT /api/admin/break-policy
+ * @desc    Update the break policy
+ * @access  Private/Admin
+ */
+router.put('/break-policy',
+  protect,
+  authorize('Admin'),
+  breakPolicyValidation,
+  asyncHandler(async (req, res) => {
+    const { paidAllowanceMinutes, autoDeduct, categories } = req.body;
+    
+    const policy = await BreakTimeService.updatePolicy(
+      { paidAllowanceMinutes, autoDeduct, categories },
+      req.user
+    );
+    
+    res.json({
+      success: true,
+      message: 'Break policy updated successfully',
+      data: { policy }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/admin/punch-issues/:userId
+ * @desc    Get today's punch issues for a user, in their timezone and work day
+ * @access  Admin, Manager (own team)
+ */
+router.get('/punch-issues/:userId',
+  protect,
+  authorize('Admin', 'Manager'),
+  mongoIdValidation('userId'),
+  canAccessUser,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const issues = await PunchValidator.detectPunchIssues(
+      user._id,
+      TimeEngine.getTimezone(user),
+      await TimeEngine.getDayCutoff(user)
+    );
+    
+    res.json({
+      success: true,
+      count: issues.length,
+      data: issues
+    });
+  })
+);
+
 module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const { PayrollService } = require('../services');
+const {
+  protect,
+  authorize,
+  asyncHandler,
+  payrollExportValidation,
+  exportTemplateValidation,
+  mongoIdValidation
+} = require('../middleware');
+
+/**
+ * @route   GET /api/admin/exports/payroll
+ * @desc    Export per-employee payroll totals (?from&to&format=csv|xlsx|json&templateId&teamId)
+ * @access  Private/Admin
+ */
+router.get('/payroll',
+  protect,
+  authorize('Admin'),
+  payrollExportValidation,
+  asyncHandler(async (req, res) => {
+    const { from, to, format = 'csv', templateId, teamId } = req.query;
+
+    // JSON returns the raw totals for previewing before download
+    if (format === 'json') {
+      const rows = await PayrollService.getPayrollRows(from, to, { teamId });
+
+      return res.json({
+        success: true,
+        data: { from, to, rows }
+      });
+    }
+
+    const file = await PayrollService.exportPayroll(from, to, format, req.user, { templateId, teamId });
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+  })
+);
+
+/**
+ * @route   GET /api/admin/exports/templates
+ * @desc    Get payroll export templates
+ * @access  Private/Admin
+ */
+router.get('/templates', protect, authorize('Admin'), asyncHandler(async (req, res) => {
+  const templates = await PayrollService.getTemplates();
+
+  res.json({
+    success: true,
+    data: {
+      templates,
+      defaultColumns: PayrollService.DEFAULT_COLUMNS
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/admin/exports/templates
+ * @desc    Create a payroll export template
+ * @access  Private/Admin
+ */
+router.post('/templates',
+  protect,
+  authorize('Admin'),
+  exportTemplateValidation,
+  asyncHandler(async (req, res) => {
+    const { name, description, columns, delimiter, isDefault } = req.body;
+
+    const template = await PayrollService.createTemplate(
+      { name, description, columns, delimiter, isDefault },
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Export template created successfully',
+      data: { template }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/admin/exports/templates/:templateId
+ * @desc    Update a payroll export template
+ * @access  Private/Admin
+ */
+router.put('/templates/:templateId',
+  protect,
+  authorize('Admin'),
+  mongoIdValidation('templateId'),
+  exportTemplateValidation,
+  asyncHandler(async (req, res) => {
+    const { name, description, columns, delimiter, isDefault } = req.body;
+
+    const template = await PayrollService.updateTemplate(
+      req.params.templateId,
+      { name, description, columns, delimiter, isDefault },
+      req.user
+    );
+
+    res.json({
+      success: true,
+      message: 'Export template updated successfully',
+      data: { template }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/admin/exports/templates/:templateId
+ * @desc    Delete a payroll export template
+ * @access  Private/Admin
+ */
+router.delete('/templates/:templateId',
+  protect,
+  authorize('Admin'),
+  mongoIdValidation('templateId'),
+  asyncHandler(async (req, res) => {
+    await PayrollService.deleteTemplate(req.params.templateId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Export template deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
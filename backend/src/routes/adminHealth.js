@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { PunchCleanupService, PunchValidator, BreakTimeService } = require('../services');
+const { PunchCleanupService, BreakTimeService } = require('../services');
 const { protect, authorize, asyncHandler } = require('../middleware');
 
 /**
@@ -79,22 +79,4 @@ router.get('/orphaned-punches', protect, authorize('Admin'), asyncHandler(async
   });
 }));
 
-/**
- * @route   GET /api/admin/punch-issues/:userId
- * @desc    Get punch issues for specific user
- * @access  Admin
- */
-router.get('/punch-issues/:userId', protect, authorize('Admin'), asyncHandler(async (req, res) => {
-  const { userId } = req.params;
-  const timezone = req.query.timezone || 'UTC';
-  
-  const issues = await PunchValidator.detectPunchIssues(userId, timezone);
-  
-  res.json({
-    success: true,
-    count: issues.length,
-    data: issues
-  });
-}));
-
 module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const { User } = require('../models');
+const { AttendanceService } = require('../services');
+const {
+  protect,
+  authorize,
+  asyncHandler,
+  canAccessUser,
+  monthlyAttendanceValidation,
+  mongoIdValidation
+} = require('../middleware');
+
+/**
+ * @route   GET /api/attendance/monthly
+ * @desc    Get own per-day attendance status for a month (?month=YYYY-MM)
+ * @access  Private
+ */
+router.get('/monthly', protect, monthlyAttendanceValidation, asyncHandler(async (req, res) => {
+  const attendance = await AttendanceService.getMonthlyAttendance(req.user, req.query.month);
+
+  res.json({
+    success: true,
+    data: attendance
+  });
+}));
+
+/**
+ * @route   GET /api/attendance/monthly/:userId
+ * @desc    Get a user's per-day attendance status for a month (Admin, or Manager for own team)
+ * @access  Private/Admin, Manager
+ */
+router.get('/monthly/:userId',
+  protect,
+  authorize('Admin', 'Manager'),
+  mongoIdValidation('userId'),
+  canAccessUser,
+  monthlyAttendanceValidation,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const attendance = await AttendanceService.getMonthlyAttendance(user, req.query.month);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email
+        },
+        ...attendance
+      }
+    });
+  })
+);
+
+module.exports = router;
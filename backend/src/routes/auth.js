@@ -1,18 +1,72 @@
 const express = require('express');
 const router = express.Router();
 const { User, AuditLog } = require('../models');
+const { TwoFactorService, AccountService } = require('../services');
 const { 
   generateAccessToken, 
   generateRefreshToken, 
   verifyRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken,
   protect 
 } = require('../middleware/auth');
 const { 
   registerValidation, 
   loginValidation,
+  accountEmailValidation,
+  verifyEmailValidation,
+  resetPasswordValidation,
+  twoFactorCodeValidation,
+  twoFactorVerifyValidation,
   asyncHandler 
 } = require('../middleware');
 
+/**
+ * Issue tokens for a user whose login is complete and record the login
+ */
+const startSession = async (user) => {
+  const accessToken = generateAccessToken(user);
+  const refreshToken = generateRefreshToken(user);
+  
+  // Save refresh token
+  user.refreshToken = refreshToken;
+  await user.save();
+  
+  // Log login
+  await AuditLog.log({
+    action: 'LOGIN',
+    performedBy: user._id,
+    targetUser: user._id,
+    description: 'User logged in'
+  });
+  
+  return { accessToken, refreshToken };
+};
+
+/**
+ * Authenticate with an access token, or with a setup challenge token when an
+ * admin requires two-factor and the user has not enrolled yet (req.viaChallenge)
+ */
+const protectOrSetupChallenge = asyncHandler(async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return protect(req, res, next);
+  }
+  
+  const decoded = verifyChallengeToken(req.body.challengeToken, 'setup');
+  const user = decoded ? await User.findById(decoded.id) : null;
+  
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Login session expired. Please sign in again.'
+    });
+  }
+  
+  req.user = user;
+  req.viaChallenge = true;
+  next();
+});
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
@@ -37,6 +91,20 @@ router.post('/register', registerValidation, asyncHandler(async (req, res) => {
     password
   });
   
+  await AccountService.sendVerification(user);
+  
+  // No session until the address is confirmed
+  if (AccountService.isVerificationRequired()) {
+    return res.status(201).json({
+      success: true,
+      message: 'Registration successful. Check your email to verify your address before signing in.',
+      data: {
+        user: user.toPublicJSON(),
+        emailVerificationRequired: true
+      }
+    });
+  }
+  
   // Generate tokens
   const accessToken = generateAccessToken(user);
   const refreshToken = generateRefreshToken(user);
@@ -91,21 +159,39 @@ router.post('/login', loginValidation, asyncHandler(async (req, res) => {
     });
   }
   
-  // Generate tokens
-  const accessToken = generateAccessToken(user);
-  const refreshToken = generateRefreshToken(user);
+  if (AccountService.isVerificationRequired() && !user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before signing in.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
   
-  // Save refresh token
-  user.refreshToken = refreshToken;
-  await user.save();
+  // Second step: a code from the authenticator app
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      success: true,
+      message: 'Enter your authentication code',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user, 'login')
+      }
+    });
+  }
   
-  // Log login
-  await AuditLog.log({
-    action: 'LOGIN',
-    performedBy: user._id,
-    targetUser: user._id,
-    description: 'User logged in'
-  });
+  // Required by an admin but not set up yet: enrol before the first session
+  if (user.twoFactor?.required) {
+    return res.json({
+      success: true,
+      message: 'Set up two-factor authentication to continue',
+      data: {
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user, 'setup')
+      }
+    });
+  }
+  
+  const { accessToken, refreshToken } = await startSession(user);
   
   res.json({
     success: true,
@@ -118,6 +204,118 @@ router.post('/login', loginValidation, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete a login with an authenticator or recovery code
+ * @access  Public (login challenge token)
+ */
+router.post('/2fa/verify', twoFactorVerifyValidation, asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  
+  const decoded = verifyChallengeToken(challengeToken, 'login');
+  const user = decoded ? await TwoFactorService.loadUser(decoded.id) : null;
+  
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Login session expired. Please sign in again.'
+    });
+  }
+  
+  const result = await TwoFactorService.verify(user, { code, recoveryCode }, { ipAddress: req.ip });
+  
+  if (!result.valid) {
+    return res.status(401).json({
+      success: false,
+      message: result.error
+    });
+  }
+  
+  const { accessToken, refreshToken } = await startSession(user);
+  
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: user.toPublicJSON(),
+      accessToken,
+      refreshToken,
+      recoveryCodesRemaining: result.recoveryCodesRemaining
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrolment (secret + otpauth URL for the QR code)
+ * @access  Private (or setup challenge token)
+ */
+router.post('/2fa/setup', protectOrSetupChallenge, asyncHandler(async (req, res) => {
+  const setup = await TwoFactorService.startSetup(req.user);
+  
+  res.json({
+    success: true,
+    data: setup
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrolment with a code; returns one-time recovery codes
+ *          (and the session, when enrolling during login)
+ * @access  Private (or setup challenge token)
+ */
+router.post('/2fa/enable', protectOrSetupChallenge, twoFactorCodeValidation, asyncHandler(async (req, res) => {
+  const { user, recoveryCodes } = await TwoFactorService.enable(req.user, req.body.code);
+  const session = req.viaChallenge ? await startSession(user) : {};
+  
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled',
+    data: {
+      user: user.toPublicJSON(),
+      recoveryCodes,
+      ...session
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication
+ * @access  Private
+ */
+router.post('/2fa/disable', protect, twoFactorVerifyValidation, asyncHandler(async (req, res) => {
+  const { code, recoveryCode } = req.body;
+  
+  const user = await TwoFactorService.disable(req.user, { code, recoveryCode }, { ipAddress: req.ip });
+  
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled',
+    data: {
+      user: user.toPublicJSON()
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', protect, twoFactorVerifyValidation, asyncHandler(async (req, res) => {
+  const { code, recoveryCode } = req.body;
+  
+  const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.user, { code, recoveryCode }, { ipAddress: req.ip });
+  
+  res.json({
+    success: true,
+    message: 'New recovery codes generated',
+    data: { recoveryCodes }
+  });
+}));
+
 /**
  * @route   POST /api/auth/refresh
  * @desc    Refresh access token
@@ -259,4 +457,63 @@ router.put('/password', protect, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address with the emailed link
+ * @access  Public (verification token)
+ */
+router.post('/verify-email', verifyEmailValidation, asyncHandler(async (req, res) => {
+  const user = await AccountService.verifyEmail(req.body.token, { ipAddress: req.ip });
+  
+  res.json({
+    success: true,
+    message: 'Email address verified',
+    data: {
+      user: user.toPublicJSON()
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Send a new verification link
+ * @access  Public
+ */
+router.post('/verify-email/resend', accountEmailValidation, asyncHandler(async (req, res) => {
+  await AccountService.resendVerification(req.body.email);
+  
+  res.json({
+    success: true,
+    message: 'If the account exists and is not verified yet, a new verification link has been sent.'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', accountEmailValidation, asyncHandler(async (req, res) => {
+  await AccountService.requestPasswordReset(req.body.email, { ipAddress: req.ip });
+  
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent.'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with the emailed link
+ * @access  Public (reset token)
+ */
+router.post('/reset-password', resetPasswordValidation, asyncHandler(async (req, res) => {
+  await AccountService.resetPassword(req.body.token, req.body.password, { ipAddress: req.ip });
+  
+  res.json({
+    success: true,
+    message: 'Password reset. You can now sign in with your new password.'
+  });
+}));
+
 module.exports = router;
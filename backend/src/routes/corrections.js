@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router();
+const { Team } = require('../models');
+const { CorrectionService } = require('../services');
+const {
+  protect,
+  authorize,
+  asyncHandler,
+  correctionRequestValidation,
+  correctionReviewValidation,
+  mongoIdValidation
+} = require('../middleware');
+
+/**
+ * @route   POST /api/corrections
+ * @desc    Request a punch correction (add, move or delete a punch)
+ * @access  Private
+ */
+router.post('/', protect, correctionRequestValidation, asyncHandler(async (req, res) => {
+  const { requestType, punchId, punchType, punchTime, reason } = req.body;
+
+  const request = await CorrectionService.requestCorrection(req.user, {
+    requestType,
+    punchId,
+    punchType,
+    punchTime,
+    reason
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Correction request submitted for approval',
+    data: { request }
+  });
+}));
+
+/**
+ * @route   GET /api/corrections/my
+ * @desc    Get correction requests for current user
+ * @access  Private
+ */
+router.get('/my', protect, asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 50 } = req.query;
+
+  const result = await CorrectionService.getCorrections({
+    userId: req.user._id,
+    status,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+/**
+ * @route   GET /api/corrections
+ * @desc    Get all correction requests (Admin) or team requests (Manager)
+ * @access  Private/Admin, Manager
+ */
+router.get('/',
+  protect,
+  authorize('Admin', 'Manager'),
+  asyncHandler(async (req, res) => {
+    const { userId, status, page = 1, limit = 50 } = req.query;
+
+    const result = await CorrectionService.getCorrections({
+      userId,
+      userIds: req.user.role === 'Manager' ? await Team.getReportIds(req.user._id) : null,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+/**
+ * @route   GET /api/corrections/:requestId
+ * @desc    Get a correction request
+ * @access  Private (own request, team manager or Admin)
+ */
+router.get('/:requestId',
+  protect,
+  mongoIdValidation('requestId'),
+  asyncHandler(async (req, res) => {
+    const request = await CorrectionService.getCorrection(req.params.requestId);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Correction request not found'
+      });
+    }
+
+    const isOwner = request.userId._id.toString() === req.user._id.toString();
+
+    if (!isOwner && !(await Team.canApproveFor(req.user, request.userId._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this correction request'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { request }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/corrections/:requestId/approve
+ * @desc    Approve a correction request and apply it to the punches
+ * @access  Private/Admin, Manager (own team)
+ */
+router.put('/:requestId/approve',
+  protect,
+  authorize('Admin', 'Manager'),
+  correctionReviewValidation,
+  asyncHandler(async (req, res) => {
+    const request = await CorrectionService.reviewCorrection(
+      req.params.requestId,
+      'Approved',
+      req.user,
+      req.body.note
+    );
+
+    res.json({
+      success: true,
+      message: 'Correction approved and applied',
+      data: { request }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/corrections/:requestId/reject
+ * @desc    Reject a correction request
+ * @access  Private/Admin, Manager (own team)
+ */
+router.put('/:requestId/reject',
+  protect,
+  authorize('Admin', 'Manager'),
+  correctionReviewValidation,
+  asyncHandler(async (req, res) => {
+    const { note } = req.body;
+
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection note is required'
+      });
+    }
+
+    const request = await CorrectionService.reviewCorrection(
+      req.params.requestId,
+      'Rejected',
+      req.user,
+      note
+    );
+
+    res.json({
+      success: true,
+      message: 'Correction rejected',
+      data: { request }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/corrections/:requestId/cancel
+ * @desc    Cancel own pending correction request
+ * @access  Private
+ */
+router.put('/:requestId/cancel',
+  protect,
+  mongoIdValidation('requestId'),
+  asyncHandler(async (req, res) => {
+    const request = await CorrectionService.cancelCorrection(req.params.requestId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Correction request cancelled',
+      data: { request }
+    });
+  })
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { TimeEngine } = require('../services');
-const { protect, asyncHandler } = require('../middleware');
+const { TimeEngine, BreakTimeService } = require('../services');
+const { protect, asyncHandler, breakAnalyticsValidation } = require('../middleware');
 
 /**
  * @route   GET /api/dashboard
@@ -33,6 +33,42 @@ router.get('/weekly', protect, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route   GET /api/dashboard/overtime
+ * @desc    Get regular, overtime and premium minutes per day and per week
+ * @access  Private
+ */
+router.get('/overtime', protect, asyncHandler(async (req, res) => {
+  const { weekOffset = 0, weeks = 1 } = req.query;
+  
+  const report = await TimeEngine.getOvertimeReport(
+    req.user,
+    parseInt(weekOffset) || 0,
+    Math.min(Math.max(parseInt(weeks) || 1, 1), 12)
+  );
+  
+  res.json({
+    success: true,
+    data: report
+  });
+}));
+
+/**
+ * @route   GET /api/dashboard/breaks
+ * @desc    Get today's breaks, the current break and weekly averages (?from&to)
+ * @access  Private
+ */
+router.get('/breaks', protect, breakAnalyticsValidation, asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+  
+  const analytics = await BreakTimeService.getBreakAnalytics(req.user, from, to);
+  
+  res.json({
+    success: true,
+    data: analytics
+  });
+}));
+
 /**
  * @route   GET /api/dashboard/stats
  * @desc    Get quick stats for current user
@@ -40,10 +76,14 @@ router.get('/weekly', protect, asyncHandler(async (req, res) => {
  */
 router.get('/stats', protect, asyncHandler(async (req, res) => {
   const timezone = TimeEngine.getTimezone(req.user);
-  const dailyTarget = TimeEngine.getDailyWorkTarget(req.user);
+  const dayCutoff = await TimeEngine.getDayCutoff(req.user);
+  const { dailyTarget } = await TimeEngine.getEffectiveDailyTarget(
+    req.user,
+    TimeEngine.getWorkDate(new Date(), timezone, dayCutoff)
+  );
   
-  // Get today's punches
-  const todayPunches = await TimeEngine.getTodayPunches(req.user._id, timezone);
+  // Get today's punches (current work day)
+  const todayPunches = await TimeEngine.getTodayPunches(req.user._id, timezone, dayCutoff);
   
   // Calculate worked time
   const totalWorkedMinutes = TimeEngine.calculateWorkedTime(todayPunches, true);
@@ -57,7 +97,7 @@ router.get('/stats', protect, asyncHandler(async (req, res) => {
       totalWorkedMinutes: Math.round(totalWorkedMinutes * 100) / 100,
       totalWorkedFormatted: TimeEngine.formatMinutes(totalWorkedMinutes),
       remainingMinutes: Math.max(0, dailyTarget - totalWorkedMinutes),
-      progressPercent: Math.min(100, Math.round((totalWorkedMinutes / dailyTarget) * 100)),
+      progressPercent: TimeEngine.calculateProgressPercent(totalWorkedMinutes, dailyTarget),
       currentStatus: lastPunch?.punchType === 'IN' ? 'WORKING' : 'NOT_WORKING',
       punchCount: todayPunches.length
     }
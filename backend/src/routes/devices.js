@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const { DeviceService } = require('../services');
+const {
+  protect,
+  authorize,
+  asyncHandler,
+  deviceValidation,
+  deviceUpdateValidation,
+  mongoIdValidation
+} = require('../middleware');
+
+/**
+ * @route   GET /api/devices
+ * @desc    Get registered NFC reader devices
+ * @access  Private/Admin
+ */
+router.get('/', protect, authorize('Admin'), asyncHandler(async (req, res) => {
+  const { active } = req.query;
+
+  const devices = await DeviceService.getDevices({
+    active: active !== undefined ? active === 'true' : null
+  });
+
+  res.json({
+    success: true,
+    data: { devices }
+  });
+}));
+
+/**
+ * @route   POST /api/devices
+ * @desc    Register a device; the API key is only returned in this response
+ * @access  Private/Admin
+ */
+router.post('/',
+  protect,
+  authorize('Admin'),
+  deviceValidation,
+  asyncHandler(async (req, res) => {
+    const { name, allowedIps, location } = req.body;
+
+    const { device, apiKey } = await DeviceService.createDevice({ name, allowedIps, location }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Device registered successfully',
+      data: { device, apiKey }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/devices/:deviceId
+ * @desc    Update a device (name, allowed IPs, location, enable/disable)
+ * @access  Private/Admin
+ */
+router.put('/:deviceId',
+  protect,
+  authorize('Admin'),
+  mongoIdValidation('deviceId'),
+  deviceUpdateValidation,
+  asyncHandler(async (req, res) => {
+    const { name, allowedIps, location, isActive } = req.body;
+
+    const device = await DeviceService.updateDevice(
+      req.params.deviceId,
+      { name, allowedIps, location, isActive },
+      req.user
+    );
+
+    res.json({
+      success: true,
+      message: 'Device updated successfully',
+      data: { device }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/devices/:deviceId/rotate-key
+ * @desc    Issue a new API key for a device (the old key stops working)
+ * @access  Private/Admin
+ */
+router.post('/:deviceId/rotate-key',
+  protect,
+  authorize('Admin'),
+  mongoIdValidation('deviceId'),
+  asyncHandler(async (req, res) => {
+    const { device, apiKey } = await DeviceService.rotateApiKey(req.params.deviceId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Device API key rotated successfully',
+      data: { device, apiKey }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { EventService } = require('../services');
+const { protect, asyncHandler } = require('../middleware');
+
+/**
+ * @route   GET /api/events
+ * @desc    Server-sent event stream of punch changes (own punches; managers also their reports'; admins receive all)
+ * @access  Private
+ */
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const unsubscribe = await EventService.subscribe(req.user, res);
+
+  // The client may have gone away while the manager's team was loading
+  if (res.destroyed) {
+    unsubscribe();
+    return;
+  }
+
+  res.on('close', unsubscribe);
+}));
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const { HolidayService } = require('../services');
+const {
+  protect,
+  authorize,
+  asyncHandler,
+  holidayValidation,
+  mongoIdValidation
+} = require('../middleware');
+
+/**
+ * @route   GET /api/holidays
+ * @desc    Get holiday calendar (optionally within a date range)
+ * @access  Private
+ */
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  const holidays = await HolidayService.getHolidays({ startDate, endDate });
+
+  res.json({
+    success: true,
+    data: { holidays }
+  });
+}));
+
+/**
+ * @route   POST /api/holidays
+ * @desc    Create a holiday
+ * @access  Private/Admin
+ */
+router.post('/',
+  protect,
+  authorize('Admin'),
+  holidayValidation,
+  asyncHandler(async (req, res) => {
+    const { name, date, recurring, description } = req.body;
+
+    const holiday = await HolidayService.createHoliday(
+      { name, date, recurring, description },
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday created successfully',
+      data: { holiday }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/holidays/import
+ * @desc    Import holidays from an iCalendar (.ics) file
+ *          Accepts a text/calendar body or JSON { ics }
+ * @access  Private/Admin
+ */
+router.post('/import',
+  protect,
+  authorize('Admin'),
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }),
+  asyncHandler(async (req, res) => {
+    const icsText = typeof req.body === 'string' ? req.body : req.body?.ics;
+
+    if (!icsText || !icsText.includes('BEGIN:VCALENDAR')) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid iCalendar (.ics) document is required'
+      });
+    }
+
+    const result = await HolidayService.importIcs(icsText, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${result.total} holidays (${result.created} new, ${result.updated} updated)`,
+      data: result
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/holidays/:holidayId
+ * @desc    Update a holiday
+ * @access  Private/Admin
+ */
+router.put('/:holidayId',
+  protect,
+  authorize('Admin'),
+  mongoIdValidation('holidayId'),
+  holidayValidation,
+  asyncHandler(async (req, res) => {
+    const { name, date, recurring, description } = req.body;
+
+    const holiday = await HolidayService.updateHoliday(
+      req.params.holidayId,
+      { name, date, recurring, description },
+      req.user
+    );
+
+    res.json({
+      success: true,
+      message: 'Holiday updated successfully',
+      data: { holiday }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/holidays/:holidayId
+ * @desc    Delete a holiday
+ * @access  Private/Admin
+ */
+router.delete('/:holidayId',
+  protect,
+  authorize('Admin'),
+  mongoIdValidation('holidayId'),
+  asyncHandler(async (req, res) => {
+    await HolidayService.deleteHoliday(req.params.holidayId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Holiday deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
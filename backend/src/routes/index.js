@@ -5,6 +5,17 @@ const nfcRoutes = require('./nfc');
 const dashboardRoutes = require('./dashboard');
 const adminRoutes = require('./admin');
 const adminHealthRoutes = require('./adminHealth');
+const leaveRoutes = require('./leaves');
+const holidayRoutes = require('./holidays');
+const shiftRoutes = require('./shifts');
+const timesheetRoutes = require('./timesheets');
+const teamRoutes = require('./teams');
+const correctionRoutes = require('./corrections');
+const adminExportRoutes = require('./adminExports');
+const attendanceRoutes = require('./attendance');
+const eventRoutes = require('./events');
+const deviceRoutes = require('./devices');
+const siteRoutes = require('./sites');
 
 module.exports = {
   authRoutes,
@@ -13,5 +24,16 @@ module.exports = {
   nfcRoutes,
   dashboardRoutes,
   adminRoutes,
-  adminHealthRoutes
+  adminHealthRoutes,
+  leaveRoutes,
+  holidayRoutes,
+  shiftRoutes,
+  timesheetRoutes,
+  teamRoutes,
+  correctionRoutes,
+  adminExportRoutes,
+  attendanceRoutes,
+  eventRoutes,
+  deviceRoutes,
+  siteRoutes
 };
@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const { LeaveService, TimeEngine } = require('../services');
+const {
+  protect,
+  authorize,
+  asyncHandler,
+  leaveRequestValidation,
+  leaveReviewValidation,
+  mongoIdValidation
+} = require('../middleware');
+
+/**
+ * @route   POST /api/leaves
+ * @desc    Request leave (full-day, half-day or hourly)
+ * @access  Private
+ */
+router.post('/', protect, leaveRequestValidation, asyncHandler(async (req, res) => {
+  const { leaveType, duration, startDate, endDate, halfDaySession, minutes, reason } = req.body;
+
+  const leave = await LeaveService.requestLeave(req.user, {
+    leaveType,
+    duration,
+    startDate,
+    endDate,
+    halfDaySession,
+    minutes,
+    reason
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Leave request submitted successfully',
+    data: { leave }
+  });
+}));
+
+/**
+ * @route   GET /api/leaves/my
+ * @desc    Get leave requests for current user
+ * @access  Private
+ */
+router.get('/my', protect, asyncHandler(async (req, res) => {
+  const { status, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+  const result = await LeaveService.getLeaves({
+    userId: req.user._id,
+    status,
+    startDate,
+    endDate,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+/**
+ * @route   GET /api/leaves
+ * @desc    Get all leave requests (Admin)
+ * @access  Private/Admin
+ */
+router.get('/',
+  protect,
+  authorize('Admin'),
+  asyncHandler(async (req, res) => {
+    const { userId, status, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const result = await LeaveService.getLeaves({
+      userId,
+      status,
+      startDate,
+      endDate,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/leaves/:leaveId/approve
+ * @desc    Approve a pending leave request
+ * @access  Private/Admin
+ */
+router.put('/:leaveId/approve',
+  protect,
+  authorize('Admin'),
+  leaveReviewValidation,
+  asyncHandler(async (req, res) => {
+    const leave = await LeaveService.reviewLeave(req.params.leaveId, 'Approved', req.user, req.body.note);
+
+    res.json({
+      success: true,
+      message: 'Leave approved successfully',
+      data: { leave }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/leaves/:leaveId/reject
+ * @desc    Reject a pending leave request
+ * @access  Private/Admin
+ */
+router.put('/:leaveId/reject',
+  protect,
+  authorize('Admin'),
+  leaveReviewValidation,
+  asyncHandler(async (req, res) => {
+    const { note } = req.body;
+
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection note is required'
+      });
+    }
+
+    const leave = await LeaveService.reviewLeave(req.params.leaveId, 'Rejected', req.user, note);
+
+    res.json({
+      success: true,
+      message: 'Leave rejected',
+      data: { leave }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/leaves/:leaveId/cancel
+ * @desc    Cancel own leave request
+ * @access  Private
+ */
+router.put('/:leaveId/cancel',
+  protect,
+  mongoIdValidation('leaveId'),
+  asyncHandler(async (req, res) => {
+    const leave = await LeaveService.cancelLeave(
+      req.params.leaveId,
+      req.user,
+      TimeEngine.getTimezone(req.user)
+    );
+
+    res.json({
+      success: true,
+      message: 'Leave request cancelled',
+      data: { leave }
+    });
+  })
+);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const { NfcService, PunchService } = require('../services');
 const { 
   protect, 
+  protectDevice,
   authorize,
   asyncHandler,
   nfcTagValidation,
@@ -37,10 +38,10 @@ router.post('/register',
 /**
  * @route   POST /api/nfc/validate
  * @desc    Validate NFC tag and get user info
- * @access  Public (for NFC reader devices)
+ * @access  Device (X-Device-Key header)
  */
-router.post('/validate', asyncHandler(async (req, res) => {
-  const { uid } = req.body;
+router.post('/validate', protectDevice, asyncHandler(async (req, res) => {
+  const { uid, payload } = req.body;
   
   if (!uid) {
     return res.status(400).json({
@@ -49,7 +50,11 @@ router.post('/validate', asyncHandler(async (req, res) => {
     });
   }
   
-  const result = await NfcService.validateForPunch(uid);
+  const result = await NfcService.validateForPunch(uid, {
+    payload,
+    deviceId: req.device._id,
+    ipAddress: req.ip
+  });
   
   if (!result.valid) {
     return res.status(400).json({
@@ -77,10 +82,10 @@ router.post('/validate', asyncHandler(async (req, res) => {
 /**
  * @route   POST /api/nfc/punch
  * @desc    Quick punch using NFC (validate + punch in one call)
- * @access  Public (for NFC reader devices)
+ * @access  Device (X-Device-Key header)
  */
-router.post('/punch', asyncHandler(async (req, res) => {
-  const { uid } = req.body;
+router.post('/punch', protectDevice, asyncHandler(async (req, res) => {
+  const { uid, payload } = req.body;
   
   if (!uid) {
     return res.status(400).json({
@@ -89,8 +94,13 @@ router.post('/punch', asyncHandler(async (req, res) => {
     });
   }
   
-  // Validate NFC tag
-  const validation = await NfcService.validateForPunch(uid);
+  // Validate NFC tag (secure-mode tags: SUN MAC and counter checked here,
+  // counter consumed when the punch is recorded)
+  const validation = await NfcService.validateForPunch(uid, {
+    payload,
+    deviceId: req.device._id,
+    ipAddress: req.ip
+  });
   
   if (!validation.valid) {
     return res.status(400).json({
@@ -102,7 +112,10 @@ router.post('/punch', asyncHandler(async (req, res) => {
   // Create punch
   const result = await PunchService.createPunch(validation.user, {
     source: 'NFC',
-    nfcUID: uid
+    nfcUID: uid,
+    nfcPayload: payload,
+    deviceId: req.device._id,
+    ipAddress: req.ip
   });
   
   res.status(201).json({
@@ -230,4 +243,44 @@ router.put('/:tagId/reactivate',
   })
 );
 
+/**
+ * @route   PUT /api/nfc/:tagId/secure-mode
+ * @desc    Enable secure mode (NTAG 424 DNA SUN messages); returns the tag key once
+ * @access  Private/Admin
+ */
+router.put('/:tagId/secure-mode', 
+  protect, 
+  authorize('Admin'),
+  mongoIdValidation('tagId'),
+  asyncHandler(async (req, res) => {
+    const { tag, secretKey } = await NfcService.enableSecureMode(req.params.tagId, req.user);
+    
+    res.json({
+      success: true,
+      message: 'Secure mode enabled. Program the key onto the tag.',
+      data: { tag, secretKey }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/nfc/:tagId/secure-mode
+ * @desc    Disable secure mode (tag identified by UID only)
+ * @access  Private/Admin
+ */
+router.delete('/:tagId/secure-mode', 
+  protect, 
+  authorize('Admin'),
+  mongoIdValidation('tagId'),
+  asyncHandler(async (req, res) => {
+    const tag = await NfcService.disableSecureMode(req.params.tagId, req.user);
+    
+    res.json({
+      success: true,
+      message: 'Secure mode disabled',
+      data: { tag }
+    });
+  })
+);
+
 module.exports = router;
@@ -1,13 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { PunchService, TimeEngine } = require('../services');
+const { PunchService, QrService, TimeEngine, HistoryExportService } = require('../services');
 const { 
   protect, 
+  protectDevice,
   authorize,
   canAccessUser,
   asyncHandler,
   punchValidation,
+  qrPunchValidation,
   punchEditValidation,
+  historyExportValidation,
   mongoIdValidation
 } = require('../middleware');
 
@@ -17,11 +20,15 @@ const {
  * @access  Private
  */
 router.post('/', protect, punchValidation, asyncHandler(async (req, res) => {
-  const { source = 'Manual', nfcUID, notes } = req.body;
+  const { source = 'Manual', nfcUID, nfcPayload, location, reason, notes } = req.body;
   
   const result = await PunchService.createPunch(req.user, {
     source,
     nfcUID,
+    nfcPayload,
+    ipAddress: req.ip,
+    location,
+    reason,
     notes
   });
   
@@ -37,8 +44,8 @@ router.post('/', protect, punchValidation, asyncHandler(async (req, res) => {
  * @desc    Create punch via NFC scan
  * @access  Private
  */
-router.post('/nfc', protect, asyncHandler(async (req, res) => {
-  const { nfcUID } = req.body;
+router.post('/nfc', protect, punchValidation, asyncHandler(async (req, res) => {
+  const { nfcUID, nfcPayload, location, reason } = req.body;
   
   if (!nfcUID) {
     return res.status(400).json({
@@ -49,7 +56,11 @@ router.post('/nfc', protect, asyncHandler(async (req, res) => {
   
   const result = await PunchService.createPunch(req.user, {
     source: 'NFC',
-    nfcUID
+    nfcUID,
+    nfcPayload,
+    ipAddress: req.ip,
+    location,
+    reason
   });
   
   res.status(201).json({
@@ -60,65 +71,101 @@ router.post('/nfc', protect, asyncHandler(async (req, res) => {
 }));
 
 /**
- * @route   POST /api/punch/manual
- * @desc    Create manual punch with specific time
- * @access  Private
+ * @route   GET /api/punch/qr/token
+ * @desc    Get the current signed QR code for a kiosk
+ * @access  Device (X-Device-Key header)
  */
-router.post('/manual', protect, asyncHandler(async (req, res) => {
-  const { userId, punchType, punchTime, notes, reason } = req.body;
-  
-  // If userId is provided and different from current user, need admin permission
-  const targetUserId = userId || req.user._id;
-  
-  if (targetUserId.toString() !== req.user._id.toString() && req.user.role !== 'Admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to create punch for other users'
-    });
-  }
-  
-  if (!punchType || !punchTime) {
-    return res.status(400).json({
-      success: false,
-      message: 'Punch type and time are required'
-    });
-  }
-  
-  const punch = await PunchService.createManualPunch(
-    targetUserId,
-    { punchType, punchTime, notes, reason },
-    req.user
-  );
-  
-  res.status(201).json({
+router.get('/qr/token', protectDevice, asyncHandler(async (req, res) => {
+  res.json({
     success: true,
-    message: 'Manual punch created successfully',
-    data: { punch }
+    data: QrService.issueToken(req.device)
   });
 }));
 
 /**
- * @route   PUT /api/punch/:punchId
- * @desc    Edit a punch
- * @access  Private (own punch or Admin)
+ * @route   POST /api/punch/qr
+ * @desc    Create punch by scanning a kiosk's QR code
+ * @access  Private
  */
-router.put('/:punchId', protect, punchEditValidation, asyncHandler(async (req, res) => {
-  const { punchId } = req.params;
-  const { punchTime, punchType, editReason } = req.body;
+router.post('/qr', protect, qrPunchValidation, asyncHandler(async (req, res) => {
+  const { token, location, reason } = req.body;
   
-  const punch = await PunchService.editPunch(
-    punchId,
-    { punchTime, punchType, editReason },
-    req.user
-  );
+  const result = await PunchService.createPunch(req.user, {
+    source: 'QR',
+    qrToken: token,
+    ipAddress: req.ip,
+    location,
+    reason
+  });
   
-  res.json({
+  res.status(201).json({
     success: true,
-    message: 'Punch updated successfully',
-    data: { punch }
+    message: `Punch ${result.punch.type} recorded via QR code`,
+    data: result
   });
 }));
 
+/**
+ * @route   POST /api/punch/manual
+ * @desc    Create manual punch with specific time (users submit a correction request instead)
+ * @access  Private/Admin
+ */
+router.post('/manual',
+  protect,
+  authorize('Admin'),
+  asyncHandler(async (req, res) => {
+    const { userId, punchType, punchTime, notes, reason } = req.body;
+    
+    const targetUserId = userId || req.user._id;
+    
+    if (!punchType || !punchTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Punch type and time are required'
+      });
+    }
+    
+    const punch = await PunchService.createManualPunch(
+      targetUserId,
+      { punchType, punchTime, notes, reason },
+      req.user
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: 'Manual punch created successfully',
+      data: { punch }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/punch/:punchId
+ * @desc    Edit a punch (users submit a correction request instead)
+ * @access  Private/Admin
+ */
+router.put('/:punchId',
+  protect,
+  authorize('Admin'),
+  punchEditValidation,
+  asyncHandler(async (req, res) => {
+    const { punchId } = req.params;
+    const { punchTime, punchType, editReason } = req.body;
+    
+    const punch = await PunchService.editPunch(
+      punchId,
+      { punchTime, punchType, editReason },
+      req.user
+    );
+    
+    res.json({
+      success: true,
+      message: 'Punch updated successfully',
+      data: { punch }
+    });
+  })
+);
+
 /**
  * @route   DELETE /api/punch/:punchId
  * @desc    Delete a punch (Admin only)
@@ -170,15 +217,31 @@ router.get('/history', protect, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route   GET /api/punch/history/export
+ * @desc    Download own punch history with daily totals and breaks (?startDate&endDate&format=csv|pdf)
+ * @access  Private
+ */
+router.get('/history/export', protect, historyExportValidation, asyncHandler(async (req, res) => {
+  const { startDate, endDate, format = 'csv' } = req.query;
+  
+  const file = await HistoryExportService.exportHistory(req.user, startDate, endDate, format);
+  
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.send(file.content);
+}));
+
 /**
  * @route   GET /api/punch/history/:userId
- * @desc    Get punch history for a specific user (Admin)
- * @access  Private/Admin
+ * @desc    Get punch history for a specific user (Admin, or Manager for own team)
+ * @access  Private/Admin, Manager
  */
 router.get('/history/:userId', 
   protect, 
-  authorize('Admin'),
+  authorize('Admin', 'Manager'),
   mongoIdValidation('userId'),
+  canAccessUser,
   asyncHandler(async (req, res) => {
     const { userId } = req.params;
     const { startDate, endDate, page = 1, limit = 50 } = req.query;
@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const { ShiftService } = require('../services');
+const {
+  protect,
+  authorize,
+  asyncHandler,
+  shiftValidation,
+  rosterValidation,
+  mongoIdValidation
+} = require('../middleware');
+
+/**
+ * @route   GET /api/shifts
+ * @desc    Get all shift definitions
+ * @access  Private
+ */
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const { active } = req.query;
+
+  const shifts = await ShiftService.getShifts({
+    active: active !== undefined ? active === 'true' : null
+  });
+
+  res.json({
+    success: true,
+    data: { shifts }
+  });
+}));
+
+/**
+ * @route   POST /api/shifts
+ * @desc    Create a shift definition
+ * @access  Private/Admin
+ */
+router.post('/',
+  protect,
+  authorize('Admin'),
+  shiftValidation,
+  asyncHandler(async (req, res) => {
+    const { name, startTime, endTime, graceMinutes, breakMinutes, isOvernight, dayCutoff } = req.body;
+
+    const shift = await ShiftService.createShift(
+      { name, startTime, endTime, graceMinutes, breakMinutes, isOvernight, dayCutoff },
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift created successfully',
+      data: { shift }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/shifts/roster/my
+ * @desc    Get roster for current user
+ * @access  Private
+ */
+router.get('/roster/my', protect, asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  const roster = await ShiftService.getRoster({
+    userId: req.user._id,
+    startDate,
+    endDate
+  });
+
+  res.json({
+    success: true,
+    data: { roster }
+  });
+}));
+
+/**
+ * @route   GET /api/shifts/roster
+ * @desc    Get roster entries (optionally filtered by user and date range)
+ * @access  Private/Admin
+ */
+router.get('/roster',
+  protect,
+  authorize('Admin'),
+  asyncHandler(async (req, res) => {
+    const { userId, startDate, endDate } = req.query;
+
+    const roster = await ShiftService.getRoster({ userId, startDate, endDate });
+
+    res.json({
+      success: true,
+      data: { roster }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/shifts/roster
+ * @desc    Assign a shift to users for a date range
+ * @access  Private/Admin
+ */
+router.post('/roster',
+  protect,
+  authorize('Admin'),
+  rosterValidation,
+  asyncHandler(async (req, res) => {
+    const { userIds, shiftId, startDate, endDate } = req.body;
+
+    const result = await ShiftService.assignRoster(
+      { userIds, shiftId, startDate, endDate },
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Rostered ${result.assigned} shift day(s)`,
+      data: result
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/shifts/roster/:rosterId
+ * @desc    Remove a roster entry
+ * @access  Private/Admin
+ */
+router.delete('/roster/:rosterId',
+  protect,
+  authorize('Admin'),
+  mongoIdValidation('rosterId'),
+  asyncHandler(async (req, res) => {
+    await ShiftService.removeRosterEntry(req.params.rosterId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Roster entry removed successfully'
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/shifts/:shiftId
+ * @desc    Update a shift definition
+ * @access  Private/Admin
+ */
+router.put('/:shiftId',
+  protect,
+  authorize('Admin'),
+  mongoIdValidation('shiftId'),
+  asyncHandler(async (req, res) => {
+    const shift = await ShiftService.updateShift(req.params.shiftId, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: 'Shift updated successfully',
+      data: { shift }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/shifts/:shiftId
+ * @desc    Delete an unused shift definition
+ * @access  Private/Admin
+ */
+router.delete('/:shiftId',
+  protect,
+  authorize('Admin'),
+  mongoIdValidation('shiftId'),
+  asyncHandler(async (req, res) => {
+    await ShiftService.deleteShift(req.params.shiftId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Shift deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
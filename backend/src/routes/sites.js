@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const { SiteService } = require('../services');
+const {
+  protect,
+  authorize,
+  asyncHandler,
+  siteValidation,
+  mongoIdValidation
+} = require('../middleware');
+
+/**
+ * @route   GET /api/sites
+ * @desc    Get office sites and their geofences
+ * @access  Private/Admin
+ */
+router.get('/', protect, authorize('Admin'), asyncHandler(async (req, res) => {
+  const { active } = req.query;
+
+  const sites = await SiteService.getSites({
+    active: active !== undefined ? active === 'true' : null
+  });
+
+  res.json({
+    success: true,
+    data: { sites }
+  });
+}));
+
+/**
+ * @route   POST /api/sites
+ * @desc    Create a site with a geofence and trusted networks
+ * @access  Private/Admin
+ */
+router.post('/',
+  protect,
+  authorize('Admin'),
+  siteValidation,
+  asyncHandler(async (req, res) => {
+    const { name, fenceType, center, radiusMeters, polygon, policy, trustedNetworks, networkPolicy } = req.body;
+
+    const site = await SiteService.createSite(
+      { name, fenceType, center, radiusMeters, polygon, policy, trustedNetworks, networkPolicy },
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Site created successfully',
+      data: { site }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/sites/:siteId
+ * @desc    Update a site
+ * @access  Private/Admin
+ */
+router.put('/:siteId',
+  protect,
+  authorize('Admin'),
+  mongoIdValidation('siteId'),
+  siteValidation,
+  asyncHandler(async (req, res) => {
+    const site = await SiteService.updateSite(req.params.siteId, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: 'Site updated successfully',
+      data: { site }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/sites/:siteId
+ * @desc    Delete a site no user is assigned to
+ * @access  Private/Admin
+ */
+router.delete('/:siteId',
+  protect,
+  authorize('Admin'),
+  mongoIdValidation('siteId'),
+  asyncHandler(async (req, res) => {
+    await SiteService.deleteSite(req.params.siteId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Site deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
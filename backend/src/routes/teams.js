@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const { TeamService } = require('../services');
+const {
+  protect,
+  authorize,
+  asyncHandler,
+  teamValidation,
+  teamMembersValidation,
+  mongoIdValidation
+} = require('../middleware');
+
+/**
+ * @route   GET /api/teams
+ * @desc    Get all teams (Admin) or managed teams (Manager)
+ * @access  Private/Admin, Manager
+ */
+router.get('/', protect, authorize('Admin', 'Manager'), asyncHandler(async (req, res) => {
+  const teams = await TeamService.getTeams({
+    managerId: req.user.role === 'Manager' ? req.user._id : null
+  });
+
+  res.json({
+    success: true,
+    data: { teams }
+  });
+}));
+
+/**
+ * @route   GET /api/teams/:teamId
+ * @desc    Get a team with its members
+ * @access  Private/Admin, Manager (own team)
+ */
+router.get('/:teamId',
+  protect,
+  authorize('Admin', 'Manager'),
+  mongoIdValidation('teamId'),
+  asyncHandler(async (req, res) => {
+    const result = await TeamService.getTeam(req.params.teamId);
+
+    if (req.user.role === 'Manager' && result.team.managerId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this team'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+/**
+ * @route   POST /api/teams
+ * @desc    Create a team
+ * @access  Private/Admin
+ */
+router.post('/',
+  protect,
+  authorize('Admin'),
+  teamValidation,
+  asyncHandler(async (req, res) => {
+    const { name, description, managerId } = req.body;
+
+    const team = await TeamService.createTeam({ name, description, managerId }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Team created successfully',
+      data: { team }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/teams/:teamId
+ * @desc    Update a team
+ * @access  Private/Admin
+ */
+router.put('/:teamId',
+  protect,
+  authorize('Admin'),
+  mongoIdValidation('teamId'),
+  asyncHandler(async (req, res) => {
+    const team = await TeamService.updateTeam(req.params.teamId, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: 'Team updated successfully',
+      data: { team }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/teams/:teamId/members
+ * @desc    Set the members of a team
+ * @access  Private/Admin
+ */
+router.put('/:teamId/members',
+  protect,
+  authorize('Admin'),
+  mongoIdValidation('teamId'),
+  teamMembersValidation,
+  asyncHandler(async (req, res) => {
+    const result = await TeamService.setMembers(req.params.teamId, req.body.userIds, req.user);
+
+    res.json({
+      success: true,
+      message: 'Team members updated successfully',
+      data: result
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/teams/:teamId
+ * @desc    Delete a team (members become unassigned)
+ * @access  Private/Admin
+ */
+router.delete('/:teamId',
+  protect,
+  authorize('Admin'),
+  mongoIdValidation('teamId'),
+  asyncHandler(async (req, res) => {
+    await TeamService.deleteTeam(req.params.teamId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Team deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,201 @@
+const express = require('express');
+const router = express.Router();
+const { Team } = require('../models');
+const { TimesheetService } = require('../services');
+const {
+  protect,
+  authorize,
+  asyncHandler,
+  timesheetSubmitValidation,
+  timesheetReviewValidation,
+  mongoIdValidation
+} = require('../middleware');
+
+/**
+ * @route   POST /api/timesheets/submit
+ * @desc    Submit a finished week's timesheet (weekOffset 1 = last week)
+ * @access  Private
+ */
+router.post('/submit', protect, timesheetSubmitValidation, asyncHandler(async (req, res) => {
+  const { weekOffset = 1, note } = req.body;
+
+  const timesheet = await TimesheetService.submitTimesheet(req.user, parseInt(weekOffset), note);
+
+  res.status(201).json({
+    success: true,
+    message: 'Timesheet submitted for approval',
+    data: { timesheet }
+  });
+}));
+
+/**
+ * @route   GET /api/timesheets/my
+ * @desc    Get timesheets for current user
+ * @access  Private
+ */
+router.get('/my', protect, asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const result = await TimesheetService.getTimesheets({
+    userId: req.user._id,
+    status,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+/**
+ * @route   GET /api/timesheets
+ * @desc    Get all timesheets (Admin) or team timesheets (Manager)
+ * @access  Private/Admin, Manager
+ */
+router.get('/',
+  protect,
+  authorize('Admin', 'Manager'),
+  asyncHandler(async (req, res) => {
+    const { userId, status, page = 1, limit = 50 } = req.query;
+
+    const result = await TimesheetService.getTimesheets({
+      userId,
+      userIds: req.user.role === 'Manager' ? await Team.getReportIds(req.user._id) : null,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+/**
+ * @route   GET /api/timesheets/:timesheetId
+ * @desc    Get a timesheet with its daily breakdown
+ * @access  Private (own timesheet, team manager or Admin)
+ */
+router.get('/:timesheetId',
+  protect,
+  mongoIdValidation('timesheetId'),
+  asyncHandler(async (req, res) => {
+    const timesheet = await TimesheetService.getTimesheet(req.params.timesheetId);
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Timesheet not found'
+      });
+    }
+
+    const isOwner = timesheet.userId._id.toString() === req.user._id.toString();
+    const isManager = req.user.role === 'Manager' && await Team.isManagerOf(req.user._id, timesheet.userId._id);
+
+    if (req.user.role !== 'Admin' && !isOwner && !isManager) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this timesheet'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { timesheet }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/timesheets/:timesheetId/approve
+ * @desc    Approve a submitted timesheet
+ * @access  Private/Admin, Manager (own team)
+ */
+router.put('/:timesheetId/approve',
+  protect,
+  authorize('Admin', 'Manager'),
+  timesheetReviewValidation,
+  asyncHandler(async (req, res) => {
+    const timesheet = await TimesheetService.reviewTimesheet(
+      req.params.timesheetId,
+      'Approved',
+      req.user,
+      req.body.note
+    );
+
+    res.json({
+      success: true,
+      message: 'Timesheet approved',
+      data: { timesheet }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/timesheets/:timesheetId/return
+ * @desc    Send a submitted timesheet back to the employee
+ * @access  Private/Admin, Manager (own team)
+ */
+router.put('/:timesheetId/return',
+  protect,
+  authorize('Admin', 'Manager'),
+  timesheetReviewValidation,
+  asyncHandler(async (req, res) => {
+    const { note } = req.body;
+
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note explaining what to fix is required'
+      });
+    }
+
+    const timesheet = await TimesheetService.reviewTimesheet(
+      req.params.timesheetId,
+      'Returned',
+      req.user,
+      note
+    );
+
+    res.json({
+      success: true,
+      message: 'Timesheet returned for changes',
+      data: { timesheet }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/timesheets/:timesheetId/reopen
+ * @desc    Reopen an approved timesheet to unlock its punches
+ * @access  Private/Admin, Manager (own team)
+ */
+router.put('/:timesheetId/reopen',
+  protect,
+  authorize('Admin', 'Manager'),
+  timesheetReviewValidation,
+  asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reopen reason is required'
+      });
+    }
+
+    const timesheet = await TimesheetService.reopenTimesheet(req.params.timesheetId, req.user, reason);
+
+    res.json({
+      success: true,
+      message: 'Timesheet reopened',
+      data: { timesheet }
+    });
+  })
+);
+
+module.exports = router;
@@ -1,27 +1,33 @@
 const express = require('express');
 const router = express.Router();
-const { User, AuditLog } = require('../models');
-const { TimeEngine } = require('../services');
+const { User, Team, AuditLog } = require('../models');
+const { TimeEngine, TwoFactorService } = require('../services');
 const { 
   protect, 
   authorize,
+  canAccessUser,
   asyncHandler,
   profileUpdateValidation,
+  userUpdateValidation,
+  twoFactorRequireValidation,
   mongoIdValidation
 } = require('../middleware');
 
 /**
  * @route   GET /api/users
- * @desc    Get all users (Admin only)
- * @access  Private/Admin
+ * @desc    Get all users (Admin) or own team members (Manager)
+ * @access  Private/Admin, Manager
  */
-router.get('/', protect, authorize('Admin'), asyncHandler(async (req, res) => {
+router.get('/', protect, authorize('Admin', 'Manager'), asyncHandler(async (req, res) => {
   const { page = 1, limit = 50, active = null } = req.query;
   
   const query = {};
   if (active !== null) {
     query.isActive = active === 'true';
   }
+  if (req.user.role === 'Manager') {
+    query._id = { $in: await Team.getReportIds(req.user._id) };
+  }
   
   const total = await User.countDocuments(query);
   
@@ -47,19 +53,11 @@ router.get('/', protect, authorize('Admin'), asyncHandler(async (req, res) => {
 /**
  * @route   GET /api/users/:userId
  * @desc    Get user by ID
- * @access  Private (own profile or Admin)
+ * @access  Private (own profile, team manager or Admin)
  */
-router.get('/:userId', protect, mongoIdValidation('userId'), asyncHandler(async (req, res) => {
+router.get('/:userId', protect, mongoIdValidation('userId'), canAccessUser, asyncHandler(async (req, res) => {
   const { userId } = req.params;
   
-  // Check permission
-  if (req.user.role !== 'Admin' && req.user._id.toString() !== userId) {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to view this user'
-    });
-  }
-  
   const user = await User.findById(userId);
   
   if (!user) {
@@ -79,7 +77,7 @@ router.get('/:userId', protect, mongoIdValidation('userId'), asyncHandler(async
 
 /**
  * @route   PUT /api/users/profile
- * @desc    Update own profile
+ * @desc    Update own profile (the work-day cutoff is set by an admin)
  * @access  Private
  */
 router.put('/profile', protect, profileUpdateValidation, asyncHandler(async (req, res) => {
@@ -107,6 +105,12 @@ router.put('/profile', protect, profileUpdateValidation, asyncHandler(async (req
     if (profile.preferredPunchMethod !== undefined) {
       user.profile.preferredPunchMethod = profile.preferredPunchMethod;
     }
+    if (profile.emailReports?.weekly !== undefined) {
+      user.profile.emailReports.weekly = profile.emailReports.weekly;
+    }
+    if (profile.emailReports?.monthly !== undefined) {
+      user.profile.emailReports.monthly = profile.emailReports.monthly;
+    }
   }
   
   await user.save();
@@ -138,10 +142,10 @@ router.put('/profile', protect, profileUpdateValidation, asyncHandler(async (req
 router.put('/:userId', 
   protect, 
   authorize('Admin'), 
-  mongoIdValidation('userId'),
+  userUpdateValidation,
   asyncHandler(async (req, res) => {
     const { userId } = req.params;
-    const { name, role, isActive, profile } = req.body;
+    const { name, role, teamId, isActive, emailVerified, profile } = req.body;
     
     const user = await User.findById(userId);
     
@@ -152,13 +156,27 @@ router.put('/:userId',
       });
     }
     
+    if (teamId && !(await Team.exists({ _id: teamId, isActive: true }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+    
     const previousState = user.toObject();
     
     // Update fields
     if (name) user.name = name;
     if (role) user.role = role;
+    if (teamId !== undefined) user.teamId = teamId || null;
     if (isActive !== undefined) user.isActive = isActive;
     
+    // Lets admins vouch for addresses, e.g. accounts created before verification was required
+    if (emailVerified !== undefined && emailVerified !== user.emailVerified) {
+      user.emailVerified = emailVerified;
+      user.emailVerifiedAt = emailVerified ? new Date() : null;
+    }
+    
     if (profile) {
       Object.assign(user.profile, profile);
     }
@@ -190,19 +208,11 @@ router.put('/:userId',
 /**
  * @route   GET /api/users/:userId/dashboard
  * @desc    Get dashboard data for a user
- * @access  Private (own data or Admin)
+ * @access  Private (own data, team manager or Admin)
  */
-router.get('/:userId/dashboard', protect, mongoIdValidation('userId'), asyncHandler(async (req, res) => {
+router.get('/:userId/dashboard', protect, mongoIdValidation('userId'), canAccessUser, asyncHandler(async (req, res) => {
   const { userId } = req.params;
   
-  // Check permission
-  if (req.user.role !== 'Admin' && req.user._id.toString() !== userId) {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to view this data'
-    });
-  }
-  
   const user = await User.findById(userId);
   
   if (!user) {
@@ -223,20 +233,12 @@ router.get('/:userId/dashboard', protect, mongoIdValidation('userId'), asyncHand
 /**
  * @route   GET /api/users/:userId/weekly
  * @desc    Get weekly summary for a user
- * @access  Private (own data or Admin)
+ * @access  Private (own data, team manager or Admin)
  */
-router.get('/:userId/weekly', protect, mongoIdValidation('userId'), asyncHandler(async (req, res) => {
+router.get('/:userId/weekly', protect, mongoIdValidation('userId'), canAccessUser, asyncHandler(async (req, res) => {
   const { userId } = req.params;
   const { weekOffset = 0 } = req.query;
   
-  // Check permission
-  if (req.user.role !== 'Admin' && req.user._id.toString() !== userId) {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to view this data'
-    });
-  }
-  
   const user = await User.findById(userId);
   
   if (!user) {
@@ -254,6 +256,53 @@ router.get('/:userId/weekly', protect, mongoIdValidation('userId'), asyncHandler
   });
 }));
 
+/**
+ * @route   PUT /api/users/:userId/two-factor
+ * @desc    Require (or stop requiring) two-factor authentication for a user
+ * @access  Private/Admin
+ */
+router.put('/:userId/two-factor',
+  protect,
+  authorize('Admin'),
+  mongoIdValidation('userId'),
+  twoFactorRequireValidation,
+  asyncHandler(async (req, res) => {
+    const user = await TwoFactorService.setRequired(req.params.userId, req.body.required, req.user);
+    
+    res.json({
+      success: true,
+      message: req.body.required
+        ? 'Two-factor authentication is now required for this user'
+        : 'Two-factor authentication is now optional for this user',
+      data: {
+        user: user.toPublicJSON()
+      }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/users/:userId/two-factor
+ * @desc    Reset a user's two-factor authentication (e.g. lost phone)
+ * @access  Private/Admin
+ */
+router.delete('/:userId/two-factor',
+  protect,
+  authorize('Admin'),
+  mongoIdValidation('userId'),
+  asyncHandler(async (req, res) => {
+    const user = await TwoFactorService.reset(req.params.userId, req.user);
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset',
+      data: {
+        user: user.toPublicJSON()
+      }
+    });
+  })
+);
+
 /**
  * @route   DELETE /api/users/:userId
  * @desc    Deactivate user (Admin only)
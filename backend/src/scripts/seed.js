@@ -24,6 +24,7 @@ const seedData = async () => {
       email: 'admin@example.com',
       password: 'admin123',
       role: 'Admin',
+      emailVerified: true,
       profile: {
         timezone: 'Asia/Kolkata',
         dailyWorkTarget: 480, // 8 hours
@@ -39,6 +40,7 @@ const seedData = async () => {
       email: 'john@example.com',
       password: 'password123',
       role: 'User',
+      emailVerified: true,
       profile: {
         timezone: 'Asia/Kolkata',
         dailyWorkTarget: 480,
@@ -53,6 +55,7 @@ const seedData = async () => {
       email: 'jane@example.com',
       password: 'password123',
       role: 'User',
+      emailVerified: true,
       profile: {
         timezone: 'America/New_York',
         dailyWorkTarget: 540, // 9 hours
@@ -0,0 +1,33 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// Models
+const User = require('../models/User');
+
+/**
+ * Mark every account that exists right now as verified.
+ * Run once before setting REQUIRE_EMAIL_VERIFICATION=true, so accounts created
+ * before verification emails existed aren't locked out. Accounts registered
+ * afterwards still have to verify through the emailed link.
+ */
+const verifyExistingEmails = async () => {
+  try {
+    await mongoose.connect(config.mongodb.uri);
+    console.log('Connected to MongoDB');
+
+    const result = await User.updateMany(
+      { emailVerified: { $ne: true } },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    console.log(`\n✅ Marked ${result.modifiedCount} existing account(s) as verified\n`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration error:', error);
+    process.exit(1);
+  }
+};
+
+verifyExistingEmails();
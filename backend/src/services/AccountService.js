@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User, AuditLog } = require('../models');
+const EmailService = require('./EmailService');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const EXPIRES_IN = {
+  verify: () => config.accountEmails.verifyExpiresIn,
+  reset: () => config.accountEmails.resetExpiresIn
+};
+
+/**
+ * Account Service
+ * Email verification and forgot-password flows using signed, expiring links.
+ * Each token carries a fingerprint of the state it acts on (the email for
+ * verification, the password hash for resets), so a reset link stops working
+ * once it has been used and a verification link once the email changes.
+ */
+class AccountService {
+
+  /**
+   * Whether login is blocked until the email address is verified
+   */
+  static isVerificationRequired() {
+    return config.accountEmails.requireVerification;
+  }
+
+  /**
+   * Short hash of the user state a token of this purpose depends on
+   */
+  static fingerprint(user, purpose) {
+    const source = purpose === 'reset' ? user.password : user.email;
+    return crypto.createHash('sha256').update(`${purpose}:${source}`).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Sign a token for a user ('verify' or 'reset'; reset needs the password hash loaded)
+   */
+  static createToken(user, purpose) {
+    return jwt.sign(
+      { id: user._id, purpose, fp: this.fingerprint(user, purpose) },
+      config.accountEmails.tokenSecret,
+      { expiresIn: EXPIRES_IN[purpose]() }
+    );
+  }
+
+  /**
+   * Decode a token of the given purpose; null if invalid, expired or for another purpose
+   */
+  static readToken(token, purpose) {
+    try {
+      const decoded = jwt.verify(token, config.accountEmails.tokenSecret);
+      return decoded.purpose === purpose ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Load the user a token was issued for, if the token still matches their state
+   */
+  static async resolveToken(token, purpose) {
+    const decoded = this.readToken(token, purpose);
+    if (!decoded) {
+      return null;
+    }
+
+    const query = User.findById(decoded.id);
+    const user = await (purpose === 'reset' ? query.select('+password +refreshToken') : query);
+
+    if (!user || !user.isActive || decoded.fp !== this.fingerprint(user, purpose)) {
+      return null;
+    }
+
+    return user;
+  }
+
+  /**
+   * Link the emails point to
+   */
+  static buildLink(path, token) {
+    return `${config.frontendUrl}/${path}?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Email a verification link
+   */
+  static async sendVerification(user) {
+    const link = this.buildLink('verify-email', this.createToken(user, 'verify'));
+    return await EmailService.sendEmailVerification(user, link, config.accountEmails.verifyExpiresIn);
+  }
+
+  /**
+   * Run an email delivery without making the caller wait for it. Public endpoints
+   * use this so response times don't reveal which addresses have an account.
+   */
+  static deliverInBackground(description, task) {
+    Promise.resolve()
+      .then(task)
+      .catch(error => logger.error(`Failed to ${description}:`, { error: error.message }));
+  }
+
+  /**
+   * Resend the verification link. Unknown or already verified addresses are ignored
+   * so the response doesn't reveal which accounts exist.
+   */
+  static async resendVerification(email) {
+    const user = await User.findOne({ email });
+
+    if (!user || !user.isActive || user.emailVerified) {
+      return;
+    }
+
+    this.deliverInBackground('resend verification email', () => this.sendVerification(user));
+  }
+
+  /**
+   * Mark the email of the token's user as verified
+   */
+  static async verifyEmail(token, { ipAddress } = {}) {
+    const user = await this.resolveToken(token, 'verify');
+    if (!user) {
+      const error = new Error('This verification link is invalid or has expired.');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+
+      await AuditLog.log({
+        action: 'EMAIL_VERIFY',
+        performedBy: user._id,
+        targetUser: user._id,
+        resourceType: 'User',
+        resourceId: user._id,
+        description: `Email address ${user.email} verified`,
+        ipAddress
+      });
+    }
+
+    return user;
+  }
+
+  /**
+   * Email a password reset link. Always succeeds from the caller's point of view
+   * and returns before the email is sent, so neither the response nor its timing
+   * reveals which accounts exist.
+   */
+  static async requestPasswordReset(email, { ipAddress } = {}) {
+    const user = await User.findOne({ email }).select('+password');
+
+    if (!user || !user.isActive) {
+      logger.info('Password reset requested for unknown or inactive account', { email });
+      return;
+    }
+
+    const link = this.buildLink('reset-password', this.createToken(user, 'reset'));
+
+    this.deliverInBackground('send password reset email', async () => {
+      await EmailService.sendPasswordReset(user, link, config.accountEmails.resetExpiresIn);
+
+      await AuditLog.log({
+        action: 'PASSWORD_RESET_REQUEST',
+        performedBy: user._id,
+        targetUser: user._id,
+        resourceType: 'User',
+        resourceId: user._id,
+        description: 'Password reset link requested',
+        ipAddress
+      });
+    });
+  }
+
+  /**
+   * Set a new password from a reset link and sign out existing sessions.
+   * Receiving the link also proves the email address, so it counts as verified.
+   */
+  static async resetPassword(token, newPassword, { ipAddress } = {}) {
+    const user = await this.resolveToken(token, 'reset');
+    if (!user) {
+      const error = new Error('This password reset link is invalid or has expired.');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    user.password = newPassword;
+    user.refreshToken = null;
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await AuditLog.log({
+      action: 'PASSWORD_RESET',
+      performedBy: user._id,
+      targetUser: user._id,
+      resourceType: 'User',
+      resourceId: user._id,
+      description: 'Password reset with an emailed link',
+      ipAddress
+    });
+
+    return user;
+  }
+}
+
+module.exports = AccountService;
@@ -0,0 +1,379 @@
+const moment = require('moment-timezone');
+const { User, PunchLog, Absence } = require('../models');
+const TimeEngine = require('./TimeEngine');
+const ShiftService = require('./ShiftService');
+const EmailService = require('./EmailService');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Attendance Service
+ * Late arrivals, early departures, absences, live presence and monthly
+ * attendance records
+ */
+class AttendanceService {
+
+  /**
+   * Decide whether a late arrival warrants an email under the policy
+   */
+  static shouldNotifyLate(minutesLate, monthlyLateCount, policy = config.lateArrivalNotifications) {
+    return policy.enabled &&
+      minutesLate >= policy.minMinutesLate &&
+      monthlyLateCount >= policy.fromMonthlyCount;
+  }
+
+  /**
+   * Email the user about a late arrival if the policy calls for it
+   */
+  static async notifyLateArrival(user, punch, gracePeriod) {
+    try {
+      const timezone = TimeEngine.getTimezone(user);
+      const dayCutoff = await TimeEngine.getDayCutoff(user, punch.punchTime);
+      const monthStart = moment(TimeEngine.getWorkDate(punch.punchTime, timezone, dayCutoff))
+        .startOf('month')
+        .format('YYYY-MM-DD');
+
+      const monthlyLateCount = await PunchLog.countDocuments({
+        userId: user._id,
+        isLate: true,
+        punchTime: { $gte: TimeEngine.getDayBoundsUTC(timezone, monthStart, dayCutoff).start }
+      });
+
+      if (!this.shouldNotifyLate(gracePeriod.minutesLate, monthlyLateCount)) {
+        return false;
+      }
+
+      await EmailService.sendLateArrivalNotification(user, gracePeriod.actualPunchTime, gracePeriod.shiftStartTime);
+      return true;
+    } catch (error) {
+      // Don't fail the punch if the email fails
+      logger.error('Failed to send late arrival email:', error);
+      return false;
+    }
+  }
+
+  /**
+   * When a work date's punch window closes: the shift end plus the punch
+   * window, or the start of the next work day when no shift is assigned
+   */
+  static getPunchWindowEnd(date, timezone, dayCutoff, shift = null) {
+    if (shift) {
+      return TimeEngine.getShiftEnd(shift, date, timezone)
+        .add(config.defaults.shiftPunchWindowMinutes, 'minutes');
+    }
+
+    return moment.tz(`${date} ${dayCutoff}`, 'YYYY-MM-DD HH:mm', timezone).add(1, 'day');
+  }
+
+  /**
+   * Record an absence for every working, non-leave day whose punch window has
+   * closed without a punch, then notify the users and admins
+   * Yesterday and today (in each user's work dates) are checked so an hourly
+   * run catches day and overnight shifts
+   */
+  static async detectAbsences(now = new Date()) {
+    const users = await User.find({ isActive: true });
+    const detected = [];
+
+    for (const user of users) {
+      try {
+        const timezone = TimeEngine.getTimezone(user);
+        const dayCutoff = await TimeEngine.getDayCutoff(user, now);
+        const today = TimeEngine.getWorkDate(now, timezone, dayCutoff);
+        const firstDay = TimeEngine.getWorkDate(user.createdAt, timezone, dayCutoff);
+        const workingDays = user.profile?.workingDays || config.defaults.workingDays;
+
+        for (const date of [moment(today).subtract(1, 'day').format('YYYY-MM-DD'), today]) {
+          if (date < firstDay || !workingDays.includes(moment(date).format('dddd'))) {
+            continue;
+          }
+
+          if (await Absence.exists({ userId: user._id, date })) {
+            continue;
+          }
+
+          const shift = await ShiftService.getShiftForDate(user, date);
+          const windowEnd = this.getPunchWindowEnd(date, timezone, dayCutoff, shift);
+          if (moment(now).isBefore(windowEnd)) {
+            continue;
+          }
+
+          const { holiday, isOnLeave } = await TimeEngine.getEffectiveDailyTarget(user, date);
+          if (holiday || isOnLeave) {
+            continue;
+          }
+
+          const punchesByDate = await TimeEngine.getPunchesByWorkDay(user._id, date, date, timezone, dayCutoff);
+          if ((punchesByDate[date] || []).length > 0) {
+            continue;
+          }
+
+          const absence = await Absence.create({
+            userId: user._id,
+            date,
+            shiftId: shift?._id || null,
+            windowEnd: windowEnd.toDate()
+          });
+
+          const email = await EmailService.sendAbsenceNotice(user, date);
+          if (email.success) {
+            absence.userNotified = true;
+            await absence.save();
+          }
+
+          detected.push({ absence, user });
+        }
+      } catch (error) {
+        logger.error(`Absence check failed for ${user.email}:`, error);
+      }
+    }
+
+    // One digest for admins per run
+    if (detected.length > 0) {
+      const alert = await EmailService.sendAdminAlert(
+        `${detected.length} absence(s) recorded`,
+        'The following users had no punches on a scheduled working day.',
+        {
+          absences: detected.map(({ absence, user }) => ({
+            name: user.name,
+            email: user.email,
+            date: absence.date
+          }))
+        }
+      );
+
+      if (alert.success) {
+        await Absence.updateMany(
+          { _id: { $in: detected.map(({ absence }) => absence._id) } },
+          { $set: { adminNotified: true } }
+        );
+      }
+    }
+
+    return { detectedCount: detected.length };
+  }
+
+  /**
+   * Get recorded absences for a range of work dates with optional filters
+   */
+  static async getAbsences(options = {}) {
+    const { from, to, userId, page = 1, limit = 50 } = options;
+
+    const query = { date: { $gte: from, $lte: to } };
+    if (userId) {
+      query.userId = userId;
+    }
+
+    const total = await Absence.countDocuments(query);
+
+    const absences = await Absence.find(query)
+      .populate('userId', 'name email')
+      .populate('shiftId', 'name startTime endTime')
+      .sort({ date: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    return {
+      absences,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get each user's latest punch since a point in time (keyed by user ID)
+   */
+  static async getLastPunches(userIds, since) {
+    const lastPunches = await PunchLog.aggregate([
+      { $match: { userId: { $in: userIds }, punchTime: { $gte: since } } },
+      { $sort: { punchTime: -1 } },
+      { $group: { _id: '$userId', lastPunch: { $first: '$$ROOT' } } }
+    ]);
+
+    return Object.fromEntries(lastPunches.map(entry => [entry._id.toString(), entry.lastPunch]));
+  }
+
+  /**
+   * Work out a user's current presence from their latest punch
+   * - working: open IN (carried over sessions count for up to 24 hours)
+   * - on-break: OUT today before the minimum work time
+   * - left: OUT today after a full day
+   * - on-leave / off / not-arrived: no punch yet today
+   */
+  static getPresenceState(lastPunch, workDayStart, day, now = new Date()) {
+    if (lastPunch?.punchType === 'IN' && moment(now).diff(moment(lastPunch.punchTime), 'hours', true) <= 24) {
+      return { state: 'working', since: lastPunch.punchTime };
+    }
+
+    if (lastPunch?.punchType === 'OUT' && lastPunch.punchTime >= workDayStart) {
+      return { state: lastPunch.isEarlyDeparture ? 'on-break' : 'left', since: lastPunch.punchTime };
+    }
+
+    if (day.isOnLeave) return { state: 'on-leave', since: null };
+    if (day.holiday || !day.isWorkingDay) return { state: 'off', since: null };
+    return { state: 'not-arrived', since: null };
+  }
+
+  /**
+   * Live presence board: every active user's current state, grouped by team
+   */
+  static async getPresence(now = new Date()) {
+    const users = await User.find({ isActive: true }).populate('teamId', 'name').sort({ name: 1 });
+    const lastPunches = await this.getLastPunches(
+      users.map(u => u._id),
+      moment(now).subtract(48, 'hours').toDate()
+    );
+
+    const counts = { working: 0, 'on-break': 0, left: 0, 'on-leave': 0, off: 0, 'not-arrived': 0 };
+    const teams = {};
+
+    for (const user of users) {
+      const timezone = TimeEngine.getTimezone(user);
+      const dayCutoff = await TimeEngine.getDayCutoff(user, now);
+      const today = TimeEngine.getWorkDate(now, timezone, dayCutoff);
+      const workingDays = user.profile?.workingDays || config.defaults.workingDays;
+      const { isOnLeave, leaveTypes, holiday } = await TimeEngine.getEffectiveDailyTarget(user, today);
+      const lastPunch = lastPunches[user._id.toString()] || null;
+
+      const { state, since } = this.getPresenceState(
+        lastPunch,
+        TimeEngine.getDayBoundsUTC(timezone, today, dayCutoff).start,
+        { isOnLeave, holiday, isWorkingDay: workingDays.includes(moment(today).format('dddd')) },
+        now
+      );
+      counts[state]++;
+
+      const teamKey = user.teamId?._id?.toString() || 'none';
+      if (!teams[teamKey]) {
+        teams[teamKey] = {
+          team: user.teamId ? { id: user.teamId._id, name: user.teamId.name } : null,
+          members: []
+        };
+      }
+
+      teams[teamKey].members.push({
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        state,
+        since,
+        sinceLocal: since ? moment(since).tz(timezone).format('hh:mm A') : null,
+        source: lastPunch && since ? lastPunch.source : null,
+        leaveTypes: state === 'on-leave' ? leaveTypes : []
+      });
+    }
+
+    // Named teams alphabetically, users without a team last
+    const groups = Object.values(teams).sort((a, b) => {
+      if (!a.team) return 1;
+      if (!b.team) return -1;
+      return a.team.name.localeCompare(b.team.name);
+    });
+
+    return {
+      generatedAt: now.toISOString(),
+      counts,
+      onSite: counts.working + counts['on-break'],
+      teams: groups
+    };
+  }
+
+  /**
+   * Work out a day's attendance status from its summary and punches
+   * Returns null for days that have not happened yet
+   */
+  static getDayStatus(day, punches, today) {
+    if (day.date > today) return null;
+    if (day.isHoliday) return 'holiday';
+    if (day.isOnLeave) return 'leave';
+
+    if (punches.length === 0) {
+      if (!day.isWorkingDay) return 'off';
+      // Today is only an absence once the day is over
+      return day.date === today ? null : 'absent';
+    }
+
+    const firstIn = punches.find(p => p.punchType === 'IN');
+    const lastPunch = punches[punches.length - 1];
+
+    if (firstIn?.isLate) return 'late';
+    if (lastPunch.punchType === 'OUT' && lastPunch.isEarlyDeparture) return 'early-leave';
+    return 'present';
+  }
+
+  /**
+   * Get a user's attendance record for a month (YYYY-MM, in work dates)
+   */
+  static async getMonthlyAttendance(user, month = null) {
+    const timezone = TimeEngine.getTimezone(user);
+    const dayCutoff = await TimeEngine.getDayCutoff(user);
+    const today = TimeEngine.getWorkDate(new Date(), timezone, dayCutoff);
+    const currentMonth = moment(today).startOf('month');
+    const requestedMonth = month ? moment(`${month}-01`) : currentMonth;
+
+    if (requestedMonth.isAfter(currentMonth)) {
+      throw new Error('Cannot get attendance for a future month.');
+    }
+
+    const summary = await TimeEngine.getMonthlySummary(user, currentMonth.diff(requestedMonth, 'months'));
+    const punchesByDate = await TimeEngine.getPunchesByWorkDay(
+      user._id,
+      summary.startDate,
+      summary.endDate,
+      timezone,
+      dayCutoff
+    );
+
+    const days = summary.dailyData.map(day => {
+      const punches = punchesByDate[day.date] || [];
+      const firstIn = punches.find(p => p.punchType === 'IN');
+      const lastPunch = punches[punches.length - 1];
+      const lastOut = lastPunch?.punchType === 'OUT' ? lastPunch : null;
+
+      return {
+        date: day.date,
+        dayName: moment(day.date).format('dddd'),
+        status: this.getDayStatus(day, punches, today),
+        isWorkingDay: day.isWorkingDay,
+        holidayName: day.holidayName,
+        leaveTypes: day.leaveTypes,
+        firstIn: firstIn ? moment(firstIn.punchTime).tz(timezone).format('hh:mm A') : null,
+        lastOut: lastOut ? moment(lastOut.punchTime).tz(timezone).format('hh:mm A') : null,
+        workedMinutes: day.workedMinutes,
+        isLate: !!firstIn?.isLate,
+        lateMinutes: firstIn?.isLate ? firstIn.lateMinutes : 0,
+        isEarlyDeparture: !!lastOut?.isEarlyDeparture,
+        earlyMinutes: lastOut?.isEarlyDeparture ? lastOut.earlyMinutes : 0
+      };
+    });
+
+    const counts = { present: 0, late: 0, 'early-leave': 0, absent: 0, leave: 0, holiday: 0, off: 0 };
+    days.forEach(day => {
+      if (day.status) {
+        counts[day.status]++;
+      }
+    });
+
+    return {
+      month: summary.month,
+      monthName: summary.monthName,
+      startDate: summary.startDate,
+      endDate: summary.endDate,
+      timezone,
+      summary: {
+        ...counts,
+        lateArrivals: days.filter(day => day.isLate).length,
+        earlyDepartures: days.filter(day => day.isEarlyDeparture).length,
+        totalLateMinutes: days.reduce((sum, day) => sum + day.lateMinutes, 0),
+        totalEarlyMinutes: days.reduce((sum, day) => sum + day.earlyMinutes, 0)
+      },
+      days
+    };
+  }
+}
+
+module.exports = AttendanceService;
@@ -1,16 +1,66 @@
 const moment = require('moment-timezone');
-const { PunchLog } = require('../models');
+const { BreakPolicy, AuditLog } = require('../models');
+const TimeEngine = require('./TimeEngine');
+
+const MAX_RANGE_DAYS = 366;
 
 /**
  * Break Time Tracking Service
  * Tracks and analyzes break patterns
+ *
+ * Breaks are categorized by the admin-defined break policy. Breaks in paid
+ * categories are paid up to the daily allowance; the rest is unpaid
  */
 class BreakTimeService {
   
+  /**
+   * Get the active break policy
+   */
+  static async getPolicy() {
+    return await BreakPolicy.getActive();
+  }
+  
+  /**
+   * Update the break policy (Admin)
+   */
+  static async updatePolicy(data, performedBy) {
+    const policy = await BreakPolicy.getActive();
+    const previousState = policy.isNew ? null : policy.toObject();
+    
+    if (data.paidAllowanceMinutes !== undefined) {
+      policy.paidAllowanceMinutes = data.paidAllowanceMinutes;
+    }
+    if (data.autoDeduct !== undefined) {
+      ['enabled', 'afterMinutes', 'lunchMinutes'].forEach(field => {
+        if (data.autoDeduct[field] !== undefined) {
+          policy.autoDeduct[field] = data.autoDeduct[field];
+        }
+      });
+    }
+    if (data.categories !== undefined) {
+      policy.categories = data.categories;
+    }
+    policy.updatedBy = performedBy._id;
+    
+    await policy.save();
+    
+    await AuditLog.log({
+      action: 'BREAK_POLICY_UPDATE',
+      performedBy: performedBy._id,
+      resourceType: 'BreakPolicy',
+      resourceId: policy._id,
+      previousState,
+      newState: policy.toObject(),
+      description: 'Break policy updated'
+    });
+    
+    return policy;
+  }
+  
   /**
    * Analyze breaks from punch data
    */
-  static analyzeBreaks(punches, timezone) {
+  static analyzeBreaks(punches, timezone, policy = null) {
     const breaks = [];
     
     for (let i = 0; i < punches.length - 1; i++) {
@@ -18,13 +68,15 @@ class BreakTimeService {
         const breakStart = moment(punches[i].punchTime).tz(timezone);
         const breakEnd = moment(punches[i + 1].punchTime).tz(timezone);
         const durationMinutes = breakEnd.diff(breakStart, 'minutes');
+        const category = this.getCategory(durationMinutes, policy?.categories);
         
         breaks.push({
           startTime: breakStart.format('hh:mm A'),
           endTime: breakEnd.format('hh:mm A'),
           durationMinutes,
           durationFormatted: this.formatBreakDuration(durationMinutes),
-          type: this.categorizeBreak(durationMinutes),
+          type: category.name,
+          isPaid: category.isPaid,
           isLongBreak: durationMinutes > 60
         });
       }
@@ -33,15 +85,51 @@ class BreakTimeService {
     return breaks;
   }
   
+  /**
+   * Find the category for a break (shortest bucket the duration fits in)
+   */
+  static getCategory(durationMinutes, categories = BreakPolicy.DEFAULT_CATEGORIES) {
+    const sorted = [...categories].sort((a, b) => (a.maxMinutes ?? Infinity) - (b.maxMinutes ?? Infinity));
+    
+    return sorted.find(category => category.maxMinutes == null || durationMinutes <= category.maxMinutes) ||
+      sorted[sorted.length - 1];
+  }
+  
   /**
    * Categorize break by duration
    */
-  static categorizeBreak(durationMinutes) {
-    if (durationMinutes <= 15) return 'Short Break';
-    if (durationMinutes <= 30) return 'Tea Break';
-    if (durationMinutes <= 60) return 'Lunch Break';
-    if (durationMinutes <= 120) return 'Extended Break';
-    return 'Long Absence';
+  static categorizeBreak(durationMinutes, categories) {
+    return this.getCategory(durationMinutes, categories).name;
+  }
+  
+  /**
+   * Split a day's breaks into paid and unpaid time and apply the lunch
+   * auto-deduction to the worked minutes
+   */
+  static applyBreakPolicy(workedMinutes, breaks, policy) {
+    const round = minutes => Math.round(minutes * 100) / 100;
+    
+    const breakMinutes = breaks.reduce((sum, br) => sum + br.durationMinutes, 0);
+    const paidEligible = breaks.filter(br => br.isPaid).reduce((sum, br) => sum + br.durationMinutes, 0);
+    const paidBreakMinutes = Math.min(paidEligible, policy.paidAllowanceMinutes || 0);
+    const unpaidBreakMinutes = breakMinutes - paidBreakMinutes;
+    
+    // Deduct whatever part of the mandatory lunch was not punched as an unpaid break
+    let autoDeductedMinutes = 0;
+    if (policy.autoDeduct?.enabled && workedMinutes >= policy.autoDeduct.afterMinutes) {
+      autoDeductedMinutes = Math.max(0, policy.autoDeduct.lunchMinutes - unpaidBreakMinutes);
+    }
+    
+    const paidMinutes = Math.max(0, workedMinutes + paidBreakMinutes - autoDeductedMinutes);
+    
+    return {
+      breakMinutes,
+      paidBreakMinutes,
+      unpaidBreakMinutes,
+      autoDeductedMinutes,
+      paidMinutes: round(paidMinutes),
+      paidFormatted: TimeEngine.formatMinutes(paidMinutes)
+    };
   }
   
   /**
@@ -57,19 +145,13 @@ class BreakTimeService {
   }
   
   /**
-   * Get today's breaks for a user
+   * Get today's breaks for a user (current work day)
    */
-  static async getTodayBreaks(userId, timezone) {
-    const today = moment().tz(timezone);
-    const startOfDay = today.clone().startOf('day').utc().toDate();
-    const endOfDay = today.clone().endOf('day').utc().toDate();
+  static async getTodayBreaks(userId, timezone, dayCutoff = '00:00') {
+    const punches = await TimeEngine.getTodayPunches(userId, timezone, dayCutoff);
+    const policy = await this.getPolicy();
     
-    const punches = await PunchLog.find({
-      userId,
-      punchTime: { $gte: startOfDay, $lte: endOfDay }
-    }).sort({ punchTime: 1 });
-    
-    const breaks = this.analyzeBreaks(punches, timezone);
+    const breaks = this.analyzeBreaks(punches, timezone, policy);
     
     // Calculate total break time
     const totalBreakMinutes = breaks.reduce((sum, br) => sum + br.durationMinutes, 0);
@@ -83,35 +165,21 @@ class BreakTimeService {
   }
   
   /**
-   * Get break statistics for date range
+   * Get break statistics for a range of work dates (YYYY-MM-DD)
+   * dayCutoff may also be a resolver from TimeEngine.getWorkDateResolver
    */
-  static async getBreakStatistics(userId, startDate, endDate, timezone) {
-    const start = moment(startDate).tz(timezone).startOf('day').utc().toDate();
-    const end = moment(endDate).tz(timezone).endOf('day').utc().toDate();
-    
-    const punches = await PunchLog.find({
-      userId,
-      punchTime: { $gte: start, $lte: end }
-    }).sort({ punchTime: 1 });
-    
-    // Group punches by day
-    const dailyBreaks = {};
-    
-    punches.forEach(punch => {
-      const date = moment(punch.punchTime).tz(timezone).format('YYYY-MM-DD');
-      if (!dailyBreaks[date]) {
-        dailyBreaks[date] = [];
-      }
-      dailyBreaks[date].push(punch);
-    });
+  static async getBreakStatistics(userId, startDate, endDate, timezone, dayCutoff = '00:00') {
+    // Group punches by work day
+    const dailyBreaks = await TimeEngine.getPunchesByWorkDay(userId, startDate, endDate, timezone, dayCutoff);
+    const policy = await this.getPolicy();
     
     // Analyze each day
     const breakStats = [];
     let totalBreakMinutes = 0;
     let totalBreaks = 0;
     
-    Object.keys(dailyBreaks).forEach(date => {
-      const dayBreaks = this.analyzeBreaks(dailyBreaks[date], timezone);
+    Object.keys(dailyBreaks).sort().forEach(date => {
+      const dayBreaks = this.analyzeBreaks(dailyBreaks[date], timezone, policy);
       const dayBreakMinutes = dayBreaks.reduce((sum, br) => sum + br.durationMinutes, 0);
       
       breakStats.push({
@@ -129,8 +197,8 @@ class BreakTimeService {
     
     return {
       dateRange: {
-        start: moment(start).tz(timezone).format('YYYY-MM-DD'),
-        end: moment(end).tz(timezone).format('YYYY-MM-DD')
+        start: startDate,
+        end: endDate
       },
       totalBreakMinutes,
       totalBreakFormatted: this.formatBreakDuration(totalBreakMinutes),
@@ -141,40 +209,142 @@ class BreakTimeService {
     };
   }
   
+  /**
+   * Describe the break in progress (last punch of the work day is an OUT)
+   */
+  static describeCurrentBreak(punches, timezone, now = new Date(), policy = null) {
+    if (punches.length === 0) return null;
+    
+    const lastPunch = punches[punches.length - 1];
+    if (lastPunch.punchType !== 'OUT') return null;
+    
+    const durationMinutes = Math.max(0, moment(now).diff(moment(lastPunch.punchTime), 'minutes'));
+    
+    return {
+      startTime: lastPunch.punchTime,
+      startTimeLocal: moment(lastPunch.punchTime).tz(timezone).format('hh:mm A'),
+      durationMinutes,
+      durationFormatted: this.formatBreakDuration(durationMinutes),
+      type: this.categorizeBreak(durationMinutes, policy?.categories),
+      isLongBreak: durationMinutes > 90
+    };
+  }
+  
   /**
    * Check if current break is unusually long
    */
-  static async checkLongBreak(userId, timezone) {
-    const today = moment().tz(timezone);
-    const startOfDay = today.clone().startOf('day').utc().toDate();
-    const endOfDay = today.clone().endOf('day').utc().toDate();
+  static async checkLongBreak(userId, timezone, dayCutoff = '00:00') {
+    const punches = await TimeEngine.getTodayPunches(userId, timezone, dayCutoff);
+    const currentBreak = this.describeCurrentBreak(punches, timezone);
     
-    const punches = await PunchLog.find({
-      userId,
-      punchTime: { $gte: startOfDay, $lte: endOfDay }
-    }).sort({ punchTime: -1 });
+    // Alert if break is longer than 90 minutes
+    if (currentBreak?.isLongBreak) {
+      return {
+        onLongBreak: true,
+        breakStartTime: currentBreak.startTimeLocal,
+        breakDuration: currentBreak.durationMinutes,
+        breakDurationFormatted: currentBreak.durationFormatted,
+        alert: currentBreak.durationMinutes > 120 ? 'Break exceeds 2 hours' : 'Extended break detected'
+      };
+    }
     
-    if (punches.length === 0) return null;
+    return null;
+  }
+  
+  /**
+   * Group breaks by category with count and total time
+   */
+  static summarizeByCategory(breaks) {
+    const categories = {};
     
-    const lastPunch = punches[0];
+    breaks.forEach(br => {
+      if (!categories[br.type]) {
+        categories[br.type] = { type: br.type, count: 0, totalMinutes: 0 };
+      }
+      categories[br.type].count++;
+      categories[br.type].totalMinutes += br.durationMinutes;
+    });
     
-    // Check if last punch was OUT (user is on break)
-    if (lastPunch.punchType === 'OUT') {
-      const breakDuration = moment().diff(moment(lastPunch.punchTime), 'minutes');
-      
-      // Alert if break is longer than 90 minutes
-      if (breakDuration > 90) {
-        return {
-          onLongBreak: true,
-          breakStartTime: moment(lastPunch.punchTime).tz(timezone).format('hh:mm A'),
-          breakDuration,
-          breakDurationFormatted: this.formatBreakDuration(breakDuration),
-          alert: breakDuration > 120 ? 'Break exceeds 2 hours' : 'Extended break detected'
-        };
+    return Object.values(categories).map(category => ({
+      ...category,
+      totalFormatted: this.formatBreakDuration(category.totalMinutes)
+    }));
+  }
+  
+  /**
+   * Average break time per worked day, grouped by week
+   */
+  static getWeeklyAverages(dailyBreaks) {
+    const weeks = {};
+    
+    dailyBreaks.forEach(day => {
+      const weekStart = moment(day.date).startOf('week').format('YYYY-MM-DD');
+      if (!weeks[weekStart]) {
+        weeks[weekStart] = { weekStart, daysWorked: 0, totalBreakMinutes: 0, breakCount: 0 };
       }
+      weeks[weekStart].daysWorked++;
+      weeks[weekStart].totalBreakMinutes += day.totalBreakMinutes;
+      weeks[weekStart].breakCount += day.breakCount;
+    });
+    
+    return Object.keys(weeks).sort().map(weekStart => {
+      const week = weeks[weekStart];
+      const averageDailyMinutes = Math.round(week.totalBreakMinutes / week.daysWorked);
+      
+      return {
+        ...week,
+        averageDailyMinutes,
+        averageDailyFormatted: this.formatBreakDuration(averageDailyMinutes),
+        averageBreaksPerDay: Math.round((week.breakCount / week.daysWorked) * 10) / 10
+      };
+    });
+  }
+  
+  /**
+   * Break analytics for a user: today's breaks, the current break and
+   * weekly averages over a range of work dates (defaults to the last 4 weeks)
+   */
+  static async getBreakAnalytics(user, from, to) {
+    const timezone = TimeEngine.getTimezone(user);
+    const dayCutoff = await TimeEngine.getDayCutoff(user);
+    const today = TimeEngine.getWorkDate(new Date(), timezone, dayCutoff);
+    
+    const endDate = to || today;
+    const startDate = from || moment(endDate).subtract(3, 'weeks').startOf('week').format('YYYY-MM-DD');
+    
+    if (endDate < startDate) {
+      throw new Error('End date cannot be before start date.');
     }
     
-    return null;
+    if (moment(endDate).diff(moment(startDate), 'days') >= MAX_RANGE_DAYS) {
+      throw new Error(`Break analytics cannot span more than ${MAX_RANGE_DAYS} days.`);
+    }
+    
+    const policy = await this.getPolicy();
+    const todayPunches = await TimeEngine.getTodayPunches(user._id, timezone, dayCutoff);
+    const todayBreaks = this.analyzeBreaks(todayPunches, timezone, policy);
+    const todayBreakMinutes = todayBreaks.reduce((sum, br) => sum + br.durationMinutes, 0);
+    
+    const statistics = await this.getBreakStatistics(user._id, startDate, endDate, timezone, dayCutoff);
+    const rangeBreaks = statistics.dailyBreaks.flatMap(day => day.breaks);
+    
+    return {
+      today: {
+        date: today,
+        breaks: todayBreaks,
+        breakCount: todayBreaks.length,
+        totalBreakMinutes: todayBreakMinutes,
+        totalBreakFormatted: this.formatBreakDuration(todayBreakMinutes),
+        byCategory: this.summarizeByCategory(todayBreaks),
+        ...this.applyBreakPolicy(TimeEngine.calculateWorkedTime(todayPunches, true), todayBreaks, policy)
+      },
+      currentBreak: this.describeCurrentBreak(todayPunches, timezone, new Date(), policy),
+      range: {
+        ...statistics,
+        byCategory: this.summarizeByCategory(rangeBreaks)
+      },
+      weeklyAverages: this.getWeeklyAverages(statistics.dailyBreaks)
+    };
   }
 }
 
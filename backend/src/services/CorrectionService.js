@@ -0,0 +1,258 @@
+const moment = require('moment-timezone');
+const { CorrectionRequest, PunchLog, Team, User, AuditLog } = require('../models');
+const PunchService = require('./PunchService');
+const TimesheetService = require('./TimesheetService');
+const EmailService = require('./EmailService');
+
+/**
+ * Correction Service
+ * Punch correction requests: users propose a change, an approver applies it
+ */
+class CorrectionService {
+
+  /**
+   * Submit a correction request for the user's own punches
+   */
+  static async requestCorrection(user, data) {
+    const { requestType, punchId, punchType, punchTime, reason } = data;
+
+    if (punchTime && moment(punchTime).isAfter(moment())) {
+      const error = new Error('Cannot request a punch at a future time.');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const request = new CorrectionRequest({
+      userId: user._id,
+      requestType,
+      punchType: requestType === 'Delete' ? null : punchType || null,
+      punchTime: requestType === 'Delete' ? null : punchTime || null,
+      reason
+    });
+
+    if (requestType !== 'Add') {
+      const punch = await PunchLog.findById(punchId);
+
+      if (!punch || punch.userId.toString() !== user._id.toString()) {
+        const error = new Error('Punch not found.');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const pending = await CorrectionRequest.exists({ punchId: punch._id, status: 'Pending' });
+      if (pending) {
+        const error = new Error('A correction request for this punch is already pending.');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      request.punchId = punch._id;
+      request.originalPunchType = punch.punchType;
+      request.originalPunchTime = punch.punchTime;
+    }
+
+    // Fail early rather than at approval if the week is already signed off
+    await TimesheetService.assertPunchUnlocked(user._id, [request.originalPunchTime, request.punchTime]);
+
+    await request.save();
+
+    return request;
+  }
+
+  /**
+   * Approve or reject a pending correction request (Approver)
+   * Approval applies the change through PunchService
+   */
+  static async reviewCorrection(requestId, decision, reviewer, note = null) {
+    const request = await CorrectionRequest.findById(requestId);
+
+    if (!request) {
+      const error = new Error('Correction request not found.');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (request.status !== 'Pending') {
+      const error = new Error(`Correction request is already ${request.status.toLowerCase()}.`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await this.assertCanReview(request, reviewer);
+
+    if (decision === 'Approved') {
+      request.appliedPunchId = await this.applyCorrection(request, reviewer);
+    }
+
+    const previousState = { status: request.status };
+
+    request.status = decision;
+    request.reviewedBy = reviewer._id;
+    request.reviewedAt = new Date();
+    request.reviewNote = note;
+
+    // Log audit
+    const auditLog = await AuditLog.log({
+      action: decision === 'Approved' ? 'CORRECTION_APPROVE' : 'CORRECTION_REJECT',
+      performedBy: reviewer._id,
+      targetUser: request.userId,
+      resourceType: 'CorrectionRequest',
+      resourceId: request._id,
+      correctionRequestId: request._id,
+      previousState,
+      newState: {
+        status: request.status,
+        requestType: request.requestType,
+        punchId: request.appliedPunchId || request.punchId,
+        punchType: request.punchType,
+        punchTime: request.punchTime
+      },
+      description: note || `Correction request ${decision.toLowerCase()}: ${request.reason}`
+    });
+
+    request.auditLogId = auditLog._id;
+    await request.save();
+
+    // Notify the requester
+    try {
+      const requester = await User.findById(request.userId);
+      if (requester) {
+        await EmailService.sendCorrectionDecision(requester, request);
+      }
+    } catch (emailError) {
+      // Don't fail the review if email fails
+      console.error('Failed to send correction decision email:', emailError);
+    }
+
+    return request;
+  }
+
+  /**
+   * Apply an approved correction, returning the affected punch ID
+   */
+  static async applyCorrection(request, reviewer) {
+    const options = { correctionRequestId: request._id };
+    const reason = `Correction request: ${request.reason}`;
+
+    if (request.requestType === 'Add') {
+      const punch = await PunchService.createManualPunch(
+        request.userId,
+        { punchType: request.punchType, punchTime: request.punchTime, reason },
+        reviewer,
+        options
+      );
+      return punch._id;
+    }
+
+    if (request.requestType === 'Move') {
+      const punch = await PunchService.editPunch(
+        request.punchId,
+        { punchTime: request.punchTime, punchType: request.punchType, editReason: reason },
+        reviewer,
+        options
+      );
+      return punch._id;
+    }
+
+    await PunchService.deletePunch(request.punchId, reviewer, reason, options);
+    return request.punchId;
+  }
+
+  /**
+   * Reviewers are admins, or managers of the requester's team
+   */
+  static async assertCanReview(request, reviewer) {
+    if (request.userId.toString() === reviewer._id.toString()) {
+      const error = new Error('You cannot review your own correction request.');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (await Team.canApproveFor(reviewer, request.userId)) {
+      return;
+    }
+
+    const error = new Error('Not authorized to review this correction request.');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  /**
+   * Cancel a pending correction request (own request only)
+   */
+  static async cancelCorrection(requestId, user) {
+    const request = await CorrectionRequest.findById(requestId);
+
+    if (!request) {
+      const error = new Error('Correction request not found.');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (request.userId.toString() !== user._id.toString()) {
+      const error = new Error('Not authorized to cancel this correction request.');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (request.status !== 'Pending') {
+      const error = new Error(`Correction request is already ${request.status.toLowerCase()}.`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    request.status = 'Cancelled';
+    await request.save();
+
+    return request;
+  }
+
+  /**
+   * Get a single correction request
+   */
+  static async getCorrection(requestId) {
+    return await CorrectionRequest.findById(requestId)
+      .populate('userId', 'name email')
+      .populate('reviewedBy', 'name');
+  }
+
+  /**
+   * Get correction requests with optional filters
+   */
+  static async getCorrections(options = {}) {
+    const { userId, userIds, status, page = 1, limit = 50 } = options;
+
+    const query = {};
+    if (userIds) {
+      // Restrict to the given users (a manager's reports)
+      const allowed = userId ? userIds.filter(id => id.toString() === userId.toString()) : userIds;
+      query.userId = { $in: allowed };
+    } else if (userId) {
+      query.userId = userId;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const total = await CorrectionRequest.countDocuments(query);
+
+    const requests = await CorrectionRequest.find(query)
+      .populate('userId', 'name email')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    return {
+      requests,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = CorrectionService;
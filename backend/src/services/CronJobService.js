@@ -1,5 +1,5 @@
 const cron = require('node-cron');
-const { PunchCleanupService } = require('../services');
+const { PunchCleanupService, SummaryReportService, AttendanceService } = require('../services');
 const logger = require('../utils/logger');
 const config = require('../config');
 
@@ -24,8 +24,9 @@ class CronJobService {
     
     logger.info('Initializing cron jobs...');
     
-    // Job 1: Auto-close open punches at 11:59 PM daily
-    const autoCloseJob = cron.schedule('59 23 * * *', async () => {
+    // Job 1: Auto-close open punches whose work day has ended (hourly, so
+    // per-user day cutoffs are honored)
+    const autoCloseJob = cron.schedule('59 * * * *', async () => {
       logger.info('Running auto-close cron job...');
       try {
         const result = await PunchCleanupService.autoCloseOpenPunches();
@@ -39,7 +40,7 @@ class CronJobService {
     });
     
     this.jobs.push({ name: 'autoClose', job: autoCloseJob });
-    logger.info('✓ Auto-close job scheduled (11:59 PM daily)');
+    logger.info('✓ Auto-close job scheduled (every hour at :59)');
     
     // Job 2: Send punch-out reminders at 8 PM daily
     const reminderJob = cron.schedule('0 20 * * *', async () => {
@@ -100,6 +101,47 @@ class CronJobService {
     this.jobs.push({ name: 'weeklyCleanup', job: cleanupJob });
     logger.info('✓ Weekly cleanup job scheduled (Sunday 1:00 AM)');
     
+    // Job 5: Weekly/monthly summary emails (hourly, so each user gets theirs
+    // at the configured hour in their own timezone)
+    if (config.summaryEmails.enabled) {
+      const summaryJob = cron.schedule('15 * * * *', async () => {
+        logger.info('Running summary email job...');
+        try {
+          const weekly = await SummaryReportService.sendDueReports('Weekly');
+          const monthly = await SummaryReportService.sendDueReports('Monthly');
+          logger.info(`Summary email job completed: ${weekly.sent} weekly, ${monthly.sent} monthly sent (${weekly.failed + monthly.failed} failed)`);
+        } catch (error) {
+          logger.error('Summary email job failed:', error);
+        }
+      }, {
+        scheduled: true,
+        timezone: config.defaults.timezone
+      });
+      
+      this.jobs.push({ name: 'summaryEmails', job: summaryJob });
+      logger.info('✓ Summary email job scheduled (every hour at :15)');
+    }
+    
+    // Job 6: Absence detection (hourly, so each user is checked once their
+    // own shift window has closed)
+    if (config.absenceDetection.enabled) {
+      const absenceJob = cron.schedule('30 * * * *', async () => {
+        logger.info('Running absence detection job...');
+        try {
+          const result = await AttendanceService.detectAbsences();
+          logger.info(`Absence detection completed: ${result.detectedCount} absences recorded`);
+        } catch (error) {
+          logger.error('Absence detection job failed:', error);
+        }
+      }, {
+        scheduled: true,
+        timezone: config.defaults.timezone
+      });
+      
+      this.jobs.push({ name: 'absenceDetection', job: absenceJob });
+      logger.info('✓ Absence detection job scheduled (every hour at :30)');
+    }
+    
     logger.info(`📅 ${this.jobs.length} cron jobs initialized successfully`);
   }
   
@@ -0,0 +1,111 @@
+const { Device, AuditLog } = require('../models');
+
+/**
+ * Device Service
+ * Registered NFC reader devices (door readers, kiosks) and their API keys
+ */
+class DeviceService {
+
+  /**
+   * Register a device (Admin). The plain API key is only returned here.
+   */
+  static async createDevice(data, performedBy) {
+    const { name, allowedIps = [], location = {} } = data;
+
+    const device = new Device({
+      name,
+      allowedIps,
+      location,
+      createdBy: performedBy._id
+    });
+    const apiKey = device.setApiKey();
+    await device.save();
+
+    await AuditLog.log({
+      action: 'DEVICE_CREATE',
+      performedBy: performedBy._id,
+      resourceType: 'Device',
+      resourceId: device._id,
+      newState: device.toObject(),
+      description: `Device registered: ${device.name}`
+    });
+
+    return { device, apiKey };
+  }
+
+  /**
+   * List devices (Admin)
+   */
+  static async getDevices(options = {}) {
+    const { active = null } = options;
+    const query = active === null ? {} : { isActive: active };
+
+    return await Device.find(query)
+      .populate('createdBy', 'name')
+      .sort({ name: 1 });
+  }
+
+  /**
+   * Update a device's name, network, location or enabled state (Admin)
+   */
+  static async updateDevice(deviceId, data, performedBy) {
+    const device = await Device.findById(deviceId);
+
+    if (!device) {
+      throw new Error('Device not found.');
+    }
+
+    const previousState = device.toObject();
+
+    ['name', 'allowedIps', 'isActive'].forEach(field => {
+      if (data[field] !== undefined) {
+        device[field] = data[field];
+      }
+    });
+    if (data.location !== undefined) {
+      device.location = { ...previousState.location, ...data.location };
+    }
+
+    await device.save();
+
+    await AuditLog.log({
+      action: 'DEVICE_UPDATE',
+      performedBy: performedBy._id,
+      resourceType: 'Device',
+      resourceId: device._id,
+      previousState,
+      newState: device.toObject(),
+      description: previousState.isActive !== device.isActive
+        ? `Device ${device.isActive ? 'enabled' : 'disabled'}: ${device.name}`
+        : `Device updated: ${device.name}`
+    });
+
+    return device;
+  }
+
+  /**
+   * Replace a device's API key; the old key stops working immediately (Admin)
+   */
+  static async rotateApiKey(deviceId, performedBy) {
+    const device = await Device.findById(deviceId);
+
+    if (!device) {
+      throw new Error('Device not found.');
+    }
+
+    const apiKey = device.setApiKey();
+    await device.save();
+
+    await AuditLog.log({
+      action: 'DEVICE_KEY_ROTATE',
+      performedBy: performedBy._id,
+      resourceType: 'Device',
+      resourceId: device._id,
+      description: `Device API key rotated: ${device.name}`
+    });
+
+    return { device, apiKey };
+  }
+}
+
+module.exports = DeviceService;
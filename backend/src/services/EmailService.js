@@ -1,5 +1,12 @@
+const moment = require('moment-timezone');
+const config = require('../config');
 const logger = require('../utils/logger');
 
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// User-entered text (names, reasons, notes) is escaped before it goes into an HTML body
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
 /**
  * Email Service Configuration
  * 
@@ -88,7 +95,7 @@ class EmailService {
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #2563eb;">Welcome to Time Manager! 🎉</h2>
-        <p>Hello ${user.name},</p>
+        <p>Hello ${escapeHtml(user.name)},</p>
         <p>Your account has been successfully created. You can now start tracking your hours.</p>
         <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <h3 style="margin-top: 0;">Your Account Details:</h3>
@@ -110,14 +117,14 @@ class EmailService {
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #dc2626;">⚠️ Forgot to Punch Out?</h2>
-        <p>Hello ${user.name},</p>
+        <p>Hello ${escapeHtml(user.name)},</p>
         <p>It looks like you forgot to punch out today. Your last punch-in was at ${lastPunchTime}.</p>
         <div style="background-color: #fef2f2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc2626;">
           <p style="margin: 0;"><strong>⏰ Last Punch In:</strong> ${lastPunchTime}</p>
           <p style="margin: 10px 0 0 0;"><strong>Status:</strong> Still clocked in</p>
         </div>
         <p>Please punch out to ensure accurate time tracking.</p>
-        <p><a href="${process.env.FRONTEND_URL}/punch" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Punch Out Now</a></p>
+        <p><a href="${config.frontendUrl}/punch" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Punch Out Now</a></p>
         <p style="color: #6b7280; font-size: 12px; margin-top: 30px;">This is an automated reminder. If you've already punched out, please ignore this email.</p>
       </div>
     `;
@@ -132,7 +139,7 @@ class EmailService {
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #2563eb;">📊 Weekly Attendance Summary</h2>
-        <p>Hello ${user.name},</p>
+        <p>Hello ${escapeHtml(user.name)},</p>
         <p>Here's your attendance summary for the past week:</p>
         <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <h3 style="margin-top: 0;">Week at a Glance:</h3>
@@ -147,7 +154,7 @@ class EmailService {
             </tr>
             <tr>
               <td style="padding: 8px 0;"><strong>Average Per Day:</strong></td>
-              <td style="text-align: right;">${(stats.totalMinutes / 60 / stats.daysPresent).toFixed(2)} hours</td>
+              <td style="text-align: right;">${(stats.daysPresent ? stats.totalMinutes / 60 / stats.daysPresent : 0).toFixed(2)} hours</td>
             </tr>
             <tr>
               <td style="padding: 8px 0;"><strong>Total Punches:</strong></td>
@@ -156,7 +163,7 @@ class EmailService {
           </table>
         </div>
         <p>Keep up the great work! 💪</p>
-        <p><a href="${process.env.FRONTEND_URL}/history" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View Detailed History</a></p>
+        <p><a href="${config.frontendUrl}/history" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View Detailed History</a></p>
       </div>
     `;
     const text = `Weekly Summary: Total Hours: ${(stats.totalMinutes / 60).toFixed(2)}, Days Present: ${stats.daysPresent}, Total Punches: ${stats.totalPunches}`;
@@ -170,7 +177,7 @@ class EmailService {
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #f59e0b;">⏰ Late Arrival Notice</h2>
-        <p>Hello ${user.name},</p>
+        <p>Hello ${escapeHtml(user.name)},</p>
         <p>You arrived late today. Please ensure timely arrival in the future.</p>
         <div style="background-color: #fffbeb; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #f59e0b;">
           <p style="margin: 0;"><strong>Expected Time:</strong> ${expectedTime}</p>
@@ -183,6 +190,27 @@ class EmailService {
     return await this.sendEmail({ to: user.email, subject, html, text });
   }
 
+  // Template: Absence Notice
+  async sendAbsenceNotice(user, date) {
+    const day = moment(date).format('dddd, MMMM DD, YYYY');
+    const subject = 'Absence Recorded';
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc2626;">📋 Absence Recorded</h2>
+        <p>Hello ${escapeHtml(user.name)},</p>
+        <p>No punches were recorded for you on a scheduled working day, so it has been marked as an absence.</p>
+        <div style="background-color: #fef2f2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc2626;">
+          <p style="margin: 0;"><strong>Date:</strong> ${day}</p>
+        </div>
+        <p>If you worked that day, please submit a punch correction. If you were away, please apply for leave.</p>
+        <p><a href="${config.frontendUrl}/history" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View Punch History</a></p>
+      </div>
+    `;
+    const text = `Absence Recorded: no punches were recorded for you on ${day}. If you worked that day, please submit a punch correction.`;
+
+    return await this.sendEmail({ to: user.email, subject, html, text });
+  }
+
   // Template: Admin Alert
   async sendAdminAlert(subject, message, details = {}) {
     const adminEmail = process.env.ADMIN_EMAIL;
@@ -216,7 +244,7 @@ class EmailService {
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #2563eb;">📈 Monthly Attendance Report</h2>
-        <p>Hello ${user.name},</p>
+        <p>Hello ${escapeHtml(user.name)},</p>
         <p>Here's your complete attendance report for the month:</p>
         <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <h3 style="margin-top: 0;">Monthly Statistics:</h3>
@@ -251,7 +279,7 @@ class EmailService {
             </tr>
           </table>
         </div>
-        <p><a href="${process.env.FRONTEND_URL}/history" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View Full Report</a></p>
+        <p><a href="${config.frontendUrl}/history" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View Full Report</a></p>
         <p style="color: #6b7280; font-size: 12px; margin-top: 30px;">This report is automatically generated on the 1st of every month.</p>
       </div>
     `;
@@ -264,7 +292,6 @@ class EmailService {
    * Send missed punch out alert
    */
   async sendMissedPunchOutAlert(user, inPunchTime, autoPunchOutTime) {
-    const moment = require('moment-timezone');
     const timezone = user.profile?.timezone || 'UTC';
     const inTime = moment(inPunchTime).tz(timezone).format('hh:mm A');
     const outTime = moment(autoPunchOutTime).tz(timezone).format('hh:mm A');
@@ -276,7 +303,7 @@ class EmailService {
         <div style="background-color: #fef3c7; padding: 20px; border-left: 4px solid #f59e0b; margin-bottom: 20px;">
           <h2 style="color: #92400e; margin: 0;">⚠️ Missed Punch Out Alert</h2>
         </div>
-        <p>Hi ${user.name},</p>
+        <p>Hi ${escapeHtml(user.name)},</p>
         <p>You forgot to punch out yesterday (${date}). Our system has automatically closed your punch at midnight.</p>
         <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <table style="width: 100%;">
@@ -292,7 +319,7 @@ class EmailService {
         </div>
         <p style="color: #dc2626; font-weight: 500;">⚠️ Please remember to punch out before leaving in the future.</p>
         <p>If the auto-close time is incorrect, please contact your manager or edit the punch in the system.</p>
-        <p><a href="${process.env.FRONTEND_URL}/history" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View Punch History</a></p>
+        <p><a href="${config.frontendUrl}/history" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View Punch History</a></p>
         <p style="color: #6b7280; font-size: 12px; margin-top: 30px;">This is an automated alert from the Time Manager system.</p>
       </div>
     `;
@@ -305,7 +332,6 @@ class EmailService {
    * Send punch out reminder (before midnight)
    */
   async sendPunchOutReminder(user, inPunchTime) {
-    const moment = require('moment-timezone');
     const timezone = user.profile?.timezone || 'UTC';
     const inTime = moment(inPunchTime).tz(timezone).format('hh:mm A');
     const hoursSince = moment().diff(moment(inPunchTime), 'hours');
@@ -316,13 +342,13 @@ class EmailService {
         <div style="background-color: #dbeafe; padding: 20px; border-left: 4px solid #3b82f6; margin-bottom: 20px;">
           <h2 style="color: #1e40af; margin: 0;">🔔 Punch Out Reminder</h2>
         </div>
-        <p>Hi ${user.name},</p>
+        <p>Hi ${escapeHtml(user.name)},</p>
         <p>You punched IN at <strong>${inTime}</strong> (${hoursSince} hours ago) but haven't punched OUT yet.</p>
         <p style="background-color: #fef3c7; padding: 15px; border-radius: 6px; border-left: 3px solid #f59e0b;">
           <strong>📌 Reminder:</strong> Please don't forget to punch out before leaving for the day!
         </p>
         <p>If you've already left, you can manually punch out through the app or request your manager to add the punch.</p>
-        <p><a href="${process.env.FRONTEND_URL}/punch" style="background-color: #10b981; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Punch Out Now</a></p>
+        <p><a href="${config.frontendUrl}/punch" style="background-color: #10b981; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Punch Out Now</a></p>
         <p style="color: #6b7280; font-size: 12px; margin-top: 30px;">💡 Tip: Set a daily reminder on your phone to punch out!</p>
       </div>
     `;
@@ -335,7 +361,6 @@ class EmailService {
    * Send open punch alert to user
    */
   async sendOpenPunchAlert(user, openPunchDetails) {
-    const moment = require('moment-timezone');
     const timezone = user.profile?.timezone || 'UTC';
     const inTime = moment(openPunchDetails.punchInTime).tz(timezone).format('hh:mm A, MMMM DD');
     
@@ -345,14 +370,14 @@ class EmailService {
         <div style="background-color: #fee2e2; padding: 20px; border-left: 4px solid #dc2626; margin-bottom: 20px;">
           <h2 style="color: #991b1b; margin: 0;">⚠️ Open Punch Alert</h2>
         </div>
-        <p>Hi ${user.name},</p>
+        <p>Hi ${escapeHtml(user.name)},</p>
         <p>We detected that you have an open punch (Punch IN without Punch OUT):</p>
         <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <p style="margin: 0;"><strong>Punch IN:</strong> ${inTime}</p>
           <p style="margin: 10px 0 0 0; color: #dc2626;"><strong>Status:</strong> Still open (${openPunchDetails.hoursSinceIn} hours ago)</p>
         </div>
         <p><strong>Action Required:</strong> Please punch out or contact your manager to resolve this issue.</p>
-        <p><a href="${process.env.FRONTEND_URL}/punch" style="background-color: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Resolve Now</a></p>
+        <p><a href="${config.frontendUrl}/punch" style="background-color: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Resolve Now</a></p>
       </div>
     `;
     const text = `Open Punch Alert: You have an open punch from ${inTime}. Please punch out.`;
@@ -364,7 +389,6 @@ class EmailService {
    * Send weekend punch warning
    */
   async sendWeekendPunchWarning(user, punchDetails) {
-    const moment = require('moment-timezone');
     const timezone = user.profile?.timezone || 'UTC';
     const punchTime = moment(punchDetails.punchTime).tz(timezone).format('hh:mm A');
     const dayName = moment(punchDetails.punchTime).tz(timezone).format('dddd, MMMM DD');
@@ -375,7 +399,7 @@ class EmailService {
         <div style="background-color: #e0e7ff; padding: 20px; border-left: 4px solid #6366f1; margin-bottom: 20px;">
           <h2 style="color: #4338ca; margin: 0;">📅 Weekend Punch Notification</h2>
         </div>
-        <p>Hi ${user.name},</p>
+        <p>Hi ${escapeHtml(user.name)},</p>
         <p>We noticed you punched ${punchDetails.punchType} on a non-working day:</p>
         <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <p style="margin: 0;"><strong>Day:</strong> ${dayName}</p>
@@ -383,13 +407,87 @@ class EmailService {
           <p style="margin: 10px 0 0 0; color: #6366f1;"><strong>Note:</strong> This will be recorded as overtime/extra work.</p>
         </div>
         <p>If this was unintentional, please contact your manager to remove the punch.</p>
-        <p><a href="${process.env.FRONTEND_URL}/history" style="background-color: #6366f1; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View Punch History</a></p>
+        <p><a href="${config.frontendUrl}/history" style="background-color: #6366f1; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View Punch History</a></p>
       </div>
     `;
     const text = `Weekend Punch: You punched ${punchDetails.punchType} on ${dayName} at ${punchTime}.`;
 
     return await this.sendEmail({ to: user.email, subject, html, text });
   }
+  
+  /**
+   * Send correction request decision to the requester
+   */
+  async sendCorrectionDecision(user, request) {
+    const timezone = user.profile?.timezone || 'UTC';
+    const formatTime = (time) => time ? moment(time).tz(timezone).format('hh:mm A, MMMM DD') : '-';
+    const approved = request.status === 'Approved';
+    const color = approved ? '#10b981' : '#dc2626';
+    
+    const change = {
+      Add: `Add punch ${request.punchType} at ${formatTime(request.punchTime)}`,
+      Move: `Change punch ${request.originalPunchType} at ${formatTime(request.originalPunchTime)} to ${request.punchType || request.originalPunchType} at ${formatTime(request.punchTime || request.originalPunchTime)}`,
+      Delete: `Remove punch ${request.originalPunchType} at ${formatTime(request.originalPunchTime)}`
+    }[request.requestType];
+    
+    const subject = approved ? '✅ Punch Correction Approved' : '❌ Punch Correction Rejected';
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #f3f4f6; padding: 20px; border-left: 4px solid ${color}; margin-bottom: 20px;">
+          <h2 style="color: ${color}; margin: 0;">Punch Correction ${request.status}</h2>
+        </div>
+        <p>Hi ${escapeHtml(user.name)},</p>
+        <p>Your punch correction request has been ${request.status.toLowerCase()}${approved ? ' and applied to your punch history' : ''}.</p>
+        <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 0;"><strong>Requested Change:</strong> ${change}</p>
+          <p style="margin: 10px 0 0 0;"><strong>Your Reason:</strong> ${escapeHtml(request.reason)}</p>
+          ${request.reviewNote ? `<p style="margin: 10px 0 0 0;"><strong>Reviewer Note:</strong> ${escapeHtml(request.reviewNote)}</p>` : ''}
+        </div>
+        <p><a href="${config.frontendUrl}/history" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View Punch History</a></p>
+      </div>
+    `;
+    const text = `Punch Correction ${request.status}: ${change}.${request.reviewNote ? ` Note: ${request.reviewNote}` : ''}`;
+
+    return await this.sendEmail({ to: user.email, subject, html, text });
+  }
+
+  /**
+   * Send a link to confirm the account's email address
+   */
+  async sendEmailVerification(user, link, expiresIn) {
+    const subject = 'Verify your email address';
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">Verify Your Email</h2>
+        <p>Hi ${escapeHtml(user.name)},</p>
+        <p>Please confirm that ${user.email} is your email address.</p>
+        <p><a href="${link}" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Verify Email</a></p>
+        <p style="color: #6b7280; font-size: 14px;">This link expires in ${expiresIn}. If you didn't create a Time Manager account, you can ignore this email.</p>
+      </div>
+    `;
+    const text = `Hi ${user.name}, verify your email address: ${link} (expires in ${expiresIn})`;
+
+    return await this.sendEmail({ to: user.email, subject, html, text });
+  }
+
+  /**
+   * Send a password reset link
+   */
+  async sendPasswordReset(user, link, expiresIn) {
+    const subject = 'Reset your password';
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">Reset Your Password</h2>
+        <p>Hi ${escapeHtml(user.name)},</p>
+        <p>We received a request to reset the password for your Time Manager account.</p>
+        <p><a href="${link}" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Choose a New Password</a></p>
+        <p style="color: #6b7280; font-size: 14px;">This link expires in ${expiresIn} and can only be used once. If you didn't ask to reset your password, you can ignore this email.</p>
+      </div>
+    `;
+    const text = `Hi ${user.name}, reset your Time Manager password: ${link} (expires in ${expiresIn}, single use)`;
+
+    return await this.sendEmail({ to: user.email, subject, html, text });
+  }
 }
 
 // Export singleton instance
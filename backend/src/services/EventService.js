@@ -0,0 +1,106 @@
+const { Team } = require('../models');
+const logger = require('../utils/logger');
+
+// Comment line sent periodically so proxies don't close idle streams
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Connected clients: id -> { res, userId, isAdmin, reportIds, heartbeat }
+const clients = new Map();
+let nextClientId = 1;
+
+/**
+ * Event Service
+ * Pushes punch changes to connected dashboards over server-sent events.
+ * Each user receives events about their own punches, managers also those of
+ * their reports, and admins receive every event. A manager's reports are read
+ * when the stream opens, so team changes apply from the next reconnect.
+ * Clients are held in process memory, so events only reach clients connected
+ * to the same server instance.
+ */
+class EventService {
+
+  /**
+   * Open an event stream on the response and register it for the user
+   * Resolves to a function that unregisters the client
+   */
+  static async subscribe(user, res) {
+    const reportIds = user.role === 'Manager' ? await Team.getReportIds(user._id) : [];
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const id = nextClientId++;
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    clients.set(id, {
+      res,
+      userId: user._id.toString(),
+      isAdmin: user.role === 'Admin',
+      reportIds: new Set(reportIds.map(reportId => reportId.toString())),
+      heartbeat
+    });
+
+    EventService.send(res, 'connected', { userId: user._id.toString(), at: new Date().toISOString() });
+
+    return () => {
+      clearInterval(heartbeat);
+      clients.delete(id);
+    };
+  }
+
+  /**
+   * Write a single event to a stream
+   */
+  static send(res, type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Publish an event about a user's punch to that user, their managers and all admins
+   */
+  static publish(type, userId, data = {}) {
+    const target = userId.toString();
+    const payload = { type, userId: target, ...data, at: new Date().toISOString() };
+
+    for (const client of clients.values()) {
+      if (client.userId !== target && !client.isAdmin && !client.reportIds.has(target)) {
+        continue;
+      }
+
+      try {
+        EventService.send(client.res, type, payload);
+      } catch (error) {
+        logger.error(`Failed to push ${type} event:`, error);
+      }
+    }
+  }
+
+  /**
+   * Publish a punch event (punch-created, punch-edited, punch-deleted, punch-auto-closed)
+   */
+  static publishPunch(type, punch) {
+    EventService.publish(type, punch.userId, {
+      punch: {
+        id: punch._id.toString(),
+        type: punch.punchType,
+        time: punch.punchTime.toISOString(),
+        source: punch.source,
+        edited: punch.edited
+      }
+    });
+  }
+
+  /**
+   * Number of open streams
+   */
+  static getClientCount() {
+    return clients.size;
+  }
+}
+
+module.exports = EventService;
@@ -0,0 +1,212 @@
+const moment = require('moment-timezone');
+const PDFDocument = require('pdfkit');
+const { User } = require('../models');
+const TimeEngine = require('./TimeEngine');
+const BreakTimeService = require('./BreakTimeService');
+const { toCSV } = require('../utils/csv');
+
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * History Export Service
+ * Printable/downloadable attendance records for a single user
+ */
+class HistoryExportService {
+
+  /**
+   * Build the attendance record for a range of work dates (YYYY-MM-DD)
+   */
+  static async getReport(user, startDate, endDate) {
+    if (endDate < startDate) {
+      throw new Error('End date cannot be before start date.');
+    }
+
+    if (moment(endDate).diff(moment(startDate), 'days') >= MAX_RANGE_DAYS) {
+      throw new Error(`History exports cannot span more than ${MAX_RANGE_DAYS} days.`);
+    }
+
+    const timezone = TimeEngine.getTimezone(user);
+    const dayCutoff = await TimeEngine.getDayCutoff(user);
+    const punchesByDate = await TimeEngine.getPunchesByWorkDay(user._id, startDate, endDate, timezone, dayCutoff);
+    const breakPolicy = await BreakTimeService.getPolicy();
+
+    // Resolve editor names for edit markers
+    const editorIds = [...new Set(Object.values(punchesByDate).flat()
+      .filter(p => p.editedBy)
+      .map(p => p.editedBy.toString()))];
+    const editors = await User.find({ _id: { $in: editorIds } }).select('name');
+    const editorNames = Object.fromEntries(editors.map(u => [u._id.toString(), u.name]));
+
+    const days = Object.keys(punchesByDate).sort().map(date => {
+      const punches = punchesByDate[date];
+      const breaks = BreakTimeService.analyzeBreaks(punches, timezone, breakPolicy);
+      const workedMinutes = Math.round(TimeEngine.calculateWorkedTime(punches, false));
+      const breakMinutes = breaks.reduce((sum, br) => sum + br.durationMinutes, 0);
+
+      return {
+        date,
+        dayName: moment(date).format('dddd'),
+        punches: punches.map(p => ({
+          type: p.punchType,
+          timeLocal: moment(p.punchTime).tz(timezone).format('YYYY-MM-DD hh:mm A'),
+          source: p.source,
+          edited: p.edited,
+          editedBy: p.editedBy ? editorNames[p.editedBy.toString()] || null : null,
+          editReason: p.editReason || null,
+          originalTimeLocal: p.edited && p.originalPunchTime
+            ? moment(p.originalPunchTime).tz(timezone).format('YYYY-MM-DD hh:mm A')
+            : null
+        })),
+        workedMinutes,
+        workedFormatted: TimeEngine.formatMinutes(workedMinutes),
+        breaks,
+        breakMinutes,
+        breakFormatted: BreakTimeService.formatBreakDuration(breakMinutes)
+      };
+    });
+
+    const totalWorkedMinutes = days.reduce((sum, day) => sum + day.workedMinutes, 0);
+    const totalBreakMinutes = days.reduce((sum, day) => sum + day.breakMinutes, 0);
+
+    return {
+      employee: { name: user.name, email: user.email },
+      startDate,
+      endDate,
+      timezone,
+      generatedAt: moment().tz(timezone).format('YYYY-MM-DD hh:mm A'),
+      days,
+      totals: {
+        daysWorked: days.length,
+        workedMinutes: totalWorkedMinutes,
+        workedFormatted: TimeEngine.formatMinutes(totalWorkedMinutes),
+        breakMinutes: totalBreakMinutes,
+        breakFormatted: BreakTimeService.formatBreakDuration(totalBreakMinutes),
+        editedPunches: days.reduce((sum, day) => sum + day.punches.filter(p => p.edited).length, 0)
+      }
+    };
+  }
+
+  /**
+   * Render the record as CSV: one row per punch, then a total row per day
+   */
+  static toCSV(report) {
+    const headers = ['Date', 'Type', 'Time', 'Source', 'Edited', 'Edited By', 'Edit Reason', 'Original Time', 'Worked (min)', 'Breaks (min)'];
+    const rows = [];
+
+    report.days.forEach(day => {
+      day.punches.forEach(p => {
+        rows.push([day.date, p.type, p.timeLocal.split(' ').slice(1).join(' '), p.source, p.edited ? 'Yes' : 'No', p.editedBy || '', p.editReason || '', p.originalTimeLocal || '', '', '']);
+      });
+      rows.push([day.date, 'DAY TOTAL', '', '', '', '', '', '', day.workedMinutes, day.breakMinutes]);
+    });
+
+    rows.push(['', 'PERIOD TOTAL', '', '', '', '', '', '', report.totals.workedMinutes, report.totals.breakMinutes]);
+
+    return toCSV(headers, rows);
+  }
+
+  /**
+   * Render the record as a printable PDF (resolves to a Buffer)
+   */
+  static toPDF(report) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      // Header
+      doc.fontSize(18).text('Attendance Record', { align: 'center' });
+      doc.moveDown(0.5);
+      doc.fontSize(10)
+        .text(`Employee: ${report.employee.name} (${report.employee.email})`)
+        .text(`Period: ${report.startDate} to ${report.endDate} (${report.timezone})`)
+        .text(`Generated: ${report.generatedAt}`);
+      doc.moveDown();
+
+      // Summary
+      doc.fontSize(12).text('Summary', { underline: true });
+      doc.fontSize(10)
+        .text(`Days worked: ${report.totals.daysWorked}`)
+        .text(`Total worked: ${report.totals.workedFormatted}`)
+        .text(`Total breaks: ${report.totals.breakFormatted}`)
+        .text(`Edited punches: ${report.totals.editedPunches}`);
+      doc.moveDown();
+
+      if (report.days.length === 0) {
+        doc.text('No punches recorded in this period.');
+      }
+
+      // Daily detail
+      report.days.forEach(day => {
+        if (doc.y > doc.page.height - 150) {
+          doc.addPage();
+        }
+
+        doc.fontSize(11).font('Helvetica-Bold')
+          .text(`${day.dayName}, ${day.date}  -  Worked ${day.workedFormatted}, Breaks ${day.breakFormatted}`);
+        doc.font('Helvetica').fontSize(9);
+
+        day.punches.forEach(p => {
+          const time = p.timeLocal.split(' ').slice(1).join(' ');
+          const marker = p.edited ? '  * edited' : '';
+          doc.text(`${p.type.padEnd(4)} ${time}  [${p.source}]${marker}`, { indent: 15 });
+
+          if (p.edited) {
+            const details = [
+              p.originalTimeLocal ? `was ${p.originalTimeLocal.split(' ').slice(1).join(' ')}` : null,
+              p.editedBy ? `by ${p.editedBy}` : null,
+              p.editReason ? `reason: ${p.editReason}` : null
+            ].filter(Boolean).join(', ');
+
+            if (details) {
+              doc.fillColor('#6b7280').text(details, { indent: 35 }).fillColor('black');
+            }
+          }
+        });
+
+        day.breaks.forEach(br => {
+          doc.fillColor('#6b7280')
+            .text(`Break ${br.startTime} - ${br.endTime} (${br.durationFormatted}, ${br.type})`, { indent: 15 })
+            .fillColor('black');
+        });
+
+        doc.moveDown(0.5);
+      });
+
+      if (report.totals.editedPunches > 0) {
+        doc.moveDown();
+        doc.fontSize(8).fillColor('#6b7280')
+          .text('* Punch was edited after it was recorded. Original time, editor and reason are shown beneath it.');
+      }
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Produce a history export file for a user
+   */
+  static async exportHistory(user, startDate, endDate, format = 'csv') {
+    const report = await this.getReport(user, startDate, endDate);
+    const filename = `attendance_${startDate}_${endDate}`;
+
+    if (format === 'pdf') {
+      return {
+        filename: `${filename}.pdf`,
+        contentType: 'application/pdf',
+        content: await this.toPDF(report)
+      };
+    }
+
+    return {
+      filename: `${filename}.csv`,
+      contentType: 'text/csv; charset=utf-8',
+      content: this.toCSV(report)
+    };
+  }
+}
+
+module.exports = HistoryExportService;
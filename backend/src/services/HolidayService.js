@@ -0,0 +1,251 @@
+const moment = require('moment-timezone');
+const { Holiday, AuditLog } = require('../models');
+
+/**
+ * Holiday Service
+ * Manages the organization holiday calendar
+ */
+class HolidayService {
+
+  /**
+   * Check whether a calendar date (YYYY-MM-DD) is a holiday
+   */
+  static async getHoliday(date) {
+    return await Holiday.findByDate(date);
+  }
+
+  /**
+   * Get the holiday for "today" in a given timezone
+   */
+  static async getTodayHoliday(timezone) {
+    return await this.getHoliday(moment().tz(timezone).format('YYYY-MM-DD'));
+  }
+
+  /**
+   * List holidays, optionally within a date range
+   */
+  static async getHolidays(options = {}) {
+    const { startDate, endDate } = options;
+
+    if (startDate && endDate) {
+      const holidaysByDate = await Holiday.getByDateInRange(startDate, endDate);
+      return Object.keys(holidaysByDate).map(date => ({
+        ...holidaysByDate[date].toObject(),
+        date
+      }));
+    }
+
+    return await Holiday.find().sort({ date: 1 });
+  }
+
+  /**
+   * Create a holiday (Admin)
+   */
+  static async createHoliday(data, performedBy) {
+    const { name, date, recurring = false, description } = data;
+
+    const holiday = await Holiday.create({
+      name,
+      date,
+      recurring,
+      description,
+      createdBy: performedBy._id
+    });
+
+    await AuditLog.log({
+      action: 'HOLIDAY_CREATE',
+      performedBy: performedBy._id,
+      resourceType: 'Holiday',
+      resourceId: holiday._id,
+      newState: holiday.toObject(),
+      description: `Holiday created: ${name} (${date})`
+    });
+
+    return holiday;
+  }
+
+  /**
+   * Update a holiday (Admin)
+   */
+  static async updateHoliday(holidayId, data, performedBy) {
+    const holiday = await Holiday.findById(holidayId);
+
+    if (!holiday) {
+      throw new Error('Holiday not found.');
+    }
+
+    const previousState = holiday.toObject();
+
+    ['name', 'date', 'recurring', 'description'].forEach(field => {
+      if (data[field] !== undefined) {
+        holiday[field] = data[field];
+      }
+    });
+
+    await holiday.save();
+
+    await AuditLog.log({
+      action: 'HOLIDAY_UPDATE',
+      performedBy: performedBy._id,
+      resourceType: 'Holiday',
+      resourceId: holiday._id,
+      previousState,
+      newState: holiday.toObject(),
+      description: `Holiday updated: ${holiday.name} (${holiday.date})`
+    });
+
+    return holiday;
+  }
+
+  /**
+   * Delete a holiday (Admin)
+   */
+  static async deleteHoliday(holidayId, performedBy) {
+    const holiday = await Holiday.findById(holidayId);
+
+    if (!holiday) {
+      throw new Error('Holiday not found.');
+    }
+
+    await AuditLog.log({
+      action: 'HOLIDAY_DELETE',
+      performedBy: performedBy._id,
+      resourceType: 'Holiday',
+      resourceId: holiday._id,
+      previousState: holiday.toObject(),
+      description: `Holiday deleted: ${holiday.name} (${holiday.date})`
+    });
+
+    await holiday.deleteOne();
+
+    return { success: true, message: 'Holiday deleted successfully' };
+  }
+
+  /**
+   * Parse all-day events from an iCalendar (.ics) document
+   * Returns one entry per day; multi-day events are expanded.
+   * Timed events (meetings, half-day closures) are skipped.
+   */
+  static parseIcs(icsText) {
+    // Unfold continuation lines (RFC 5545 section 3.1)
+    const lines = icsText.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let current = null;
+
+    for (const line of lines) {
+      if (line === 'BEGIN:VEVENT') {
+        current = {};
+        continue;
+      }
+
+      if (line === 'END:VEVENT') {
+        if (current?.start && !current.timed && current.summary) {
+          events.push(current);
+        }
+        current = null;
+        continue;
+      }
+
+      if (!current) continue;
+
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const [property, ...params] = line.slice(0, separator).toUpperCase().split(';');
+      const value = line.slice(separator + 1).trim();
+      const isDateValue = params.includes('VALUE=DATE') || /^\d{8}$/.test(value);
+
+      if (property === 'DTSTART') {
+        current.start = value;
+        current.timed = !isDateValue;
+      }
+      if (property === 'DTEND' && isDateValue) current.end = value;
+      if (property === 'SUMMARY') current.summary = this.unescapeIcsText(value);
+      if (property === 'DESCRIPTION') current.description = this.unescapeIcsText(value);
+      if (property === 'UID') current.uid = value;
+      if (property === 'RRULE') current.recurring = /FREQ=YEARLY/i.test(value);
+    }
+
+    const holidays = [];
+
+    for (const event of events) {
+      const start = moment(event.start, 'YYYYMMDD', true);
+      if (!start.isValid()) continue;
+
+      // DTEND is exclusive for all-day events
+      const end = event.end ? moment(event.end, 'YYYYMMDD', true) : null;
+      const lastDay = end?.isValid() && end.isAfter(start) ? end.clone().subtract(1, 'day') : start;
+
+      for (const day = start.clone(); !day.isAfter(lastDay, 'day'); day.add(1, 'day')) {
+        holidays.push({
+          name: event.summary.slice(0, 100),
+          date: day.format('YYYY-MM-DD'),
+          recurring: !!event.recurring,
+          description: event.description ? event.description.slice(0, 500) : null,
+          icsUid: event.uid || null
+        });
+      }
+    }
+
+    return holidays;
+  }
+
+  /**
+   * Unescape iCalendar TEXT values
+   */
+  static unescapeIcsText(value) {
+    return value
+      .replace(/\\n/gi, ' ')
+      .replace(/\\([,;\\])/g, '$1')
+      .trim();
+  }
+
+  /**
+   * Import holidays from an iCalendar (.ics) document (Admin)
+   * Existing entries with the same date and name are updated in place
+   */
+  static async importIcs(icsText, performedBy) {
+    const parsed = this.parseIcs(icsText);
+
+    if (parsed.length === 0) {
+      throw new Error('No all-day events found in calendar file.');
+    }
+
+    let created = 0;
+    let updated = 0;
+
+    for (const entry of parsed) {
+      const result = await Holiday.updateOne(
+        { date: entry.date, name: entry.name },
+        {
+          $set: {
+            recurring: entry.recurring,
+            description: entry.description,
+            icsUid: entry.icsUid,
+            source: 'ICS'
+          },
+          $setOnInsert: { createdBy: performedBy._id }
+        },
+        { upsert: true }
+      );
+
+      if (result.upsertedCount > 0) {
+        created++;
+      } else {
+        updated++;
+      }
+    }
+
+    await AuditLog.log({
+      action: 'HOLIDAY_IMPORT',
+      performedBy: performedBy._id,
+      resourceType: 'Holiday',
+      newState: { created, updated },
+      description: `Imported ${parsed.length} holidays from iCalendar file`
+    });
+
+    return { total: parsed.length, created, updated };
+  }
+}
+
+module.exports = HolidayService;
@@ -0,0 +1,165 @@
+const moment = require('moment-timezone');
+const { Leave, AuditLog } = require('../models');
+
+/**
+ * Leave Service
+ * Handles leave requests and the approval workflow
+ */
+class LeaveService {
+
+  /**
+   * Submit a leave request for a user
+   */
+  static async requestLeave(user, data) {
+    const { leaveType, duration, startDate, endDate, halfDaySession, minutes, reason } = data;
+    const finalEndDate = endDate || startDate;
+
+    // Full-day leave may not overlap any other open request; partial leaves may stack
+    const overlapping = await Leave.findOne({
+      userId: user._id,
+      status: { $in: ['Pending', 'Approved'] },
+      startDate: { $lte: finalEndDate },
+      endDate: { $gte: startDate },
+      ...(duration === 'FullDay' ? {} : { duration: 'FullDay' })
+    });
+
+    if (overlapping) {
+      const error = new Error(`Leave request overlaps an existing ${overlapping.status.toLowerCase()} leave (${overlapping.startDate} - ${overlapping.endDate}).`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return await Leave.create({
+      userId: user._id,
+      leaveType,
+      duration,
+      startDate,
+      endDate: finalEndDate,
+      halfDaySession: duration === 'HalfDay' ? halfDaySession : null,
+      minutes: duration === 'Hourly' ? minutes : null,
+      reason
+    });
+  }
+
+  /**
+   * Approve or reject a pending leave request (Admin)
+   */
+  static async reviewLeave(leaveId, decision, reviewer, note = null) {
+    const leave = await Leave.findById(leaveId);
+
+    if (!leave) {
+      const error = new Error('Leave request not found.');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (leave.status !== 'Pending') {
+      const error = new Error(`Leave request is already ${leave.status.toLowerCase()}.`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const previousState = { status: leave.status };
+
+    leave.status = decision;
+    leave.reviewedBy = reviewer._id;
+    leave.reviewedAt = new Date();
+    leave.reviewNote = note;
+
+    await leave.save();
+
+    // Log audit
+    await AuditLog.log({
+      action: decision === 'Approved' ? 'LEAVE_APPROVE' : 'LEAVE_REJECT',
+      performedBy: reviewer._id,
+      targetUser: leave.userId,
+      resourceType: 'Leave',
+      resourceId: leave._id,
+      previousState,
+      newState: { status: leave.status },
+      description: note || `Leave ${decision.toLowerCase()}`
+    });
+
+    return leave;
+  }
+
+  /**
+   * Cancel a leave request (own request only)
+   * Approved leave can only be cancelled before it starts
+   */
+  static async cancelLeave(leaveId, user, timezone) {
+    const leave = await Leave.findById(leaveId);
+
+    if (!leave) {
+      const error = new Error('Leave request not found.');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (leave.userId.toString() !== user._id.toString()) {
+      const error = new Error('Not authorized to cancel this leave request.');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (!['Pending', 'Approved'].includes(leave.status)) {
+      const error = new Error(`Leave request is already ${leave.status.toLowerCase()}.`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const today = moment().tz(timezone).format('YYYY-MM-DD');
+    if (leave.status === 'Approved' && leave.startDate <= today) {
+      const error = new Error('Approved leave that has already started cannot be cancelled.');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    leave.status = 'Cancelled';
+    await leave.save();
+
+    return leave;
+  }
+
+  /**
+   * Get leave requests with optional filters
+   */
+  static async getLeaves(options = {}) {
+    const { userId, status, startDate, endDate, page = 1, limit = 50 } = options;
+
+    const query = {};
+    if (userId) {
+      query.userId = userId;
+    }
+    if (status) {
+      query.status = status;
+    }
+    if (startDate) {
+      query.endDate = { $gte: startDate };
+    }
+    if (endDate) {
+      query.startDate = { $lte: endDate };
+    }
+
+    const total = await Leave.countDocuments(query);
+
+    const leaves = await Leave.find(query)
+      .populate('userId', 'name email')
+      .populate('reviewedBy', 'name')
+      .sort({ startDate: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    return {
+      leaves,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = LeaveService;
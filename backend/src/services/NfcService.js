@@ -1,4 +1,11 @@
+const crypto = require('crypto');
 const { NfcTag, AuditLog } = require('../models');
+const EmailService = require('./EmailService');
+const logger = require('../utils/logger');
+const { computeSunMac } = require('../utils/sun');
+
+// At most one clone alert email per tag in this window (every attempt is still audited)
+const CLONE_ALERT_COOLDOWN_MINUTES = 60;
 
 /**
  * NFC Service
@@ -51,8 +58,9 @@ class NfcService {
   
   /**
    * Validate NFC tag for punching
+   * For secure-mode tags the NDEF payload is verified without consuming its counter
    */
-  static async validateForPunch(uid) {
+  static async validateForPunch(uid, secure = {}) {
     const tag = await NfcTag.findActiveByUID(uid);
     
     if (!tag) {
@@ -69,6 +77,11 @@ class NfcService {
       };
     }
     
+    const verification = await this.verifySecureMessage(tag, secure.payload, { ...secure, consume: false });
+    if (!verification.valid) {
+      return verification;
+    }
+    
     return {
       valid: true,
       tag,
@@ -76,6 +89,209 @@ class NfcService {
     };
   }
   
+  /**
+   * Tag UID as plain uppercase hex (readers report it as 04:A1:B2:... or 04A1B2...)
+   */
+  static normalizeUid(uid) {
+    return String(uid || '').replace(/[^0-9a-fA-F]/g, '').toUpperCase();
+  }
+  
+  /**
+   * Parse a SUN message (uid=<UID>&ctr=<read counter>&cmac=<MAC>) mirrored by an
+   * NTAG 424 DNA tag into the query string of its NDEF URL record
+   */
+  static parseSecureMessage(payload) {
+    if (!payload) {
+      return null;
+    }
+    
+    const uid = /(?:^|[?&\s])uid=([0-9a-fA-F]{14})(?:$|[&\s])/.exec(payload);
+    const counter = /(?:^|[?&\s])ctr=([0-9a-fA-F]{6})(?:$|[&\s])/.exec(payload);
+    const mac = /(?:^|[?&\s])cmac=([0-9a-fA-F]{16})(?:$|[&\s])/.exec(payload);
+    
+    if (!uid || !counter || !mac) {
+      return null;
+    }
+    
+    return {
+      uid: uid[1].toUpperCase(),
+      counter: parseInt(counter[1], 16),
+      mac: mac[1].toUpperCase()
+    };
+  }
+  
+  /**
+   * Verify a secure-mode tag's SUN message (AES-CMAC over its UID and read counter,
+   * which the tag increments on every read). Plain-UID tags pass.
+   * With consume, the counter is stored so the same message can't be used again.
+   * Missing or forged MACs and replayed counters are reported as suspected clones.
+   */
+  static async verifySecureMessage(tag, payload, options = {}) {
+    const { consume = true } = options;
+    
+    if (!tag.secureMode) {
+      return { valid: true };
+    }
+    
+    const message = this.parseSecureMessage(payload);
+    
+    if (!message) {
+      return await this.reportSuspectedClone(tag, 'Tag read without a secure message', options);
+    }
+    
+    if (message.uid !== this.normalizeUid(tag.uid)) {
+      return await this.reportSuspectedClone(tag, 'Secure message from another tag', { ...options, counter: message.counter });
+    }
+    
+    const expected = computeSunMac(tag.secretKey, message.uid, message.counter);
+    if (!crypto.timingSafeEqual(Buffer.from(message.mac), Buffer.from(expected))) {
+      return await this.reportSuspectedClone(tag, 'Invalid secure message MAC', { ...options, counter: message.counter });
+    }
+    
+    if (message.counter <= tag.lastCounter) {
+      return await this.reportSuspectedClone(tag, 'Replayed tag counter', { ...options, counter: message.counter });
+    }
+    
+    if (consume) {
+      // Only advance the counter if no concurrent read got there first
+      const result = await NfcTag.updateOne(
+        { _id: tag._id, lastCounter: { $lt: message.counter } },
+        { $set: { lastCounter: message.counter } }
+      );
+      
+      if (result.modifiedCount === 0) {
+        return await this.reportSuspectedClone(tag, 'Replayed tag counter', { ...options, counter: message.counter });
+      }
+      
+      tag.lastCounter = message.counter;
+    }
+    
+    return { valid: true };
+  }
+  
+  /**
+   * Audit a suspected cloned tag and alert admins (throttled per tag).
+   * Whoever presented the tag is unknown, so the entry has no performer.
+   */
+  static async reportSuspectedClone(tag, reason, context = {}) {
+    const ownerId = tag.userId?._id || tag.userId;
+    const now = new Date();
+    const lastSuspected = tag.cloneSuspectedAt;
+    
+    await AuditLog.log({
+      action: 'NFC_CLONE_SUSPECTED',
+      performedBy: null,
+      targetUser: ownerId,
+      resourceType: 'NfcTag',
+      resourceId: tag._id,
+      newState: {
+        uid: tag.uid,
+        counter: context.counter ?? null,
+        lastCounter: tag.lastCounter,
+        deviceId: context.deviceId || null
+      },
+      description: `${reason} (tag ${tag.uid})`,
+      ipAddress: context.ipAddress || null
+    });
+    
+    await NfcTag.updateOne({ _id: tag._id }, { $set: { cloneSuspectedAt: now } });
+    tag.cloneSuspectedAt = now;
+    
+    const cooldownMs = CLONE_ALERT_COOLDOWN_MINUTES * 60 * 1000;
+    if (!lastSuspected || now - lastSuspected >= cooldownMs) {
+      try {
+        await EmailService.sendAdminAlert(
+          'Suspected cloned NFC tag',
+          `${reason}. The tap was rejected; consider deactivating the tag and issuing a new one.`,
+          {
+            tag: tag.uid,
+            label: tag.label,
+            user: tag.userId?.name || ownerId.toString(),
+            counter: context.counter ?? null,
+            lastAcceptedCounter: tag.lastCounter,
+            deviceId: context.deviceId ? context.deviceId.toString() : null,
+            ipAddress: context.ipAddress || null
+          }
+        );
+      } catch (error) {
+        logger.error(`Failed to send clone alert for tag ${tag.uid}:`, error);
+      }
+    }
+    
+    logger.warn(`Suspected cloned NFC tag ${tag.uid}: ${reason}`);
+    
+    return {
+      valid: false,
+      error: 'NFC tag could not be verified. Please contact your administrator.'
+    };
+  }
+  
+  /**
+   * Enable secure mode on an NTAG 424 DNA tag (Admin)
+   * Returns the new AES-128 key once, to program as the tag's SDM file read key
+   */
+  static async enableSecureMode(tagId, performedBy) {
+    const tag = await NfcTag.findById(tagId);
+    
+    if (!tag) {
+      throw new Error('NFC tag not found.');
+    }
+    
+    if (this.normalizeUid(tag.uid).length !== 14) {
+      const error = new Error('Secure mode needs an NTAG 424 DNA tag (7-byte UID).');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const secretKey = crypto.randomBytes(16).toString('hex');
+    tag.secureMode = true;
+    tag.secretKey = secretKey;
+    // Nothing accepted yet: the tag's read counter may still be at zero
+    tag.lastCounter = -1;
+    tag.cloneSuspectedAt = null;
+    
+    await tag.save();
+    
+    await AuditLog.log({
+      action: 'NFC_SECURE_ENABLE',
+      performedBy: performedBy._id,
+      targetUser: tag.userId,
+      resourceType: 'NfcTag',
+      resourceId: tag._id,
+      description: `Secure mode enabled for NFC tag ${tag.uid}`
+    });
+    
+    return { tag, secretKey };
+  }
+  
+  /**
+   * Disable secure mode on a tag (Admin); the tag is identified by UID only again
+   */
+  static async disableSecureMode(tagId, performedBy) {
+    const tag = await NfcTag.findById(tagId);
+    
+    if (!tag) {
+      throw new Error('NFC tag not found.');
+    }
+    
+    tag.secureMode = false;
+    tag.secretKey = null;
+    tag.lastCounter = 0;
+    
+    await tag.save();
+    
+    await AuditLog.log({
+      action: 'NFC_SECURE_DISABLE',
+      performedBy: performedBy._id,
+      targetUser: tag.userId,
+      resourceType: 'NfcTag',
+      resourceId: tag._id,
+      description: `Secure mode disabled for NFC tag ${tag.uid}`
+    });
+    
+    return tag;
+  }
+  
   /**
    * Deactivate an NFC tag
    */
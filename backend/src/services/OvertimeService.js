@@ -0,0 +1,124 @@
+const config = require('../config');
+
+/**
+ * Overtime Service
+ * Splits worked time into regular, overtime and premium minutes
+ *
+ * - Overtime: minutes beyond the daily threshold, then regular minutes beyond
+ *   the weekly threshold, plus all time worked on weekends and holidays
+ * - Premium: the extra minutes paid on top of 1x (overtime x (multiplier - 1))
+ * - Overtime shorter than the minimum block is counted as regular time
+ */
+class OvertimeService {
+
+  /**
+   * Get the overtime policy for a user
+   */
+  static getPolicy(user) {
+    const policy = config.overtime;
+
+    return {
+      dailyThresholdMinutes: policy.dailyThresholdMinutes ||
+        user?.profile?.dailyWorkTarget ||
+        config.defaults.workHours * 60,
+      weeklyThresholdMinutes: policy.weeklyThresholdMinutes,
+      minimumBlockMinutes: policy.minimumBlockMinutes,
+      multiplier: policy.multiplier,
+      weekendMultiplier: policy.weekendMultiplier,
+      holidayMultiplier: policy.holidayMultiplier
+    };
+  }
+
+  /**
+   * Round to two decimals for reporting
+   */
+  static round(minutes) {
+    return Math.round(minutes * 100) / 100;
+  }
+
+  /**
+   * Calculate overtime for a single day
+   * @param {Object} day - { workedMinutes, isWorkingDay, isHoliday }
+   */
+  static calculateDay(day, policy) {
+    const workedMinutes = Math.max(0, day.workedMinutes || 0);
+    let overtimeMinutes;
+    let multiplier;
+
+    if (day.isHoliday) {
+      overtimeMinutes = workedMinutes;
+      multiplier = policy.holidayMultiplier;
+    } else if (!day.isWorkingDay) {
+      overtimeMinutes = workedMinutes;
+      multiplier = policy.weekendMultiplier;
+    } else {
+      overtimeMinutes = Math.max(0, workedMinutes - policy.dailyThresholdMinutes);
+      multiplier = policy.multiplier;
+    }
+
+    if (overtimeMinutes < policy.minimumBlockMinutes) {
+      overtimeMinutes = 0;
+    }
+
+    return {
+      regularMinutes: workedMinutes - overtimeMinutes,
+      overtimeMinutes,
+      premiumMinutes: overtimeMinutes * (multiplier - 1),
+      multiplier: overtimeMinutes > 0 ? multiplier : 1
+    };
+  }
+
+  /**
+   * Calculate overtime for a week of days (in date order)
+   * Regular minutes past the weekly threshold are converted to overtime on
+   * the day the threshold is crossed and every day after it
+   */
+  static calculateWeek(days, policy) {
+    const dailyResults = days.map(day => this.calculateDay(day, policy));
+
+    const totalRegular = dailyResults.reduce((sum, day) => sum + day.regularMinutes, 0);
+    const weeklyExcess = totalRegular - policy.weeklyThresholdMinutes;
+    let weeklyOvertimeMinutes = 0;
+
+    if (policy.weeklyThresholdMinutes && weeklyExcess >= policy.minimumBlockMinutes) {
+      let runningRegular = 0;
+
+      for (const day of dailyResults) {
+        const allowed = Math.max(0, policy.weeklyThresholdMinutes - runningRegular);
+        const excess = Math.max(0, day.regularMinutes - allowed);
+        runningRegular += day.regularMinutes;
+
+        if (excess > 0) {
+          day.regularMinutes -= excess;
+          day.overtimeMinutes += excess;
+          day.premiumMinutes += excess * (policy.multiplier - 1);
+          day.multiplier = Math.max(day.multiplier, policy.multiplier);
+          weeklyOvertimeMinutes += excess;
+        }
+      }
+    }
+
+    const totals = dailyResults.reduce((sum, day) => ({
+      regularMinutes: sum.regularMinutes + day.regularMinutes,
+      overtimeMinutes: sum.overtimeMinutes + day.overtimeMinutes,
+      premiumMinutes: sum.premiumMinutes + day.premiumMinutes
+    }), { regularMinutes: 0, overtimeMinutes: 0, premiumMinutes: 0 });
+
+    return {
+      days: dailyResults.map(day => ({
+        regularMinutes: this.round(day.regularMinutes),
+        overtimeMinutes: this.round(day.overtimeMinutes),
+        premiumMinutes: this.round(day.premiumMinutes),
+        multiplier: day.multiplier
+      })),
+      totals: {
+        regularMinutes: this.round(totals.regularMinutes),
+        overtimeMinutes: this.round(totals.overtimeMinutes),
+        premiumMinutes: this.round(totals.premiumMinutes),
+        weeklyOvertimeMinutes: this.round(weeklyOvertimeMinutes)
+      }
+    };
+  }
+}
+
+module.exports = OvertimeService;
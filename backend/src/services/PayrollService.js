@@ -0,0 +1,342 @@
+const moment = require('moment-timezone');
+const ExcelJS = require('exceljs');
+const { User, ExportTemplate, AuditLog } = require('../models');
+const TimeEngine = require('./TimeEngine');
+const BreakTimeService = require('./BreakTimeService');
+const ShiftService = require('./ShiftService');
+const PunchValidator = require('./PunchValidator');
+const { toCSV } = require('../utils/csv');
+
+const MAX_RANGE_DAYS = 366;
+
+// Column layout used when no template is chosen and none is marked default
+const DEFAULT_COLUMNS = [
+  { field: 'name', header: 'Employee' },
+  { field: 'email', header: 'Email' },
+  { field: 'team', header: 'Team' },
+  { field: 'periodStart', header: 'From' },
+  { field: 'periodEnd', header: 'To' },
+  { field: 'daysWorked', header: 'Days Worked' },
+  { field: 'workedMinutes', header: 'Worked (min)', format: 'minutes' },
+  { field: 'regularMinutes', header: 'Regular (min)', format: 'minutes' },
+  { field: 'overtimeMinutes', header: 'Overtime (min)', format: 'minutes' },
+  { field: 'lateCount', header: 'Late Arrivals' },
+  { field: 'leaveMinutes', header: 'Leave (min)', format: 'minutes' },
+  { field: 'breakMinutes', header: 'Break (min)', format: 'minutes' }
+];
+
+/**
+ * Payroll Service
+ * Per-employee period totals and payroll file exports
+ */
+class PayrollService {
+
+  /**
+   * Validate an export date range (work dates, YYYY-MM-DD)
+   */
+  static validateRange(from, to) {
+    if (to < from) {
+      throw new Error('End date cannot be before start date.');
+    }
+
+    if (moment(to).diff(moment(from), 'days') >= MAX_RANGE_DAYS) {
+      throw new Error(`Payroll exports cannot span more than ${MAX_RANGE_DAYS} days.`);
+    }
+  }
+
+  /**
+   * Count working days in the range whose first IN was past the grace period
+   */
+  static async countLateArrivals(user, dailyData, timezone, workDateOf) {
+    const startDate = dailyData[0]?.date;
+    const endDate = dailyData[dailyData.length - 1]?.date;
+    if (!startDate) {
+      return 0;
+    }
+
+    const punchesByDate = await TimeEngine.getPunchesByWorkDay(user._id, startDate, endDate, timezone, workDateOf);
+    let lateCount = 0;
+
+    for (const day of dailyData.filter(d => d.isWorkingDay)) {
+      const firstIn = (punchesByDate[day.date] || []).find(p => p.punchType === 'IN');
+      if (!firstIn) {
+        continue;
+      }
+
+      const shiftConfig = await ShiftService.getValidationConfig(user, day.date);
+      const grace = PunchValidator.checkGracePeriod(
+        firstIn.punchTime,
+        timezone,
+        shiftConfig.graceMinutes,
+        shiftConfig.shiftStartTime,
+        shiftConfig.shiftEndTime
+      );
+
+      if (grace.isLate) {
+        lateCount++;
+      }
+    }
+
+    return lateCount;
+  }
+
+  /**
+   * Build the payroll row for one employee
+   */
+  static async getEmployeeTotals(user, from, to) {
+    const period = await TimeEngine.getPeriodSummary(user, from, to);
+    const breaks = await BreakTimeService.getBreakStatistics(user._id, from, to, period.timezone, period.workDateOf);
+    const lateCount = await this.countLateArrivals(user, period.dailyData, period.timezone, period.workDateOf);
+
+    return {
+      userId: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      team: user.teamId?.name || '',
+      periodStart: from,
+      periodEnd: to,
+      ...period.totals,
+      breakMinutes: breaks.totalBreakMinutes,
+      lateCount
+    };
+  }
+
+  /**
+   * Get payroll rows for all active employees (optionally one team)
+   */
+  static async getPayrollRows(from, to, options = {}) {
+    const { teamId = null } = options;
+
+    this.validateRange(from, to);
+
+    const query = { isActive: true };
+    if (teamId) {
+      query.teamId = teamId;
+    }
+
+    const users = await User.find(query).populate('teamId', 'name').sort({ name: 1 });
+
+    const rows = [];
+    for (const user of users) {
+      rows.push(await this.getEmployeeTotals(user, from, to));
+    }
+
+    return rows;
+  }
+
+  /**
+   * Format a single cell according to its column
+   */
+  static formatValue(row, column) {
+    if (column.field === 'constant') {
+      return column.value || '';
+    }
+
+    const value = row[column.field];
+
+    if (!column.field.endsWith('Minutes') || typeof value !== 'number') {
+      return value ?? '';
+    }
+
+    if (column.format === 'hours') {
+      return Math.round(value / 60 * 100) / 100;
+    }
+
+    if (column.format === 'hhmm') {
+      const total = Math.round(value);
+      return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    return Math.round(value);
+  }
+
+  /**
+   * Map payroll rows onto template columns
+   */
+  static buildTable(rows, columns) {
+    return {
+      headers: columns.map(c => c.header),
+      rows: rows.map(row => columns.map(column => this.formatValue(row, column)))
+    };
+  }
+
+  /**
+   * Render a table as CSV
+   */
+  static toCSV(table, delimiter = ',') {
+    return toCSV(table.headers, table.rows, delimiter);
+  }
+
+  /**
+   * Render a table as an XLSX workbook buffer
+   */
+  static async toXLSX(table) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Payroll');
+
+    sheet.addRow(table.headers).font = { bold: true };
+    table.rows.forEach(row => sheet.addRow(row));
+    sheet.columns.forEach((column, index) => {
+      column.width = Math.max(12, String(table.headers[index]).length + 2);
+    });
+
+    return await workbook.xlsx.writeBuffer();
+  }
+
+  /**
+   * Resolve the template for an export (explicit, default, or built-in layout)
+   */
+  static async resolveTemplate(templateId = null) {
+    if (templateId) {
+      const template = await ExportTemplate.findById(templateId);
+      if (!template) {
+        throw new Error('Export template not found.');
+      }
+      return template;
+    }
+
+    return await ExportTemplate.findDefault() || { name: 'Default', columns: DEFAULT_COLUMNS, delimiter: ',' };
+  }
+
+  /**
+   * Produce a payroll export file
+   */
+  static async exportPayroll(from, to, format, performedBy, options = {}) {
+    const { templateId = null, teamId = null } = options;
+
+    const template = await this.resolveTemplate(templateId);
+    const rows = await this.getPayrollRows(from, to, { teamId });
+    const table = this.buildTable(rows, template.columns);
+
+    // Log audit
+    await AuditLog.log({
+      action: 'PAYROLL_EXPORT',
+      performedBy: performedBy._id,
+      resourceType: template._id ? 'ExportTemplate' : null,
+      resourceId: template._id || null,
+      newState: { from, to, format, teamId, template: template.name, employees: rows.length },
+      description: `Payroll exported for ${from} to ${to} (${format.toUpperCase()})`
+    });
+
+    const filename = `payroll_${from}_${to}`;
+
+    if (format === 'xlsx') {
+      return {
+        filename: `${filename}.xlsx`,
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        content: await this.toXLSX(table)
+      };
+    }
+
+    return {
+      filename: `${filename}.csv`,
+      contentType: 'text/csv; charset=utf-8',
+      content: this.toCSV(table, template.delimiter)
+    };
+  }
+
+  /**
+   * Get all export templates
+   */
+  static async getTemplates() {
+    return await ExportTemplate.find()
+      .populate('createdBy', 'name')
+      .sort({ isDefault: -1, name: 1 });
+  }
+
+  /**
+   * Create an export template (Admin)
+   */
+  static async createTemplate(data, performedBy) {
+    const { name, description, columns, delimiter, isDefault } = data;
+
+    if (isDefault) {
+      await ExportTemplate.updateMany({ isDefault: true }, { $set: { isDefault: false } });
+    }
+
+    const template = await ExportTemplate.create({
+      name,
+      description,
+      columns,
+      delimiter,
+      isDefault,
+      createdBy: performedBy._id
+    });
+
+    await AuditLog.log({
+      action: 'EXPORT_TEMPLATE_CREATE',
+      performedBy: performedBy._id,
+      resourceType: 'ExportTemplate',
+      resourceId: template._id,
+      newState: template.toObject(),
+      description: `Export template created: ${name}`
+    });
+
+    return template;
+  }
+
+  /**
+   * Update an export template (Admin)
+   */
+  static async updateTemplate(templateId, data, performedBy) {
+    const template = await ExportTemplate.findById(templateId);
+
+    if (!template) {
+      throw new Error('Export template not found.');
+    }
+
+    const previousState = template.toObject();
+
+    if (data.isDefault && !template.isDefault) {
+      await ExportTemplate.updateMany({ isDefault: true }, { $set: { isDefault: false } });
+    }
+
+    ['name', 'description', 'columns', 'delimiter', 'isDefault'].forEach(field => {
+      if (data[field] !== undefined) {
+        template[field] = data[field];
+      }
+    });
+
+    await template.save();
+
+    await AuditLog.log({
+      action: 'EXPORT_TEMPLATE_UPDATE',
+      performedBy: performedBy._id,
+      resourceType: 'ExportTemplate',
+      resourceId: template._id,
+      previousState,
+      newState: template.toObject(),
+      description: `Export template updated: ${template.name}`
+    });
+
+    return template;
+  }
+
+  /**
+   * Delete an export template (Admin)
+   */
+  static async deleteTemplate(templateId, performedBy) {
+    const template = await ExportTemplate.findById(templateId);
+
+    if (!template) {
+      throw new Error('Export template not found.');
+    }
+
+    await AuditLog.log({
+      action: 'EXPORT_TEMPLATE_DELETE',
+      performedBy: performedBy._id,
+      resourceType: 'ExportTemplate',
+      resourceId: template._id,
+      previousState: template.toObject(),
+      description: `Export template deleted: ${template.name}`
+    });
+
+    await template.deleteOne();
+
+    return { success: true, message: 'Export template deleted successfully' };
+  }
+}
+
+PayrollService.DEFAULT_COLUMNS = DEFAULT_COLUMNS;
+
+module.exports = PayrollService;
@@ -1,69 +1,82 @@
 const moment = require('moment-timezone');
-const { PunchLog, User } = require('../models');
+const { PunchLog, User, Holiday } = require('../models');
+const TimeEngine = require('./TimeEngine');
+const TimesheetService = require('./TimesheetService');
 const EmailService = require('./EmailService');
+const EventService = require('./EventService');
 const logger = require('../utils/logger');
 const config = require('../config');
 
 /**
  * Punch Cleanup Service
- * Handles midnight auto-close and cleanup operations
+ * Handles end-of-work-day auto-close and cleanup operations
  */
 class PunchCleanupService {
   
   /**
-   * Auto-close all open punches at midnight
-   * This should run via cron job at 11:59 PM daily
+   * Auto-close open punches whose work day has ended
+   * Work days end at the user's day cutoff (midnight by default), so this
+   * should run via cron job hourly at minute 59
    */
   static async autoCloseOpenPunches() {
     try {
       logger.info('Starting auto-close of open punches...');
       
-      // Get all users
-      const users = await User.find({ status: 'Active' });
+      // Get all active users
+      const users = await User.find({ isActive: true });
       let closedCount = 0;
       const notifications = [];
+      const now = new Date();
       
       for (const user of users) {
         const timezone = user.profile?.timezone || config.defaults.timezone;
         
-        // Get today's date bounds
-        const today = moment().tz(timezone);
-        const startOfDay = today.clone().startOf('day').utc().toDate();
-        const endOfDay = today.clone().endOf('day').utc().toDate();
+        // Check if last punch is IN (open punch)
+        const lastPunch = await TimeEngine.getLastPunch(user._id);
+        if (!lastPunch || lastPunch.punchType !== 'IN') {
+          continue;
+        }
         
-        // Find user's punches today
-        const todayPunches = await PunchLog.find({
-          userId: user._id,
-          punchTime: { $gte: startOfDay, $lte: endOfDay }
-        }).sort({ punchTime: 1 });
+        // Close one minute before the end of the work day the session started on
+        const dayCutoff = await TimeEngine.getDayCutoff(user, lastPunch.punchTime);
+        const workDate = TimeEngine.getWorkDate(lastPunch.punchTime, timezone, dayCutoff);
+        const { end } = TimeEngine.getDayBoundsUTC(timezone, workDate, dayCutoff);
+        const autoCloseTime = moment(end).subtract(1, 'minute').toDate();
         
-        // Check if last punch is IN (open punch)
-        if (todayPunches.length > 0) {
-          const lastPunch = todayPunches[todayPunches.length - 1];
-          
-          if (lastPunch.punchType === 'IN') {
-            // Auto-close at end of day (11:59 PM)
-            const autoCloseTime = today.clone().endOf('day').subtract(1, 'minute').toDate();
-            
-            const autoPunch = await PunchLog.create({
-              userId: user._id,
-              punchType: 'OUT',
-              punchTime: autoCloseTime,
-              source: 'Admin',
-              notes: 'Auto-closed by system at midnight (missed punch out)'
-            });
-            
-            closedCount++;
-            logger.info(`Auto-closed punch for user ${user.email}`);
-            
-            // Add to notification queue
-            notifications.push({
-              user,
-              inPunchTime: lastPunch.punchTime,
-              outPunchTime: autoPunch.punchTime
-            });
+        if (autoCloseTime > now) {
+          continue;
+        }
+        
+        // Punches inside a submitted or approved timesheet are locked; a reviewer
+        // has to reopen it (or return it) before the session can be closed
+        try {
+          await TimesheetService.assertPunchUnlocked(user._id, [autoCloseTime]);
+        } catch (error) {
+          if (error.code !== 'TIMESHEET_LOCKED') {
+            throw error;
           }
+          logger.warn(`Open punch for user ${user.email} not auto-closed: ${error.message}`);
+          continue;
         }
+        
+        const autoPunch = await PunchLog.create({
+          userId: user._id,
+          punchType: 'OUT',
+          punchTime: autoCloseTime,
+          source: 'Admin',
+          notes: 'Auto-closed by system at end of work day (missed punch out)'
+        });
+        
+        closedCount++;
+        logger.info(`Auto-closed punch for user ${user.email}`);
+        EventService.publishPunch('punch-auto-closed', autoPunch);
+        
+        // Add to notification queue
+        notifications.push({
+          user,
+          inPunchTime: lastPunch.punchTime,
+          outPunchTime: autoPunch.punchTime
+        });
       }
       
       // Send email notifications
@@ -93,19 +106,13 @@ class PunchCleanupService {
    */
   static async findUsersWithOpenPunches() {
     try {
-      const users = await User.find({ status: 'Active' });
+      const users = await User.find({ isActive: true });
       const usersWithOpenPunches = [];
       
       for (const user of users) {
         const timezone = user.profile?.timezone || config.defaults.timezone;
-        const today = moment().tz(timezone);
-        const startOfDay = today.clone().startOf('day').utc().toDate();
-        const endOfDay = today.clone().endOf('day').utc().toDate();
-        
-        const todayPunches = await PunchLog.find({
-          userId: user._id,
-          punchTime: { $gte: startOfDay, $lte: endOfDay }
-        }).sort({ punchTime: 1 });
+        const dayCutoff = await TimeEngine.getDayCutoff(user);
+        const todayPunches = await TimeEngine.getTodayPunches(user._id, timezone, dayCutoff);
         
         if (todayPunches.length > 0) {
           const lastPunch = todayPunches[todayPunches.length - 1];
@@ -119,7 +126,8 @@ class PunchCleanupService {
               email: user.email,
               punchInTime: lastPunch.punchTime,
               hoursSinceIn: Math.round(hoursSinceIn * 10) / 10,
-              timezone
+              timezone,
+              workDate: TimeEngine.getWorkDate(lastPunch.punchTime, timezone, dayCutoff)
             });
           }
         }
@@ -144,6 +152,12 @@ class PunchCleanupService {
       let remindersSent = 0;
       
       for (const userData of usersWithOpenPunches) {
+        // Skip users whose work day is a holiday
+        if (await Holiday.findByDate(userData.workDate)) {
+          logger.info(`Skipped reminder for ${userData.email} (holiday)`);
+          continue;
+        }
+        
         // Only send if more than 8 hours since punch in
         if (userData.hoursSinceIn >= 8) {
           try {
@@ -173,7 +187,7 @@ class PunchCleanupService {
     try {
       logger.info(`Cleanup orphaned punches (dryRun: ${dryRun})...`);
       
-      const users = await User.find({ status: 'Active' });
+      const users = await User.find({ isActive: true });
       const orphanedPunches = [];
       
       for (const user of users) {
@@ -232,19 +246,13 @@ class PunchCleanupService {
       const orphanedCheck = await this.cleanupOrphanedPunches(true);
       
       // Get users with odd number of punches today
-      const users = await User.find({ status: 'Active' });
+      const users = await User.find({ isActive: true });
       const usersWithOddPunches = [];
       
       for (const user of users) {
         const timezone = user.profile?.timezone || config.defaults.timezone;
-        const today = moment().tz(timezone);
-        const startOfDay = today.clone().startOf('day').utc().toDate();
-        const endOfDay = today.clone().endOf('day').utc().toDate();
-        
-        const todayPunches = await PunchLog.find({
-          userId: user._id,
-          punchTime: { $gte: startOfDay, $lte: endOfDay }
-        });
+        const dayCutoff = await TimeEngine.getDayCutoff(user);
+        const todayPunches = await TimeEngine.getTodayPunches(user._id, timezone, dayCutoff);
         
         if (todayPunches.length > 0 && todayPunches.length % 2 !== 0) {
           usersWithOddPunches.push({
@@ -1,7 +1,14 @@
-const { PunchLog, NfcTag, AuditLog } = require('../models');
+const { User, PunchLog, NfcTag, AuditLog, Absence } = require('../models');
 const TimeEngine = require('./TimeEngine');
 const PunchValidator = require('./PunchValidator');
+const NfcService = require('./NfcService');
+const QrService = require('./QrService');
+const SiteService = require('./SiteService');
+const ShiftService = require('./ShiftService');
+const TimesheetService = require('./TimesheetService');
 const EmailService = require('./EmailService');
+const AttendanceService = require('./AttendanceService');
+const EventService = require('./EventService');
 const moment = require('moment-timezone');
 const config = require('../config');
 
@@ -15,10 +22,36 @@ class PunchService {
    * Create a new punch with comprehensive validation
    */
   static async createPunch(user, options = {}) {
-    const { source = 'Manual', nfcUID = null, notes = null, skipValidation = false } = options;
+    const {
+      source = 'Manual',
+      nfcUID = null,
+      nfcPayload = null,
+      qrToken = null,
+      ipAddress = null,
+      location = null,
+      reason = null,
+      notes = null,
+      skipValidation = false
+    } = options;
     
     const timezone = TimeEngine.getTimezone(user);
     const punchTime = new Date();
+    let { deviceId = null } = options;
+    
+    // Only registered readers pass a device; every other punch comes from a browser,
+    // whatever source the client claims
+    const fromDevice = !!deviceId;
+    
+    // QR punches must carry a fresh code from an active kiosk, which becomes the punch's device.
+    // The scanning phone is not the kiosk (a code can be photographed and sent off site),
+    // so QR punches still get the browser checks.
+    if (source === 'QR') {
+      const qr = await QrService.verifyToken(qrToken, punchTime);
+      if (!qr.valid) {
+        throw new Error(qr.error);
+      }
+      deviceId = qr.device._id;
+    }
     
     // Check for double punch
     const isDouble = await TimeEngine.isDoublePunch(user._id, punchTime);
@@ -29,19 +62,37 @@ class PunchService {
     // Determine punch type
     const punchType = await TimeEngine.getNextPunchType(user._id);
     
+    // Attendance flags recorded on the punch
+    let gracePeriod = null;
+    let earlyDeparture = null;
+    let geofence = null;
+    let network = null;
+    
     // Perform comprehensive validation (unless skipped)
     if (!skipValidation) {
+      // Rules come from the shift assigned on the punch's work day, or the global defaults
+      const dayCutoff = await TimeEngine.getDayCutoff(user, punchTime);
+      const workDate = TimeEngine.getWorkDate(punchTime, timezone, dayCutoff);
+      const shiftConfig = await ShiftService.getValidationConfig(user, workDate);
+      
+      // Fixed reader devices are on site by definition; browser punches are checked
+      // against the geofence and the trusted office networks
+      const geofenceRules = fromDevice ? null : await SiteService.getRules(user);
+      
       const validation = await PunchValidator.validatePunch(
         user._id,
         punchType,
         punchTime,
         timezone,
         {
-          businessHours: user.profile?.businessHours,
-          workingDays: user.profile?.workingDays,
-          graceMinutes: user.profile?.graceMinutes,
-          shiftStartTime: user.profile?.shiftStartTime,
-          minimumWorkHours: user.profile?.minimumWorkHours
+          ...shiftConfig,
+          workDate,
+          dayCutoff,
+          location,
+          geofence: geofenceRules,
+          checkNetwork: !fromDevice,
+          ipAddress,
+          reason
         }
       );
       
@@ -49,10 +100,19 @@ class PunchService {
       if (!validation.valid) {
         const error = new Error(validation.summary.errors[0]);
         error.validationErrors = validation.summary.errors;
-        error.code = 'VALIDATION_ERROR';
+        error.code = validation.validations.network.reasonRequired ? 'REASON_REQUIRED' : 'VALIDATION_ERROR';
+        error.statusCode = 400;
         throw error;
       }
       
+      if (validation.validations.geofence.checked) {
+        geofence = validation.validations.geofence;
+      }
+      
+      if (validation.validations.network.checked) {
+        network = validation.validations.network;
+      }
+      
       // If validation has warnings, include them in response
       if (validation.hasWarnings) {
         options.validationWarnings = validation.summary.warnings;
@@ -72,9 +132,11 @@ class PunchService {
         }
         
         if (validation.validations.gracePeriod?.isLate) {
-          // Mark as late in notes
-          options.isLate = true;
-          options.minutesLate = validation.validations.gracePeriod.minutesLate;
+          gracePeriod = validation.validations.gracePeriod;
+        }
+        
+        if (validation.validations.earlyDeparture?.isEarly) {
+          earlyDeparture = validation.validations.earlyDeparture;
         }
       }
     }
@@ -96,16 +158,16 @@ class PunchService {
         throw new Error('NFC tag is not registered to this user.');
       }
       
+      // Secure-mode tags must present a fresh signed counter (anti-cloning)
+      const verification = await NfcService.verifySecureMessage(nfcTag, nfcPayload, { deviceId, ipAddress });
+      if (!verification.valid) {
+        throw new Error(verification.error);
+      }
+      
       // Record usage
       await nfcTag.recordUsage();
     }
     
-    // Build notes with validation info
-    let finalNotes = notes || '';
-    if (options.isLate) {
-      finalNotes = finalNotes ? `${finalNotes} | Late by ${options.minutesLate} minutes` : `Late by ${options.minutesLate} minutes`;
-    }
-    
     // Create punch
     const punch = await PunchLog.create({
       userId: user._id,
@@ -113,14 +175,51 @@ class PunchService {
       punchTime,
       source,
       nfcTagId: nfcTag?._id || null,
-      notes: finalNotes || null
+      deviceId,
+      isLate: !!gracePeriod,
+      lateMinutes: gracePeriod?.minutesLate || 0,
+      isEarlyDeparture: !!earlyDeparture,
+      earlyMinutes: earlyDeparture ? Math.round(earlyDeparture.shortBy * 60) : 0,
+      location: {
+        latitude: location?.latitude ?? null,
+        longitude: location?.longitude ?? null,
+        accuracy: location?.accuracy ?? null
+      },
+      siteId: geofence?.site?.id || null,
+      distanceMeters: geofence?.distanceMeters ?? null,
+      outsideGeofence: !!geofence && !geofence.inside,
+      network: {
+        siteId: network?.network?.siteId || null,
+        range: network?.network?.range || null,
+        ipAddress: network ? ipAddress : null
+      },
+      outsideNetwork: !!network && !network.trusted,
+      outsideNetworkReason: network?.reason || null,
+      notes: notes || null
     });
     
+    // Coming back IN means an earlier OUT on this work day was a break, not a departure
+    if (punchType === 'IN') {
+      const dayCutoff = await TimeEngine.getDayCutoff(user, punchTime);
+      const { start } = TimeEngine.getDayBoundsUTC(timezone, punchTime, dayCutoff);
+      
+      await PunchLog.updateMany(
+        { userId: user._id, isEarlyDeparture: true, punchTime: { $gte: start, $lt: punchTime } },
+        { $set: { isEarlyDeparture: false, earlyMinutes: 0 } }
+      );
+    }
+    
+    if (gracePeriod) {
+      await AttendanceService.notifyLateArrival(user, punch, gracePeriod);
+    }
+    
+    EventService.publishPunch('punch-created', punch);
+    
     // Get updated dashboard data
     const dashboardData = await TimeEngine.getDashboardData(user);
     
     // Detect and return any punch issues
-    const punchIssues = await PunchValidator.detectPunchIssues(user._id, timezone);
+    const punchIssues = await PunchValidator.detectPunchIssues(user._id, timezone, await TimeEngine.getDayCutoff(user));
     
     return {
       punch: {
@@ -137,16 +236,20 @@ class PunchService {
   }
   
   /**
-   * Create manual punch for a specific time (Admin or self)
+   * Create manual punch for a specific time (Admin, or an approved correction request)
    */
-  static async createManualPunch(userId, punchData, performedBy) {
+  static async createManualPunch(userId, punchData, performedBy, options = {}) {
     const { punchType, punchTime, notes, reason } = punchData;
+    const { correctionRequestId = null } = options;
     
     // Validate punch time is not in the future
     if (moment(punchTime).isAfter(moment())) {
       throw new Error('Cannot create punch for future time.');
     }
     
+    // Punches inside a submitted or approved timesheet are locked
+    await TimesheetService.assertPunchUnlocked(userId, [punchTime]);
+    
     // Determine source
     const source = performedBy._id.toString() === userId.toString() ? 'Manual' : 'Admin';
     
@@ -159,6 +262,14 @@ class PunchService {
       notes
     });
     
+    // A punch added afterwards (e.g. an approved correction) clears a recorded absence
+    const owner = await User.findById(userId);
+    if (owner) {
+      const timezone = TimeEngine.getTimezone(owner);
+      const workDate = TimeEngine.getWorkDate(punch.punchTime, timezone, await TimeEngine.getDayCutoff(owner, punch.punchTime));
+      await Absence.deleteOne({ userId, date: workDate });
+    }
+    
     // Log audit if admin created
     if (source === 'Admin') {
       await AuditLog.log({
@@ -167,19 +278,23 @@ class PunchService {
         targetUser: userId,
         resourceType: 'PunchLog',
         resourceId: punch._id,
+        correctionRequestId,
         newState: punch.toObject(),
         description: reason || 'Manual punch created by admin'
       });
     }
     
+    EventService.publishPunch('punch-created', punch);
+    
     return punch;
   }
   
   /**
-   * Edit an existing punch
+   * Edit an existing punch (Admin, or an approved correction request)
    */
-  static async editPunch(punchId, editData, performedBy) {
+  static async editPunch(punchId, editData, performedBy, options = {}) {
     const { punchTime, punchType, editReason } = editData;
+    const { correctionRequestId = null } = options;
     
     const punch = await PunchLog.findById(punchId);
     
@@ -187,11 +302,14 @@ class PunchService {
       throw new Error('Punch not found.');
     }
     
-    // Check permission - user can edit own punch, admin can edit any
-    if (performedBy.role !== 'Admin' && punch.userId.toString() !== performedBy._id.toString()) {
-      throw new Error('Not authorized to edit this punch.');
+    // Check permission - only admins edit directly, everyone else goes through a correction request
+    if (performedBy.role !== 'Admin' && !correctionRequestId) {
+      throw new Error('Not authorized to edit this punch. Submit a correction request instead.');
     }
     
+    // Both the current and the new time must be outside a locked timesheet
+    await TimesheetService.assertPunchUnlocked(punch.userId, [punch.punchTime, punchTime]);
+    
     // Store original values
     const previousState = {
       punchTime: punch.punchTime,
@@ -223,6 +341,7 @@ class PunchService {
       targetUser: punch.userId,
       resourceType: 'PunchLog',
       resourceId: punch._id,
+      correctionRequestId,
       previousState,
       newState: {
         punchTime: punch.punchTime,
@@ -231,19 +350,24 @@ class PunchService {
       description: editReason
     });
     
+    EventService.publishPunch('punch-edited', punch);
+    
     return punch;
   }
   
   /**
-   * Delete a punch (Admin only)
+   * Delete a punch (Admin, or an approved correction request)
    */
-  static async deletePunch(punchId, performedBy, reason) {
+  static async deletePunch(punchId, performedBy, reason, options = {}) {
+    const { correctionRequestId = null } = options;
     const punch = await PunchLog.findById(punchId);
     
     if (!punch) {
       throw new Error('Punch not found.');
     }
     
+    await TimesheetService.assertPunchUnlocked(punch.userId, [punch.punchTime]);
+    
     // Log audit before deletion
     await AuditLog.log({
       action: 'PUNCH_DELETE',
@@ -251,12 +375,15 @@ class PunchService {
       targetUser: punch.userId,
       resourceType: 'PunchLog',
       resourceId: punch._id,
+      correctionRequestId,
       previousState: punch.toObject(),
       description: reason
     });
     
     await punch.deleteOne();
     
+    EventService.publishPunch('punch-deleted', punch);
+    
     return { success: true, message: 'Punch deleted successfully' };
   }
   
@@ -290,7 +417,8 @@ class PunchService {
       .sort({ punchTime: -1 })
       .skip((page - 1) * limit)
       .limit(limit)
-      .populate('editedBy', 'name');
+      .populate('editedBy', 'name')
+      .populate('siteId', 'name');
     
     return {
       punches: punches.map(p => ({
@@ -302,6 +430,13 @@ class PunchService {
         edited: p.edited,
         editedBy: p.editedBy?.name || null,
         editReason: p.editReason,
+        location: p.location?.latitude != null ? p.location : null,
+        site: p.siteId?.name || null,
+        distanceMeters: p.distanceMeters,
+        outsideGeofence: p.outsideGeofence,
+        network: p.network?.range || null,
+        outsideNetwork: p.outsideNetwork,
+        outsideNetworkReason: p.outsideNetworkReason,
         notes: p.notes
       })),
       pagination: {
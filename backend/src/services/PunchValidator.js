@@ -1,5 +1,7 @@
 const moment = require('moment-timezone');
-const { PunchLog } = require('../models');
+const { PunchLog, Holiday } = require('../models');
+const TimeEngine = require('./TimeEngine');
+const SiteService = require('./SiteService');
 const config = require('../config');
 
 /**
@@ -9,21 +11,21 @@ const config = require('../config');
 class PunchValidator {
   
   /**
-   * Validate punch sequence (IN -> OUT -> IN pattern)
+   * Validate punch sequence (IN -> OUT -> IN pattern) within the current work day
    */
-  static async validatePunchSequence(userId, newPunchType, timezone) {
-    const today = moment().tz(timezone);
-    const startOfDay = today.clone().startOf('day').utc().toDate();
-    const endOfDay = today.clone().endOf('day').utc().toDate();
-    
-    const todayPunches = await PunchLog.find({
-      userId,
-      punchTime: { $gte: startOfDay, $lte: endOfDay }
-    }).sort({ punchTime: 1 });
+  static async validatePunchSequence(userId, newPunchType, timezone, dayCutoff = '00:00') {
+    const todayPunches = await TimeEngine.getTodayPunches(userId, timezone, dayCutoff);
     
     if (todayPunches.length === 0) {
-      // First punch of the day - should be IN
-      if (newPunchType !== 'IN') {
+      // First punch of the day - should be IN, unless it closes a session
+      // carried over from the previous work day
+      const lastPunch = newPunchType === 'OUT'
+        ? await PunchLog.findOne({ userId }).sort({ punchTime: -1 })
+        : null;
+      const closesOpenSession = lastPunch?.punchType === 'IN' &&
+        moment().diff(moment(lastPunch.punchTime), 'minutes') <= 1440;
+      
+      if (newPunchType !== 'IN' && !closesOpenSession) {
         return {
           valid: false,
           error: 'First punch of the day must be IN',
@@ -74,7 +76,12 @@ class PunchValidator {
     const startMinutes = startHour * 60 + startMin;
     const endMinutes = endHour * 60 + endMin;
     
-    if (punchMinutes < startMinutes || punchMinutes > endMinutes) {
+    // Windows that wrap past midnight (e.g. 20:00 - 08:00) are inside when after start OR before end
+    const isOutside = startMinutes <= endMinutes
+      ? punchMinutes < startMinutes || punchMinutes > endMinutes
+      : punchMinutes < startMinutes && punchMinutes > endMinutes;
+    
+    if (isOutside) {
       return {
         valid: false,
         warning: `Punch time (${punchMoment.format('hh:mm A')}) is outside business hours (${businessHours.start} - ${businessHours.end})`,
@@ -88,15 +95,28 @@ class PunchValidator {
   
   /**
    * Check if punch is on weekend/holiday
+   * Pass workDate to judge night work by the day it started
    */
-  static validateWorkingDay(punchTime, timezone, workingDays = null) {
+  static validateWorkingDay(punchTime, timezone, workingDays = null, holiday = null, workDate = null) {
     if (!workingDays) {
       workingDays = config.defaults.workingDays || ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
     }
     
-    const punchMoment = moment(punchTime).tz(timezone);
+    const punchMoment = workDate ? moment.tz(workDate, timezone) : moment(punchTime).tz(timezone);
     const dayName = punchMoment.format('dddd');
     
+    if (holiday) {
+      return {
+        valid: false,
+        warning: `${punchMoment.format('dddd, MMMM DD')} is a holiday (${holiday.name})`,
+        severity: 'warning',
+        isWeekend: true,
+        isHoliday: true,
+        holidayName: holiday.name,
+        dayName
+      };
+    }
+    
     if (!workingDays.includes(dayName)) {
       return {
         valid: false,
@@ -112,12 +132,19 @@ class PunchValidator {
   
   /**
    * Check for grace period (late arrival)
+   * Pass shiftEndTime for overnight shifts so post-midnight punches are
+   * measured against the previous day's start
    */
-  static checkGracePeriod(punchInTime, timezone, graceMinutes = 15, shiftStartTime = '09:00') {
+  static checkGracePeriod(punchInTime, timezone, graceMinutes = 15, shiftStartTime = '09:00', shiftEndTime = null) {
     const punchMoment = moment(punchInTime).tz(timezone);
     const [startHour, startMin] = shiftStartTime.split(':').map(Number);
     
     const shiftStart = punchMoment.clone().hour(startHour).minute(startMin).second(0);
+    
+    if (shiftEndTime && shiftEndTime < shiftStartTime && punchMoment.format('HH:mm') < shiftEndTime) {
+      shiftStart.subtract(1, 'day');
+    }
+
     const gracePeriodEnd = shiftStart.clone().add(graceMinutes, 'minutes');
     
     if (punchMoment.isAfter(gracePeriodEnd)) {
@@ -136,12 +163,13 @@ class PunchValidator {
   
   /**
    * Check for early departure
+   * priorWorkedMinutes: time from sessions already closed on the same work day
    */
-  static checkEarlyDeparture(punchOutTime, punchInTime, timezone, minimumWorkHours = 8) {
+  static checkEarlyDeparture(punchOutTime, punchInTime, timezone, minimumWorkHours = 8, priorWorkedMinutes = 0) {
     const punchIn = moment(punchInTime).tz(timezone);
     const punchOut = moment(punchOutTime).tz(timezone);
     
-    const hoursWorked = punchOut.diff(punchIn, 'hours', true);
+    const hoursWorked = punchOut.diff(punchIn, 'hours', true) + priorWorkedMinutes / 60;
     
     if (hoursWorked < minimumWorkHours) {
       return {
@@ -157,17 +185,10 @@ class PunchValidator {
   }
   
   /**
-   * Detect potential punch issues
+   * Detect potential punch issues in the current work day
    */
-  static async detectPunchIssues(userId, timezone) {
-    const today = moment().tz(timezone);
-    const startOfDay = today.clone().startOf('day').utc().toDate();
-    const endOfDay = today.clone().endOf('day').utc().toDate();
-    
-    const todayPunches = await PunchLog.find({
-      userId,
-      punchTime: { $gte: startOfDay, $lte: endOfDay }
-    }).sort({ punchTime: 1 });
+  static async detectPunchIssues(userId, timezone, dayCutoff = '00:00') {
+    const todayPunches = await TimeEngine.getTodayPunches(userId, timezone, dayCutoff);
     
     const issues = [];
     
@@ -235,25 +256,117 @@ class PunchValidator {
     return issues;
   }
   
+  /**
+   * Check the punch location against the user's geofence rules
+   * Outside the fence (or without a location) the policy decides: off records
+   * only, warn allows with a warning, reject refuses the punch
+   */
+  static validateGeofence(location, rules = null) {
+    if (!rules || rules.sites.length === 0) {
+      return { valid: true, checked: false };
+    }
+    
+    const hasLocation = Number.isFinite(location?.latitude) && Number.isFinite(location?.longitude);
+    const match = hasLocation ? SiteService.locate(rules.sites, location) : null;
+    const policy = rules.policyOverride || (match ? match.site.policy : SiteService.strictestPolicy(rules.sites));
+    
+    const result = {
+      valid: true,
+      checked: true,
+      policy,
+      hasLocation,
+      inside: !!match?.inside,
+      site: match ? { id: match.site._id, name: match.site.name } : null,
+      distanceMeters: match ? match.distanceMeters : null
+    };
+    
+    if (result.inside || policy === 'off') {
+      return result;
+    }
+    
+    const message = hasLocation
+      ? `You are ${match.distanceMeters} m outside ${match.site.name}`
+      : 'Your location could not be determined';
+    
+    if (policy === 'reject') {
+      return { ...result, valid: false, error: `${message}. Punching is only allowed on site.` };
+    }
+    
+    return { ...result, warning: message };
+  }
+  
+  /**
+   * Check a manual punch's IP against the trusted office networks
+   * Outside them the strictest site policy decides: off records only, flag
+   * allows and flags the punch, reason requires a reason, block refuses it
+   */
+  static validateNetwork(ipAddress, rules = null, reason = null) {
+    const sites = (rules?.sites || []).filter(site => site.trustedNetworks?.length > 0);
+    if (sites.length === 0) {
+      return { valid: true, checked: false };
+    }
+    
+    const match = SiteService.matchNetwork(sites, ipAddress);
+    const policy = SiteService.strictestNetworkPolicy(sites);
+    
+    const result = {
+      valid: true,
+      checked: true,
+      policy,
+      trusted: !!match,
+      network: match ? { siteId: match.site._id, siteName: match.site.name, range: match.range } : null,
+      reason: null
+    };
+    
+    if (result.trusted || policy === 'off') {
+      return result;
+    }
+    
+    const message = 'You are not on a trusted office network';
+    
+    if (policy === 'block') {
+      return { ...result, valid: false, error: `${message}. Manual punches are only allowed from the office.` };
+    }
+    
+    if (policy === 'reason') {
+      const trimmed = reason?.trim();
+      if (!trimmed) {
+        return { ...result, valid: false, reasonRequired: true, error: `${message}. Please give a reason for punching from here.` };
+      }
+      return { ...result, reason: trimmed, warning: `${message}. Reason recorded: ${trimmed}` };
+    }
+    
+    return { ...result, warning: `${message}. This punch has been flagged.` };
+  }
+  
   /**
    * Comprehensive punch validation (all checks)
    */
   static async validatePunch(userId, punchType, punchTime, timezone, userConfig = {}) {
+    const workDate = userConfig.workDate || moment(punchTime).tz(timezone).format('YYYY-MM-DD');
+    const holiday = await Holiday.findByDate(workDate);
+    const todayPunches = await TimeEngine.getTodayPunches(userId, timezone, userConfig.dayCutoff);
+    
     const validations = {
-      sequence: await this.validatePunchSequence(userId, punchType, timezone),
+      sequence: await this.validatePunchSequence(userId, punchType, timezone, userConfig.dayCutoff),
       businessHours: this.validateBusinessHours(punchTime, timezone, userConfig.businessHours),
-      workingDay: this.validateWorkingDay(punchTime, timezone, userConfig.workingDays),
+      workingDay: this.validateWorkingDay(punchTime, timezone, userConfig.workingDays, holiday, userConfig.workDate),
       gracePeriod: null,
-      earlyDeparture: null
+      earlyDeparture: null,
+      geofence: this.validateGeofence(userConfig.location, userConfig.geofence),
+      network: userConfig.checkNetwork
+        ? this.validateNetwork(userConfig.ipAddress, userConfig.geofence, userConfig.reason)
+        : { valid: true, checked: false }
     };
     
-    // Check grace period only for IN punches
-    if (punchType === 'IN') {
+    // Check grace period only for the first IN of the work day
+    if (punchType === 'IN' && !todayPunches.some(p => p.punchType === 'IN')) {
       validations.gracePeriod = this.checkGracePeriod(
         punchTime,
         timezone,
         userConfig.graceMinutes,
-        userConfig.shiftStartTime
+        userConfig.shiftStartTime,
+        userConfig.shiftEndTime
       );
     }
     
@@ -270,17 +383,31 @@ class PunchValidator {
           punchTime,
           lastInPunch.punchTime,
           timezone,
-          userConfig.minimumWorkHours
+          userConfig.minimumWorkHours,
+          TimeEngine.calculateWorkedTime(todayPunches, false)
         );
       }
     }
     
     // Determine overall validity
-    const hasErrors = !validations.sequence.valid;
+    const errors = [];
+    if (!validations.sequence.valid) {
+      errors.push(validations.sequence.error);
+    }
+    if (!validations.geofence.valid) {
+      errors.push(validations.geofence.error);
+    }
+    if (!validations.network.valid) {
+      errors.push(validations.network.error);
+    }
+    
+    const hasErrors = errors.length > 0;
     const hasWarnings = !validations.businessHours.valid || 
                         !validations.workingDay.valid ||
                         validations.gracePeriod?.isLate ||
-                        validations.earlyDeparture?.isEarly;
+                        validations.earlyDeparture?.isEarly ||
+                        !!validations.geofence.warning ||
+                        !!validations.network.warning;
     
     return {
       valid: !hasErrors,
@@ -289,7 +416,7 @@ class PunchValidator {
       summary: {
         canProceed: !hasErrors,
         requiresConfirmation: hasWarnings,
-        errors: hasErrors ? [validations.sequence.error] : [],
+        errors,
         warnings: this.collectWarnings(validations)
       }
     };
@@ -317,6 +444,14 @@ class PunchValidator {
       warnings.push(`Early departure: Only ${validations.earlyDeparture.hoursWorked}h worked (${validations.earlyDeparture.minimumRequired}h required)`);
     }
     
+    if (validations.geofence?.warning) {
+      warnings.push(validations.geofence.warning);
+    }
+    
+    if (validations.network?.warning) {
+      warnings.push(validations.network.warning);
+    }
+    
     return warnings;
   }
 }
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { Device } = require('../models');
+const config = require('../config');
+
+const TOKEN_VERSION = 'qr1';
+const SIGNATURE_LENGTH = 32;
+// Tolerate kiosk clocks running slightly ahead of the server
+const CLOCK_SKEW_SECONDS = 5;
+
+/**
+ * QR Service
+ * Short-lived signed codes shown on QR kiosks. A code names the kiosk device and
+ * the second it was issued; employees scan it to prove they are at the kiosk.
+ * Token format: qr1.<deviceId>.<issuedAt epoch seconds>.<signature>
+ */
+class QrService {
+
+  /**
+   * HMAC signature of a token body
+   */
+  static sign(body) {
+    return crypto
+      .createHmac('sha256', config.qrPunch.secret)
+      .update(body)
+      .digest('hex')
+      .slice(0, SIGNATURE_LENGTH);
+  }
+
+  /**
+   * Issue a code for a kiosk device
+   */
+  static issueToken(device, now = new Date()) {
+    const issuedAt = Math.floor(now.getTime() / 1000);
+    const body = `${TOKEN_VERSION}.${device._id}.${issuedAt}`;
+
+    return {
+      token: `${body}.${this.sign(body)}`,
+      issuedAt: new Date(issuedAt * 1000),
+      expiresAt: new Date((issuedAt + config.qrPunch.ttlSeconds) * 1000),
+      rotateSeconds: config.qrPunch.rotateSeconds
+    };
+  }
+
+  /**
+   * Check a code's signature and freshness (no database access)
+   * Returns { valid, deviceId } or { valid: false, error }
+   */
+  static parseToken(token, now = new Date()) {
+    const parts = String(token || '').trim().split('.');
+    const [version, deviceId, issuedAtText, signature] = parts;
+
+    if (parts.length !== 4 || version !== TOKEN_VERSION || !/^[0-9a-f]{24}$/.test(deviceId) || !/^\d+$/.test(issuedAtText)) {
+      return { valid: false, error: 'This is not a punch QR code.' };
+    }
+
+    const expected = this.sign(`${version}.${deviceId}.${issuedAtText}`);
+    const signatureValid = signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    if (!signatureValid) {
+      return { valid: false, error: 'Invalid QR code.' };
+    }
+
+    const age = Math.floor(now.getTime() / 1000) - Number(issuedAtText);
+    if (age > config.qrPunch.ttlSeconds || age < -CLOCK_SKEW_SECONDS) {
+      return { valid: false, error: 'QR code has expired. Scan the code currently on the kiosk.' };
+    }
+
+    return { valid: true, deviceId };
+  }
+
+  /**
+   * Verify a scanned code and the kiosk that issued it
+   */
+  static async verifyToken(token, now = new Date()) {
+    const parsed = this.parseToken(token, now);
+    if (!parsed.valid) {
+      return parsed;
+    }
+
+    const device = await Device.findOne({ _id: parsed.deviceId, isActive: true });
+    if (!device) {
+      return { valid: false, error: 'This kiosk is no longer active.' };
+    }
+
+    return { valid: true, device };
+  }
+}
+
+module.exports = QrService;
@@ -0,0 +1,271 @@
+const moment = require('moment-timezone');
+const { Shift, Roster, User, AuditLog } = require('../models');
+const config = require('../config');
+
+/**
+ * Shift Service
+ * Manages shift definitions and per-user rosters
+ */
+class ShiftService {
+
+  /**
+   * Resolve the shift a user works on a calendar date (YYYY-MM-DD)
+   * Roster entry first, then the user's default shift
+   */
+  static async getShiftForDate(user, date) {
+    const rostered = await Roster.findShiftForDate(user._id, date);
+    if (rostered?.isActive) {
+      return rostered;
+    }
+
+    if (user.profile?.shiftId) {
+      const defaultShift = await Shift.findById(user.profile.shiftId);
+      if (defaultShift?.isActive) {
+        return defaultShift;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Shift the clock time "HH:mm" by a number of minutes (wraps around midnight)
+   */
+  static offsetTime(time, minutes) {
+    const [hours, mins] = time.split(':').map(Number);
+    const total = ((hours * 60 + mins + minutes) % 1440 + 1440) % 1440;
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Build the PunchValidator config for a user on a work date (YYYY-MM-DD)
+   * Falls back to the global defaults when no shift is assigned
+   */
+  static async getValidationConfig(user, date) {
+    const shift = await this.getShiftForDate(user, date);
+
+    if (!shift) {
+      return {
+        workingDays: user.profile?.workingDays,
+        graceMinutes: config.defaults.graceMinutes,
+        shiftStartTime: config.defaults.shiftStartTime,
+        minimumWorkHours: config.defaults.minimumWorkHours,
+        shift: null
+      };
+    }
+
+    const window = config.defaults.shiftPunchWindowMinutes;
+
+    return {
+      workingDays: user.profile?.workingDays,
+      businessHours: {
+        start: this.offsetTime(shift.startTime, -window),
+        end: this.offsetTime(shift.endTime, window)
+      },
+      graceMinutes: shift.graceMinutes,
+      shiftStartTime: shift.startTime,
+      shiftEndTime: shift.endTime,
+      minimumWorkHours: shift.workMinutes / 60,
+      shift
+    };
+  }
+
+  /**
+   * Get all shifts
+   */
+  static async getShifts(options = {}) {
+    const { active = null } = options;
+
+    const query = {};
+    if (active !== null) {
+      query.isActive = active;
+    }
+
+    return await Shift.find(query).sort({ startTime: 1 });
+  }
+
+  /**
+   * Create a shift (Admin)
+   */
+  static async createShift(data, performedBy) {
+    const shift = await Shift.create({
+      ...data,
+      createdBy: performedBy._id
+    });
+
+    await AuditLog.log({
+      action: 'SHIFT_CREATE',
+      performedBy: performedBy._id,
+      resourceType: 'Shift',
+      resourceId: shift._id,
+      newState: shift.toObject(),
+      description: `Shift created: ${shift.name} (${shift.startTime} - ${shift.endTime})`
+    });
+
+    return shift;
+  }
+
+  /**
+   * Update a shift (Admin)
+   */
+  static async updateShift(shiftId, data, performedBy) {
+    const shift = await Shift.findById(shiftId);
+
+    if (!shift) {
+      throw new Error('Shift not found.');
+    }
+
+    const previousState = shift.toObject();
+
+    ['name', 'startTime', 'endTime', 'graceMinutes', 'breakMinutes', 'isOvernight', 'dayCutoff', 'isActive'].forEach(field => {
+      if (data[field] !== undefined) {
+        shift[field] = data[field];
+      }
+    });
+
+    await shift.save();
+
+    await AuditLog.log({
+      action: 'SHIFT_UPDATE',
+      performedBy: performedBy._id,
+      resourceType: 'Shift',
+      resourceId: shift._id,
+      previousState,
+      newState: shift.toObject(),
+      description: `Shift updated: ${shift.name}`
+    });
+
+    return shift;
+  }
+
+  /**
+   * Delete a shift that is not rostered or assigned as a default (Admin)
+   */
+  static async deleteShift(shiftId, performedBy) {
+    const shift = await Shift.findById(shiftId);
+
+    if (!shift) {
+      throw new Error('Shift not found.');
+    }
+
+    const inUse = await Roster.exists({ shiftId }) || await User.exists({ 'profile.shiftId': shiftId });
+    if (inUse) {
+      throw new Error('Shift is in use. Deactivate it instead of deleting.');
+    }
+
+    await AuditLog.log({
+      action: 'SHIFT_DELETE',
+      performedBy: performedBy._id,
+      resourceType: 'Shift',
+      resourceId: shift._id,
+      previousState: shift.toObject(),
+      description: `Shift deleted: ${shift.name}`
+    });
+
+    await shift.deleteOne();
+
+    return { success: true, message: 'Shift deleted successfully' };
+  }
+
+  /**
+   * Assign a shift to users for every date in a range (Admin)
+   * Existing roster entries for those dates are replaced
+   */
+  static async assignRoster(data, performedBy) {
+    const { userIds, shiftId, startDate, endDate } = data;
+    const finalEndDate = endDate || startDate;
+
+    const shift = await Shift.findById(shiftId);
+    if (!shift || !shift.isActive) {
+      throw new Error('Shift not found or inactive.');
+    }
+
+    const start = moment(startDate, 'YYYY-MM-DD', true);
+    const end = moment(finalEndDate, 'YYYY-MM-DD', true);
+
+    if (end.isBefore(start)) {
+      throw new Error('End date cannot be before start date.');
+    }
+    if (end.diff(start, 'days') > 366) {
+      throw new Error('Roster range cannot exceed one year.');
+    }
+
+    const operations = [];
+    for (const userId of userIds) {
+      for (const day = start.clone(); !day.isAfter(end, 'day'); day.add(1, 'day')) {
+        operations.push({
+          updateOne: {
+            filter: { userId, date: day.format('YYYY-MM-DD') },
+            update: { $set: { shiftId, assignedBy: performedBy._id } },
+            upsert: true
+          }
+        });
+      }
+    }
+
+    const result = await Roster.bulkWrite(operations);
+
+    await AuditLog.log({
+      action: 'ROSTER_UPDATE',
+      performedBy: performedBy._id,
+      resourceType: 'Roster',
+      newState: { userIds, shiftId, startDate, endDate: finalEndDate },
+      description: `Rostered ${shift.name} for ${userIds.length} user(s) from ${startDate} to ${finalEndDate}`
+    });
+
+    return {
+      assigned: operations.length,
+      created: result.upsertedCount,
+      updated: result.modifiedCount
+    };
+  }
+
+  /**
+   * Remove a single roster entry (Admin)
+   */
+  static async removeRosterEntry(rosterId, performedBy) {
+    const entry = await Roster.findById(rosterId);
+
+    if (!entry) {
+      throw new Error('Roster entry not found.');
+    }
+
+    await AuditLog.log({
+      action: 'ROSTER_UPDATE',
+      performedBy: performedBy._id,
+      targetUser: entry.userId,
+      resourceType: 'Roster',
+      resourceId: entry._id,
+      previousState: entry.toObject(),
+      description: `Roster entry removed for ${entry.date}`
+    });
+
+    await entry.deleteOne();
+
+    return { success: true, message: 'Roster entry removed successfully' };
+  }
+
+  /**
+   * Get roster entries within a date range
+   */
+  static async getRoster(options = {}) {
+    const { userId, startDate, endDate } = options;
+
+    const query = {};
+    if (userId) {
+      query.userId = userId;
+    }
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = startDate;
+      if (endDate) query.date.$lte = endDate;
+    }
+
+    return await Roster.find(query)
+      .populate('userId', 'name email')
+      .populate('shiftId', 'name startTime endTime isOvernight')
+      .sort({ date: 1 });
+  }
+}
+
+module.exports = ShiftService;
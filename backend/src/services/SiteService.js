@@ -0,0 +1,180 @@
+const { Site, User, AuditLog } = require('../models');
+const { distanceMeters, distanceToPolygonMeters } = require('../utils/geo');
+const { isIpAllowed } = require('../utils/network');
+
+// Strictest policy first
+const POLICY_ORDER = ['reject', 'warn', 'off'];
+const NETWORK_POLICY_ORDER = ['block', 'reason', 'flag', 'off'];
+
+/**
+ * Site Service
+ * Office sites with geofences, and the geofence rules that apply to a user's punches
+ */
+class SiteService {
+
+  /**
+   * Distance from a point to a site's fence in meters (0 = inside)
+   */
+  static measure(site, point) {
+    if (site.fenceType === 'polygon') {
+      return distanceToPolygonMeters(point, site.polygon);
+    }
+
+    return Math.max(0, distanceMeters(site.center, point) - site.radiusMeters);
+  }
+
+  /**
+   * Find the site a point is in, or else the nearest one
+   * Returns { site, inside, distanceMeters } or null when there are no sites
+   */
+  static locate(sites, point) {
+    let nearest = null;
+
+    for (const site of sites) {
+      const distance = this.measure(site, point);
+      if (!nearest || distance < nearest.distanceMeters) {
+        nearest = { site, inside: distance === 0, distanceMeters: Math.round(distance) };
+      }
+    }
+
+    return nearest;
+  }
+
+  /**
+   * Strictest policy among sites
+   */
+  static strictestPolicy(sites) {
+    return POLICY_ORDER.find(policy => sites.some(site => site.policy === policy)) || 'off';
+  }
+
+  /**
+   * Find the trusted network an IP belongs to
+   * Returns { site, range } or null
+   */
+  static matchNetwork(sites, ipAddress) {
+    for (const site of sites) {
+      const range = (site.trustedNetworks || []).find(candidate => isIpAllowed(ipAddress, [candidate]));
+      if (range) {
+        return { site, range };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Strictest network policy among sites that define trusted networks
+   */
+  static strictestNetworkPolicy(sites) {
+    const withNetworks = sites.filter(site => site.trustedNetworks?.length > 0);
+    return NETWORK_POLICY_ORDER.find(policy => withNetworks.some(site => site.networkPolicy === policy)) || 'off';
+  }
+
+  /**
+   * Geofence and network rules for a user: their assigned site (or all active sites) and
+   * their policy override
+   */
+  static async getRules(user) {
+    const siteId = user.profile?.siteId;
+    const sites = siteId
+      ? await Site.find({ _id: siteId, isActive: true })
+      : await Site.find({ isActive: true });
+
+    return {
+      sites,
+      policyOverride: user.profile?.geofencePolicy || null
+    };
+  }
+
+  /**
+   * Get all sites
+   */
+  static async getSites(options = {}) {
+    const { active = null } = options;
+    const query = active === null ? {} : { isActive: active };
+
+    return await Site.find(query).sort({ name: 1 });
+  }
+
+  /**
+   * Create a site (Admin)
+   */
+  static async createSite(data, performedBy) {
+    const site = await Site.create({
+      ...data,
+      createdBy: performedBy._id
+    });
+
+    await AuditLog.log({
+      action: 'SITE_CREATE',
+      performedBy: performedBy._id,
+      resourceType: 'Site',
+      resourceId: site._id,
+      newState: site.toObject(),
+      description: `Site created: ${site.name}`
+    });
+
+    return site;
+  }
+
+  /**
+   * Update a site (Admin)
+   */
+  static async updateSite(siteId, data, performedBy) {
+    const site = await Site.findById(siteId);
+
+    if (!site) {
+      throw new Error('Site not found.');
+    }
+
+    const previousState = site.toObject();
+
+    ['name', 'fenceType', 'center', 'radiusMeters', 'polygon', 'policy', 'trustedNetworks', 'networkPolicy', 'isActive'].forEach(field => {
+      if (data[field] !== undefined) {
+        site[field] = data[field];
+      }
+    });
+
+    await site.save();
+
+    await AuditLog.log({
+      action: 'SITE_UPDATE',
+      performedBy: performedBy._id,
+      resourceType: 'Site',
+      resourceId: site._id,
+      previousState,
+      newState: site.toObject(),
+      description: `Site updated: ${site.name}`
+    });
+
+    return site;
+  }
+
+  /**
+   * Delete a site no user is assigned to (Admin)
+   */
+  static async deleteSite(siteId, performedBy) {
+    const site = await Site.findById(siteId);
+
+    if (!site) {
+      throw new Error('Site not found.');
+    }
+
+    if (await User.exists({ 'profile.siteId': siteId })) {
+      throw new Error('Site is assigned to users. Reassign them or deactivate the site instead.');
+    }
+
+    await AuditLog.log({
+      action: 'SITE_DELETE',
+      performedBy: performedBy._id,
+      resourceType: 'Site',
+      resourceId: site._id,
+      previousState: site.toObject(),
+      description: `Site deleted: ${site.name}`
+    });
+
+    await site.deleteOne();
+  }
+}
+
+module.exports = SiteService;
@@ -0,0 +1,170 @@
+const moment = require('moment-timezone');
+const { User, ReportDelivery } = require('../models');
+const TimeEngine = require('./TimeEngine');
+const PayrollService = require('./PayrollService');
+const EmailService = require('./EmailService');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Summary Report Service
+ * Scheduled weekly/monthly summary emails with a per-period send history
+ */
+class SummaryReportService {
+
+  /**
+   * Work out which period a report covers right now for a timezone
+   * Reports cover the last completed week/month and become due at the
+   * configured local hour on the first day after it
+   */
+  static getDuePeriod(reportType, now, timezone, sendHour = config.summaryEmails.sendHour) {
+    const local = moment(now).tz(timezone);
+    const unit = reportType === 'Weekly' ? 'week' : 'month';
+    const currentStart = local.clone().startOf(unit);
+    const previousStart = currentStart.clone().subtract(1, unit);
+
+    return {
+      period: reportType === 'Weekly' ? previousStart.format('YYYY-MM-DD') : previousStart.format('YYYY-MM'),
+      due: local.isSameOrAfter(currentStart.clone().hour(sendHour))
+    };
+  }
+
+  /**
+   * Build the stats for last week's summary email
+   */
+  static async getWeeklyStats(user) {
+    const summary = await TimeEngine.getWeeklySummary(user, 1);
+
+    return {
+      weekStart: summary.weekStart,
+      weekEnd: summary.weekEnd,
+      totalMinutes: summary.totalWorkedMinutes,
+      targetMinutes: summary.weeklyTargetMinutes,
+      daysPresent: summary.dailyData.filter(day => day.punchCount > 0).length,
+      totalPunches: summary.dailyData.reduce((sum, day) => sum + day.punchCount, 0),
+      overtimeMinutes: summary.overtime.overtimeMinutes
+    };
+  }
+
+  /**
+   * Build the stats for last month's report email
+   */
+  static async getMonthlyStats(user) {
+    const summary = await TimeEngine.getMonthlySummary(user, 1);
+    const lateArrivals = await PayrollService.countLateArrivals(
+      user,
+      summary.dailyData,
+      TimeEngine.getTimezone(user),
+      await TimeEngine.getDayCutoff(user)
+    );
+
+    return {
+      month: summary.month,
+      totalMinutes: summary.totalWorkedMinutes,
+      workingDays: summary.workingDays,
+      daysPresent: summary.daysPresent,
+      daysAbsent: summary.daysAbsent,
+      attendanceRate: summary.attendanceRate,
+      overtimeMinutes: summary.overtime.overtimeMinutes,
+      lateArrivals
+    };
+  }
+
+  /**
+   * Send every due report of a type to opted-in users
+   */
+  static async sendDueReports(reportType, now = new Date()) {
+    const preference = reportType === 'Weekly' ? 'weekly' : 'monthly';
+    const users = await User.find({ isActive: true, [`profile.emailReports.${preference}`]: true });
+
+    const results = { sent: 0, failed: 0, skipped: 0 };
+
+    for (const user of users) {
+      const { period, due } = this.getDuePeriod(reportType, now, TimeEngine.getTimezone(user));
+      if (!due) {
+        results.skipped++;
+        continue;
+      }
+
+      // Send history: never resend a delivered period, give up after repeated failures
+      const delivery = await ReportDelivery.findOne({ userId: user._id, reportType, period });
+      if (delivery && (delivery.status === 'Sent' || delivery.attempts >= config.summaryEmails.maxAttempts)) {
+        results.skipped++;
+        continue;
+      }
+
+      let stats = null;
+      try {
+        if (reportType === 'Weekly') {
+          stats = await this.getWeeklyStats(user);
+        } else {
+          stats = await this.getMonthlyStats(user);
+        }
+
+        const email = reportType === 'Weekly'
+          ? await EmailService.sendWeeklySummary(user, stats)
+          : await EmailService.sendMonthlyReport(user, stats);
+
+        if (!email.success) {
+          throw new Error(email.error || email.message);
+        }
+
+        await ReportDelivery.findOneAndUpdate(
+          { userId: user._id, reportType, period },
+          { $set: { status: 'Sent', sentAt: new Date(), lastError: null, stats }, $inc: { attempts: 1 } },
+          { upsert: true }
+        );
+        results.sent++;
+      } catch (error) {
+        logger.error(`Failed to send ${reportType.toLowerCase()} report to ${user.email}:`, error);
+
+        await ReportDelivery.findOneAndUpdate(
+          { userId: user._id, reportType, period },
+          { $set: { status: 'Failed', lastError: error.message, stats }, $inc: { attempts: 1 } },
+          { upsert: true }
+        );
+        results.failed++;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the send history with optional filters
+   */
+  static async getDeliveries(options = {}) {
+    const { userId, reportType, status, page = 1, limit = 50 } = options;
+
+    const query = {};
+    if (userId) {
+      query.userId = userId;
+    }
+    if (reportType) {
+      query.reportType = reportType;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const total = await ReportDelivery.countDocuments(query);
+
+    const deliveries = await ReportDelivery.find(query)
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    return {
+      deliveries,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = SummaryReportService;
@@ -0,0 +1,196 @@
+const { Team, User, AuditLog } = require('../models');
+
+/**
+ * Team Service
+ * Manages teams/departments and their managers
+ */
+class TeamService {
+
+  /**
+   * Ensure a user exists and may manage a team
+   */
+  static async validateManager(managerId) {
+    const manager = await User.findById(managerId);
+
+    if (!manager || !manager.isActive) {
+      throw new Error('Manager not found or inactive.');
+    }
+
+    if (!['Manager', 'Admin'].includes(manager.role)) {
+      throw new Error(`${manager.name} must have the Manager role to manage a team.`);
+    }
+
+    return manager;
+  }
+
+  /**
+   * Get teams (all, or only those managed by a manager)
+   */
+  static async getTeams(options = {}) {
+    const { managerId = null } = options;
+
+    const query = {};
+    if (managerId) {
+      query.managerId = managerId;
+    }
+
+    const teams = await Team.find(query)
+      .populate('managerId', 'name email')
+      .sort({ name: 1 });
+
+    const counts = await User.aggregate([
+      { $match: { teamId: { $in: teams.map(t => t._id) } } },
+      { $group: { _id: '$teamId', count: { $sum: 1 } } }
+    ]);
+    const countByTeam = Object.fromEntries(counts.map(c => [c._id.toString(), c.count]));
+
+    return teams.map(team => ({
+      ...team.toObject(),
+      memberCount: countByTeam[team._id.toString()] || 0
+    }));
+  }
+
+  /**
+   * Get a team with its members
+   */
+  static async getTeam(teamId) {
+    const team = await Team.findById(teamId).populate('managerId', 'name email');
+
+    if (!team) {
+      throw new Error('Team not found.');
+    }
+
+    const members = await User.find({ teamId }).sort({ name: 1 });
+
+    return {
+      team,
+      members: members.map(u => u.toPublicJSON())
+    };
+  }
+
+  /**
+   * Create a team (Admin)
+   */
+  static async createTeam(data, performedBy) {
+    const { name, description, managerId } = data;
+
+    await this.validateManager(managerId);
+
+    const team = await Team.create({
+      name,
+      description,
+      managerId,
+      createdBy: performedBy._id
+    });
+
+    await AuditLog.log({
+      action: 'TEAM_CREATE',
+      performedBy: performedBy._id,
+      resourceType: 'Team',
+      resourceId: team._id,
+      newState: team.toObject(),
+      description: `Team created: ${name}`
+    });
+
+    return team;
+  }
+
+  /**
+   * Update a team (Admin)
+   */
+  static async updateTeam(teamId, data, performedBy) {
+    const team = await Team.findById(teamId);
+
+    if (!team) {
+      throw new Error('Team not found.');
+    }
+
+    if (data.managerId !== undefined && data.managerId.toString() !== team.managerId.toString()) {
+      await this.validateManager(data.managerId);
+    }
+
+    const previousState = team.toObject();
+
+    ['name', 'description', 'managerId', 'isActive'].forEach(field => {
+      if (data[field] !== undefined) {
+        team[field] = data[field];
+      }
+    });
+
+    await team.save();
+
+    await AuditLog.log({
+      action: 'TEAM_UPDATE',
+      performedBy: performedBy._id,
+      resourceType: 'Team',
+      resourceId: team._id,
+      previousState,
+      newState: team.toObject(),
+      description: `Team updated: ${team.name}`
+    });
+
+    return team;
+  }
+
+  /**
+   * Set the members of a team (Admin)
+   * Users listed are moved into the team; current members not listed are removed
+   */
+  static async setMembers(teamId, userIds, performedBy) {
+    const team = await Team.findById(teamId);
+
+    if (!team) {
+      throw new Error('Team not found.');
+    }
+
+    const previousMembers = await User.find({ teamId }).distinct('_id');
+
+    await User.updateMany(
+      { teamId, _id: { $nin: userIds } },
+      { $set: { teamId: null } }
+    );
+    await User.updateMany(
+      { _id: { $in: userIds } },
+      { $set: { teamId } }
+    );
+
+    await AuditLog.log({
+      action: 'TEAM_UPDATE',
+      performedBy: performedBy._id,
+      resourceType: 'Team',
+      resourceId: team._id,
+      previousState: { members: previousMembers },
+      newState: { members: userIds },
+      description: `Team members updated: ${team.name}`
+    });
+
+    return await this.getTeam(teamId);
+  }
+
+  /**
+   * Delete a team (Admin); members become unassigned
+   */
+  static async deleteTeam(teamId, performedBy) {
+    const team = await Team.findById(teamId);
+
+    if (!team) {
+      throw new Error('Team not found.');
+    }
+
+    await AuditLog.log({
+      action: 'TEAM_DELETE',
+      performedBy: performedBy._id,
+      resourceType: 'Team',
+      resourceId: team._id,
+      previousState: team.toObject(),
+      description: `Team deleted: ${team.name}`
+    });
+
+    await User.updateMany({ teamId }, { $set: { teamId: null } });
+    await team.deleteOne();
+
+    return { success: true, message: 'Team deleted successfully' };
+  }
+}
+
+module.exports = TeamService;
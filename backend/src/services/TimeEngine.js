@@ -1,5 +1,7 @@
 const moment = require('moment-timezone');
-const { PunchLog } = require('../models');
+const { PunchLog, Leave, Holiday, BreakPolicy } = require('../models');
+const ShiftService = require('./ShiftService');
+const OvertimeService = require('./OvertimeService');
 const config = require('../config');
 
 /**
@@ -23,26 +25,230 @@ class TimeEngine {
   }
   
   /**
-   * Get start and end of day in UTC for user's timezone
+   * Get approved leave per calendar date (YYYY-MM-DD) within a range
+   * Leave minutes are capped at the daily target
    */
-  static getDayBoundsUTC(timezone, date = null) {
-    const day = date ? moment(date).tz(timezone) : moment().tz(timezone);
+  static async getLeaveByDate(userId, startDate, endDate, dailyTargetMinutes) {
+    const leaves = await Leave.getApprovedInRange(userId, startDate, endDate);
+    const leaveByDate = {};
+    
+    for (const leave of leaves) {
+      const from = moment.max(moment(leave.startDate), moment(startDate));
+      const to = moment.min(moment(leave.endDate), moment(endDate));
+      
+      for (const day = from.clone(); !day.isAfter(to, 'day'); day.add(1, 'day')) {
+        const date = day.format('YYYY-MM-DD');
+        const entry = leaveByDate[date] || { leaveMinutes: 0, leaveTypes: [] };
+        
+        entry.leaveMinutes = Math.min(
+          dailyTargetMinutes,
+          entry.leaveMinutes + leave.getLeaveMinutes(dailyTargetMinutes)
+        );
+        if (!entry.leaveTypes.includes(leave.leaveType)) {
+          entry.leaveTypes.push(leave.leaveType);
+        }
+        
+        leaveByDate[date] = entry;
+      }
+    }
+    
+    return leaveByDate;
+  }
+  
+  /**
+   * Get the work target for a work date (default: today) after holidays and
+   * approved leave are deducted
+   */
+  static async getEffectiveDailyTarget(user, date = null) {
+    const timezone = this.getTimezone(user);
+    const baseTarget = this.getDailyWorkTarget(user);
+    const today = date || this.getWorkDate(new Date(), timezone, await this.getDayCutoff(user));
+    
+    const holiday = await Holiday.findByDate(today);
+    const leaveByDate = holiday ? {} : await this.getLeaveByDate(user._id, today, today, baseTarget);
+    const leaveMinutes = leaveByDate[today]?.leaveMinutes || 0;
+    
     return {
-      start: day.clone().startOf('day').utc().toDate(),
-      end: day.clone().endOf('day').utc().toDate()
+      dailyTarget: holiday ? 0 : baseTarget - leaveMinutes,
+      baseTarget,
+      leaveMinutes,
+      leaveTypes: leaveByDate[today]?.leaveTypes || [],
+      isOnLeave: leaveMinutes >= baseTarget,
+      holiday: holiday ? { name: holiday.name, date: today } : null
     };
   }
   
   /**
-   * Get today's punches for a user
+   * Calculate progress towards a target (a zero target counts as complete)
+   */
+  static calculateProgressPercent(workedMinutes, targetMinutes) {
+    if (targetMinutes <= 0) {
+      return 100;
+    }
+    return Math.min(100, Math.round((workedMinutes / targetMinutes) * 100));
+  }
+  
+  /**
+   * Get the work-day cutoff (HH:mm) for a user
+   * Profile setting first, then the shift the time belongs to, then the global default.
+   * Before the previous day's cutoff a time still belongs to that day's (overnight)
+   * shift, so that shift is checked before the one on the calendar date.
    */
-  static async getTodayPunches(userId, timezone) {
-    const { start, end } = this.getDayBoundsUTC(timezone);
+  static async getDayCutoff(user, time = new Date()) {
+    if (user?.profile?.dayCutoff) {
+      return user.profile.dayCutoff;
+    }
     
-    return await PunchLog.find({
+    const local = moment(time).tz(this.getTimezone(user));
+    
+    const previousShift = await ShiftService.getShiftForDate(user, local.clone().subtract(1, 'day').format('YYYY-MM-DD'));
+    const shift = await ShiftService.getShiftForDate(user, local.format('YYYY-MM-DD'));
+    
+    return this.pickDayCutoff(local, previousShift?.getDayCutoff(), shift?.getDayCutoff());
+  }
+  
+  /**
+   * Choose between the previous and the current calendar date's shift cutoff
+   * for a local time (either may be null when there is no overnight shift)
+   */
+  static pickDayCutoff(local, previousCutoff, cutoff) {
+    if (previousCutoff && local.format('HH:mm') < previousCutoff) {
+      return previousCutoff;
+    }
+    
+    return cutoff || config.defaults.dayCutoff;
+  }
+  
+  /**
+   * Build a function mapping a time to its work date for a range of work dates
+   * Applies getDayCutoff's rules with each date's own shift, so a range mixing
+   * day and night shifts is split where each shift's day ends
+   */
+  static async getWorkDateResolver(user, startDate, endDate) {
+    const timezone = this.getTimezone(user);
+    
+    if (user?.profile?.dayCutoff) {
+      const cutoff = user.profile.dayCutoff;
+      return time => this.getWorkDate(time, timezone, cutoff);
+    }
+    
+    // Shift cutoffs per calendar date, including the days either side of the range
+    const shiftCutoffs = {};
+    const last = moment(endDate).add(1, 'day');
+    for (const day = moment(startDate).subtract(1, 'day'); !day.isAfter(last, 'day'); day.add(1, 'day')) {
+      const date = day.format('YYYY-MM-DD');
+      const shift = await ShiftService.getShiftForDate(user, date);
+      shiftCutoffs[date] = shift?.getDayCutoff() || null;
+    }
+    
+    return (time) => {
+      const local = moment(time).tz(timezone);
+      const cutoff = this.pickDayCutoff(
+        local,
+        shiftCutoffs[local.clone().subtract(1, 'day').format('YYYY-MM-DD')],
+        shiftCutoffs[local.format('YYYY-MM-DD')]
+      );
+      
+      return this.getWorkDate(time, timezone, cutoff);
+    };
+  }
+  
+  /**
+   * Get the work date (YYYY-MM-DD) a moment in time belongs to
+   * Times before the cutoff count towards the previous calendar day
+   */
+  static getWorkDate(time, timezone, cutoff = '00:00') {
+    const local = moment(time).tz(timezone);
+    
+    if (local.format('HH:mm') < cutoff) {
+      local.subtract(1, 'day');
+    }
+    
+    return local.format('YYYY-MM-DD');
+  }
+  
+  /**
+   * Get start and end of a work day in UTC for user's timezone
+   * Defaults to the current work day; a work day runs from cutoff to cutoff
+   */
+  static getDayBoundsUTC(timezone, date = null, cutoff = '00:00') {
+    const workDate = typeof date === 'string'
+      ? date
+      : this.getWorkDate(date || new Date(), timezone, cutoff);
+    const start = moment.tz(`${workDate} ${cutoff}`, 'YYYY-MM-DD HH:mm', timezone);
+    
+    return {
+      start: start.clone().utc().toDate(),
+      end: start.clone().add(1, 'day').subtract(1, 'millisecond').utc().toDate()
+    };
+  }
+  
+  /**
+   * Group punches (sorted by time) by the work date they belong to
+   * An OUT closing a session keeps the work date of its IN, so sessions that
+   * run past the cutoff stay on the day they started.
+   * `cutoff` is an HH:mm cutoff or a resolver from getWorkDateResolver.
+   */
+  static groupPunchesByWorkDay(punches, timezone, cutoff = '00:00') {
+    const workDateOf = typeof cutoff === 'function' ? cutoff : time => this.getWorkDate(time, timezone, cutoff);
+    const punchesByDate = {};
+    let openIn = null;
+    let openInDate = null;
+    
+    for (const punch of punches) {
+      let date = workDateOf(punch.punchTime);
+      
+      if (punch.punchType === 'OUT' && openIn &&
+          moment(punch.punchTime).diff(moment(openIn.punchTime), 'minutes', true) <= 1440) {
+        date = openInDate;
+      }
+      
+      openIn = punch.punchType === 'IN' ? punch : null;
+      openInDate = date;
+      
+      if (!punchesByDate[date]) {
+        punchesByDate[date] = [];
+      }
+      punchesByDate[date].push(punch);
+    }
+    
+    return punchesByDate;
+  }
+  
+  /**
+   * Get punches for a range of work dates, grouped by work date
+   * `cutoff` is an HH:mm cutoff or a resolver from getWorkDateResolver
+   */
+  static async getPunchesByWorkDay(userId, startDate, endDate, timezone, cutoff = '00:00') {
+    // Widen the query by a day on each side to pick up sessions crossing the cutoff
+    const boundsCutoff = typeof cutoff === 'function' ? '00:00' : cutoff;
+    const start = moment(this.getDayBoundsUTC(timezone, startDate, boundsCutoff).start).subtract(1, 'day').toDate();
+    const end = moment(this.getDayBoundsUTC(timezone, endDate, boundsCutoff).end).add(1, 'day').toDate();
+    
+    const punches = await PunchLog.find({
       userId,
       punchTime: { $gte: start, $lte: end }
     }).sort({ punchTime: 1 });
+    
+    const punchesByDate = this.groupPunchesByWorkDay(punches, timezone, cutoff);
+    
+    Object.keys(punchesByDate).forEach(date => {
+      if (date < startDate || date > endDate) {
+        delete punchesByDate[date];
+      }
+    });
+    
+    return punchesByDate;
+  }
+  
+  /**
+   * Get today's punches for a user (current work day)
+   */
+  static async getTodayPunches(userId, timezone, cutoff = '00:00') {
+    const today = this.getWorkDate(new Date(), timezone, cutoff);
+    const punchesByDate = await this.getPunchesByWorkDay(userId, today, today, timezone, cutoff);
+    
+    return punchesByDate[today] || [];
   }
   
   /**
@@ -103,6 +309,17 @@ class TimeEngine {
     return Math.max(0, totalMinutes);
   }
   
+  /**
+   * Paid/unpaid break split for a day under the break policy
+   */
+  static getBreakSplit(punches, timezone, workedMinutes, policy) {
+    // Required here: BreakTimeService depends on TimeEngine
+    const BreakTimeService = require('./BreakTimeService');
+    
+    const breaks = BreakTimeService.analyzeBreaks(punches, timezone, policy);
+    return BreakTimeService.applyBreakPolicy(workedMinutes, breaks, policy);
+  }
+  
   /**
    * Get the last punch for a user
    */
@@ -147,10 +364,19 @@ class TimeEngine {
     return Math.max(0, remaining);
   }
   
+  /**
+   * Get the shift end as a moment for a shift starting on a calendar date
+   */
+  static getShiftEnd(shift, date, timezone) {
+    const shiftEnd = moment.tz(`${date} ${shift.endTime}`, 'YYYY-MM-DD HH:mm', timezone);
+    return shift.isOvernight ? shiftEnd.add(1, 'day') : shiftEnd;
+  }
+  
   /**
    * Calculate predicted exit time
+   * With a shift assigned, the exit is never predicted before the shift ends
    */
-  static calculatePredictedExitTime(punches, dailyTargetMinutes, timezone) {
+  static calculatePredictedExitTime(punches, dailyTargetMinutes, timezone, shiftEnd = null) {
     // Find the last IN punch
     const lastInPunch = [...punches].reverse().find(p => p.punchType === 'IN');
     
@@ -178,7 +404,11 @@ class TimeEngine {
     const remainingMinutes = dailyTargetMinutes - workedBefore;
     
     // Predicted exit = lastInPunch + remainingMinutes
-    const predictedExit = moment(lastInPunch.punchTime).add(remainingMinutes, 'minutes');
+    let predictedExit = moment(lastInPunch.punchTime).add(remainingMinutes, 'minutes');
+    
+    if (shiftEnd && predictedExit.isBefore(shiftEnd)) {
+      predictedExit = moment(shiftEnd);
+    }
     
     return {
       time: predictedExit.utc().toDate(),
@@ -207,10 +437,15 @@ class TimeEngine {
    */
   static async getDashboardData(user) {
     const timezone = this.getTimezone(user);
-    const dailyTarget = this.getDailyWorkTarget(user);
+    const dayCutoff = await this.getDayCutoff(user);
+    const today = this.getWorkDate(new Date(), timezone, dayCutoff);
+    const { dailyTarget, leaveMinutes, leaveTypes, isOnLeave, holiday } = await this.getEffectiveDailyTarget(user, today);
+    
+    // Get today's assigned shift
+    const shift = await ShiftService.getShiftForDate(user, today);
     
-    // Get today's punches
-    const todayPunches = await this.getTodayPunches(user._id, timezone);
+    // Get today's punches (current work day)
+    const todayPunches = await this.getTodayPunches(user._id, timezone, dayCutoff);
     
     // Get last punch
     const lastPunch = await this.getLastPunch(user._id);
@@ -218,11 +453,20 @@ class TimeEngine {
     // Calculate worked time
     const totalWorkedMinutes = this.calculateWorkedTime(todayPunches, true);
     
+    // Paid/unpaid break split
+    const breakPolicy = await BreakPolicy.getActive();
+    const breakSplit = this.getBreakSplit(todayPunches, timezone, totalWorkedMinutes, breakPolicy);
+    
     // Calculate remaining time
     const remainingMinutes = this.calculateRemainingTime(totalWorkedMinutes, dailyTarget);
     
     // Calculate predicted exit
-    const predictedExit = this.calculatePredictedExitTime(todayPunches, dailyTarget, timezone);
+    const predictedExit = this.calculatePredictedExitTime(
+      todayPunches,
+      dailyTarget,
+      timezone,
+      shift ? this.getShiftEnd(shift, today, timezone) : null
+    );
     
     // Determine current status
     const currentStatus = lastPunch?.punchType === 'IN' ? 'WORKING' : 'NOT_WORKING';
@@ -244,10 +488,19 @@ class TimeEngine {
       currentTime: {
         utc: new Date().toISOString(),
         local: currentTime.format('YYYY-MM-DD HH:mm:ss'),
-        timezone
+        timezone,
+        workDate: today,
+        dayCutoff
       },
       status: currentStatus,
       nextPunchType,
+      shift: shift ? {
+        id: shift._id,
+        name: shift.name,
+        startTime: shift.startTime,
+        endTime: shift.endTime,
+        isOvernight: shift.isOvernight
+      } : null,
       lastPunch: lastPunch ? {
         type: lastPunch.punchType,
         time: lastPunch.punchTime.toISOString(),
@@ -261,10 +514,14 @@ class TimeEngine {
         remainingFormatted: this.formatMinutes(remainingMinutes),
         dailyTargetMinutes: dailyTarget,
         dailyTargetFormatted: this.formatMinutes(dailyTarget),
-        progressPercent: Math.min(100, Math.round((totalWorkedMinutes / dailyTarget) * 100)),
+        progressPercent: this.calculateProgressPercent(totalWorkedMinutes, dailyTarget),
         isTargetMet: totalWorkedMinutes >= dailyTarget,
         sessionCount,
-        punchCount: todayPunches.length
+        punchCount: todayPunches.length,
+        leaveMinutes,
+        leaveTypes,
+        isOnLeave,
+        breaks: breakSplit
       },
       predictedExit: predictedExit ? {
         time: predictedExit.time.toISOString(),
@@ -278,12 +535,20 @@ class TimeEngine {
         timeLocal: moment(p.punchTime).tz(timezone).format('hh:mm A'),
         source: p.source,
         edited: p.edited,
-        editReason: p.editReason
+        editReason: p.editReason,
+        location: p.location?.latitude != null ? p.location : null,
+        distanceMeters: p.distanceMeters,
+        outsideGeofence: p.outsideGeofence,
+        network: p.network?.range || null,
+        outsideNetwork: p.outsideNetwork,
+        outsideNetworkReason: p.outsideNetworkReason
       })),
       alerts: {
         hasOpenPunch,
         hasOddPunchCount,
-        isWeekend: !config.defaults.workingDays.includes(currentTime.format('dddd'))
+        isWeekend: !config.defaults.workingDays.includes(moment(today).format('dddd')),
+        isHoliday: !!holiday,
+        holidayName: holiday?.name || null
       }
     };
   }
@@ -295,56 +560,97 @@ class TimeEngine {
     const timezone = this.getTimezone(user);
     const dailyTarget = this.getDailyWorkTarget(user);
     const workingDays = user?.profile?.workingDays || config.defaults.workingDays;
+    const dayCutoff = await this.getDayCutoff(user);
+    const today = this.getWorkDate(new Date(), timezone, dayCutoff);
     
-    // Calculate week bounds
-    const weekStart = moment().tz(timezone).subtract(weekOffset, 'weeks').startOf('week');
+    // Calculate week bounds (in work dates)
+    const weekStart = moment(today).subtract(weekOffset, 'weeks').startOf('week');
     const weekEnd = weekStart.clone().endOf('week');
     
-    // Get all punches for the week
-    const punches = await this.getPunchesInRange(
-      user._id, 
-      weekStart.toDate(), 
-      weekEnd.toDate(), 
-      timezone
+    // Get all punches for the week, grouped by work date using each day's shift
+    const workDateOf = await this.getWorkDateResolver(user, weekStart.format('YYYY-MM-DD'), weekEnd.format('YYYY-MM-DD'));
+    const punchesByDate = await this.getPunchesByWorkDay(
+      user._id,
+      weekStart.format('YYYY-MM-DD'),
+      weekEnd.format('YYYY-MM-DD'),
+      timezone,
+      workDateOf
+    );
+    
+    // Get holidays and approved leave for the week
+    const holidaysByDate = await Holiday.getByDateInRange(
+      weekStart.format('YYYY-MM-DD'),
+      weekEnd.format('YYYY-MM-DD')
     );
+    const leaveByDate = await this.getLeaveByDate(
+      user._id,
+      weekStart.format('YYYY-MM-DD'),
+      weekEnd.format('YYYY-MM-DD'),
+      dailyTarget
+    );
+    
+    const breakPolicy = await BreakPolicy.getActive();
     
     // Group punches by day
     const dailyData = [];
     let totalWeekMinutes = 0;
+    let totalLeaveMinutes = 0;
+    let weeklyTarget = 0;
     let workingDaysCount = 0;
     
     for (let i = 0; i < 7; i++) {
       const day = weekStart.clone().add(i, 'days');
+      const date = day.format('YYYY-MM-DD');
       const dayName = day.format('dddd');
-      const isWorkingDay = workingDays.includes(dayName);
+      const holiday = holidaysByDate[date] || null;
+      const isWorkingDay = workingDays.includes(dayName) && !holiday;
+      const dayLeave = isWorkingDay ? leaveByDate[date] : null;
+      const leaveMinutes = dayLeave?.leaveMinutes || 0;
+      const dayTarget = dailyTarget - leaveMinutes;
       
-      const dayStart = day.clone().startOf('day').utc().toDate();
-      const dayEnd = day.clone().endOf('day').utc().toDate();
+      const dayPunches = punchesByDate[date] || [];
       
-      const dayPunches = punches.filter(p => 
-        p.punchTime >= dayStart && p.punchTime <= dayEnd
-      );
-      
-      const workedMinutes = this.calculateWorkedTime(dayPunches, day.isSame(moment(), 'day'));
+      const workedMinutes = this.calculateWorkedTime(dayPunches, date === today);
       
       if (isWorkingDay) {
         workingDaysCount++;
         totalWeekMinutes += workedMinutes;
+        totalLeaveMinutes += leaveMinutes;
+        weeklyTarget += dayTarget;
       }
       
       dailyData.push({
-        date: day.format('YYYY-MM-DD'),
+        date,
         dayName,
         isWorkingDay,
+        isHoliday: !!holiday,
+        holidayName: holiday?.name || null,
         workedMinutes: Math.round(workedMinutes * 100) / 100,
         workedFormatted: this.formatMinutes(workedMinutes),
-        targetMinutes: isWorkingDay ? dailyTarget : 0,
+        targetMinutes: isWorkingDay ? dayTarget : 0,
         punchCount: dayPunches.length,
-        isTargetMet: workedMinutes >= dailyTarget
+        isTargetMet: workedMinutes >= dayTarget,
+        isOnLeave: leaveMinutes > 0 && leaveMinutes >= dailyTarget,
+        leaveMinutes,
+        leaveTypes: dayLeave?.leaveTypes || [],
+        breaks: this.getBreakSplit(dayPunches, timezone, workedMinutes, breakPolicy)
       });
     }
     
-    const weeklyTarget = workingDaysCount * dailyTarget;
+    const breakTotals = dailyData.reduce((sum, day) => ({
+      paidBreakMinutes: sum.paidBreakMinutes + day.breaks.paidBreakMinutes,
+      unpaidBreakMinutes: sum.unpaidBreakMinutes + day.breaks.unpaidBreakMinutes,
+      autoDeductedMinutes: sum.autoDeductedMinutes + day.breaks.autoDeductedMinutes,
+      paidMinutes: sum.paidMinutes + day.breaks.paidMinutes
+    }), { paidBreakMinutes: 0, unpaidBreakMinutes: 0, autoDeductedMinutes: 0, paidMinutes: 0 });
+    breakTotals.paidMinutes = Math.round(breakTotals.paidMinutes * 100) / 100;
+    breakTotals.paidFormatted = this.formatMinutes(breakTotals.paidMinutes);
+    
+    // Split worked time into regular, overtime and premium minutes
+    const overtime = OvertimeService.calculateWeek(dailyData, OvertimeService.getPolicy(user));
+    dailyData.forEach((day, index) => {
+      day.overtime = overtime.days[index];
+    });
     
     return {
       weekStart: weekStart.format('YYYY-MM-DD'),
@@ -353,11 +659,151 @@ class TimeEngine {
       totalWorkedFormatted: this.formatMinutes(totalWeekMinutes),
       weeklyTargetMinutes: weeklyTarget,
       weeklyTargetFormatted: this.formatMinutes(weeklyTarget),
-      progressPercent: Math.min(100, Math.round((totalWeekMinutes / weeklyTarget) * 100)),
+      progressPercent: this.calculateProgressPercent(totalWeekMinutes, weeklyTarget),
+      totalLeaveMinutes,
       workingDaysCount,
+      overtime: overtime.totals,
+      breaks: breakTotals,
+      dailyData
+    };
+  }
+  
+  /**
+   * Get totals for a range of work dates (YYYY-MM-DD)
+   * Built from whole weekly summaries so weekly overtime lands on the right days
+   */
+  static async getPeriodSummary(user, startDate, endDate) {
+    const timezone = this.getTimezone(user);
+    const dayCutoff = await this.getDayCutoff(user);
+    const currentWeek = moment(this.getWorkDate(new Date(), timezone, dayCutoff)).startOf('week');
+    const firstOffset = currentWeek.diff(moment(startDate).startOf('week'), 'weeks');
+    const lastOffset = currentWeek.diff(moment(endDate).startOf('week'), 'weeks');
+    
+    const dailyData = [];
+    for (let offset = firstOffset; offset >= lastOffset; offset--) {
+      const summary = await this.getWeeklySummary(user, offset);
+      dailyData.push(...summary.dailyData.filter(day => day.date >= startDate && day.date <= endDate));
+    }
+    
+    const totals = dailyData.reduce((sum, day) => ({
+      workedMinutes: sum.workedMinutes + day.workedMinutes,
+      targetMinutes: sum.targetMinutes + day.targetMinutes,
+      leaveMinutes: sum.leaveMinutes + day.leaveMinutes,
+      regularMinutes: sum.regularMinutes + day.overtime.regularMinutes,
+      overtimeMinutes: sum.overtimeMinutes + day.overtime.overtimeMinutes,
+      premiumMinutes: sum.premiumMinutes + day.overtime.premiumMinutes,
+      daysWorked: sum.daysWorked + (day.punchCount > 0 ? 1 : 0)
+    }), {
+      workedMinutes: 0,
+      targetMinutes: 0,
+      leaveMinutes: 0,
+      regularMinutes: 0,
+      overtimeMinutes: 0,
+      premiumMinutes: 0,
+      daysWorked: 0
+    });
+    
+    ['workedMinutes', 'regularMinutes', 'overtimeMinutes', 'premiumMinutes'].forEach(key => {
+      totals[key] = Math.round(totals[key] * 100) / 100;
+    });
+    
+    return {
+      startDate,
+      endDate,
+      timezone,
+      workDateOf: await this.getWorkDateResolver(user, startDate, endDate),
+      totals,
       dailyData
     };
   }
+  
+  /**
+   * Get monthly attendance summary (monthOffset 0 = current month, in work dates)
+   */
+  static async getMonthlySummary(user, monthOffset = 0) {
+    const timezone = this.getTimezone(user);
+    const dayCutoff = await this.getDayCutoff(user);
+    const month = moment(this.getWorkDate(new Date(), timezone, dayCutoff)).subtract(monthOffset, 'months');
+    
+    const period = await this.getPeriodSummary(
+      user,
+      month.clone().startOf('month').format('YYYY-MM-DD'),
+      month.clone().endOf('month').format('YYYY-MM-DD')
+    );
+    
+    const workingDays = period.dailyData.filter(day => day.isWorkingDay);
+    const daysOnLeave = workingDays.filter(day => day.isOnLeave).length;
+    const daysPresent = workingDays.filter(day => day.punchCount > 0).length;
+    const daysAbsent = workingDays.filter(day => day.punchCount === 0 && !day.isOnLeave).length;
+    const expectedDays = workingDays.length - daysOnLeave;
+    
+    return {
+      month: month.format('YYYY-MM'),
+      monthName: month.format('MMMM YYYY'),
+      startDate: period.startDate,
+      endDate: period.endDate,
+      totalWorkedMinutes: period.totals.workedMinutes,
+      totalWorkedFormatted: this.formatMinutes(period.totals.workedMinutes),
+      targetMinutes: period.totals.targetMinutes,
+      leaveMinutes: period.totals.leaveMinutes,
+      workingDays: workingDays.length,
+      daysPresent,
+      daysAbsent,
+      daysOnLeave,
+      attendanceRate: expectedDays > 0 ? Math.min(100, daysPresent / expectedDays * 100) : 100,
+      overtime: {
+        regularMinutes: period.totals.regularMinutes,
+        overtimeMinutes: period.totals.overtimeMinutes,
+        premiumMinutes: period.totals.premiumMinutes
+      },
+      dailyData: period.dailyData
+    };
+  }
+  
+  /**
+   * Get overtime per day and per week for one or more weeks
+   * Weeks are listed newest first, starting at weekOffset
+   */
+  static async getOvertimeReport(user, weekOffset = 0, weeks = 1) {
+    const weeklyReports = [];
+    const totals = { regularMinutes: 0, overtimeMinutes: 0, premiumMinutes: 0 };
+    
+    for (let i = 0; i < weeks; i++) {
+      const summary = await this.getWeeklySummary(user, weekOffset + i);
+      
+      weeklyReports.push({
+        weekStart: summary.weekStart,
+        weekEnd: summary.weekEnd,
+        totalWorkedMinutes: summary.totalWorkedMinutes,
+        ...summary.overtime,
+        days: summary.dailyData.map(day => ({
+          date: day.date,
+          dayName: day.dayName,
+          isWorkingDay: day.isWorkingDay,
+          isHoliday: day.isHoliday,
+          workedMinutes: day.workedMinutes,
+          ...day.overtime
+        }))
+      });
+      
+      totals.regularMinutes += summary.overtime.regularMinutes;
+      totals.overtimeMinutes += summary.overtime.overtimeMinutes;
+      totals.premiumMinutes += summary.overtime.premiumMinutes;
+    }
+    
+    return {
+      policy: OvertimeService.getPolicy(user),
+      weeks: weeklyReports,
+      totals: {
+        regularMinutes: Math.round(totals.regularMinutes * 100) / 100,
+        regularFormatted: this.formatMinutes(totals.regularMinutes),
+        overtimeMinutes: Math.round(totals.overtimeMinutes * 100) / 100,
+        overtimeFormatted: this.formatMinutes(totals.overtimeMinutes),
+        premiumMinutes: Math.round(totals.premiumMinutes * 100) / 100,
+        premiumFormatted: this.formatMinutes(totals.premiumMinutes)
+      }
+    };
+  }
 }
 
 module.exports = TimeEngine;
@@ -0,0 +1,244 @@
+const { Timesheet, Team, AuditLog } = require('../models');
+const TimeEngine = require('./TimeEngine');
+
+/**
+ * Timesheet Service
+ * Weekly timesheet submission, approval and punch locking
+ */
+class TimesheetService {
+
+  /**
+   * Submit (or resubmit) the weekly timesheet for a user
+   * Totals are snapshotted from the weekly summary at submission time, so only
+   * weeks whose last work day has ended can be submitted
+   */
+  static async submitTimesheet(user, weekOffset = 1, note = null) {
+    const timezone = TimeEngine.getTimezone(user);
+    const dayCutoff = await TimeEngine.getDayCutoff(user);
+    const summary = await TimeEngine.getWeeklySummary(user, weekOffset);
+    const periodEnd = TimeEngine.getDayBoundsUTC(timezone, summary.weekEnd, dayCutoff).end;
+
+    if (periodEnd > new Date()) {
+      const error = new Error(`The timesheet for the week of ${summary.weekStart} can be submitted once the week has ended.`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let timesheet = await Timesheet.findOne({ userId: user._id, weekStart: summary.weekStart });
+
+    if (timesheet && timesheet.isLocked) {
+      throw new Error(`Timesheet for week of ${summary.weekStart} is already ${timesheet.status.toLowerCase()}.`);
+    }
+
+    const previousState = timesheet ? { status: timesheet.status } : null;
+
+    if (!timesheet) {
+      timesheet = new Timesheet({ userId: user._id, weekStart: summary.weekStart });
+    }
+
+    timesheet.set({
+      weekEnd: summary.weekEnd,
+      periodStart: TimeEngine.getDayBoundsUTC(timezone, summary.weekStart, dayCutoff).start,
+      periodEnd,
+      timezone,
+      dayCutoff,
+      status: 'Submitted',
+      totals: {
+        workedMinutes: summary.totalWorkedMinutes,
+        targetMinutes: summary.weeklyTargetMinutes,
+        leaveMinutes: summary.totalLeaveMinutes,
+        regularMinutes: summary.overtime.regularMinutes,
+        overtimeMinutes: summary.overtime.overtimeMinutes,
+        premiumMinutes: summary.overtime.premiumMinutes
+      },
+      dailyData: summary.dailyData,
+      submittedAt: new Date(),
+      submitNote: note,
+      reviewedBy: null,
+      reviewedAt: null,
+      reviewNote: null
+    });
+
+    await timesheet.save();
+
+    // Log audit
+    await AuditLog.log({
+      action: 'TIMESHEET_SUBMIT',
+      performedBy: user._id,
+      targetUser: user._id,
+      resourceType: 'Timesheet',
+      resourceId: timesheet._id,
+      previousState,
+      newState: { status: timesheet.status, totals: timesheet.totals },
+      description: note || `Timesheet submitted for week of ${timesheet.weekStart}`
+    });
+
+    return timesheet;
+  }
+
+  /**
+   * Approve or return a submitted timesheet (Approver)
+   */
+  static async reviewTimesheet(timesheetId, decision, reviewer, note = null) {
+    const timesheet = await Timesheet.findById(timesheetId);
+
+    if (!timesheet) {
+      throw new Error('Timesheet not found.');
+    }
+
+    if (timesheet.status !== 'Submitted') {
+      throw new Error(`Timesheet is ${timesheet.status.toLowerCase()}, not awaiting review.`);
+    }
+
+    await this.assertCanReview(timesheet, reviewer);
+
+    const previousState = { status: timesheet.status };
+
+    timesheet.status = decision;
+    timesheet.reviewedBy = reviewer._id;
+    timesheet.reviewedAt = new Date();
+    timesheet.reviewNote = note;
+
+    await timesheet.save();
+
+    // Log audit
+    await AuditLog.log({
+      action: decision === 'Approved' ? 'TIMESHEET_APPROVE' : 'TIMESHEET_RETURN',
+      performedBy: reviewer._id,
+      targetUser: timesheet.userId,
+      resourceType: 'Timesheet',
+      resourceId: timesheet._id,
+      previousState,
+      newState: { status: timesheet.status },
+      description: note || `Timesheet ${decision === 'Approved' ? 'approved' : 'returned'} for week of ${timesheet.weekStart}`
+    });
+
+    return timesheet;
+  }
+
+  /**
+   * Reopen an approved timesheet so its punches can be corrected (Approver)
+   */
+  static async reopenTimesheet(timesheetId, performedBy, reason) {
+    const timesheet = await Timesheet.findById(timesheetId);
+
+    if (!timesheet) {
+      throw new Error('Timesheet not found.');
+    }
+
+    if (timesheet.status !== 'Approved') {
+      throw new Error('Only approved timesheets can be reopened.');
+    }
+
+    await this.assertCanReview(timesheet, performedBy);
+
+    const previousState = { status: timesheet.status, totals: timesheet.totals };
+
+    timesheet.status = 'Reopened';
+    timesheet.reopenedBy = performedBy._id;
+    timesheet.reopenedAt = new Date();
+    timesheet.reopenReason = reason;
+
+    await timesheet.save();
+
+    // Log audit
+    await AuditLog.log({
+      action: 'TIMESHEET_REOPEN',
+      performedBy: performedBy._id,
+      targetUser: timesheet.userId,
+      resourceType: 'Timesheet',
+      resourceId: timesheet._id,
+      previousState,
+      newState: { status: timesheet.status },
+      description: reason
+    });
+
+    return timesheet;
+  }
+
+  /**
+   * Reviewers are admins, or managers of the timesheet owner's team
+   */
+  static async assertCanReview(timesheet, reviewer) {
+    if (timesheet.userId.toString() === reviewer._id.toString()) {
+      throw new Error('You cannot review your own timesheet.');
+    }
+
+    if (await Team.canApproveFor(reviewer, timesheet.userId)) {
+      return;
+    }
+
+    const error = new Error('Not authorized to review this timesheet.');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  /**
+   * Refuse punch changes inside a submitted or approved timesheet
+   */
+  static async assertPunchUnlocked(userId, punchTimes) {
+    for (const punchTime of punchTimes.filter(Boolean)) {
+      const timesheet = await Timesheet.findLocking(userId, new Date(punchTime));
+
+      if (timesheet) {
+        const error = new Error(
+          `Punches for the week of ${timesheet.weekStart} are locked (timesheet ${timesheet.status.toLowerCase()}). Reopen the timesheet to make changes.`
+        );
+        error.code = 'TIMESHEET_LOCKED';
+        error.statusCode = 409;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Get a single timesheet
+   */
+  static async getTimesheet(timesheetId) {
+    return await Timesheet.findById(timesheetId)
+      .populate('userId', 'name email')
+      .populate('reviewedBy', 'name')
+      .populate('reopenedBy', 'name');
+  }
+
+  /**
+   * Get timesheets with optional filters
+   */
+  static async getTimesheets(options = {}) {
+    const { userId, userIds, status, page = 1, limit = 50 } = options;
+
+    const query = {};
+    if (userIds) {
+      // Restrict to the given users (a manager's reports)
+      const allowed = userId ? userIds.filter(id => id.toString() === userId.toString()) : userIds;
+      query.userId = { $in: allowed };
+    } else if (userId) {
+      query.userId = userId;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const total = await Timesheet.countDocuments(query);
+
+    const timesheets = await Timesheet.find(query)
+      .select('-dailyData')
+      .populate('userId', 'name email')
+      .populate('reviewedBy', 'name')
+      .sort({ weekStart: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    return {
+      timesheets,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = TimesheetService;
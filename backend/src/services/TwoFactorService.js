@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const { User, AuditLog } = require('../models');
+const { generateSecret, verifyCode, buildOtpAuthUrl } = require('../utils/totp');
+const config = require('../config');
+
+const RECOVERY_CODE_COUNT = 10;
+// Wrong codes allowed before the account's second factor is locked for a while
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+/**
+ * Two-Factor Service
+ * TOTP enrolment, login verification, one-time recovery codes and admin enforcement/reset
+ */
+class TwoFactorService {
+
+  /**
+   * Load a user together with their two-factor secrets
+   */
+  static async loadUser(userId) {
+    return await User.findById(userId).select(SECRET_FIELDS);
+  }
+
+  /**
+   * Normalize a recovery code as typed (case, spaces and dashes ignored) and hash it
+   */
+  static hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Fresh set of recovery codes; plain codes are only returned here
+   */
+  static generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    return {
+      codes,
+      stored: codes.map(code => ({ hash: this.hashRecoveryCode(code), usedAt: null }))
+    };
+  }
+
+  /**
+   * Number of recovery codes not used yet
+   */
+  static remainingRecoveryCodes(user) {
+    return (user.twoFactor.recoveryCodes || []).filter(entry => !entry.usedAt).length;
+  }
+
+  /**
+   * Start enrolment: issue a pending secret and the otpauth:// URL to show as a QR code
+   */
+  static async startSetup(user) {
+    const target = await this.loadUser(user._id);
+
+    if (target.twoFactor.enabled) {
+      const error = new Error('Two-factor authentication is already enabled.');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const secret = generateSecret();
+    target.twoFactor.pendingSecret = secret;
+    await target.save();
+
+    await AuditLog.log({
+      action: 'TWO_FACTOR_SETUP',
+      performedBy: target._id,
+      targetUser: target._id,
+      resourceType: 'User',
+      resourceId: target._id,
+      description: 'Two-factor setup started'
+    });
+
+    return {
+      secret,
+      otpauthUrl: buildOtpAuthUrl({ secret, account: target.email, issuer: config.twoFactor.issuer })
+    };
+  }
+
+  /**
+   * Finish enrolment with a code from the authenticator app
+   * Returns the plain recovery codes
+   */
+  static async enable(user, code) {
+    const target = await this.loadUser(user._id);
+
+    if (target.twoFactor.enabled) {
+      const error = new Error('Two-factor authentication is already enabled.');
+      error.statusCode = 400;
+      throw error;
+    }
+    if (!target.twoFactor.pendingSecret) {
+      const error = new Error('Start two-factor setup first.');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const step = verifyCode(target.twoFactor.pendingSecret, code);
+    if (step === null) {
+      const error = new Error('Invalid authentication code. Check the time on your device and try again.');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const recovery = this.generateRecoveryCodes();
+    target.twoFactor.secret = target.twoFactor.pendingSecret;
+    target.twoFactor.pendingSecret = null;
+    target.twoFactor.enabled = true;
+    target.twoFactor.enabledAt = new Date();
+    target.twoFactor.lastUsedStep = step;
+    target.twoFactor.recoveryCodes = recovery.stored;
+    target.twoFactor.failedAttempts = 0;
+    target.twoFactor.lockedUntil = null;
+    await target.save();
+
+    await AuditLog.log({
+      action: 'TWO_FACTOR_ENABLE',
+      performedBy: target._id,
+      targetUser: target._id,
+      resourceType: 'User',
+      resourceId: target._id,
+      description: 'Two-factor authentication enabled'
+    });
+
+    return { user: target, recoveryCodes: recovery.codes };
+  }
+
+  /**
+   * Check a TOTP code or a recovery code for a user loaded with loadUser.
+   * Failures count towards a temporary lock; a used recovery code can't be reused.
+   * Returns { valid, method, recoveryCodesRemaining } or { valid: false, error }
+   */
+  static async verify(user, { code = null, recoveryCode = null } = {}, context = {}) {
+    const { ipAddress = null, purpose = 'login' } = context;
+
+    if (!user.twoFactor.enabled) {
+      return { valid: false, error: 'Two-factor authentication is not enabled.' };
+    }
+
+    if (user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > new Date()) {
+      return { valid: false, error: `Too many invalid codes. Try again after ${LOCK_MINUTES} minutes.` };
+    }
+
+    let method = null;
+
+    if (code) {
+      const step = verifyCode(user.twoFactor.secret, code);
+      // A step at or before the last accepted one is a replay
+      if (step !== null && (user.twoFactor.lastUsedStep === null || step > user.twoFactor.lastUsedStep)) {
+        user.twoFactor.lastUsedStep = step;
+        method = 'totp';
+      }
+    } else if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      const entry = user.twoFactor.recoveryCodes.find(candidate => candidate.hash === hash && !candidate.usedAt);
+      if (entry) {
+        entry.usedAt = new Date();
+        method = 'recovery';
+      }
+    }
+
+    if (!method) {
+      user.twoFactor.failedAttempts += 1;
+      if (user.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        user.twoFactor.lockedUntil = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+        user.twoFactor.failedAttempts = 0;
+      }
+      await user.save();
+
+      await AuditLog.log({
+        action: 'TWO_FACTOR_FAILED',
+        performedBy: user._id,
+        targetUser: user._id,
+        resourceType: 'User',
+        resourceId: user._id,
+        ipAddress,
+        newState: { purpose, method: recoveryCode ? 'recovery' : 'totp', locked: !!user.twoFactor.lockedUntil },
+        description: 'Invalid two-factor code'
+      });
+
+      return { valid: false, error: recoveryCode ? 'Invalid or already used recovery code.' : 'Invalid authentication code.' };
+    }
+
+    user.twoFactor.failedAttempts = 0;
+    user.twoFactor.lockedUntil = null;
+    await user.save();
+
+    const recoveryCodesRemaining = this.remainingRecoveryCodes(user);
+
+    await AuditLog.log({
+      action: method === 'recovery' ? 'TWO_FACTOR_RECOVERY_USED' : 'TWO_FACTOR_VERIFY',
+      performedBy: user._id,
+      targetUser: user._id,
+      resourceType: 'User',
+      resourceId: user._id,
+      ipAddress,
+      newState: { purpose, recoveryCodesRemaining },
+      description: method === 'recovery' ? 'Recovery code used' : 'Two-factor code verified'
+    });
+
+    return { valid: true, method, recoveryCodesRemaining };
+  }
+
+  /**
+   * Turn two-factor off after confirming a current code (not allowed while an admin requires it)
+   */
+  static async disable(user, credentials, context = {}) {
+    const target = await this.loadUser(user._id);
+
+    if (target.twoFactor.required) {
+      const error = new Error('Two-factor authentication is required for your account.');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const check = await this.verify(target, credentials, { ...context, purpose: 'disable' });
+    if (!check.valid) {
+      const error = new Error(check.error);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    this.clear(target);
+    await target.save();
+
+    await AuditLog.log({
+      action: 'TWO_FACTOR_DISABLE',
+      performedBy: target._id,
+      targetUser: target._id,
+      resourceType: 'User',
+      resourceId: target._id,
+      description: 'Two-factor authentication disabled'
+    });
+
+    return target;
+  }
+
+  /**
+   * Replace the recovery codes after confirming a current code
+   */
+  static async regenerateRecoveryCodes(user, credentials, context = {}) {
+    const target = await this.loadUser(user._id);
+
+    const check = await this.verify(target, credentials, { ...context, purpose: 'recovery-codes' });
+    if (!check.valid) {
+      const error = new Error(check.error);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const recovery = this.generateRecoveryCodes();
+    target.twoFactor.recoveryCodes = recovery.stored;
+    await target.save();
+
+    await AuditLog.log({
+      action: 'TWO_FACTOR_RECOVERY_REGENERATE',
+      performedBy: target._id,
+      targetUser: target._id,
+      resourceType: 'User',
+      resourceId: target._id,
+      description: 'Recovery codes regenerated'
+    });
+
+    return recovery.codes;
+  }
+
+  /**
+   * Remove all two-factor state from a loaded user (keeps the admin requirement)
+   */
+  static clear(user) {
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = null;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = null;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.enabledAt = null;
+    user.twoFactor.failedAttempts = 0;
+    user.twoFactor.lockedUntil = null;
+  }
+
+  /**
+   * Reset a user's second factor, e.g. after a lost phone (Admin).
+   * If two-factor is required they enrol again at their next login.
+   */
+  static async reset(userId, performedBy) {
+    const target = await this.loadUser(userId);
+
+    if (!target) {
+      const error = new Error('User not found.');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const wasEnabled = target.twoFactor.enabled;
+    this.clear(target);
+    // Sessions opened with the old factor end at their next refresh
+    target.refreshToken = null;
+    await target.save();
+
+    await AuditLog.log({
+      action: 'TWO_FACTOR_RESET',
+      performedBy: performedBy._id,
+      targetUser: target._id,
+      resourceType: 'User',
+      resourceId: target._id,
+      previousState: { enabled: wasEnabled },
+      newState: { enabled: false },
+      description: `Admin reset two-factor authentication for ${target.name}`
+    });
+
+    return target;
+  }
+
+  /**
+   * Require (or stop requiring) two-factor authentication for a user (Admin)
+   */
+  static async setRequired(userId, required, performedBy) {
+    const target = await User.findById(userId);
+
+    if (!target) {
+      const error = new Error('User not found.');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const previous = target.twoFactor.required;
+    target.twoFactor.required = required;
+    await target.save();
+
+    await AuditLog.log({
+      action: 'TWO_FACTOR_REQUIRE',
+      performedBy: performedBy._id,
+      targetUser: target._id,
+      resourceType: 'User',
+      resourceId: target._id,
+      previousState: { required: previous },
+      newState: { required },
+      description: `Admin ${required ? 'required' : 'stopped requiring'} two-factor authentication for ${target.name}`
+    });
+
+    return target;
+  }
+}
+
+module.exports = TwoFactorService;
@@ -4,6 +4,23 @@ const NfcService = require('./NfcService');
 const PunchValidator = require('./PunchValidator');
 const PunchCleanupService = require('./PunchCleanupService');
 const BreakTimeService = require('./BreakTimeService');
+const LeaveService = require('./LeaveService');
+const HolidayService = require('./HolidayService');
+const ShiftService = require('./ShiftService');
+const OvertimeService = require('./OvertimeService');
+const TimesheetService = require('./TimesheetService');
+const TeamService = require('./TeamService');
+const CorrectionService = require('./CorrectionService');
+const PayrollService = require('./PayrollService');
+const HistoryExportService = require('./HistoryExportService');
+const SummaryReportService = require('./SummaryReportService');
+const AttendanceService = require('./AttendanceService');
+const EventService = require('./EventService');
+const DeviceService = require('./DeviceService');
+const SiteService = require('./SiteService');
+const QrService = require('./QrService');
+const TwoFactorService = require('./TwoFactorService');
+const AccountService = require('./AccountService');
 
 module.exports = {
   TimeEngine,
@@ -11,5 +28,22 @@ module.exports = {
   NfcService,
   PunchValidator,
   PunchCleanupService,
-  BreakTimeService
+  BreakTimeService,
+  LeaveService,
+  HolidayService,
+  ShiftService,
+  OvertimeService,
+  TimesheetService,
+  TeamService,
+  CorrectionService,
+  PayrollService,
+  HistoryExportService,
+  SummaryReportService,
+  AttendanceService,
+  EventService,
+  DeviceService,
+  SiteService,
+  QrService,
+  TwoFactorService,
+  AccountService
 };
@@ -0,0 +1,18 @@
+/**
+ * Escape a single CSV cell (quote when it contains the delimiter, quotes or line breaks)
+ */
+const escapeCell = (value, delimiter = ',') => {
+  const text = String(value ?? '');
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a header row and data rows as CSV (CRLF line endings)
+ */
+const toCSV = (headers, rows, delimiter = ',') => {
+  return [headers, ...rows]
+    .map(cells => cells.map(cell => escapeCell(cell, delimiter)).join(delimiter))
+    .join('\r\n') + '\r\n';
+};
+
+module.exports = { escapeCell, toCSV };
@@ -0,0 +1,68 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance in meters between two { latitude, longitude } points
+ */
+const distanceMeters = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Ray-casting test: is the point inside the polygon (array of { latitude, longitude })?
+ */
+const isPointInPolygon = (point, polygon) => {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+      point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude;
+
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+/**
+ * Distance in meters from a point to the nearest polygon edge (0 when inside).
+ * Uses a local flat projection around the point, accurate at site scale.
+ */
+const distanceToPolygonMeters = (point, polygon) => {
+  if (isPointInPolygon(point, polygon)) {
+    return 0;
+  }
+
+  const metersPerDegreeLat = Math.PI * EARTH_RADIUS_METERS / 180;
+  const metersPerDegreeLng = metersPerDegreeLat * Math.cos(toRadians(point.latitude));
+  const project = (p) => ({
+    x: (p.longitude - point.longitude) * metersPerDegreeLng,
+    y: (p.latitude - point.latitude) * metersPerDegreeLat
+  });
+
+  let nearest = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = project(polygon[j]);
+    const b = project(polygon[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    // Closest point on segment a-b to the origin (the punch location)
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    nearest = Math.min(nearest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+
+  return nearest;
+};
+
+module.exports = { distanceMeters, isPointInPolygon, distanceToPolygonMeters };
@@ -0,0 +1,59 @@
+const net = require('net');
+
+/**
+ * Normalize a request IP (strips the IPv4-mapped IPv6 prefix, e.g. ::ffff:10.0.0.5)
+ */
+const normalizeIp = (ip) => {
+  const text = String(ip || '').trim();
+  return text.startsWith('::ffff:') && net.isIPv4(text.slice(7)) ? text.slice(7) : text;
+};
+
+/**
+ * Check whether a string is a single IP or a CIDR range (e.g. 10.0.0.0/24)
+ */
+const isValidRange = (range) => {
+  const [address, prefix, ...rest] = String(range || '').trim().split('/');
+  const family = net.isIP(address);
+
+  if (!family || rest.length > 0) {
+    return false;
+  }
+  if (prefix === undefined) {
+    return true;
+  }
+
+  const bits = Number(prefix);
+  return /^\d+$/.test(prefix) && bits <= (family === 4 ? 32 : 128);
+};
+
+/**
+ * Check whether an IP matches any of the given IPs / CIDR ranges.
+ * An empty list allows every address.
+ */
+const isIpAllowed = (ip, ranges = []) => {
+  if (!ranges || ranges.length === 0) {
+    return true;
+  }
+
+  const address = normalizeIp(ip);
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+  for (const range of ranges.filter(isValidRange)) {
+    const [rangeAddress, prefix] = range.trim().split('/');
+    const type = net.isIPv4(rangeAddress) ? 'ipv4' : 'ipv6';
+
+    if (prefix === undefined) {
+      blockList.addAddress(rangeAddress, type);
+    } else {
+      blockList.addSubnet(rangeAddress, Number(prefix), type);
+    }
+  }
+
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+module.exports = { normalizeIp, isValidRange, isIpAllowed };
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+// NTAG 424 DNA Secure Unique NFC (SUN) messages, see NXP AN12196.
+// The tag mirrors its UID, read counter and a MAC into the NDEF URL on every read.
+const BLOCK_SIZE = 16;
+// Session key derivation vector prefix for SDM MACs (SV2)
+const SV2_PREFIX = Buffer.from('3CC300010080', 'hex');
+
+/**
+ * Encrypt a single block with AES-128 (no chaining, no padding)
+ */
+const encryptBlock = (key, block) => {
+  const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(block), cipher.final()]);
+};
+
+/**
+ * Left-shift a block by one bit, XORing in the constant on carry (RFC 4493 subkeys)
+ */
+const deriveSubkey = (block) => {
+  const subkey = Buffer.alloc(BLOCK_SIZE);
+
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    subkey[i] = ((block[i] << 1) & 0xff) | (i < BLOCK_SIZE - 1 ? block[i + 1] >> 7 : 0);
+  }
+  if (block[0] & 0x80) {
+    subkey[BLOCK_SIZE - 1] ^= 0x87;
+  }
+
+  return subkey;
+};
+
+/**
+ * AES-CMAC (RFC 4493)
+ */
+const aesCmac = (key, data) => {
+  const k1 = deriveSubkey(encryptBlock(key, Buffer.alloc(BLOCK_SIZE)));
+  const k2 = deriveSubkey(k1);
+
+  const blocks = Math.max(1, Math.ceil(data.length / BLOCK_SIZE));
+  const complete = data.length > 0 && data.length % BLOCK_SIZE === 0;
+
+  // Last block: padded with 10* when incomplete, then masked with K1 or K2
+  const last = Buffer.alloc(BLOCK_SIZE);
+  const tail = data.subarray((blocks - 1) * BLOCK_SIZE);
+  tail.copy(last);
+  if (!complete) {
+    last[tail.length] = 0x80;
+  }
+  const subkey = complete ? k1 : k2;
+
+  let state = Buffer.alloc(BLOCK_SIZE);
+  for (let b = 0; b < blocks - 1; b++) {
+    const block = Buffer.from(data.subarray(b * BLOCK_SIZE, (b + 1) * BLOCK_SIZE));
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+      block[i] ^= state[i];
+    }
+    state = encryptBlock(key, block);
+  }
+
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    last[i] ^= subkey[i] ^ state[i];
+  }
+
+  return encryptBlock(key, last);
+};
+
+/**
+ * SDM MAC of a SUN message: AES-CMAC over an empty input with the session key
+ * derived from the tag's SDM file read key, UID and read counter, truncated to
+ * the 8 odd-indexed bytes. Returns 16 hex characters, as mirrored by the tag.
+ */
+const computeSunMac = (keyHex, uidHex, counter) => {
+  const counterBytes = Buffer.from([counter & 0xff, (counter >> 8) & 0xff, (counter >> 16) & 0xff]);
+  const sessionKey = aesCmac(
+    Buffer.from(keyHex, 'hex'),
+    Buffer.concat([SV2_PREFIX, Buffer.from(uidHex, 'hex'), counterBytes])
+  );
+
+  const mac = aesCmac(sessionKey, Buffer.alloc(0));
+  return Buffer.from([1, 3, 5, 7, 9, 11, 13, 15].map(i => mac[i])).toString('hex').toUpperCase();
+};
+
+module.exports = {
+  aesCmac,
+  computeSunMac
+};
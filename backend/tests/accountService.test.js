@@ -0,0 +1,144 @@
+const jwt = require('jsonwebtoken');
+const AccountService = require('../src/services/AccountService');
+const EmailService = require('../src/services/EmailService');
+const { User, AuditLog } = require('../src/models');
+const config = require('../src/config');
+const logger = require('../src/utils/logger');
+
+describe('AccountService', () => {
+  const createUser = (overrides = {}) => ({
+    _id: '64b000000000000000000001',
+    name: 'Jane',
+    email: 'jane@example.com',
+    password: '$2a$12$hashedpassword',
+    emailVerified: false,
+    emailVerifiedAt: null,
+    isActive: true,
+    refreshToken: 'refresh-token',
+    save: jest.fn().mockResolvedValue(true),
+    ...overrides
+  });
+
+  // User.findById(...) is awaited directly or after .select()
+  const mockFindById = (user) => {
+    const query = Promise.resolve(user);
+    query.select = jest.fn().mockResolvedValue(user);
+    jest.spyOn(User, 'findById').mockReturnValue(query);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'log').mockResolvedValue({});
+    jest.spyOn(EmailService, 'sendEmailVerification').mockResolvedValue({ success: true });
+    jest.spyOn(EmailService, 'sendPasswordReset').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Let emails queued with deliverInBackground go out
+  const flushDeliveries = () => new Promise(resolve => setImmediate(resolve));
+
+  describe('tokens', () => {
+    it('should only read tokens of the same purpose', () => {
+      const token = AccountService.createToken(createUser(), 'verify');
+
+      expect(AccountService.readToken(token, 'verify')).toMatchObject({ id: '64b000000000000000000001', purpose: 'verify' });
+      expect(AccountService.readToken(token, 'reset')).toBeNull();
+      expect(AccountService.readToken('not-a-token', 'verify')).toBeNull();
+    });
+
+    it('should reject expired tokens', () => {
+      const user = createUser();
+      const token = jwt.sign(
+        { id: user._id, purpose: 'reset', fp: AccountService.fingerprint(user, 'reset'), exp: Math.floor(Date.now() / 1000) - 60 },
+        config.accountEmails.tokenSecret
+      );
+
+      expect(AccountService.readToken(token, 'reset')).toBeNull();
+    });
+  });
+
+  describe('verifyEmail', () => {
+    it('should mark the address as verified', async () => {
+      const user = createUser();
+      mockFindById(user);
+
+      await AccountService.verifyEmail(AccountService.createToken(user, 'verify'));
+
+      expect(user.emailVerified).toBe(true);
+      expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'EMAIL_VERIFY' }));
+    });
+
+    it('should reject a link issued for another address', async () => {
+      const token = AccountService.createToken(createUser({ email: 'old@example.com' }), 'verify');
+      mockFindById(createUser());
+
+      await expect(AccountService.verifyEmail(token)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('password reset', () => {
+    it('should not reveal unknown addresses', async () => {
+      jest.spyOn(User, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      await expect(AccountService.requestPasswordReset('nobody@example.com')).resolves.toBeUndefined();
+      expect(EmailService.sendPasswordReset).not.toHaveBeenCalled();
+    });
+
+    it('should not wait for the reset email to be sent', async () => {
+      const user = createUser();
+      jest.spyOn(User, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      EmailService.sendPasswordReset.mockReturnValue(new Promise(() => {}));
+
+      await expect(AccountService.requestPasswordReset(user.email)).resolves.toBeUndefined();
+    });
+
+    it('should email a reset link to active users', async () => {
+      const user = createUser();
+      jest.spyOn(User, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+      await AccountService.requestPasswordReset(user.email);
+      await flushDeliveries();
+
+      const [, link] = EmailService.sendPasswordReset.mock.calls[0];
+      expect(link).toBe(`${config.frontendUrl}/reset-password?token=${encodeURIComponent(AccountService.createToken(user, 'reset'))}`);
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'PASSWORD_RESET_REQUEST' }));
+    });
+
+    it('should log failed reset emails instead of failing the request', async () => {
+      const user = createUser();
+      jest.spyOn(User, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      EmailService.sendPasswordReset.mockRejectedValue(new Error('SMTP down'));
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+      await expect(AccountService.requestPasswordReset(user.email)).resolves.toBeUndefined();
+      await flushDeliveries();
+
+      expect(logger.error).toHaveBeenCalledWith('Failed to send password reset email:', { error: 'SMTP down' });
+      expect(AuditLog.log).not.toHaveBeenCalled();
+    });
+
+    it('should set the password, sign out sessions and verify the address', async () => {
+      const user = createUser();
+      const token = AccountService.createToken(user, 'reset');
+      mockFindById(user);
+
+      await AccountService.resetPassword(token, 'new-password');
+
+      expect(user.password).toBe('new-password');
+      expect(user.refreshToken).toBeNull();
+      expect(user.emailVerified).toBe(true);
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'PASSWORD_RESET' }));
+    });
+
+    it('should not accept the same link after the password changed', async () => {
+      const user = createUser();
+      const token = AccountService.createToken(user, 'reset');
+      mockFindById(createUser({ password: '$2a$12$anotherhash' }));
+
+      await expect(AccountService.resetPassword(token, 'new-password')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
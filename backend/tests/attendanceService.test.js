@@ -0,0 +1,93 @@
+const AttendanceService = require('../src/services/AttendanceService');
+
+describe('AttendanceService', () => {
+  describe('shouldNotifyLate', () => {
+    const policy = { enabled: true, minMinutesLate: 10, fromMonthlyCount: 2 };
+
+    it('should notify from the configured late arrival of the month', () => {
+      expect(AttendanceService.shouldNotifyLate(20, 1, policy)).toBe(false);
+      expect(AttendanceService.shouldNotifyLate(20, 2, policy)).toBe(true);
+    });
+
+    it('should ignore small lateness and disabled policies', () => {
+      expect(AttendanceService.shouldNotifyLate(5, 3, policy)).toBe(false);
+      expect(AttendanceService.shouldNotifyLate(20, 3, { ...policy, enabled: false })).toBe(false);
+    });
+  });
+
+  describe('getPunchWindowEnd', () => {
+    it('should close the window after the shift end plus the punch window', () => {
+      const shift = { endTime: '17:00', isOvernight: false };
+      const end = AttendanceService.getPunchWindowEnd('2024-01-15', 'UTC', '00:00', shift);
+      expect(end.toISOString()).toBe('2024-01-15T19:00:00.000Z');
+    });
+
+    it('should move overnight shift ends to the next day', () => {
+      const shift = { endTime: '06:00', isOvernight: true };
+      const end = AttendanceService.getPunchWindowEnd('2024-01-15', 'UTC', '14:00', shift);
+      expect(end.toISOString()).toBe('2024-01-16T08:00:00.000Z');
+    });
+
+    it('should wait for the next work day without a shift', () => {
+      const end = AttendanceService.getPunchWindowEnd('2024-01-15', 'Asia/Kolkata', '04:00');
+      expect(end.toISOString()).toBe('2024-01-15T22:30:00.000Z');
+    });
+  });
+
+  describe('getPresenceState', () => {
+    const now = new Date('2024-01-15T14:00:00Z');
+    const workDayStart = new Date('2024-01-15T00:00:00Z');
+    const workingDay = { isWorkingDay: true, isOnLeave: false, holiday: null };
+
+    it('should show open sessions as working since the IN punch', () => {
+      const punchIn = { punchType: 'IN', punchTime: new Date('2024-01-15T09:00:00Z') };
+      expect(AttendanceService.getPresenceState(punchIn, workDayStart, workingDay, now))
+        .toEqual({ state: 'working', since: punchIn.punchTime });
+    });
+
+    it('should tell breaks from finished days by the early departure flag', () => {
+      const punchTime = new Date('2024-01-15T12:00:00Z');
+      expect(AttendanceService.getPresenceState({ punchType: 'OUT', punchTime, isEarlyDeparture: true }, workDayStart, workingDay, now).state)
+        .toBe('on-break');
+      expect(AttendanceService.getPresenceState({ punchType: 'OUT', punchTime, isEarlyDeparture: false }, workDayStart, workingDay, now).state)
+        .toBe('left');
+    });
+
+    it('should fall back to leave, day off or not arrived without a punch today', () => {
+      const yesterdayOut = { punchType: 'OUT', punchTime: new Date('2024-01-14T17:00:00Z') };
+      expect(AttendanceService.getPresenceState(yesterdayOut, workDayStart, workingDay, now).state).toBe('not-arrived');
+      expect(AttendanceService.getPresenceState(null, workDayStart, { ...workingDay, isOnLeave: true }, now).state).toBe('on-leave');
+      expect(AttendanceService.getPresenceState(null, workDayStart, { ...workingDay, isWorkingDay: false }, now).state).toBe('off');
+    });
+
+    it('should not count stale open punches as working', () => {
+      const staleIn = { punchType: 'IN', punchTime: new Date('2024-01-13T09:00:00Z') };
+      expect(AttendanceService.getPresenceState(staleIn, workDayStart, workingDay, now).state).toBe('not-arrived');
+    });
+  });
+
+  describe('getDayStatus', () => {
+    const today = '2024-01-17';
+    const workingDay = { date: '2024-01-15', isWorkingDay: true, isHoliday: false, isOnLeave: false };
+    const punchIn = (extra = {}) => ({ punchType: 'IN', ...extra });
+    const punchOut = (extra = {}) => ({ punchType: 'OUT', ...extra });
+
+    it('should report holidays, leave, days off and absences', () => {
+      expect(AttendanceService.getDayStatus({ ...workingDay, isHoliday: true }, [], today)).toBe('holiday');
+      expect(AttendanceService.getDayStatus({ ...workingDay, isOnLeave: true }, [], today)).toBe('leave');
+      expect(AttendanceService.getDayStatus({ ...workingDay, isWorkingDay: false }, [], today)).toBe('off');
+      expect(AttendanceService.getDayStatus(workingDay, [], today)).toBe('absent');
+    });
+
+    it('should not mark today or future days absent', () => {
+      expect(AttendanceService.getDayStatus({ ...workingDay, date: today }, [], today)).toBeNull();
+      expect(AttendanceService.getDayStatus({ ...workingDay, date: '2024-01-18' }, [], today)).toBeNull();
+    });
+
+    it('should use the first IN for lateness and the last OUT for early leave', () => {
+      expect(AttendanceService.getDayStatus(workingDay, [punchIn(), punchOut()], today)).toBe('present');
+      expect(AttendanceService.getDayStatus(workingDay, [punchIn({ isLate: true }), punchOut({ isEarlyDeparture: true })], today)).toBe('late');
+      expect(AttendanceService.getDayStatus(workingDay, [punchIn(), punchOut({ isEarlyDeparture: true })], today)).toBe('early-leave');
+    });
+  });
+});
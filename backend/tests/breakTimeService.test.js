@@ -0,0 +1,135 @@
+const BreakTimeService = require('../src/services/BreakTimeService');
+
+describe('BreakTimeService', () => {
+  const timezone = 'UTC';
+  const punch = (punchType, iso) => ({ punchType, punchTime: new Date(iso) });
+
+  describe('analyzeBreaks', () => {
+    it('should treat each OUT followed by IN as a categorized break', () => {
+      const breaks = BreakTimeService.analyzeBreaks([
+        punch('IN', '2024-01-15T09:00:00Z'),
+        punch('OUT', '2024-01-15T10:30:00Z'),
+        punch('IN', '2024-01-15T10:40:00Z'),
+        punch('OUT', '2024-01-15T12:00:00Z'),
+        punch('IN', '2024-01-15T12:45:00Z'),
+        punch('OUT', '2024-01-15T17:00:00Z')
+      ], timezone);
+
+      expect(breaks.map(br => [br.durationMinutes, br.type])).toEqual([
+        [10, 'Short Break'],
+        [45, 'Lunch Break']
+      ]);
+    });
+  });
+
+  describe('getCategory', () => {
+    const categories = [
+      { name: 'Lunch', maxMinutes: 45, isPaid: false },
+      { name: 'Away', maxMinutes: null, isPaid: false },
+      { name: 'Coffee', maxMinutes: 10, isPaid: true }
+    ];
+
+    it('should pick the shortest custom category the break fits in', () => {
+      expect(BreakTimeService.getCategory(10, categories).name).toBe('Coffee');
+      expect(BreakTimeService.getCategory(11, categories).name).toBe('Lunch');
+      expect(BreakTimeService.getCategory(300, categories).name).toBe('Away');
+    });
+
+    it('should fall back to the default buckets without a policy', () => {
+      expect(BreakTimeService.categorizeBreak(25)).toBe('Tea Break');
+      expect(BreakTimeService.categorizeBreak(180)).toBe('Long Absence');
+    });
+  });
+
+  describe('applyBreakPolicy', () => {
+    const policy = {
+      paidAllowanceMinutes: 20,
+      autoDeduct: { enabled: true, afterMinutes: 360, lunchMinutes: 30 }
+    };
+
+    it('should pay paid-category breaks up to the allowance', () => {
+      const split = BreakTimeService.applyBreakPolicy(300, [
+        { durationMinutes: 15, isPaid: true },
+        { durationMinutes: 15, isPaid: true },
+        { durationMinutes: 40, isPaid: false }
+      ], policy);
+
+      expect(split).toMatchObject({
+        breakMinutes: 70,
+        paidBreakMinutes: 20,
+        unpaidBreakMinutes: 50,
+        autoDeductedMinutes: 0,
+        paidMinutes: 320
+      });
+    });
+
+    it('should auto-deduct the unpunched part of the mandatory lunch', () => {
+      const noLunch = BreakTimeService.applyBreakPolicy(480, [], policy);
+      const shortLunch = BreakTimeService.applyBreakPolicy(480, [{ durationMinutes: 20, isPaid: false }], policy);
+
+      expect(noLunch).toMatchObject({ autoDeductedMinutes: 30, paidMinutes: 450 });
+      expect(shortLunch).toMatchObject({ autoDeductedMinutes: 10, paidMinutes: 470 });
+    });
+
+    it('should not deduct below the worked-time threshold or when disabled', () => {
+      expect(BreakTimeService.applyBreakPolicy(300, [], policy).autoDeductedMinutes).toBe(0);
+      expect(BreakTimeService.applyBreakPolicy(480, [], { ...policy, autoDeduct: { enabled: false } }).autoDeductedMinutes).toBe(0);
+    });
+  });
+
+  describe('summarizeByCategory', () => {
+    it('should count and total breaks per category', () => {
+      const summary = BreakTimeService.summarizeByCategory([
+        { type: 'Short Break', durationMinutes: 10 },
+        { type: 'Lunch Break', durationMinutes: 45 },
+        { type: 'Short Break', durationMinutes: 5 }
+      ]);
+
+      expect(summary).toEqual([
+        { type: 'Short Break', count: 2, totalMinutes: 15, totalFormatted: '15m' },
+        { type: 'Lunch Break', count: 1, totalMinutes: 45, totalFormatted: '45m' }
+      ]);
+    });
+  });
+
+  describe('getWeeklyAverages', () => {
+    it('should average break time over worked days in each week', () => {
+      const averages = BreakTimeService.getWeeklyAverages([
+        { date: '2024-01-08', totalBreakMinutes: 60, breakCount: 2 },
+        { date: '2024-01-09', totalBreakMinutes: 30, breakCount: 1 },
+        { date: '2024-01-15', totalBreakMinutes: 75, breakCount: 3 }
+      ]);
+
+      expect(averages).toHaveLength(2);
+      expect(averages[0]).toMatchObject({
+        weekStart: '2024-01-07',
+        daysWorked: 2,
+        totalBreakMinutes: 90,
+        averageDailyMinutes: 45,
+        averageBreaksPerDay: 1.5
+      });
+      expect(averages[1]).toMatchObject({ weekStart: '2024-01-14', averageDailyFormatted: '1h 15m' });
+    });
+  });
+
+  describe('describeCurrentBreak', () => {
+    it('should report the break in progress after an OUT punch', () => {
+      const current = BreakTimeService.describeCurrentBreak([
+        punch('IN', '2024-01-15T09:00:00Z'),
+        punch('OUT', '2024-01-15T12:00:00Z')
+      ], timezone, new Date('2024-01-15T13:40:00Z'));
+
+      expect(current).toMatchObject({
+        startTimeLocal: '12:00 PM',
+        durationMinutes: 100,
+        durationFormatted: '1h 40m',
+        isLongBreak: true
+      });
+    });
+
+    it('should return null while working or before any punch', () => {
+      expect(BreakTimeService.describeCurrentBreak([punch('IN', '2024-01-15T09:00:00Z')], timezone)).toBeNull();
+      expect(BreakTimeService.describeCurrentBreak([], timezone)).toBeNull();
+    });
+  });
+});
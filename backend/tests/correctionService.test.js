@@ -0,0 +1,238 @@
+const express = require('express');
+const request = require('supertest');
+const moment = require('moment-timezone');
+const { CorrectionRequest, PunchLog, Timesheet, Team, User, AuditLog } = require('../src/models');
+const { CorrectionService, PunchService } = require('../src/services');
+const { generateAccessToken } = require('../src/middleware/auth');
+const { errorHandler } = require('../src/middleware');
+const correctionRoutes = require('../src/routes/corrections');
+
+describe('CorrectionService', () => {
+  const employee = { _id: '65a1b2c3d4e5f60718293b01', name: 'Jane', role: 'User', isActive: true };
+  const admin = { _id: '65a1b2c3d4e5f60718293b02', name: 'Ada', role: 'Admin', isActive: true };
+  const manager = { _id: '65a1b2c3d4e5f60718293b03', name: 'Max', role: 'Manager', isActive: true };
+  const requestId = '65a1b2c3d4e5f60718293b04';
+  const punchId = '65a1b2c3d4e5f60718293b05';
+  const punchTime = moment.utc().subtract(1, 'day').hour(9).startOf('hour').toDate();
+
+  const correctionFor = (fields) => new CorrectionRequest({
+    _id: requestId,
+    userId: employee._id,
+    reason: 'Forgot to punch',
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'log').mockResolvedValue({ _id: '65a1b2c3d4e5f60718293b06' });
+    jest.spyOn(CorrectionRequest.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Timesheet, 'findLocking').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('requestCorrection', () => {
+    it('should record the original punch for a move', async () => {
+      jest.spyOn(PunchLog, 'findById').mockResolvedValue({ _id: punchId, userId: employee._id, punchType: 'IN', punchTime });
+      jest.spyOn(CorrectionRequest, 'exists').mockResolvedValue(null);
+
+      const correction = await CorrectionService.requestCorrection(employee, {
+        requestType: 'Move',
+        punchId,
+        punchTime: moment(punchTime).subtract(15, 'minutes').toDate(),
+        reason: 'Badge reader was down'
+      });
+
+      expect(correction.status).toBe('Pending');
+      expect(correction.originalPunchTime).toEqual(punchTime);
+      expect(CorrectionRequest.prototype.save).toHaveBeenCalled();
+    });
+
+    it('should refuse a correction inside a locked week', async () => {
+      Timesheet.findLocking.mockResolvedValue({ weekStart: '2026-03-01', status: 'Approved' });
+
+      await expect(CorrectionService.requestCorrection(employee, {
+        requestType: 'Add',
+        punchType: 'OUT',
+        punchTime,
+        reason: 'Forgot to punch out'
+      })).rejects.toMatchObject({ code: 'TIMESHEET_LOCKED', statusCode: 409 });
+      expect(CorrectionRequest.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reviewCorrection', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue(null);
+    });
+
+    it('should add the requested punch on approval', async () => {
+      jest.spyOn(CorrectionRequest, 'findById').mockResolvedValue(correctionFor({ requestType: 'Add', punchType: 'OUT', punchTime }));
+      jest.spyOn(PunchService, 'createManualPunch').mockResolvedValue({ _id: punchId });
+
+      const correction = await CorrectionService.reviewCorrection(requestId, 'Approved', admin);
+
+      expect(PunchService.createManualPunch).toHaveBeenCalledWith(
+        correction.userId,
+        expect.objectContaining({ punchType: 'OUT', punchTime }),
+        admin,
+        { correctionRequestId: correction._id }
+      );
+      expect(correction.status).toBe('Approved');
+      expect(correction.appliedPunchId.toString()).toBe(punchId);
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'CORRECTION_APPROVE' }));
+    });
+
+    it('should move the punch on approval', async () => {
+      const newTime = moment(punchTime).subtract(15, 'minutes').toDate();
+      jest.spyOn(CorrectionRequest, 'findById').mockResolvedValue(correctionFor({ requestType: 'Move', punchId, punchTime: newTime }));
+      jest.spyOn(PunchService, 'editPunch').mockResolvedValue({ _id: punchId });
+
+      await CorrectionService.reviewCorrection(requestId, 'Approved', admin);
+
+      expect(PunchService.editPunch).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ punchTime: newTime }),
+        admin,
+        expect.objectContaining({ correctionRequestId: expect.anything() })
+      );
+    });
+
+    it('should delete the punch on approval', async () => {
+      jest.spyOn(CorrectionRequest, 'findById').mockResolvedValue(correctionFor({ requestType: 'Delete', punchId }));
+      jest.spyOn(PunchService, 'deletePunch').mockResolvedValue();
+
+      const correction = await CorrectionService.reviewCorrection(requestId, 'Approved', admin);
+
+      expect(PunchService.deletePunch).toHaveBeenCalledWith(correction.punchId, admin, expect.any(String), expect.any(Object));
+      expect(correction.appliedPunchId.toString()).toBe(punchId);
+    });
+
+    it('should leave the punches alone on rejection', async () => {
+      jest.spyOn(CorrectionRequest, 'findById').mockResolvedValue(correctionFor({ requestType: 'Delete', punchId }));
+      jest.spyOn(PunchService, 'deletePunch');
+
+      const correction = await CorrectionService.reviewCorrection(requestId, 'Rejected', admin, 'Punch is correct');
+
+      expect(correction.status).toBe('Rejected');
+      expect(PunchService.deletePunch).not.toHaveBeenCalled();
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'CORRECTION_REJECT' }));
+    });
+
+    it('should not let anyone review their own request', async () => {
+      jest.spyOn(CorrectionRequest, 'findById').mockResolvedValue(correctionFor({ userId: admin._id, requestType: 'Delete', punchId }));
+      jest.spyOn(PunchService, 'deletePunch');
+
+      await expect(CorrectionService.reviewCorrection(requestId, 'Approved', admin)).rejects.toMatchObject({ statusCode: 403 });
+      expect(PunchService.deletePunch).not.toHaveBeenCalled();
+    });
+
+    it('should only let managers review their own reports', async () => {
+      jest.spyOn(CorrectionRequest, 'findById').mockResolvedValue(correctionFor({ requestType: 'Delete', punchId }));
+      jest.spyOn(Team, 'isManagerOf').mockResolvedValue(false);
+      jest.spyOn(PunchService, 'deletePunch');
+
+      await expect(CorrectionService.reviewCorrection(requestId, 'Approved', manager)).rejects.toMatchObject({ statusCode: 403 });
+      expect(Team.isManagerOf).toHaveBeenCalledWith(manager._id, expect.anything());
+      expect(PunchService.deletePunch).not.toHaveBeenCalled();
+    });
+
+    it('should not apply an approval inside a locked week', async () => {
+      jest.spyOn(CorrectionRequest, 'findById').mockResolvedValue(correctionFor({ requestType: 'Add', punchType: 'OUT', punchTime }));
+      jest.spyOn(PunchLog, 'create');
+      Timesheet.findLocking.mockResolvedValue({ weekStart: '2026-03-01', status: 'Submitted' });
+
+      await expect(CorrectionService.reviewCorrection(requestId, 'Approved', admin)).rejects.toMatchObject({ code: 'TIMESHEET_LOCKED' });
+      expect(PunchLog.create).not.toHaveBeenCalled();
+      expect(CorrectionRequest.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('should not review a request twice', async () => {
+      jest.spyOn(CorrectionRequest, 'findById').mockResolvedValue(correctionFor({ requestType: 'Add', status: 'Approved' }));
+
+      await expect(CorrectionService.reviewCorrection(requestId, 'Rejected', admin, 'No')).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('correction routes', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/corrections', correctionRoutes);
+    app.use(errorHandler);
+
+    const signIn = (user) => {
+      jest.spyOn(User, 'findById').mockResolvedValueOnce(user);
+      return `Bearer ${generateAccessToken(user)}`;
+    };
+
+    beforeEach(() => {
+      // Requester lookup for the decision email
+      jest.spyOn(User, 'findById').mockResolvedValue(null);
+      jest.spyOn(CorrectionRequest, 'findById').mockResolvedValue(correctionFor({ requestType: 'Add', punchType: 'OUT', punchTime }));
+      jest.spyOn(PunchService, 'createManualPunch').mockResolvedValue({ _id: punchId });
+    });
+
+    const approve = (user) => request(app)
+      .put(`/api/corrections/${requestId}/approve`)
+      .set('Authorization', signIn(user))
+      .send({ note: 'Fixed' });
+
+    it('should not let plain users review corrections', async () => {
+      const res = await approve(employee);
+
+      expect(res.status).toBe(403);
+      expect(CorrectionRequest.findById).not.toHaveBeenCalled();
+    });
+
+    it('should let a manager approve a report\'s correction', async () => {
+      jest.spyOn(Team, 'isManagerOf').mockResolvedValue(true);
+
+      const res = await approve(manager);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.request.status).toBe('Approved');
+      expect(PunchService.createManualPunch).toHaveBeenCalled();
+    });
+
+    it('should refuse a manager outside the requester\'s team', async () => {
+      jest.spyOn(Team, 'isManagerOf').mockResolvedValue(false);
+
+      const res = await approve(manager);
+
+      expect(res.status).toBe(403);
+      expect(PunchService.createManualPunch).not.toHaveBeenCalled();
+    });
+
+    it('should let admins approve any correction', async () => {
+      jest.spyOn(Team, 'isManagerOf');
+
+      const res = await approve(admin);
+
+      expect(res.status).toBe(200);
+      expect(Team.isManagerOf).not.toHaveBeenCalled();
+    });
+
+    it('should only list a manager\'s reports', async () => {
+      jest.spyOn(Team, 'getReportIds').mockResolvedValue([employee._id]);
+      jest.spyOn(CorrectionRequest, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(CorrectionRequest, 'find').mockReturnValue({
+        populate: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([])
+      });
+
+      const res = await request(app).get('/api/corrections').set('Authorization', signIn(manager));
+
+      expect(res.status).toBe(200);
+      expect(CorrectionRequest.find).toHaveBeenCalledWith({ userId: { $in: [employee._id] } });
+    });
+
+    it('should not list everyone\'s corrections for plain users', async () => {
+      const res = await request(app).get('/api/corrections').set('Authorization', signIn(employee));
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
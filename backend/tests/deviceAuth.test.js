@@ -0,0 +1,200 @@
+const express = require('express');
+const request = require('supertest');
+const { Device } = require('../src/models');
+const { NfcService, PunchService } = require('../src/services');
+const { protectDevice, identifyDevice } = require('../src/middleware/auth');
+const { errorHandler } = require('../src/middleware');
+const { apiLimiter, deviceLimiter } = require('../src/middleware/security');
+const nfcRoutes = require('../src/routes/nfc');
+const { isIpAllowed, isValidRange, normalizeIp } = require('../src/utils/network');
+
+const createResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+describe('Device authentication', () => {
+  describe('network helpers', () => {
+    it('should match single addresses and CIDR ranges', () => {
+      expect(isIpAllowed('10.0.0.5', ['10.0.0.0/24'])).toBe(true);
+      expect(isIpAllowed('10.0.1.5', ['10.0.0.0/24'])).toBe(false);
+      expect(isIpAllowed('192.168.1.20', ['10.0.0.0/8', '192.168.1.20'])).toBe(true);
+      expect(isIpAllowed('fd00::12', ['fd00::/64'])).toBe(true);
+    });
+
+    it('should allow any address when no ranges are configured', () => {
+      expect(isIpAllowed('203.0.113.7', [])).toBe(true);
+    });
+
+    it('should treat IPv4-mapped IPv6 addresses as IPv4', () => {
+      expect(normalizeIp('::ffff:10.0.0.5')).toBe('10.0.0.5');
+      expect(isIpAllowed('::ffff:10.0.0.5', ['10.0.0.0/24'])).toBe(true);
+    });
+
+    it('should validate ranges', () => {
+      expect(isValidRange('10.0.0.0/24')).toBe(true);
+      expect(isValidRange('2001:db8::/32')).toBe(true);
+      expect(isValidRange('10.0.0.0/33')).toBe(false);
+      expect(isValidRange('not-an-ip')).toBe(false);
+    });
+  });
+
+  describe('API keys', () => {
+    it('should store only a hash and a display prefix', () => {
+      const device = new Device({ name: 'Main Entrance' });
+      const apiKey = device.setApiKey();
+
+      expect(apiKey).toMatch(/^dev_[0-9a-f]{48}$/);
+      expect(device.apiKeyHash).toBe(Device.hashApiKey(apiKey));
+      expect(device.apiKeyPrefix).toBe(apiKey.slice(0, 8));
+      expect(device.toJSON().apiKeyHash).toBeUndefined();
+    });
+  });
+
+  describe('protectDevice', () => {
+    let device;
+
+    beforeEach(() => {
+      device = new Device({ name: 'Main Entrance', allowedIps: ['10.0.0.0/24'] });
+      device.save = jest.fn().mockResolvedValue(device);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should reject requests without a device key', async () => {
+      const res = createResponse();
+      const next = jest.fn();
+
+      await protectDevice({ headers: {}, ip: '10.0.0.5' }, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown or disabled devices', async () => {
+      jest.spyOn(Device, 'findActiveByApiKey').mockResolvedValue(null);
+      const res = createResponse();
+      const next = jest.fn();
+
+      await protectDevice({ headers: { 'x-device-key': 'dev_unknown' }, ip: '10.0.0.5' }, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject devices calling from outside their allowed network', async () => {
+      jest.spyOn(Device, 'findActiveByApiKey').mockResolvedValue(device);
+      const res = createResponse();
+      const next = jest.fn();
+
+      await protectDevice({ headers: { 'x-device-key': 'dev_key' }, ip: '198.51.100.4' }, res, next);
+
+      expect(res.statusCode).toBe(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should attach the device and record when it was last seen', async () => {
+      jest.spyOn(Device, 'findActiveByApiKey').mockResolvedValue(device);
+      const req = { headers: { 'x-device-key': 'dev_key' }, ip: '::ffff:10.0.0.5' };
+      const next = jest.fn();
+
+      await protectDevice(req, createResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.device).toBe(device);
+      expect(device.lastSeenIp).toBe('10.0.0.5');
+      expect(device.lastSeenAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('identifyDevice', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should attach a known device calling from its network', async () => {
+      const device = new Device({ name: 'Main Entrance', allowedIps: ['10.0.0.0/24'] });
+      jest.spyOn(Device, 'findActiveByApiKey').mockResolvedValue(device);
+      const req = { headers: { 'x-device-key': 'dev_key' }, ip: '10.0.0.5' };
+      const next = jest.fn();
+
+      await identifyDevice(req, createResponse(), next);
+
+      expect(req.device).toBe(device);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should not treat keys used from elsewhere as a device', async () => {
+      jest.spyOn(Device, 'findActiveByApiKey').mockResolvedValue(new Device({ name: 'Main Entrance', allowedIps: ['10.0.0.0/24'] }));
+      const req = { headers: { 'x-device-key': 'dev_key' }, ip: '198.51.100.4' };
+      const next = jest.fn();
+
+      await identifyDevice(req, createResponse(), next);
+
+      expect(req.device).toBeNull();
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('kiosk punch', () => {
+    const device = new Device({ name: 'Main Entrance' });
+    const employee = { _id: '65a1b2c3d4e5f60718293a4c', name: 'Jane' };
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', identifyDevice, deviceLimiter, apiLimiter);
+    app.get('/api/ping', (req, res) => res.json({ success: true }));
+    app.use('/api/nfc', nfcRoutes);
+    app.use(errorHandler);
+
+    beforeEach(() => {
+      device.save = jest.fn().mockResolvedValue(device);
+      jest.spyOn(Device, 'findActiveByApiKey').mockResolvedValue(device);
+      jest.spyOn(NfcService, 'validateForPunch').mockResolvedValue({ valid: true, user: employee });
+      jest.spyOn(PunchService, 'createPunch').mockResolvedValue({ punch: { type: 'IN' }, dashboard: {} });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should punch the tag owner in on behalf of the device', async () => {
+      const res = await request(app)
+        .post('/api/nfc/punch')
+        .set('X-Device-Key', 'dev_key')
+        .send({ uid: '04:A2:B3:C4' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.user.name).toBe('Jane');
+      expect(PunchService.createPunch).toHaveBeenCalledWith(employee, expect.objectContaining({
+        source: 'NFC',
+        nfcUID: '04:A2:B3:C4',
+        deviceId: device._id
+      }));
+    });
+
+    it('should not be limited by the per-IP API limit during a morning rush', async () => {
+      for (let i = 0; i < 110; i++) {
+        const res = await request(app)
+          .post('/api/nfc/punch')
+          .set('X-Device-Key', 'dev_key')
+          .send({ uid: `04:00:00:${i}` });
+        expect(res.status).toBe(201);
+      }
+
+      // Browsers behind the same IP keep their own budget
+      const res = await request(app).get('/api/ping');
+      expect(res.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+const EmailService = require('../src/services/EmailService');
+const config = require('../src/config');
+
+describe('EmailService', () => {
+  beforeEach(() => {
+    jest.spyOn(EmailService, 'sendEmail').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('sendCorrectionDecision', () => {
+    const user = { name: 'Jane <b>', email: 'jane@example.com', profile: { timezone: 'UTC' } };
+    const request = {
+      requestType: 'Add',
+      punchType: 'OUT',
+      punchTime: new Date('2026-03-02T17:30:00Z'),
+      status: 'Rejected',
+      reason: 'Forgot <script>alert(1)</script>',
+      reviewNote: 'Ask "HR" & retry'
+    };
+
+    it('should escape user-entered text in the HTML body', async () => {
+      await EmailService.sendCorrectionDecision(user, request);
+
+      const { html, text } = EmailService.sendEmail.mock.calls[0][0];
+      expect(html).toContain('Hi Jane &lt;b&gt;,');
+      expect(html).toContain('Forgot &lt;script&gt;alert(1)&lt;/script&gt;');
+      expect(html).toContain('Ask &quot;HR&quot; &amp; retry');
+      expect(html).not.toContain('<script>');
+      expect(text).toContain('Ask "HR" & retry');
+    });
+
+    it('should link to the configured frontend', async () => {
+      await EmailService.sendCorrectionDecision(user, request);
+
+      const { html } = EmailService.sendEmail.mock.calls[0][0];
+      expect(html).toContain(`href="${config.frontendUrl}/history"`);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const EventService = require('../src/services/EventService');
+const { Team } = require('../src/models');
+
+const createResponse = () => ({
+  headers: null,
+  chunks: [],
+  writeHead(status, headers) {
+    this.status = status;
+    this.headers = headers;
+  },
+  write(chunk) {
+    this.chunks.push(chunk);
+  },
+  events() {
+    return this.chunks
+      .filter(chunk => chunk.startsWith('event: '))
+      .map(chunk => {
+        const [eventLine, dataLine] = chunk.trim().split('\n');
+        return { type: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+      });
+  }
+});
+
+describe('EventService', () => {
+  const employee = { _id: 'user-1', role: 'Employee' };
+  const colleague = { _id: 'user-2', role: 'Employee' };
+  const admin = { _id: 'admin-1', role: 'Admin' };
+  const manager = { _id: 'manager-1', role: 'Manager' };
+  const punch = {
+    _id: 'punch-1',
+    userId: 'user-1',
+    punchType: 'IN',
+    punchTime: new Date('2026-03-02T09:00:00Z'),
+    source: 'NFC',
+    edited: false
+  };
+
+  let unsubscribers;
+
+  beforeEach(() => {
+    unsubscribers = [];
+    jest.spyOn(Team, 'getReportIds').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    jest.restoreAllMocks();
+  });
+
+  const connect = async (user) => {
+    const res = createResponse();
+    unsubscribers.push(await EventService.subscribe(user, res));
+    return res;
+  };
+
+  it('should open an event stream and confirm the connection', async () => {
+    const res = await connect(employee);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['Content-Type']).toBe('text/event-stream');
+    expect(res.events()).toEqual([
+      { type: 'connected', data: expect.objectContaining({ userId: 'user-1' }) }
+    ]);
+  });
+
+  it('should deliver punch events to the owner and admins only', async () => {
+    const own = await connect(employee);
+    const other = await connect(colleague);
+    const adminStream = await connect(admin);
+
+    EventService.publishPunch('punch-created', punch);
+
+    const expected = {
+      type: 'punch-created',
+      data: expect.objectContaining({
+        type: 'punch-created',
+        userId: 'user-1',
+        punch: { id: 'punch-1', type: 'IN', time: '2026-03-02T09:00:00.000Z', source: 'NFC', edited: false }
+      })
+    };
+    expect(own.events()).toContainEqual(expected);
+    expect(adminStream.events()).toContainEqual(expected);
+    expect(other.events().map(e => e.type)).toEqual(['connected']);
+  });
+
+  it('should deliver the punch events of their reports to managers', async () => {
+    Team.getReportIds.mockResolvedValue(['user-1']);
+    const managerStream = await connect(manager);
+
+    EventService.publishPunch('punch-created', punch);
+    EventService.publish('punch-created', 'user-2');
+
+    expect(Team.getReportIds).toHaveBeenCalledWith('manager-1');
+    expect(managerStream.events().map(e => [e.type, e.data.userId])).toEqual([
+      ['connected', 'manager-1'],
+      ['punch-created', 'user-1']
+    ]);
+  });
+
+  it('should stop delivering once unsubscribed', async () => {
+    const res = createResponse();
+    const unsubscribe = await EventService.subscribe(employee, res);
+
+    expect(EventService.getClientCount()).toBe(1);
+    unsubscribe();
+    expect(EventService.getClientCount()).toBe(0);
+
+    EventService.publishPunch('punch-edited', punch);
+    expect(res.events().map(e => e.type)).toEqual(['connected']);
+  });
+});
@@ -0,0 +1,47 @@
+const HistoryExportService = require('../src/services/HistoryExportService');
+
+describe('HistoryExportService', () => {
+  const report = {
+    employee: { name: 'Jane Doe', email: 'jane@example.com' },
+    startDate: '2024-01-01',
+    endDate: '2024-01-01',
+    timezone: 'UTC',
+    generatedAt: '2024-01-02 09:00 AM',
+    days: [{
+      date: '2024-01-01',
+      dayName: 'Monday',
+      punches: [
+        { type: 'IN', timeLocal: '2024-01-01 09:00 AM', source: 'NFC', edited: true, editedBy: 'Admin User', editReason: 'Badge failed, entered late', originalTimeLocal: '2024-01-01 09:40 AM' },
+        { type: 'OUT', timeLocal: '2024-01-01 12:00 PM', source: 'NFC', edited: false, editedBy: null, editReason: null, originalTimeLocal: null },
+        { type: 'IN', timeLocal: '2024-01-01 12:30 PM', source: 'NFC', edited: false, editedBy: null, editReason: null, originalTimeLocal: null },
+        { type: 'OUT', timeLocal: '2024-01-01 05:30 PM', source: 'NFC', edited: false, editedBy: null, editReason: null, originalTimeLocal: null }
+      ],
+      workedMinutes: 480,
+      workedFormatted: '8h 0m',
+      breaks: [{ startTime: '12:00 PM', endTime: '12:30 PM', durationMinutes: 30, durationFormatted: '30m', type: 'Tea Break' }],
+      breakMinutes: 30,
+      breakFormatted: '30m'
+    }],
+    totals: { daysWorked: 1, workedMinutes: 480, workedFormatted: '8h 0m', breakMinutes: 30, breakFormatted: '30m', editedPunches: 1 }
+  };
+
+  describe('toCSV', () => {
+    it('should list punches with edit markers followed by day and period totals', () => {
+      const lines = HistoryExportService.toCSV(report).trim().split('\r\n');
+
+      expect(lines).toHaveLength(7);
+      expect(lines[1]).toBe('2024-01-01,IN,09:00 AM,NFC,Yes,Admin User,"Badge failed, entered late",2024-01-01 09:40 AM,,');
+      expect(lines[5]).toBe('2024-01-01,DAY TOTAL,,,,,,,480,30');
+      expect(lines[6]).toBe(',PERIOD TOTAL,,,,,,,480,30');
+    });
+  });
+
+  describe('toPDF', () => {
+    it('should render a PDF document', async () => {
+      const pdf = await HistoryExportService.toPDF(report);
+
+      expect(Buffer.isBuffer(pdf)).toBe(true);
+      expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
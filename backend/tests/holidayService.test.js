@@ -0,0 +1,110 @@
+const HolidayService = require('../src/services/HolidayService');
+const { Holiday } = require('../src/models');
+
+describe('HolidayService', () => {
+  describe('parseIcs', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'BEGIN:VEVENT',
+      'UID:republic-day@example.com',
+      'DTSTART;VALUE=DATE:20260126',
+      'DTEND;VALUE=DATE:20260127',
+      'SUMMARY:Republic Day',
+      'RRULE:FREQ=YEARLY',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:diwali@example.com',
+      'DTSTART;VALUE=DATE:20261108',
+      'DTEND;VALUE=DATE:20261110',
+      'SUMMARY:Diwali\\, Govard',
+      ' han Puja',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    it('should parse all-day events', () => {
+      const holidays = HolidayService.parseIcs(ics);
+      
+      expect(holidays[0]).toMatchObject({
+        name: 'Republic Day',
+        date: '2026-01-26',
+        recurring: true,
+        icsUid: 'republic-day@example.com'
+      });
+    });
+
+    it('should expand multi-day events using exclusive DTEND', () => {
+      const holidays = HolidayService.parseIcs(ics).filter(h => h.icsUid === 'diwali@example.com');
+      
+      expect(holidays.map(h => h.date)).toEqual(['2026-11-08', '2026-11-09']);
+    });
+
+    it('should unfold continuation lines and unescape text', () => {
+      const holidays = HolidayService.parseIcs(ics);
+      
+      expect(holidays[1].name).toBe('Diwali, Govardhan Puja');
+    });
+
+    it('should return empty array when there are no events', () => {
+      expect(HolidayService.parseIcs('BEGIN:VCALENDAR\r\nEND:VCALENDAR')).toEqual([]);
+    });
+
+    it('should skip timed events and accept bare 8-digit dates', () => {
+      const holidays = HolidayService.parseIcs([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'DTSTART:20260305T140000Z',
+        'DTEND:20260305T150000Z',
+        'SUMMARY:All-hands meeting',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART;TZID=Asia/Kolkata:20260306T090000',
+        'SUMMARY:Office closes early',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20260314',
+        'SUMMARY:Holi',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n'));
+
+      expect(holidays).toEqual([expect.objectContaining({ name: 'Holi', date: '2026-03-14' })]);
+    });
+  });
+
+  describe('recurring holidays', () => {
+    const republicDay = { name: 'Republic Day', date: '2025-01-26', recurring: true };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should repeat from the year of their date onwards', async () => {
+      jest.spyOn(Holiday, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([republicDay]) });
+
+      const holidays = await Holiday.getByDateInRange('2024-01-01', '2026-12-31');
+
+      expect(Object.keys(holidays)).toEqual(['2025-01-26', '2026-01-26']);
+      expect(Holiday.find).toHaveBeenCalledWith({
+        $or: [
+          { date: { $gte: '2024-01-01', $lte: '2026-12-31' } },
+          { recurring: true, date: { $lte: '2026-12-31' } }
+        ]
+      });
+    });
+
+    it('should not match dates before the first year', async () => {
+      jest.spyOn(Holiday, 'findOne').mockResolvedValue(null);
+
+      await Holiday.findByDate('2024-01-26');
+
+      expect(Holiday.findOne).toHaveBeenCalledWith({
+        $or: [
+          { date: '2024-01-26' },
+          { recurring: true, date: { $regex: '-01-26$', $lte: '2024-01-26' } }
+        ]
+      });
+    });
+  });
+});
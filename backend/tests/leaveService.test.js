@@ -0,0 +1,209 @@
+const moment = require('moment-timezone');
+const { Leave, Holiday, AuditLog } = require('../src/models');
+const { LeaveService, TimeEngine } = require('../src/services');
+
+describe('LeaveService', () => {
+  const employee = { _id: '65a1b2c3d4e5f60718293a4c', name: 'Jane', role: 'User', profile: { timezone: 'UTC', dailyWorkTarget: 480 } };
+  const admin = { _id: '65a1b2c3d4e5f60718293a4d', name: 'Ada', role: 'Admin' };
+
+  const leaveFor = (fields) => new Leave({
+    userId: employee._id,
+    leaveType: 'Casual',
+    duration: 'FullDay',
+    status: 'Pending',
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'log').mockResolvedValue({});
+    jest.spyOn(Leave.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('requestLeave', () => {
+    const data = { leaveType: 'Sick', duration: 'FullDay', startDate: '2026-03-02', endDate: '2026-03-04' };
+
+    it('should reject a request overlapping an open leave', async () => {
+      jest.spyOn(Leave, 'findOne').mockResolvedValue(
+        leaveFor({ status: 'Approved', startDate: '2026-03-03', endDate: '2026-03-03' })
+      );
+      jest.spyOn(Leave, 'create');
+
+      await expect(LeaveService.requestLeave(employee, data)).rejects.toMatchObject({ statusCode: 409 });
+      expect(Leave.create).not.toHaveBeenCalled();
+    });
+
+    it('should only check partial leave against full-day leave', async () => {
+      jest.spyOn(Leave, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Leave, 'create').mockImplementation(async (fields) => fields);
+
+      const leave = await LeaveService.requestLeave(employee, {
+        leaveType: 'Casual', duration: 'Hourly', startDate: '2026-03-02', minutes: 90
+      });
+
+      expect(Leave.findOne).toHaveBeenCalledWith(expect.objectContaining({ duration: 'FullDay' }));
+      expect(leave).toMatchObject({ endDate: '2026-03-02', minutes: 90, halfDaySession: null });
+    });
+  });
+
+  describe('reviewLeave', () => {
+    it('should approve a pending request', async () => {
+      jest.spyOn(Leave, 'findById').mockResolvedValue(leaveFor({ startDate: '2026-03-02', endDate: '2026-03-02' }));
+
+      const leave = await LeaveService.reviewLeave('leave-id', 'Approved', admin, 'Enjoy');
+
+      expect(leave.status).toBe('Approved');
+      expect(leave.reviewedBy.toString()).toBe(admin._id);
+      expect(leave.reviewNote).toBe('Enjoy');
+      expect(Leave.prototype.save).toHaveBeenCalled();
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'LEAVE_APPROVE' }));
+    });
+
+    it('should reject a pending request', async () => {
+      jest.spyOn(Leave, 'findById').mockResolvedValue(leaveFor({ startDate: '2026-03-02', endDate: '2026-03-02' }));
+
+      const leave = await LeaveService.reviewLeave('leave-id', 'Rejected', admin, 'Short staffed');
+
+      expect(leave.status).toBe('Rejected');
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'LEAVE_REJECT' }));
+    });
+
+    it('should report a missing request as not found', async () => {
+      jest.spyOn(Leave, 'findById').mockResolvedValue(null);
+
+      await expect(LeaveService.reviewLeave('leave-id', 'Approved', admin)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should not review a request twice', async () => {
+      jest.spyOn(Leave, 'findById').mockResolvedValue(
+        leaveFor({ status: 'Cancelled', startDate: '2026-03-02', endDate: '2026-03-02' })
+      );
+
+      await expect(LeaveService.reviewLeave('leave-id', 'Approved', admin)).rejects.toMatchObject({ statusCode: 409 });
+      expect(Leave.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelLeave', () => {
+    const tomorrow = moment.utc().add(1, 'day').format('YYYY-MM-DD');
+    const today = moment.utc().format('YYYY-MM-DD');
+
+    it('should cancel approved leave that has not started', async () => {
+      jest.spyOn(Leave, 'findById').mockResolvedValue(
+        leaveFor({ status: 'Approved', startDate: tomorrow, endDate: tomorrow })
+      );
+
+      const leave = await LeaveService.cancelLeave('leave-id', employee, 'UTC');
+
+      expect(leave.status).toBe('Cancelled');
+      expect(Leave.prototype.save).toHaveBeenCalled();
+    });
+
+    it('should refuse approved leave that has already started', async () => {
+      jest.spyOn(Leave, 'findById').mockResolvedValue(
+        leaveFor({ status: 'Approved', startDate: today, endDate: tomorrow })
+      );
+
+      await expect(LeaveService.cancelLeave('leave-id', employee, 'UTC')).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should refuse someone else\'s request', async () => {
+      jest.spyOn(Leave, 'findById').mockResolvedValue(
+        leaveFor({ userId: admin._id, startDate: tomorrow, endDate: tomorrow })
+      );
+
+      await expect(LeaveService.cancelLeave('leave-id', employee, 'UTC')).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should not cancel a rejected request', async () => {
+      jest.spyOn(Leave, 'findById').mockResolvedValue(
+        leaveFor({ status: 'Rejected', startDate: tomorrow, endDate: tomorrow })
+      );
+
+      await expect(LeaveService.cancelLeave('leave-id', employee, 'UTC')).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
+
+describe('TimeEngine leave deduction', () => {
+  const employee = { _id: '65a1b2c3d4e5f60718293a4c', profile: { timezone: 'UTC', dailyWorkTarget: 480 } };
+
+  const approved = (fields) => new Leave({ userId: employee._id, leaveType: 'Casual', status: 'Approved', ...fields });
+
+  beforeEach(() => {
+    jest.spyOn(Holiday, 'findByDate').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getLeaveByDate', () => {
+    it('should spread full-day leave over each date in range', async () => {
+      jest.spyOn(Leave, 'getApprovedInRange').mockResolvedValue([
+        approved({ duration: 'FullDay', startDate: '2026-03-01', endDate: '2026-03-03' })
+      ]);
+
+      const leaveByDate = await TimeEngine.getLeaveByDate(employee._id, '2026-03-02', '2026-03-08', 480);
+
+      expect(Object.keys(leaveByDate)).toEqual(['2026-03-02', '2026-03-03']);
+      expect(leaveByDate['2026-03-02']).toEqual({ leaveMinutes: 480, leaveTypes: ['Casual'] });
+    });
+
+    it('should add partial leaves on the same date up to the daily target', async () => {
+      jest.spyOn(Leave, 'getApprovedInRange').mockResolvedValue([
+        approved({ duration: 'HalfDay', startDate: '2026-03-02', endDate: '2026-03-02' }),
+        approved({ duration: 'Hourly', leaveType: 'Sick', minutes: 300, startDate: '2026-03-02', endDate: '2026-03-02' })
+      ]);
+
+      const leaveByDate = await TimeEngine.getLeaveByDate(employee._id, '2026-03-02', '2026-03-02', 480);
+
+      expect(leaveByDate['2026-03-02']).toEqual({ leaveMinutes: 480, leaveTypes: ['Casual', 'Sick'] });
+    });
+  });
+
+  describe('getEffectiveDailyTarget', () => {
+    it('should halve the target for half-day leave', async () => {
+      jest.spyOn(Leave, 'getApprovedInRange').mockResolvedValue([
+        approved({ duration: 'HalfDay', halfDaySession: 'SecondHalf', startDate: '2026-03-02', endDate: '2026-03-02' })
+      ]);
+
+      const target = await TimeEngine.getEffectiveDailyTarget(employee, '2026-03-02');
+
+      expect(target).toMatchObject({ dailyTarget: 240, baseTarget: 480, leaveMinutes: 240, isOnLeave: false });
+    });
+
+    it('should deduct the minutes of hourly leave', async () => {
+      jest.spyOn(Leave, 'getApprovedInRange').mockResolvedValue([
+        approved({ duration: 'Hourly', minutes: 90, startDate: '2026-03-02', endDate: '2026-03-02' })
+      ]);
+
+      const target = await TimeEngine.getEffectiveDailyTarget(employee, '2026-03-02');
+
+      expect(target).toMatchObject({ dailyTarget: 390, leaveMinutes: 90, leaveTypes: ['Casual'], isOnLeave: false });
+    });
+
+    it('should clear the target for full-day leave', async () => {
+      jest.spyOn(Leave, 'getApprovedInRange').mockResolvedValue([
+        approved({ duration: 'FullDay', startDate: '2026-03-02', endDate: '2026-03-02' })
+      ]);
+
+      const target = await TimeEngine.getEffectiveDailyTarget(employee, '2026-03-02');
+
+      expect(target).toMatchObject({ dailyTarget: 0, leaveMinutes: 480, isOnLeave: true });
+    });
+
+    it('should ignore leave on a holiday', async () => {
+      Holiday.findByDate.mockResolvedValue({ name: 'Founders Day' });
+      jest.spyOn(Leave, 'getApprovedInRange');
+
+      const target = await TimeEngine.getEffectiveDailyTarget(employee, '2026-03-02');
+
+      expect(target).toMatchObject({ dailyTarget: 0, leaveMinutes: 0, holiday: { name: 'Founders Day', date: '2026-03-02' } });
+      expect(Leave.getApprovedInRange).not.toHaveBeenCalled();
+    });
+  });
+});
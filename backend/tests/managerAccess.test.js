@@ -0,0 +1,215 @@
+const express = require('express');
+const request = require('supertest');
+const { User, Team, AuditLog } = require('../src/models');
+const { canAccessUser, generateAccessToken } = require('../src/middleware/auth');
+const { errorHandler } = require('../src/middleware');
+const { PunchValidator, TimeEngine } = require('../src/services');
+const userRoutes = require('../src/routes/users');
+const adminRoutes = require('../src/routes/admin');
+
+describe('Manager access', () => {
+  const admin = { _id: '65a1b2c3d4e5f60718293a01', name: 'Ada', role: 'Admin', isActive: true };
+  const manager = { _id: '65a1b2c3d4e5f60718293a02', name: 'Max', role: 'Manager', isActive: true };
+  const reportId = '65a1b2c3d4e5f60718293a03';
+  const outsiderId = '65a1b2c3d4e5f60718293a04';
+  const teamId = '65a1b2c3d4e5f60718293a05';
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Team.isManagerOf', () => {
+    const mockMember = (member) => {
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(member) });
+    };
+
+    it('should look for an active team of the user managed by the manager', async () => {
+      mockMember({ _id: reportId, teamId });
+      jest.spyOn(Team, 'exists').mockResolvedValue({ _id: teamId });
+
+      await expect(Team.isManagerOf(manager._id, reportId)).resolves.toBe(true);
+      expect(Team.exists).toHaveBeenCalledWith({ _id: teamId, managerId: manager._id, isActive: true });
+    });
+
+    it('should be false when the team has another manager', async () => {
+      mockMember({ _id: outsiderId, teamId });
+      jest.spyOn(Team, 'exists').mockResolvedValue(null);
+
+      await expect(Team.isManagerOf(manager._id, outsiderId)).resolves.toBe(false);
+    });
+
+    it('should be false for users without a team', async () => {
+      mockMember({ _id: outsiderId, teamId: null });
+      jest.spyOn(Team, 'exists');
+
+      await expect(Team.isManagerOf(manager._id, outsiderId)).resolves.toBe(false);
+      expect(Team.exists).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('canAccessUser', () => {
+    const run = async (user, userId) => {
+      const req = { user, params: { userId }, body: {} };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await canAccessUser(req, res, next);
+      return { res, next };
+    };
+
+    it('should let managers access their reports', async () => {
+      jest.spyOn(Team, 'isManagerOf').mockResolvedValue(true);
+
+      const { next } = await run(manager, reportId);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(Team.isManagerOf).toHaveBeenCalledWith(manager._id, reportId);
+    });
+
+    it('should refuse managers access to users outside their teams', async () => {
+      jest.spyOn(Team, 'isManagerOf').mockResolvedValue(false);
+
+      const { res, next } = await run(manager, outsiderId);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should not treat plain users as managers', async () => {
+      jest.spyOn(Team, 'isManagerOf');
+
+      const { res } = await run({ _id: reportId, role: 'User' }, outsiderId);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(Team.isManagerOf).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('user routes', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/users', userRoutes);
+    app.use('/api/admin', adminRoutes);
+    app.use(errorHandler);
+
+    const signIn = (user) => {
+      jest.spyOn(User, 'findById').mockResolvedValueOnce(user);
+      return `Bearer ${generateAccessToken(user)}`;
+    };
+
+    describe('GET /api/users', () => {
+      beforeEach(() => {
+        jest.spyOn(User, 'countDocuments').mockResolvedValue(1);
+        jest.spyOn(User, 'find').mockReturnValue({
+          sort: jest.fn().mockReturnThis(),
+          skip: jest.fn().mockReturnThis(),
+          limit: jest.fn().mockResolvedValue([{ toPublicJSON: () => ({ id: reportId }) }])
+        });
+        jest.spyOn(Team, 'getReportIds').mockResolvedValue([reportId]);
+      });
+
+      it('should only list a manager\'s reports', async () => {
+        const res = await request(app).get('/api/users').set('Authorization', signIn(manager));
+
+        expect(res.status).toBe(200);
+        expect(Team.getReportIds).toHaveBeenCalledWith(manager._id);
+        expect(User.find).toHaveBeenCalledWith({ _id: { $in: [reportId] } });
+      });
+
+      it('should list everyone for admins', async () => {
+        const res = await request(app).get('/api/users').set('Authorization', signIn(admin));
+
+        expect(res.status).toBe(200);
+        expect(Team.getReportIds).not.toHaveBeenCalled();
+        expect(User.find).toHaveBeenCalledWith({});
+      });
+    });
+
+    describe('PUT /api/users/:userId', () => {
+      const target = () => new User({ _id: reportId, name: 'Jane', email: 'jane@example.com', password: 'secret123' });
+
+      beforeEach(() => {
+        jest.spyOn(User.prototype, 'save').mockResolvedValue();
+        jest.spyOn(AuditLog, 'log').mockResolvedValue({});
+      });
+
+      const update = (body) => {
+        const authorization = signIn(admin);
+        jest.spyOn(User, 'findById').mockResolvedValueOnce(target());
+        return request(app).put(`/api/users/${reportId}`).set('Authorization', authorization).send(body);
+      };
+
+      it('should reject a malformed team ID', async () => {
+        const res = await update({ teamId: 'not-an-id' });
+
+        expect(res.status).toBe(400);
+        expect(User.prototype.save).not.toHaveBeenCalled();
+      });
+
+      it('should reject a team that does not exist', async () => {
+        jest.spyOn(Team, 'exists').mockResolvedValue(null);
+
+        const res = await update({ teamId });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Team not found');
+        expect(User.prototype.save).not.toHaveBeenCalled();
+      });
+
+      it('should assign an existing team and allow clearing it', async () => {
+        jest.spyOn(Team, 'exists').mockResolvedValue({ _id: teamId });
+
+        const assigned = await update({ teamId });
+        expect(assigned.status).toBe(200);
+        expect(User.prototype.save).toHaveBeenCalledTimes(1);
+
+        const cleared = await update({ teamId: null });
+        expect(cleared.status).toBe(200);
+        expect(User.prototype.save).toHaveBeenCalledTimes(2);
+      });
+
+      it('should let admins mark an email address as verified', async () => {
+        const res = await update({ emailVerified: true });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.user.emailVerified).toBe(true);
+        expect(User.prototype.save.mock.contexts[0].emailVerifiedAt).toBeInstanceOf(Date);
+      });
+    });
+
+    describe('GET /api/admin/punch-issues/:userId', () => {
+      const report = { _id: reportId, name: 'Nia', profile: { timezone: 'America/New_York' } };
+
+      beforeEach(() => {
+        jest.spyOn(TimeEngine, 'getDayCutoff').mockResolvedValue('04:00');
+        jest.spyOn(PunchValidator, 'detectPunchIssues').mockResolvedValue([{ type: 'ODD_PUNCH_COUNT' }]);
+      });
+
+      const getIssues = (userId) => {
+        const authorization = signIn(manager);
+        jest.spyOn(User, 'findById').mockResolvedValueOnce(report);
+        return request(app).get(`/api/admin/punch-issues/${userId}`).set('Authorization', authorization);
+      };
+
+      it('should check a manager\'s report in the report\'s timezone and work day', async () => {
+        jest.spyOn(Team, 'isManagerOf').mockResolvedValue(true);
+
+        const res = await getIssues(reportId);
+
+        expect(res.status).toBe(200);
+        expect(res.body.count).toBe(1);
+        expect(TimeEngine.getDayCutoff).toHaveBeenCalledWith(report);
+        expect(PunchValidator.detectPunchIssues).toHaveBeenCalledWith(reportId, 'America/New_York', '04:00');
+      });
+
+      it('should refuse users outside the manager\'s teams', async () => {
+        jest.spyOn(Team, 'isManagerOf').mockResolvedValue(false);
+
+        const res = await getIssues(outsiderId);
+
+        expect(res.status).toBe(403);
+        expect(PunchValidator.detectPunchIssues).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
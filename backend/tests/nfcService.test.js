@@ -0,0 +1,123 @@
+const NfcService = require('../src/services/NfcService');
+const EmailService = require('../src/services/EmailService');
+const { NfcTag, AuditLog } = require('../src/models');
+const { computeSunMac } = require('../src/utils/sun');
+
+describe('NfcService secure messages', () => {
+  const secretKey = '00112233445566778899aabbccddeeff';
+
+  const createTag = (overrides = {}) => ({
+    _id: 'tag-1',
+    uid: '04A1B2C3D4E5F6',
+    label: 'Badge',
+    userId: { _id: 'user-1', name: 'Jane Doe' },
+    secureMode: true,
+    secretKey,
+    lastCounter: 5,
+    cloneSuspectedAt: null,
+    ...overrides
+  });
+
+  const message = (counter, key = secretKey, uid = '04A1B2C3D4E5F6') =>
+    `https://example.com/nfc-punch?uid=${uid}&ctr=${counter.toString(16).padStart(6, '0')}&cmac=${computeSunMac(key, uid, counter)}`;
+
+  beforeEach(() => {
+    jest.spyOn(NfcTag, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(AuditLog, 'log').mockResolvedValue({});
+    jest.spyOn(EmailService, 'sendAdminAlert').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('computeSunMac', () => {
+    it('should match the NTAG 424 DNA SUN example (NXP AN12196)', () => {
+      expect(computeSunMac('00'.repeat(16), '04DE5F1EACC040', 0x3d)).toBe('94EED9EE65337086');
+    });
+  });
+
+  describe('parseSecureMessage', () => {
+    it('should read the UID, counter and MAC from a URL record', () => {
+      expect(NfcService.parseSecureMessage('https://example.com/nfc-punch?uid=04a1b2c3d4e5f6&ctr=00002A&cmac=ABCDEF0123456789'))
+        .toEqual({ uid: '04A1B2C3D4E5F6', counter: 42, mac: 'ABCDEF0123456789' });
+    });
+
+    it('should return null without a complete message', () => {
+      expect(NfcService.parseSecureMessage(null)).toBeNull();
+      expect(NfcService.parseSecureMessage('uid=04A1B2C3D4E5F6&ctr=00002A')).toBeNull();
+    });
+  });
+
+  describe('verifySecureMessage', () => {
+    it('should accept plain tags without a message', async () => {
+      const result = await NfcService.verifySecureMessage(createTag({ secureMode: false }), null);
+
+      expect(result.valid).toBe(true);
+      expect(AuditLog.log).not.toHaveBeenCalled();
+    });
+
+    it('should accept and consume a fresh signed counter', async () => {
+      const tag = createTag();
+      const result = await NfcService.verifySecureMessage(tag, message(6));
+
+      expect(result.valid).toBe(true);
+      expect(NfcTag.updateOne).toHaveBeenCalledWith(
+        { _id: 'tag-1', lastCounter: { $lt: 6 } },
+        { $set: { lastCounter: 6 } }
+      );
+      expect(tag.lastCounter).toBe(6);
+    });
+
+    it('should not consume the counter when only validating', async () => {
+      const result = await NfcService.verifySecureMessage(createTag(), message(6), { consume: false });
+
+      expect(result.valid).toBe(true);
+      expect(NfcTag.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should reject a replayed counter as a suspected clone', async () => {
+      const result = await NfcService.verifySecureMessage(createTag(), message(5), { ipAddress: '10.0.0.9' });
+
+      expect(result.valid).toBe(false);
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'NFC_CLONE_SUSPECTED',
+        performedBy: null,
+        targetUser: 'user-1',
+        ipAddress: '10.0.0.9'
+      }));
+      expect(EmailService.sendAdminAlert).toHaveBeenCalled();
+    });
+
+    it('should reject a counter another read consumed first', async () => {
+      NfcTag.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+      const result = await NfcService.verifySecureMessage(createTag(), message(6));
+
+      expect(result.valid).toBe(false);
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'NFC_CLONE_SUSPECTED' }));
+    });
+
+    it('should accept a tag registered with a separated UID', async () => {
+      const result = await NfcService.verifySecureMessage(createTag({ uid: '04:A1:B2:C3:D4:E5:F6' }), message(6));
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should reject a copied UID without a message, with a forged MAC or with another tag\'s message', async () => {
+      expect((await NfcService.verifySecureMessage(createTag(), null)).valid).toBe(false);
+      expect((await NfcService.verifySecureMessage(createTag(), message(9, 'ff'.repeat(16)))).valid).toBe(false);
+      expect((await NfcService.verifySecureMessage(createTag(), message(9, secretKey, '04FFFFFFFFFFFF'))).valid).toBe(false);
+      expect(AuditLog.log).toHaveBeenCalledTimes(3);
+    });
+
+    it('should throttle alert emails for a tag already under suspicion', async () => {
+      const tag = createTag({ cloneSuspectedAt: new Date(Date.now() - 5 * 60 * 1000) });
+
+      await NfcService.verifySecureMessage(tag, message(1));
+
+      expect(AuditLog.log).toHaveBeenCalled();
+      expect(EmailService.sendAdminAlert).not.toHaveBeenCalled();
+    });
+  });
+});
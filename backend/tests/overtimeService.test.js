@@ -0,0 +1,106 @@
+const OvertimeService = require('../src/services/OvertimeService');
+
+describe('OvertimeService', () => {
+  const policy = {
+    dailyThresholdMinutes: 480,
+    weeklyThresholdMinutes: 2400,
+    minimumBlockMinutes: 30,
+    multiplier: 1.5,
+    weekendMultiplier: 2,
+    holidayMultiplier: 2.5
+  };
+
+  describe('getPolicy', () => {
+    it('should fall back to the user daily target for the daily threshold', () => {
+      const user = { profile: { dailyWorkTarget: 540 } };
+      expect(OvertimeService.getPolicy(user).dailyThresholdMinutes).toBe(540);
+    });
+
+    it('should keep an explicit zero from the environment', () => {
+      const env = { ...process.env };
+      process.env.OVERTIME_WEEKLY_THRESHOLD_MINUTES = '0';
+      process.env.OVERTIME_MINIMUM_BLOCK_MINUTES = '0';
+
+      try {
+        jest.isolateModules(() => {
+          const { overtime } = require('../src/config');
+          expect(overtime.weeklyThresholdMinutes).toBe(0);
+          expect(overtime.minimumBlockMinutes).toBe(0);
+        });
+
+        process.env.OVERTIME_WEEKLY_THRESHOLD_MINUTES = 'forty hours';
+        delete process.env.OVERTIME_MINIMUM_BLOCK_MINUTES;
+        jest.isolateModules(() => {
+          const { overtime } = require('../src/config');
+          expect(overtime.weeklyThresholdMinutes).toBe(2400);
+          expect(overtime.minimumBlockMinutes).toBe(30);
+        });
+      } finally {
+        process.env = env;
+      }
+    });
+  });
+
+  describe('calculateDay', () => {
+    it('should count minutes past the daily threshold as overtime', () => {
+      const result = OvertimeService.calculateDay({ workedMinutes: 600, isWorkingDay: true }, policy);
+
+      expect(result.regularMinutes).toBe(480);
+      expect(result.overtimeMinutes).toBe(120);
+      expect(result.premiumMinutes).toBe(60);
+    });
+
+    it('should ignore overtime shorter than the minimum block', () => {
+      const result = OvertimeService.calculateDay({ workedMinutes: 500, isWorkingDay: true }, policy);
+
+      expect(result.regularMinutes).toBe(500);
+      expect(result.overtimeMinutes).toBe(0);
+      expect(result.multiplier).toBe(1);
+    });
+
+    it('should apply weekend and holiday multipliers to all worked time', () => {
+      const weekend = OvertimeService.calculateDay({ workedMinutes: 240, isWorkingDay: false }, policy);
+      const holiday = OvertimeService.calculateDay({ workedMinutes: 240, isWorkingDay: false, isHoliday: true }, policy);
+
+      expect(weekend.overtimeMinutes).toBe(240);
+      expect(weekend.premiumMinutes).toBe(240);
+      expect(holiday.premiumMinutes).toBe(360);
+    });
+  });
+
+  describe('calculateWeek', () => {
+    it('should convert regular time past the weekly threshold to overtime', () => {
+      const days = [
+        ...Array(6).fill({ workedMinutes: 480, isWorkingDay: true }),
+        { workedMinutes: 0, isWorkingDay: false }
+      ];
+
+      const { days: dailyResults, totals } = OvertimeService.calculateWeek(days, policy);
+
+      expect(dailyResults[4].overtimeMinutes).toBe(0);
+      expect(dailyResults[5].overtimeMinutes).toBe(480);
+      expect(totals.regularMinutes).toBe(2400);
+      expect(totals.weeklyOvertimeMinutes).toBe(480);
+      expect(totals.premiumMinutes).toBe(240);
+    });
+
+    it('should not count daily overtime twice towards the weekly threshold', () => {
+      const days = Array(5).fill({ workedMinutes: 540, isWorkingDay: true });
+
+      const { totals } = OvertimeService.calculateWeek(days, policy);
+
+      expect(totals.regularMinutes).toBe(2400);
+      expect(totals.overtimeMinutes).toBe(300);
+      expect(totals.weeklyOvertimeMinutes).toBe(0);
+    });
+
+    it('should skip weekly overtime when the weekly threshold is zero', () => {
+      const days = Array(6).fill({ workedMinutes: 480, isWorkingDay: true });
+
+      const { totals } = OvertimeService.calculateWeek(days, { ...policy, weeklyThresholdMinutes: 0 });
+
+      expect(totals.regularMinutes).toBe(2880);
+      expect(totals.weeklyOvertimeMinutes).toBe(0);
+    });
+  });
+});
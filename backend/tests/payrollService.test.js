@@ -0,0 +1,66 @@
+const PayrollService = require('../src/services/PayrollService');
+
+describe('PayrollService', () => {
+  const row = {
+    userId: '507f1f77bcf86cd799439011',
+    name: 'Doe, Jane',
+    email: 'jane@example.com',
+    team: 'Support',
+    periodStart: '2024-01-01',
+    periodEnd: '2024-01-15',
+    daysWorked: 10,
+    workedMinutes: 4905.5,
+    regularMinutes: 4800,
+    overtimeMinutes: 105.5,
+    leaveMinutes: 0,
+    breakMinutes: 300,
+    lateCount: 2
+  };
+
+  describe('validateRange', () => {
+    it('should reject an end date before the start date', () => {
+      expect(() => PayrollService.validateRange('2024-01-15', '2024-01-01')).toThrow('before start date');
+    });
+
+    it('should reject ranges longer than a year', () => {
+      expect(() => PayrollService.validateRange('2024-01-01', '2025-01-01')).toThrow('366 days');
+      expect(() => PayrollService.validateRange('2024-01-01', '2024-12-31')).not.toThrow();
+    });
+  });
+
+  describe('formatValue', () => {
+    it('should format minute fields as minutes, decimal hours or h:mm', () => {
+      expect(PayrollService.formatValue(row, { field: 'workedMinutes', format: 'minutes' })).toBe(4906);
+      expect(PayrollService.formatValue(row, { field: 'workedMinutes', format: 'hours' })).toBe(81.76);
+      expect(PayrollService.formatValue(row, { field: 'workedMinutes', format: 'hhmm' })).toBe('81:46');
+    });
+
+    it('should leave non-minute fields untouched', () => {
+      expect(PayrollService.formatValue(row, { field: 'lateCount', format: 'hours' })).toBe(2);
+      expect(PayrollService.formatValue(row, { field: 'email' })).toBe('jane@example.com');
+    });
+
+    it('should output the fixed value for constant columns', () => {
+      expect(PayrollService.formatValue(row, { field: 'constant', value: 'ACME-01' })).toBe('ACME-01');
+    });
+  });
+
+  describe('toCSV', () => {
+    it('should map rows onto template columns in order', () => {
+      const table = PayrollService.buildTable([row], [
+        { field: 'constant', header: 'Company', value: 'ACME' },
+        { field: 'email', header: 'Employee Email' },
+        { field: 'overtimeMinutes', header: 'OT Hours', format: 'hours' }
+      ]);
+
+      expect(PayrollService.toCSV(table)).toBe('Company,Employee Email,OT Hours\r\nACME,jane@example.com,1.76\r\n');
+    });
+
+    it('should quote values containing the delimiter or quotes', () => {
+      const table = { headers: ['Name', 'Note'], rows: [['Doe, Jane', 'said "hi"']] };
+
+      expect(PayrollService.toCSV(table)).toBe('Name,Note\r\n"Doe, Jane","said ""hi"""\r\n');
+      expect(PayrollService.toCSV(table, ';')).toBe('Name;Note\r\nDoe, Jane;"said ""hi"""\r\n');
+    });
+  });
+});
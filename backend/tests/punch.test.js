@@ -180,7 +180,7 @@ describe('Punch API', () => {
             punchId = response.body.data.punch._id;
         });
 
-        it('should allow user to edit their own punch with reason', async () => {
+        it('should not allow user to edit their own punch directly', async () => {
             const newTime = new Date(Date.now() - 3600000); // 1 hour ago
 
             const response = await request(app)
@@ -191,6 +191,23 @@ describe('Punch API', () => {
                     editReason: 'Forgot to punch in earlier'
                 })
                 .expect('Content-Type', /json/)
+                .expect(403);
+
+            expect(response.body.success).toBe(false);
+        });
+
+        it('should allow admin to edit a punch with reason', async () => {
+            const admin = await dbHandler.createTestAdmin();
+            const newTime = new Date(Date.now() - 3600000);
+
+            const response = await request(app)
+                .put(`/api/punch/${punchId}`)
+                .set('Authorization', `Bearer ${dbHandler.generateToken(admin)}`)
+                .send({
+                    punchTime: newTime.toISOString(),
+                    editReason: 'Forgot to punch in earlier'
+                })
+                .expect('Content-Type', /json/)
                 .expect(200);
 
             expect(response.body.success).toBe(true);
@@ -199,11 +216,12 @@ describe('Punch API', () => {
         });
 
         it('should reject edit without reason', async () => {
+            const admin = await dbHandler.createTestAdmin();
             const newTime = new Date(Date.now() - 3600000);
 
             const response = await request(app)
                 .put(`/api/punch/${punchId}`)
-                .set('Authorization', `Bearer ${authToken}`)
+                .set('Authorization', `Bearer ${dbHandler.generateToken(admin)}`)
                 .send({ punchTime: newTime.toISOString() })
                 .expect('Content-Type', /json/)
                 .expect(400);
@@ -0,0 +1,57 @@
+const PunchService = require('../src/services/PunchService');
+const TimeEngine = require('../src/services/TimeEngine');
+const ShiftService = require('../src/services/ShiftService');
+const SiteService = require('../src/services/SiteService');
+const PunchValidator = require('../src/services/PunchValidator');
+const QrService = require('../src/services/QrService');
+
+describe('PunchService location checks', () => {
+  const user = { _id: '65a1b2c3d4e5f60718293a4c', profile: { timezone: 'UTC' } };
+  const rules = { sites: [{ _id: 'site-1' }], policy: 'reject' };
+
+  beforeEach(() => {
+    jest.spyOn(TimeEngine, 'isDoublePunch').mockResolvedValue(false);
+    jest.spyOn(TimeEngine, 'getNextPunchType').mockResolvedValue('IN');
+    jest.spyOn(TimeEngine, 'getDayCutoff').mockResolvedValue('00:00');
+    jest.spyOn(ShiftService, 'getValidationConfig').mockResolvedValue({});
+    jest.spyOn(SiteService, 'getRules').mockResolvedValue(rules);
+    // Stop at validation so nothing is written
+    jest.spyOn(PunchValidator, 'validatePunch').mockResolvedValue({
+      valid: false,
+      summary: { errors: ['Outside the geofence'] },
+      validations: { network: { reasonRequired: false } }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const validatedWith = () => PunchValidator.validatePunch.mock.calls[0][4];
+
+  it.each(['Manual', 'NFC', 'Admin'])('should check browser punches claiming source %s', async (source) => {
+    await expect(PunchService.createPunch(user, { source, nfcUID: 'TAG', ipAddress: '203.0.113.5' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    expect(validatedWith()).toMatchObject({ geofence: rules, checkNetwork: true, ipAddress: '203.0.113.5' });
+  });
+
+  it('should check QR punches from the scanning phone, not the kiosk', async () => {
+    jest.spyOn(QrService, 'verifyToken').mockResolvedValue({ valid: true, device: { _id: 'kiosk-1' } });
+    const location = { latitude: 48.85, longitude: 2.35, accuracy: 10 };
+
+    await expect(PunchService.createPunch(user, { source: 'QR', qrToken: 'qr1.token', location, ipAddress: '203.0.113.5' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    expect(SiteService.getRules).toHaveBeenCalledWith(user);
+    expect(validatedWith()).toMatchObject({ geofence: rules, location, checkNetwork: true });
+  });
+
+  it('should skip location checks for registered reader devices', async () => {
+    await expect(PunchService.createPunch(user, { source: 'NFC', nfcUID: 'TAG', deviceId: 'device-1' }))
+      .rejects.toThrow();
+
+    expect(SiteService.getRules).not.toHaveBeenCalled();
+    expect(validatedWith()).toMatchObject({ geofence: null, checkNetwork: false });
+  });
+});
@@ -0,0 +1,215 @@
+const PunchValidator = require('../src/services/PunchValidator');
+const ShiftService = require('../src/services/ShiftService');
+
+describe('PunchValidator', () => {
+  const timezone = 'Asia/Kolkata';
+
+  describe('validateBusinessHours', () => {
+    it('should accept punches inside a daytime window', () => {
+      const punchTime = new Date('2024-01-01T04:30:00Z'); // 10:00 IST
+      const result = PunchValidator.validateBusinessHours(punchTime, timezone, { start: '07:00', end: '19:00' });
+      expect(result.valid).toBe(true);
+    });
+
+    it('should warn for punches outside a daytime window', () => {
+      const punchTime = new Date('2024-01-01T16:30:00Z'); // 22:00 IST
+      const result = PunchValidator.validateBusinessHours(punchTime, timezone, { start: '07:00', end: '19:00' });
+      expect(result.valid).toBe(false);
+    });
+
+    it('should handle windows that wrap past midnight', () => {
+      const window = { start: '20:00', end: '08:00' };
+      const afterMidnight = new Date('2024-01-01T20:30:00Z'); // 02:00 IST
+      const midday = new Date('2024-01-01T06:30:00Z'); // 12:00 IST
+
+      expect(PunchValidator.validateBusinessHours(afterMidnight, timezone, window).valid).toBe(true);
+      expect(PunchValidator.validateBusinessHours(midday, timezone, window).valid).toBe(false);
+    });
+  });
+
+  describe('checkGracePeriod', () => {
+    it('should flag late arrival after grace period', () => {
+      const punchTime = new Date('2024-01-01T04:00:00Z'); // 09:30 IST
+      const result = PunchValidator.checkGracePeriod(punchTime, timezone, 15, '09:00');
+      expect(result.isLate).toBe(true);
+      expect(result.minutesLate).toBe(30);
+    });
+
+    it('should not flag arrival within grace period', () => {
+      const punchTime = new Date('2024-01-01T03:40:00Z'); // 09:10 IST
+      expect(PunchValidator.checkGracePeriod(punchTime, timezone, 15, '09:00').isLate).toBe(false);
+    });
+
+    it('should measure post-midnight arrivals against the previous day for overnight shifts', () => {
+      const punchTime = new Date('2024-01-01T19:00:00Z'); // 00:30 IST, shift started 22:00
+      const result = PunchValidator.checkGracePeriod(punchTime, timezone, 15, '22:00', '06:00');
+      expect(result.isLate).toBe(true);
+      expect(result.minutesLate).toBe(150);
+    });
+  });
+
+  describe('checkEarlyDeparture', () => {
+    const punchIn = new Date('2024-01-01T08:30:00Z'); // 14:00 IST
+
+    it('should flag a departure before the minimum work time', () => {
+      const punchOut = new Date('2024-01-01T11:30:00Z'); // 17:00 IST
+      const result = PunchValidator.checkEarlyDeparture(punchOut, punchIn, timezone, 8);
+      expect(result.isEarly).toBe(true);
+      expect(result.shortBy).toBe(5);
+    });
+
+    it('should count sessions already worked earlier in the day', () => {
+      const punchOut = new Date('2024-01-01T12:30:00Z'); // 18:00 IST, 4h after lunch
+      expect(PunchValidator.checkEarlyDeparture(punchOut, punchIn, timezone, 8, 240).isEarly).toBe(false);
+    });
+  });
+
+  describe('validateGeofence', () => {
+    // ~111 m per 0.001 degree of latitude
+    const office = {
+      _id: 'site-1',
+      name: 'Head Office',
+      fenceType: 'circle',
+      center: { latitude: 12.9716, longitude: 77.5946 },
+      radiusMeters: 200,
+      policy: 'warn'
+    };
+    const warehouse = {
+      _id: 'site-2',
+      name: 'Warehouse',
+      fenceType: 'polygon',
+      polygon: [
+        { latitude: 13.0, longitude: 77.6 },
+        { latitude: 13.0, longitude: 77.61 },
+        { latitude: 13.01, longitude: 77.61 },
+        { latitude: 13.01, longitude: 77.6 }
+      ],
+      policy: 'reject'
+    };
+    const rules = (overrides = {}) => ({ sites: [office, warehouse], policyOverride: null, ...overrides });
+
+    it('should skip the check when no sites are defined', () => {
+      expect(PunchValidator.validateGeofence({ latitude: 0, longitude: 0 }, { sites: [], policyOverride: null }))
+        .toEqual({ valid: true, checked: false });
+    });
+
+    it('should accept punches inside a circular fence', () => {
+      const result = PunchValidator.validateGeofence({ latitude: 12.9726, longitude: 77.5946 }, rules());
+
+      expect(result).toMatchObject({ valid: true, inside: true, distanceMeters: 0, site: { name: 'Head Office' } });
+      expect(result.warning).toBeUndefined();
+    });
+
+    it('should accept punches inside a polygon fence', () => {
+      const result = PunchValidator.validateGeofence({ latitude: 13.005, longitude: 77.605 }, rules());
+
+      expect(result).toMatchObject({ valid: true, inside: true, site: { name: 'Warehouse' } });
+    });
+
+    it('should warn outside the nearest site when its policy is warn', () => {
+      // ~311 m north of the office center, ~111 m outside the fence
+      const result = PunchValidator.validateGeofence({ latitude: 12.9744, longitude: 77.5946 }, rules());
+
+      expect(result.valid).toBe(true);
+      expect(result.inside).toBe(false);
+      expect(result.distanceMeters).toBeGreaterThan(100);
+      expect(result.distanceMeters).toBeLessThan(120);
+      expect(result.warning).toMatch(/m outside Head Office/);
+    });
+
+    it('should reject outside a site with a reject policy', () => {
+      const result = PunchValidator.validateGeofence({ latitude: 13.0, longitude: 77.615 }, rules());
+
+      expect(result.valid).toBe(false);
+      expect(result.site.name).toBe('Warehouse');
+      expect(result.error).toMatch(/only allowed on site/);
+    });
+
+    it('should apply the user policy override', () => {
+      const result = PunchValidator.validateGeofence(
+        { latitude: 13.0, longitude: 77.615 },
+        rules({ policyOverride: 'off' })
+      );
+
+      expect(result).toMatchObject({ valid: true, inside: false, policy: 'off' });
+      expect(result.warning).toBeUndefined();
+    });
+
+    it('should use the strictest site policy when there is no location', () => {
+      const result = PunchValidator.validateGeofence(null, rules());
+
+      expect(result).toMatchObject({ valid: false, hasLocation: false, policy: 'reject' });
+      expect(result.error).toMatch(/location could not be determined/);
+    });
+  });
+
+  describe('validateNetwork', () => {
+    const office = {
+      _id: 'site-1',
+      name: 'Head Office',
+      trustedNetworks: ['10.0.0.0/24', '203.0.113.7'],
+      networkPolicy: 'flag'
+    };
+    const remote = { _id: 'site-2', name: 'Remote', trustedNetworks: [], networkPolicy: 'block' };
+    const rules = (policy = 'flag') => ({ sites: [{ ...office, networkPolicy: policy }, remote], policyOverride: null });
+
+    it('should skip the check when no site has trusted networks', () => {
+      expect(PunchValidator.validateNetwork('10.0.0.5', { sites: [remote], policyOverride: null }))
+        .toEqual({ valid: true, checked: false });
+    });
+
+    it('should record the matched network', () => {
+      const result = PunchValidator.validateNetwork('::ffff:10.0.0.5', rules('block'));
+
+      expect(result).toMatchObject({
+        valid: true,
+        trusted: true,
+        network: { siteId: 'site-1', siteName: 'Head Office', range: '10.0.0.0/24' }
+      });
+      expect(PunchValidator.validateNetwork('203.0.113.7', rules()).network.range).toBe('203.0.113.7');
+    });
+
+    it('should flag punches from other networks', () => {
+      const result = PunchValidator.validateNetwork('198.51.100.1', rules());
+
+      expect(result).toMatchObject({ valid: true, trusted: false, policy: 'flag' });
+      expect(result.warning).toMatch(/flagged/);
+    });
+
+    it('should require a reason when the policy asks for one', () => {
+      const missing = PunchValidator.validateNetwork('198.51.100.1', rules('reason'), '  ');
+      expect(missing).toMatchObject({ valid: false, reasonRequired: true });
+
+      const given = PunchValidator.validateNetwork('198.51.100.1', rules('reason'), ' Client visit ');
+      expect(given).toMatchObject({ valid: true, reason: 'Client visit' });
+    });
+
+    it('should block punches from other networks', () => {
+      const result = PunchValidator.validateNetwork('198.51.100.1', rules('block'));
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/only allowed from the office/);
+    });
+
+    it('should only record when the policy is off', () => {
+      const result = PunchValidator.validateNetwork('198.51.100.1', rules('off'));
+
+      expect(result).toMatchObject({ valid: true, checked: true, trusted: false });
+      expect(result.warning).toBeUndefined();
+    });
+  });
+});
+
+describe('ShiftService', () => {
+  describe('offsetTime', () => {
+    it('should offset a clock time forwards and backwards', () => {
+      expect(ShiftService.offsetTime('09:00', -120)).toBe('07:00');
+      expect(ShiftService.offsetTime('17:30', 45)).toBe('18:15');
+    });
+
+    it('should wrap around midnight', () => {
+      expect(ShiftService.offsetTime('22:00', 180)).toBe('01:00');
+      expect(ShiftService.offsetTime('01:00', -120)).toBe('23:00');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const QrService = require('../src/services/QrService');
+const { Device } = require('../src/models');
+const config = require('../src/config');
+
+describe('QrService', () => {
+  const device = { _id: '65a1b2c3d4e5f60718293a4b' };
+  const issuedAt = new Date('2024-01-01T09:00:00Z');
+  const secondsLater = (seconds) => new Date(issuedAt.getTime() + seconds * 1000);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('issueToken', () => {
+    it('should sign the device and issue time', () => {
+      const { token, expiresAt, rotateSeconds } = QrService.issueToken(device, issuedAt);
+
+      expect(token).toMatch(/^qr1\.65a1b2c3d4e5f60718293a4b\.1704099600\.[0-9a-f]{32}$/);
+      expect(expiresAt).toEqual(secondsLater(config.qrPunch.ttlSeconds));
+      expect(rotateSeconds).toBe(config.qrPunch.rotateSeconds);
+    });
+  });
+
+  describe('parseToken', () => {
+    it('should accept a fresh code', () => {
+      const { token } = QrService.issueToken(device, issuedAt);
+
+      expect(QrService.parseToken(token, secondsLater(5))).toEqual({ valid: true, deviceId: device._id });
+    });
+
+    it('should reject an expired code', () => {
+      const { token } = QrService.issueToken(device, issuedAt);
+      const result = QrService.parseToken(token, secondsLater(config.qrPunch.ttlSeconds + 1));
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/expired/);
+    });
+
+    it('should reject codes issued in the future', () => {
+      const { token } = QrService.issueToken(device, secondsLater(60));
+
+      expect(QrService.parseToken(token, issuedAt).valid).toBe(false);
+    });
+
+    it('should reject a tampered code', () => {
+      const { token } = QrService.issueToken(device, issuedAt);
+      const parts = token.split('.');
+      const later = [parts[0], parts[1], String(Number(parts[2]) + 60), parts[3]].join('.');
+
+      expect(QrService.parseToken(later, secondsLater(60))).toEqual({ valid: false, error: 'Invalid QR code.' });
+    });
+
+    it('should reject anything that is not a punch code', () => {
+      expect(QrService.parseToken('https://example.com', issuedAt).error).toMatch(/not a punch QR code/);
+      expect(QrService.parseToken(null, issuedAt).valid).toBe(false);
+    });
+  });
+
+  describe('verifyToken', () => {
+    it('should return the active kiosk device', async () => {
+      const findOne = jest.spyOn(Device, 'findOne').mockResolvedValue(device);
+      const { token } = QrService.issueToken(device, issuedAt);
+
+      await expect(QrService.verifyToken(token, secondsLater(2))).resolves.toEqual({ valid: true, device });
+      expect(findOne).toHaveBeenCalledWith({ _id: device._id, isActive: true });
+    });
+
+    it('should reject codes from a disabled kiosk', async () => {
+      jest.spyOn(Device, 'findOne').mockResolvedValue(null);
+      const { token } = QrService.issueToken(device, issuedAt);
+
+      const result = await QrService.verifyToken(token, secondsLater(2));
+      expect(result).toEqual({ valid: false, error: 'This kiosk is no longer active.' });
+    });
+  });
+});
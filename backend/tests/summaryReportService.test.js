@@ -0,0 +1,40 @@
+const SummaryReportService = require('../src/services/SummaryReportService');
+
+describe('SummaryReportService', () => {
+  describe('getDuePeriod', () => {
+    // Sunday 2024-03-03 07:30 in New York
+    const sundayMorning = new Date('2024-03-03T12:30:00Z');
+
+    it('should cover the previous week and wait for the local send hour', () => {
+      const before = SummaryReportService.getDuePeriod('Weekly', sundayMorning, 'America/New_York', 8);
+      const after = SummaryReportService.getDuePeriod('Weekly', sundayMorning, 'America/New_York', 7);
+
+      expect(before).toEqual({ period: '2024-02-25', due: false });
+      expect(after).toEqual({ period: '2024-02-25', due: true });
+    });
+
+    it('should use each user\'s own timezone', () => {
+      // Already Sunday evening in Tokyo
+      const tokyo = SummaryReportService.getDuePeriod('Weekly', sundayMorning, 'Asia/Tokyo', 8);
+
+      expect(tokyo).toEqual({ period: '2024-02-25', due: true });
+    });
+
+    it('should stay due later in the period so missed runs catch up', () => {
+      const wednesday = new Date('2024-03-06T15:00:00Z');
+
+      expect(SummaryReportService.getDuePeriod('Weekly', wednesday, 'UTC', 8))
+        .toEqual({ period: '2024-02-25', due: true });
+    });
+
+    it('should cover the previous month for monthly reports', () => {
+      const firstOfMonth = new Date('2024-03-01T09:00:00Z');
+
+      expect(SummaryReportService.getDuePeriod('Monthly', firstOfMonth, 'UTC', 8))
+        .toEqual({ period: '2024-02', due: true });
+      // Only 1 AM on the 1st in Los Angeles
+      expect(SummaryReportService.getDuePeriod('Monthly', firstOfMonth, 'America/Los_Angeles', 8))
+        .toEqual({ period: '2024-02', due: false });
+    });
+  });
+});
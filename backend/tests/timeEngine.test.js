@@ -1,4 +1,6 @@
 const TimeEngine = require('../src/services/TimeEngine');
+const ShiftService = require('../src/services/ShiftService');
+const { PunchLog, Holiday, BreakPolicy } = require('../src/models');
 const moment = require('moment-timezone');
 
 describe('TimeEngine', () => {
@@ -78,6 +80,20 @@ describe('TimeEngine', () => {
     });
   });
 
+  describe('calculateProgressPercent', () => {
+    it('should calculate percentage of target', () => {
+      expect(TimeEngine.calculateProgressPercent(240, 480)).toBe(50);
+    });
+
+    it('should cap progress at 100', () => {
+      expect(TimeEngine.calculateProgressPercent(600, 480)).toBe(100);
+    });
+
+    it('should treat a zero target (full-day leave) as complete', () => {
+      expect(TimeEngine.calculateProgressPercent(0, 0)).toBe(100);
+    });
+  });
+
   describe('formatMinutes', () => {
     it('should format hours and minutes', () => {
       expect(TimeEngine.formatMinutes(90)).toBe('1h 30m');
@@ -109,5 +125,129 @@ describe('TimeEngine', () => {
       // Different timezones should have different UTC bounds for "today"
       expect(kolkata.start.getTime()).not.toBe(newYork.start.getTime());
     });
+
+    it('should start a work day at the cutoff', () => {
+      const { start, end } = TimeEngine.getDayBoundsUTC('UTC', '2024-01-15', '14:00');
+
+      expect(start.toISOString()).toBe('2024-01-15T14:00:00.000Z');
+      expect(end.toISOString()).toBe('2024-01-16T13:59:59.999Z');
+    });
+  });
+
+  describe('getWorkDate', () => {
+    it('should use the calendar date with a midnight cutoff', () => {
+      expect(TimeEngine.getWorkDate(new Date('2024-01-16T03:00:00Z'), 'UTC')).toBe('2024-01-16');
+    });
+
+    it('should attribute times before the cutoff to the previous day', () => {
+      expect(TimeEngine.getWorkDate(new Date('2024-01-16T06:00:00Z'), 'UTC', '14:00')).toBe('2024-01-15');
+      expect(TimeEngine.getWorkDate(new Date('2024-01-16T22:00:00Z'), 'UTC', '14:00')).toBe('2024-01-16');
+    });
+  });
+
+  describe('getDayCutoff', () => {
+    const user = { _id: 'user-1', profile: { timezone: 'UTC' } };
+    // Night shift 22:00-06:00 rostered on Jan 15 only; its day ends at 14:00
+    const nightShift = { getDayCutoff: () => '14:00' };
+
+    beforeEach(() => {
+      jest.spyOn(ShiftService, 'getShiftForDate').mockImplementation(async (u, date) =>
+        date === '2024-01-15' ? nightShift : null
+      );
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should prefer the profile setting', async () => {
+      await expect(TimeEngine.getDayCutoff({ profile: { timezone: 'UTC', dayCutoff: '05:00' } })).resolves.toBe('05:00');
+      expect(ShiftService.getShiftForDate).not.toHaveBeenCalled();
+    });
+
+    it('should keep the morning after a rostered night shift on the previous work date', async () => {
+      const cutoff = await TimeEngine.getDayCutoff(user, new Date('2024-01-16T03:00:00Z'));
+
+      expect(cutoff).toBe('14:00');
+      expect(TimeEngine.getWorkDate(new Date('2024-01-16T03:00:00Z'), 'UTC', cutoff)).toBe('2024-01-15');
+    });
+
+    it('should use the calendar date once the previous shift\'s day has ended', async () => {
+      await expect(TimeEngine.getDayCutoff(user, new Date('2024-01-15T23:00:00Z'))).resolves.toBe('14:00');
+      await expect(TimeEngine.getDayCutoff(user, new Date('2024-01-16T15:00:00Z'))).resolves.toBe('00:00');
+    });
+  });
+
+  describe('getWeeklySummary', () => {
+    const user = { _id: 'user-1', profile: { timezone: 'UTC' } };
+    // Day shifts all week except a night shift (22:00-06:00) rostered on Thursday Jan 18
+    const nightShift = { getDayCutoff: () => '14:00' };
+    const punch = (punchType, time) => ({ punchType, punchTime: new Date(time) });
+    const punches = [
+      punch('IN', '2024-01-17T09:00:00Z'),
+      punch('OUT', '2024-01-17T17:00:00Z'),
+      punch('IN', '2024-01-18T22:00:00Z'),
+      punch('OUT', '2024-01-19T01:00:00Z'),
+      punch('IN', '2024-01-19T01:30:00Z'),
+      punch('OUT', '2024-01-19T06:00:00Z')
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(ShiftService, 'getShiftForDate').mockImplementation(async (u, date) =>
+        date === '2024-01-18' ? nightShift : null
+      );
+      jest.spyOn(PunchLog, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue(punches) });
+      jest.spyOn(Holiday, 'getByDateInRange').mockResolvedValue({});
+      jest.spyOn(TimeEngine, 'getLeaveByDate').mockResolvedValue({});
+      jest.spyOn(BreakPolicy, 'getActive').mockResolvedValue({});
+      jest.spyOn(TimeEngine, 'getBreakSplit').mockReturnValue({
+        paidBreakMinutes: 0, unpaidBreakMinutes: 0, autoDeductedMinutes: 0, paidMinutes: 0
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should split each day at its own shift\'s cutoff', async () => {
+      const weekOffset = moment().startOf('week').diff(moment('2024-01-14'), 'weeks');
+
+      const summary = await TimeEngine.getWeeklySummary(user, weekOffset);
+      const byDate = Object.fromEntries(summary.dailyData.map(day => [day.date, day]));
+
+      expect(summary.weekStart).toBe('2024-01-14');
+      expect(byDate['2024-01-17']).toMatchObject({ punchCount: 2, workedMinutes: 480 });
+      // The session resumed after 01:00 stays on the night shift's work date
+      expect(byDate['2024-01-18']).toMatchObject({ punchCount: 4, workedMinutes: 450 });
+      expect(byDate['2024-01-19']).toMatchObject({ punchCount: 0, workedMinutes: 0 });
+    });
+  });
+
+  describe('groupPunchesByWorkDay', () => {
+    it('should keep a session crossing midnight on the day it started', () => {
+      const punches = [
+        { punchType: 'IN', punchTime: new Date('2024-01-15T22:00:00Z') },
+        { punchType: 'OUT', punchTime: new Date('2024-01-16T06:00:00Z') },
+        { punchType: 'IN', punchTime: new Date('2024-01-16T22:00:00Z') }
+      ];
+
+      const grouped = TimeEngine.groupPunchesByWorkDay(punches, 'UTC');
+
+      expect(grouped['2024-01-15']).toHaveLength(2);
+      expect(grouped['2024-01-16']).toHaveLength(1);
+      expect(TimeEngine.calculateWorkedTime(grouped['2024-01-15'], false)).toBe(480);
+    });
+
+    it('should not attach an OUT to an IN more than 24 hours earlier', () => {
+      const punches = [
+        { punchType: 'IN', punchTime: new Date('2024-01-15T09:00:00Z') },
+        { punchType: 'OUT', punchTime: new Date('2024-01-16T10:00:00Z') }
+      ];
+
+      const grouped = TimeEngine.groupPunchesByWorkDay(punches, 'UTC');
+
+      expect(grouped['2024-01-15']).toHaveLength(1);
+      expect(grouped['2024-01-16']).toHaveLength(1);
+    });
   });
 });
@@ -0,0 +1,158 @@
+const express = require('express');
+const request = require('supertest');
+const moment = require('moment-timezone');
+const { Timesheet, Team, User, PunchLog, AuditLog } = require('../src/models');
+const { TimesheetService, TimeEngine, PunchCleanupService } = require('../src/services');
+const { generateAccessToken } = require('../src/middleware/auth');
+const { errorHandler } = require('../src/middleware');
+const punchRoutes = require('../src/routes/punch');
+
+describe('TimesheetService', () => {
+  const employee = { _id: '65a1b2c3d4e5f60718293a4c', name: 'Jane', role: 'User', profile: { timezone: 'UTC' } };
+  const manager = { _id: '65a1b2c3d4e5f60718293a4d', name: 'Max', role: 'Manager' };
+
+  // Weekly summary for the week starting weekOffset weeks ago
+  const summaryFor = (weekOffset) => {
+    const weekStart = moment.utc().subtract(weekOffset, 'weeks').startOf('week');
+    return {
+      weekStart: weekStart.format('YYYY-MM-DD'),
+      weekEnd: weekStart.clone().add(6, 'days').format('YYYY-MM-DD'),
+      totalWorkedMinutes: 2400,
+      weeklyTargetMinutes: 2400,
+      totalLeaveMinutes: 0,
+      overtime: { regularMinutes: 2400, overtimeMinutes: 0, premiumMinutes: 0 },
+      dailyData: []
+    };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'log').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('submitTimesheet', () => {
+    beforeEach(() => {
+      jest.spyOn(TimeEngine, 'getDayCutoff').mockResolvedValue('00:00');
+      jest.spyOn(TimeEngine, 'getWeeklySummary').mockImplementation(async (user, weekOffset) => summaryFor(weekOffset));
+      jest.spyOn(Timesheet, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Timesheet.prototype, 'save').mockResolvedValue();
+    });
+
+    it('should refuse the current week while it is still running', async () => {
+      await expect(TimesheetService.submitTimesheet(employee, 0)).rejects.toMatchObject({ statusCode: 400 });
+      expect(Timesheet.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('should snapshot and lock a finished week', async () => {
+      const timesheet = await TimesheetService.submitTimesheet(employee, 1, 'All good');
+
+      expect(timesheet.status).toBe('Submitted');
+      expect(timesheet.isLocked).toBe(true);
+      expect(timesheet.weekStart).toBe(summaryFor(1).weekStart);
+      expect(timesheet.totals.workedMinutes).toBe(2400);
+      expect(timesheet.periodEnd < new Date()).toBe(true);
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'TIMESHEET_SUBMIT' }));
+    });
+
+    it('should not resubmit a week that is already awaiting review', async () => {
+      Timesheet.findOne.mockResolvedValue(new Timesheet({ userId: employee._id, weekStart: summaryFor(1).weekStart, status: 'Submitted' }));
+
+      await expect(TimesheetService.submitTimesheet(employee, 1)).rejects.toThrow('already submitted');
+    });
+  });
+
+  describe('reviewTimesheet', () => {
+    const submitted = () => new Timesheet({ userId: employee._id, weekStart: summaryFor(1).weekStart, status: 'Submitted' });
+
+    beforeEach(() => {
+      jest.spyOn(Timesheet.prototype, 'save').mockResolvedValue();
+    });
+
+    it('should let a manager approve a report\'s timesheet', async () => {
+      jest.spyOn(Timesheet, 'findById').mockResolvedValue(submitted());
+      jest.spyOn(Team, 'canApproveFor').mockResolvedValue(true);
+
+      const timesheet = await TimesheetService.reviewTimesheet('ts-1', 'Approved', manager, 'Thanks');
+
+      expect(timesheet.status).toBe('Approved');
+      expect(timesheet.reviewedBy.toString()).toBe(manager._id);
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'TIMESHEET_APPROVE' }));
+    });
+
+    it('should refuse reviewers outside the employee\'s team and the employee themselves', async () => {
+      jest.spyOn(Timesheet, 'findById').mockImplementation(async () => submitted());
+      jest.spyOn(Team, 'canApproveFor').mockResolvedValue(false);
+
+      await expect(TimesheetService.reviewTimesheet('ts-1', 'Approved', manager)).rejects.toMatchObject({ statusCode: 403 });
+      await expect(TimesheetService.reviewTimesheet('ts-1', 'Approved', employee)).rejects.toThrow('your own timesheet');
+    });
+  });
+
+  describe('locked punches', () => {
+    const admin = { _id: '65a1b2c3d4e5f60718293a4e', name: 'Ada', role: 'Admin', isActive: true };
+    const punchId = '65a1b2c3d4e5f60718293a4f';
+    const punchTime = moment.utc().subtract(1, 'week').startOf('week').add(1, 'day').hour(9).toDate();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/punch', punchRoutes);
+    app.use(errorHandler);
+
+    const token = generateAccessToken(admin);
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue(admin);
+      jest.spyOn(PunchLog, 'findById').mockResolvedValue({ _id: punchId, userId: employee._id, punchType: 'IN', punchTime });
+      jest.spyOn(PunchLog, 'create');
+      jest.spyOn(Timesheet, 'findLocking').mockResolvedValue({ weekStart: summaryFor(1).weekStart, status: 'Approved' });
+    });
+
+    const expectLocked = (res) => {
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('TIMESHEET_LOCKED');
+    };
+
+    it('should refuse a manual punch inside a locked week', async () => {
+      const res = await request(app)
+        .post('/api/punch/manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ userId: employee._id, punchType: 'OUT', punchTime: punchTime.toISOString() });
+
+      expectLocked(res);
+      expect(PunchLog.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to edit a punch inside a locked week', async () => {
+      const res = await request(app)
+        .put(`/api/punch/${punchId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ punchTime: moment(punchTime).add(30, 'minutes').toISOString(), editReason: 'Forgot to punch' });
+
+      expectLocked(res);
+    });
+
+    it('should refuse to delete a punch inside a locked week', async () => {
+      const res = await request(app)
+        .delete(`/api/punch/${punchId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ reason: 'Duplicate' });
+
+      expectLocked(res);
+      expect(AuditLog.log).not.toHaveBeenCalled();
+    });
+
+    it('should leave a session inside a locked week open instead of auto-closing it', async () => {
+      jest.spyOn(User, 'find').mockResolvedValue([{ ...employee, email: 'jane@example.com' }]);
+      jest.spyOn(TimeEngine, 'getLastPunch').mockResolvedValue({ punchType: 'IN', punchTime });
+      jest.spyOn(TimeEngine, 'getDayCutoff').mockResolvedValue('00:00');
+
+      const result = await PunchCleanupService.autoCloseOpenPunches();
+
+      expect(result.closedCount).toBe(0);
+      expect(PunchLog.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const TwoFactorService = require('../src/services/TwoFactorService');
+const { AuditLog } = require('../src/models');
+const totp = require('../src/utils/totp');
+
+describe('Two-factor authentication', () => {
+  // RFC 6238 test secret ("12345678901234567890")
+  const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  describe('totp', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      expect(totp.generateCode(secret, totp.getTimeStep(59 * 1000))).toBe('287082');
+      expect(totp.generateCode(secret, totp.getTimeStep(1111111109 * 1000))).toBe('081804');
+      expect(totp.generateCode(secret, totp.getTimeStep(2000000000 * 1000))).toBe('279037');
+    });
+
+    it('should round-trip base32', () => {
+      const bytes = Buffer.from('a1b2c3d4e5f60718293a', 'hex');
+      expect(totp.base32Decode(totp.base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should accept codes from adjacent steps only', () => {
+      const time = 1111111109 * 1000;
+      const step = totp.getTimeStep(time);
+
+      expect(totp.verifyCode(secret, totp.generateCode(secret, step - 1), { time })).toBe(step - 1);
+      expect(totp.verifyCode(secret, totp.generateCode(secret, step + 2), { time })).toBeNull();
+      expect(totp.verifyCode(secret, '12345', { time })).toBeNull();
+    });
+
+    it('should build an otpauth URL for authenticator apps', () => {
+      const url = totp.buildOtpAuthUrl({ secret, account: 'jane@example.com', issuer: 'Time Manager' });
+
+      expect(url).toMatch(/^otpauth:\/\/totp\/Time%20Manager%3Ajane%40example\.com\?/);
+      expect(url).toContain(`secret=${secret}`);
+      expect(url).toContain('issuer=Time+Manager');
+    });
+  });
+
+  describe('TwoFactorService.verify', () => {
+    const recovery = TwoFactorService.generateRecoveryCodes();
+
+    const createUser = (overrides = {}) => ({
+      _id: 'user-1',
+      twoFactor: {
+        enabled: true,
+        secret,
+        lastUsedStep: null,
+        recoveryCodes: recovery.stored.map(entry => ({ ...entry })),
+        failedAttempts: 0,
+        lockedUntil: null,
+        ...overrides
+      },
+      save: jest.fn().mockResolvedValue(true)
+    });
+
+    beforeEach(() => {
+      jest.spyOn(AuditLog, 'log').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should accept a current code once', async () => {
+      const user = createUser();
+      const code = totp.generateCode(secret);
+
+      const first = await TwoFactorService.verify(user, { code });
+      expect(first).toMatchObject({ valid: true, method: 'totp', recoveryCodesRemaining: 10 });
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'TWO_FACTOR_VERIFY' }));
+
+      const replay = await TwoFactorService.verify(user, { code });
+      expect(replay.valid).toBe(false);
+    });
+
+    it('should accept each recovery code once, ignoring case and dashes', async () => {
+      const user = createUser();
+      const typed = recovery.codes[0].toUpperCase().replace('-', ' ');
+
+      const first = await TwoFactorService.verify(user, { recoveryCode: typed });
+      expect(first).toMatchObject({ valid: true, method: 'recovery', recoveryCodesRemaining: 9 });
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'TWO_FACTOR_RECOVERY_USED' }));
+
+      const reused = await TwoFactorService.verify(user, { recoveryCode: recovery.codes[0] });
+      expect(reused).toEqual({ valid: false, error: 'Invalid or already used recovery code.' });
+    });
+
+    it('should record failures and lock after repeated wrong codes', async () => {
+      const user = createUser({ failedAttempts: 4 });
+
+      const result = await TwoFactorService.verify(user, { code: '000000' });
+
+      expect(result.valid).toBe(false);
+      expect(user.twoFactor.lockedUntil).toBeInstanceOf(Date);
+      expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'TWO_FACTOR_FAILED' }));
+
+      const locked = await TwoFactorService.verify(user, { code: totp.generateCode(secret) });
+      expect(locked.error).toMatch(/Too many invalid codes/);
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should generate distinct codes and store only hashes', () => {
+      const { codes, stored } = TwoFactorService.generateRecoveryCodes();
+
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+      expect(stored[0]).toEqual({ hash: TwoFactorService.hashRecoveryCode(codes[0]), usedAt: null });
+      expect(JSON.stringify(stored)).not.toContain(codes[0]);
+    });
+  });
+});
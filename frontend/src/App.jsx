@@ -6,30 +6,58 @@ import { useAuthStore } from './store/authStore';
 import { Layout } from './components/layout/Layout';
 
 // Pages
-import { LoginPage, RegisterPage } from './components/auth/AuthPages';
+import { LoginPage, RegisterPage, ForgotPasswordPage, ResetPasswordPage, VerifyEmailPage } from './components/auth/AuthPages';
 import DashboardPage from './components/dashboard/DashboardPage';
 import PunchPage from './components/punch/PunchPage';
 import HistoryPage from './components/history/HistoryPage';
 import ProfilePage from './components/profile/ProfilePage';
+import TimesheetsPage from './components/timesheets/TimesheetsPage';
+import CorrectionsPage from './components/corrections/CorrectionsPage';
+import LeavesPage from './components/leaves/LeavesPage';
 import AdminUsersPage from './components/admin/AdminUsersPage';
 import AdminNfcTagsPage from './components/admin/AdminNfcTagsPage';
+import AdminAbsencesPage from './components/admin/AdminAbsencesPage';
+import AdminPresencePage from './components/admin/AdminPresencePage';
+import AdminDevicesPage from './components/admin/AdminDevicesPage';
+import AdminSitesPage from './components/admin/AdminSitesPage';
+import AdminTimesheetsPage from './components/admin/AdminTimesheetsPage';
+import AdminCorrectionsPage from './components/admin/AdminCorrectionsPage';
+import AdminLeavesPage from './components/admin/AdminLeavesPage';
+import AdminPayrollPage from './components/admin/AdminPayrollPage';
 import NfcPunchPage from './components/nfc/NfcPunchPage';
+import KioskPage from './components/nfc/KioskPage';
+import QrKioskPage from './components/nfc/QrKioskPage';
 
 // Protected Route Component
-const ProtectedRoute = ({ children, adminOnly = false }) => {
+const ProtectedRoute = ({ children, adminOnly = false, managerAllowed = false }) => {
   const { isAuthenticated, user } = useAuthStore();
 
   if (!isAuthenticated) {
     return <Navigate to="/login" replace />;
   }
 
-  if (adminOnly && user?.role !== 'Admin') {
+  if (adminOnly && user?.role !== 'Admin' && !(managerAllowed && user?.role === 'Manager')) {
     return <Navigate to="/dashboard" replace />;
   }
 
   return <Layout>{children}</Layout>;
 };
 
+// Kiosk Route Component (full screen, no layout; registered by an admin)
+const KioskRoute = ({ children }) => {
+  const { isAuthenticated, user } = useAuthStore();
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  if (user?.role !== 'Admin') {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  return children;
+};
+
 // Public Route Component (redirect if authenticated)
 const PublicRoute = ({ children }) => {
   const { isAuthenticated } = useAuthStore();
@@ -47,6 +75,24 @@ function App() {
       {/* Public NFC Punch Route - No login required */}
       <Route path="/nfc-punch/:uid" element={<NfcPunchPage />} />
 
+      {/* Kiosk Routes - shared NFC reader or QR code screen at the entrance */}
+      <Route
+        path="/kiosk"
+        element={
+          <KioskRoute>
+            <KioskPage />
+          </KioskRoute>
+        }
+      />
+      <Route
+        path="/kiosk/qr"
+        element={
+          <KioskRoute>
+            <QrKioskPage />
+          </KioskRoute>
+        }
+      />
+
       {/* Public Routes */}
       <Route
         path="/login"
@@ -64,6 +110,24 @@ function App() {
           </PublicRoute>
         }
       />
+      <Route
+        path="/forgot-password"
+        element={
+          <PublicRoute>
+            <ForgotPasswordPage />
+          </PublicRoute>
+        }
+      />
+      <Route
+        path="/reset-password"
+        element={
+          <PublicRoute>
+            <ResetPasswordPage />
+          </PublicRoute>
+        }
+      />
+      {/* Opened from the emailed link, signed in or not */}
+      <Route path="/verify-email" element={<VerifyEmailPage />} />
 
       {/* Protected Routes */}
       <Route
@@ -90,6 +154,30 @@ function App() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/timesheets"
+        element={
+          <ProtectedRoute>
+            <TimesheetsPage />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/corrections"
+        element={
+          <ProtectedRoute>
+            <CorrectionsPage />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/leaves"
+        element={
+          <ProtectedRoute>
+            <LeavesPage />
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/profile"
         element={
@@ -103,11 +191,43 @@ function App() {
       <Route
         path="/admin/users"
         element={
-          <ProtectedRoute adminOnly>
+          <ProtectedRoute adminOnly managerAllowed>
             <AdminUsersPage />
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/admin/timesheets"
+        element={
+          <ProtectedRoute adminOnly managerAllowed>
+            <AdminTimesheetsPage />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/admin/corrections"
+        element={
+          <ProtectedRoute adminOnly managerAllowed>
+            <AdminCorrectionsPage />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/admin/leaves"
+        element={
+          <ProtectedRoute adminOnly>
+            <AdminLeavesPage />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/admin/payroll"
+        element={
+          <ProtectedRoute adminOnly>
+            <AdminPayrollPage />
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/admin/nfc-tags"
         element={
@@ -116,6 +236,38 @@ function App() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/admin/devices"
+        element={
+          <ProtectedRoute adminOnly>
+            <AdminDevicesPage />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/admin/sites"
+        element={
+          <ProtectedRoute adminOnly>
+            <AdminSitesPage />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/admin/presence"
+        element={
+          <ProtectedRoute adminOnly>
+            <AdminPresencePage />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/admin/absences"
+        element={
+          <ProtectedRoute adminOnly>
+            <AdminAbsencesPage />
+          </ProtectedRoute>
+        }
+      />
 
       {/* Redirect root to dashboard */}
       <Route path="/" element={<Navigate to="/dashboard" replace />} />
@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { UserX, Search, ChevronLeft, ChevronRight } from 'lucide-react';
+import { Card, Button, Badge, Input, LoadingSpinner } from '../ui';
+import { adminService } from '../../services';
+import toast from 'react-hot-toast';
+
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+export const AdminAbsencesPage = () => {
+  const [absences, setAbsences] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [filters, setFilters] = useState(() => {
+    const today = new Date();
+    const monthAgo = new Date();
+    monthAgo.setDate(today.getDate() - 30);
+    return { from: formatDate(monthAgo), to: formatDate(today) };
+  });
+
+  const fetchAbsences = async (page = 1) => {
+    if (!filters.from || !filters.to) {
+      toast.error('Select a date range');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await adminService.getAbsences({ ...filters, page, limit: 20 });
+      setAbsences(response.data.absences);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load absences');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchAbsences();
+  }, []);
+
+  const handlePageChange = (newPage) => {
+    if (newPage >= 1 && newPage <= pagination.pages) {
+      fetchAbsences(newPage);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Absences</h1>
+        <p className="text-gray-500">Working days with no punches, recorded after each shift window closes</p>
+      </div>
+
+      {/* Filters */}
+      <Card className="p-4">
+        <div className="flex flex-col md:flex-row md:items-end gap-4">
+          <Input
+            label="From"
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+          />
+          <Input
+            label="To"
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+          />
+          <Button onClick={() => fetchAbsences(1)}>
+            <Search className="w-4 h-4 mr-2" />
+            Search
+          </Button>
+        </div>
+      </Card>
+
+      {/* Absences List */}
+      <Card className="overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : absences.length === 0 ? (
+          <div className="text-center py-12">
+            <UserX className="w-16 h-16 text-gray-300 mx-auto" />
+            <p className="text-gray-500 mt-4">No absences in this period</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Date</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">User</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Shift</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Notified</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {absences.map((absence) => (
+                  <tr key={absence._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 font-medium text-gray-900">
+                      {new Date(`${absence.date}T00:00:00`).toLocaleDateString(undefined, {
+                        weekday: 'short', year: 'numeric', month: 'short', day: 'numeric'
+                      })}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div>
+                        <p className="font-medium text-gray-900">{absence.userId?.name}</p>
+                        <p className="text-sm text-gray-500">{absence.userId?.email}</p>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-gray-600">
+                      {absence.shiftId
+                        ? `${absence.shiftId.name} (${absence.shiftId.startTime} - ${absence.shiftId.endTime})`
+                        : 'Default schedule'
+                      }
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex gap-2">
+                        <Badge variant={absence.userNotified ? 'success' : 'default'}>User</Badge>
+                        <Badge variant={absence.adminNotified ? 'success' : 'default'}>Admin</Badge>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination.pages > 1 && (
+          <div className="flex items-center justify-between px-6 py-4 border-t">
+            <p className="text-sm text-gray-500">
+              Page {pagination.page} of {pagination.pages} ({pagination.total} absences)
+            </p>
+            <div className="flex gap-2">
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => handlePageChange(pagination.page - 1)}
+                disabled={pagination.page === 1}
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </Button>
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => handlePageChange(pagination.page + 1)}
+                disabled={pagination.page === pagination.pages}
+              >
+                <ChevronRight className="w-4 h-4" />
+              </Button>
+            </div>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default AdminAbsencesPage;
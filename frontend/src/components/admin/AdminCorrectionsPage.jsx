@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { ClipboardList, Check, X, ChevronLeft, ChevronRight } from 'lucide-react';
+import { Card, Button, Badge, Input, Select, Modal, LoadingSpinner } from '../ui';
+import { STATUS_VARIANTS, describeCorrection } from '../corrections/CorrectionsPage';
+import { correctionService } from '../../services';
+import toast from 'react-hot-toast';
+
+const STATUS_OPTIONS = [
+  { value: 'Pending', label: 'Awaiting review' },
+  { value: 'Approved', label: 'Approved' },
+  { value: 'Rejected', label: 'Rejected' },
+  { value: 'Cancelled', label: 'Cancelled' },
+  { value: '', label: 'All' }
+];
+
+export const AdminCorrectionsPage = () => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('Pending');
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [reviewModal, setReviewModal] = useState({ open: false, request: null, decision: null, note: '' });
+  const [saving, setSaving] = useState(false);
+
+  const fetchRequests = async (page = 1) => {
+    try {
+      setLoading(true);
+      const response = await correctionService.getCorrections({ status: status || undefined, page, limit: 20 });
+      setRequests(response.data.requests);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load correction requests');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRequests();
+  }, [status]);
+
+  const handlePageChange = (newPage) => {
+    if (newPage >= 1 && newPage <= pagination.pages) {
+      fetchRequests(newPage);
+    }
+  };
+
+  const closeReview = () => {
+    setReviewModal({ open: false, request: null, decision: null, note: '' });
+  };
+
+  const handleReview = async (e) => {
+    e.preventDefault();
+    const { request, decision, note } = reviewModal;
+
+    try {
+      setSaving(true);
+      if (decision === 'Approved') {
+        await correctionService.approveCorrection(request._id, note || undefined);
+        toast.success('Correction approved and applied');
+      } else {
+        await correctionService.rejectCorrection(request._id, note);
+        toast.success('Correction rejected');
+      }
+      closeReview();
+      fetchRequests(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to review correction');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const approving = reviewModal.decision === 'Approved';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Punch Corrections</h1>
+          <p className="text-gray-500">Approved requests are applied to the punches straight away</p>
+        </div>
+        <Select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          options={STATUS_OPTIONS}
+        />
+      </div>
+
+      {/* Requests List */}
+      <Card className="overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : requests.length === 0 ? (
+          <div className="text-center py-12">
+            <ClipboardList className="w-16 h-16 text-gray-300 mx-auto" />
+            <p className="text-gray-500 mt-4">No correction requests to show</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">User</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Change</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Reason</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-4 text-right text-xs font-semibold text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {requests.map((request) => (
+                  <tr key={request._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <p className="font-medium text-gray-900">{request.userId?.name}</p>
+                      <p className="text-sm text-gray-500">{request.userId?.email}</p>
+                    </td>
+                    <td className="px-6 py-4 text-gray-900">{describeCorrection(request)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{request.reason}</td>
+                    <td className="px-6 py-4">
+                      <Badge variant={STATUS_VARIANTS[request.status]}>{request.status}</Badge>
+                      {request.reviewNote && <p className="text-sm text-gray-500 mt-1">{request.reviewNote}</p>}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex items-center justify-end gap-2">
+                        {request.status === 'Pending' && (
+                          <>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => setReviewModal({ open: true, request, decision: 'Approved', note: '' })}
+                              title="Approve"
+                            >
+                              <Check className="w-4 h-4 text-green-600" />
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => setReviewModal({ open: true, request, decision: 'Rejected', note: '' })}
+                              title="Reject"
+                            >
+                              <X className="w-4 h-4 text-red-600" />
+                            </Button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination.pages > 1 && (
+          <div className="flex items-center justify-between px-6 py-4 border-t">
+            <p className="text-sm text-gray-500">
+              Page {pagination.page} of {pagination.pages} ({pagination.total} requests)
+            </p>
+            <div className="flex gap-2">
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => handlePageChange(pagination.page - 1)}
+                disabled={pagination.page === 1}
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </Button>
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => handlePageChange(pagination.page + 1)}
+                disabled={pagination.page === pagination.pages}
+              >
+                <ChevronRight className="w-4 h-4" />
+              </Button>
+            </div>
+          </div>
+        )}
+      </Card>
+
+      {/* Review Modal */}
+      <Modal
+        isOpen={reviewModal.open}
+        onClose={closeReview}
+        title={approving ? 'Approve Correction' : 'Reject Correction'}
+      >
+        {reviewModal.request && (
+          <form onSubmit={handleReview} className="space-y-4">
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="font-medium text-gray-900">{reviewModal.request.userId?.name}</p>
+              <p className="text-gray-700">{describeCorrection(reviewModal.request)}</p>
+              <p className="text-sm text-gray-500 mt-1">{reviewModal.request.reason}</p>
+            </div>
+            <Input
+              label={approving ? 'Note (optional)' : 'Reason for rejecting'}
+              value={reviewModal.note}
+              onChange={(e) => setReviewModal({ ...reviewModal, note: e.target.value })}
+              maxLength={500}
+              required={!approving}
+            />
+            <div className="flex justify-end gap-3 pt-4">
+              <Button type="button" variant="secondary" onClick={closeReview}>
+                Cancel
+              </Button>
+              <Button type="submit" variant={approving ? 'success' : 'danger'} loading={saving}>
+                {approving ? 'Approve' : 'Reject'}
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default AdminCorrectionsPage;
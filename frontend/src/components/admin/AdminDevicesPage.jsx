@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import { Tablet, Plus, Power, PowerOff, Key, Edit2, Copy } from 'lucide-react';
+import { Card, Button, Badge, Input, Modal, LoadingSpinner } from '../ui';
+import { deviceService } from '../../services';
+import toast from 'react-hot-toast';
+
+const EMPTY_FORM = { name: '', allowedIps: '', locationLabel: '' };
+
+const parseIps = (text) => text.split(/[\s,]+/).map(ip => ip.trim()).filter(Boolean);
+
+export const AdminDevicesPage = () => {
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formModal, setFormModal] = useState({ open: false, device: null });
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [keyModal, setKeyModal] = useState({ open: false, device: null, apiKey: '' });
+
+  const fetchDevices = async () => {
+    try {
+      setLoading(true);
+      const response = await deviceService.getDevices();
+      setDevices(response.data.devices);
+    } catch (error) {
+      toast.error('Failed to load devices');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchDevices();
+  }, []);
+
+  const openForm = (device = null) => {
+    setForm(device
+      ? { name: device.name, allowedIps: device.allowedIps.join(', '), locationLabel: device.location?.label || '' }
+      : EMPTY_FORM
+    );
+    setFormModal({ open: true, device });
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      toast.error('Device name is required');
+      return;
+    }
+
+    const data = {
+      name: form.name.trim(),
+      allowedIps: parseIps(form.allowedIps),
+      location: { label: form.locationLabel.trim() || null }
+    };
+
+    try {
+      if (formModal.device) {
+        await deviceService.updateDevice(formModal.device._id, data);
+        toast.success('Device updated');
+      } else {
+        const response = await deviceService.createDevice(data);
+        setKeyModal({ open: true, device: response.data.device, apiKey: response.data.apiKey });
+      }
+      setFormModal({ open: false, device: null });
+      fetchDevices();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to save device');
+    }
+  };
+
+  const handleToggle = async (device) => {
+    try {
+      await deviceService.updateDevice(device._id, { isActive: !device.isActive });
+      toast.success(device.isActive ? 'Device disabled' : 'Device enabled');
+      fetchDevices();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update device');
+    }
+  };
+
+  const handleRotateKey = async (device) => {
+    if (!window.confirm(`Issue a new key for ${device.name}? The current key stops working immediately.`)) {
+      return;
+    }
+
+    try {
+      const response = await deviceService.rotateKey(device._id);
+      setKeyModal({ open: true, device: response.data.device, apiKey: response.data.apiKey });
+      fetchDevices();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to rotate key');
+    }
+  };
+
+  const handleCopyKey = async () => {
+    try {
+      await navigator.clipboard.writeText(keyModal.apiKey);
+      toast.success('Key copied');
+    } catch (error) {
+      toast.error('Copy failed, select the key manually');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Reader Devices</h1>
+          <p className="text-gray-500">NFC readers and kiosks allowed to record punches</p>
+        </div>
+        <Button onClick={() => openForm()}>
+          <Plus className="w-4 h-4 mr-2" />
+          Register Device
+        </Button>
+      </div>
+
+      {/* Devices List */}
+      <Card className="overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : devices.length === 0 ? (
+          <div className="text-center py-12">
+            <Tablet className="w-16 h-16 text-gray-300 mx-auto" />
+            <p className="text-gray-500 mt-4">No devices registered</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Device</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Key</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Allowed IPs</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Last Seen</th>
+                  <th className="px-6 py-4 text-right text-xs font-semibold text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {devices.map((device) => (
+                  <tr key={device._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <p className="font-medium text-gray-900">{device.name}</p>
+                      <p className="text-sm text-gray-500">{device.location?.label || '-'}</p>
+                    </td>
+                    <td className="px-6 py-4">
+                      <code className="px-2 py-1 bg-gray-100 rounded text-sm font-mono">
+                        {device.apiKeyPrefix}…
+                      </code>
+                    </td>
+                    <td className="px-6 py-4 text-gray-600">
+                      {device.allowedIps.length > 0 ? device.allowedIps.join(', ') : 'Any'}
+                    </td>
+                    <td className="px-6 py-4">
+                      <Badge variant={device.isActive ? 'success' : 'danger'}>
+                        {device.isActive ? 'Enabled' : 'Disabled'}
+                      </Badge>
+                    </td>
+                    <td className="px-6 py-4 text-gray-600">
+                      {device.lastSeenAt
+                        ? `${new Date(device.lastSeenAt).toLocaleString()}${device.lastSeenIp ? ` (${device.lastSeenIp})` : ''}`
+                        : 'Never'
+                      }
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex items-center justify-end gap-2">
+                        <Button variant="ghost" size="sm" onClick={() => openForm(device)}>
+                          <Edit2 className="w-4 h-4" />
+                        </Button>
+                        <Button variant="ghost" size="sm" onClick={() => handleRotateKey(device)}>
+                          <Key className="w-4 h-4 text-yellow-600" />
+                        </Button>
+                        <Button variant="ghost" size="sm" onClick={() => handleToggle(device)}>
+                          {device.isActive
+                            ? <PowerOff className="w-4 h-4 text-red-500" />
+                            : <Power className="w-4 h-4 text-green-500" />
+                          }
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+
+      {/* Register / Edit Modal */}
+      <Modal
+        isOpen={formModal.open}
+        onClose={() => setFormModal({ open: false, device: null })}
+        title={formModal.device ? 'Edit Device' : 'Register Device'}
+      >
+        <div className="space-y-4">
+          <Input
+            label="Device Name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="e.g., Main Entrance"
+          />
+          <Input
+            label="Location (Optional)"
+            value={form.locationLabel}
+            onChange={(e) => setForm({ ...form, locationLabel: e.target.value })}
+            placeholder="e.g., Ground floor, front door"
+          />
+          <Input
+            label="Allowed IPs (Optional)"
+            value={form.allowedIps}
+            onChange={(e) => setForm({ ...form, allowedIps: e.target.value })}
+            placeholder="e.g., 10.0.0.0/24, 192.168.1.20"
+          />
+          <p className="text-xs text-gray-500">Leave empty to accept punches from any network.</p>
+          <div className="flex justify-end gap-3 pt-4">
+            <Button variant="secondary" onClick={() => setFormModal({ open: false, device: null })}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave}>
+              {formModal.device ? 'Save' : 'Register Device'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* API Key Modal */}
+      <Modal
+        isOpen={keyModal.open}
+        onClose={() => setKeyModal({ open: false, device: null, apiKey: '' })}
+        title="Device API Key"
+      >
+        <div className="space-y-4">
+          <p className="text-gray-600">
+            Enter this key on <span className="font-medium">{keyModal.device?.name}</span>.
+            It will not be shown again.
+          </p>
+          <code className="block p-3 bg-gray-100 rounded text-sm font-mono break-all">
+            {keyModal.apiKey}
+          </code>
+          <div className="flex justify-end gap-3 pt-4">
+            <Button variant="secondary" onClick={handleCopyKey}>
+              <Copy className="w-4 h-4 mr-2" />
+              Copy
+            </Button>
+            <Button onClick={() => setKeyModal({ open: false, device: null, apiKey: '' })}>
+              Done
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default AdminDevicesPage;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import { CalendarDays, Check, X, ChevronLeft, ChevronRight } from 'lucide-react';
+import { Card, Button, Badge, Input, Select, Modal, LoadingSpinner } from '../ui';
+import { STATUS_VARIANTS, describeLeave } from '../leaves/LeavesPage';
+import { leaveService } from '../../services';
+import toast from 'react-hot-toast';
+
+const STATUS_OPTIONS = [
+  { value: 'Pending', label: 'Awaiting review' },
+  { value: 'Approved', label: 'Approved' },
+  { value: 'Rejected', label: 'Rejected' },
+  { value: 'Cancelled', label: 'Cancelled' },
+  { value: '', label: 'All' }
+];
+
+export const AdminLeavesPage = () => {
+  const [leaves, setLeaves] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('Pending');
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [reviewModal, setReviewModal] = useState({ open: false, leave: null, decision: null, note: '' });
+  const [saving, setSaving] = useState(false);
+
+  const fetchLeaves = async (page = 1) => {
+    try {
+      setLoading(true);
+      const response = await leaveService.getLeaves({ status: status || undefined, page, limit: 20 });
+      setLeaves(response.data.leaves);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load leave requests');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchLeaves();
+  }, [status]);
+
+  const handlePageChange = (newPage) => {
+    if (newPage >= 1 && newPage <= pagination.pages) {
+      fetchLeaves(newPage);
+    }
+  };
+
+  const closeReview = () => {
+    setReviewModal({ open: false, leave: null, decision: null, note: '' });
+  };
+
+  const handleReview = async (e) => {
+    e.preventDefault();
+    const { leave, decision, note } = reviewModal;
+
+    try {
+      setSaving(true);
+      if (decision === 'Approved') {
+        await leaveService.approveLeave(leave._id, note || undefined);
+        toast.success('Leave approved');
+      } else {
+        await leaveService.rejectLeave(leave._id, note);
+        toast.success('Leave rejected');
+      }
+      closeReview();
+      fetchLeaves(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to review leave');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const approving = reviewModal.decision === 'Approved';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Leave Requests</h1>
+          <p className="text-gray-500">Approved leave counts towards the employee's daily target</p>
+        </div>
+        <Select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          options={STATUS_OPTIONS}
+        />
+      </div>
+
+      {/* Leave List */}
+      <Card className="overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : leaves.length === 0 ? (
+          <div className="text-center py-12">
+            <ClipboardList className="w-16 h-16 text-gray-300 mx-auto" />
+            <p className="text-gray-500 mt-4">No leave requests to show</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">User</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Leave</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Reason</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-4 text-right text-xs font-semibold text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {leaves.map((leave) => (
+                  <tr key={leave._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <p className="font-medium text-gray-900">{leave.userId?.name}</p>
+                      <p className="text-sm text-gray-500">{leave.userId?.email}</p>
+                    </td>
+                    <td className="px-6 py-4">
+                      <p className="text-gray-900">{describeLeave(leave)}</p>
+                      <p className="text-sm text-gray-500">{leave.leaveType}</p>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{leave.reason}</td>
+                    <td className="px-6 py-4">
+                      <Badge variant={STATUS_VARIANTS[leave.status]}>{leave.status}</Badge>
+                      {leave.reviewNote && <p className="text-sm text-gray-500 mt-1">{leave.reviewNote}</p>}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex items-center justify-end gap-2">
+                        {leave.status === 'Pending' && (
+                          <>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => setReviewModal({ open: true, leave, decision: 'Approved', note: '' })}
+                              title="Approve"
+                            >
+                              <Check className="w-4 h-4 text-green-600" />
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => setReviewModal({ open: true, leave, decision: 'Rejected', note: '' })}
+                              title="Reject"
+                            >
+                              <X className="w-4 h-4 text-red-600" />
+                            </Button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination.pages > 1 && (
+          <div className="flex items-center justify-between px-6 py-4 border-t">
+            <p className="text-sm text-gray-500">
+              Page {pagination.page} of {pagination.pages} ({pagination.total} requests)
+            </p>
+            <div className="flex gap-2">
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => handlePageChange(pagination.page - 1)}
+                disabled={pagination.page === 1}
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </Button>
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => handlePageChange(pagination.page + 1)}
+                disabled={pagination.page === pagination.pages}
+              >
+                <ChevronRight className="w-4 h-4" />
+              </Button>
+            </div>
+          </div>
+        )}
+      </Card>
+
+      {/* Review Modal */}
+      <Modal
+        isOpen={reviewModal.open}
+        onClose={closeReview}
+        title={approving ? 'Approve Leave' : 'Reject Leave'}
+      >
+        {reviewModal.leave && (
+          <form onSubmit={handleReview} className="space-y-4">
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="font-medium text-gray-900">{reviewModal.leave.userId?.name}</p>
+              <p className="text-gray-700">{reviewModal.leave.leaveType}: {describeLeave(reviewModal.leave)}</p>
+              <p className="text-sm text-gray-500 mt-1">{reviewModal.leave.reason}</p>
+            </div>
+            <Input
+              label={approving ? 'Note (optional)' : 'Reason for rejecting'}
+              value={reviewModal.note}
+              onChange={(e) => setReviewModal({ ...reviewModal, note: e.target.value })}
+              maxLength={500}
+              required={!approving}
+            />
+            <div className="flex justify-end gap-3 pt-4">
+              <Button type="button" variant="secondary" onClick={closeReview}>
+                Cancel
+              </Button>
+              <Button type="submit" variant={approving ? 'success' : 'danger'} loading={saving}>
+                {approving ? 'Approve' : 'Reject'}
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default AdminLeavesPage;
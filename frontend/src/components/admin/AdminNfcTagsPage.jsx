@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { CreditCard, Plus, Power, PowerOff, ChevronLeft, ChevronRight } from 'lucide-react';
+import { CreditCard, Plus, Power, PowerOff, Shield, ShieldOff, ChevronLeft, ChevronRight } from 'lucide-react';
 import { Card, Button, Badge, Input, Select, Modal, LoadingSpinner } from '../ui';
 import { nfcService, userService } from '../../services';
 import toast from 'react-hot-toast';
@@ -13,6 +13,7 @@ export const AdminNfcTagsPage = () => {
   const [deactivateModal, setDeactivateModal] = useState({ open: false, tag: null });
   const [addForm, setAddForm] = useState({ uid: '', userId: '', label: '' });
   const [deactivateReason, setDeactivateReason] = useState('');
+  const [secureKeyModal, setSecureKeyModal] = useState({ open: false, tag: null, secretKey: '' });
 
   const fetchTags = async (page = 1) => {
     try {
@@ -85,6 +86,34 @@ export const AdminNfcTagsPage = () => {
     }
   };
 
+  const handleEnableSecureMode = async (tag) => {
+    if (tag.secureMode && !window.confirm(`Issue a new key for ${tag.uid}? The tag must be reprogrammed.`)) {
+      return;
+    }
+
+    try {
+      const response = await nfcService.enableSecureMode(tag._id);
+      setSecureKeyModal({ open: true, tag: response.data.tag, secretKey: response.data.secretKey });
+      fetchTags(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to enable secure mode');
+    }
+  };
+
+  const handleDisableSecureMode = async (tag) => {
+    if (!window.confirm(`Disable secure mode for ${tag.uid}? The tag will be accepted by UID alone.`)) {
+      return;
+    }
+
+    try {
+      await nfcService.disableSecureMode(tag._id);
+      toast.success('Secure mode disabled');
+      fetchTags(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to disable secure mode');
+    }
+  };
+
   const handlePageChange = (newPage) => {
     if (newPage >= 1 && newPage <= pagination.pages) {
       fetchTags(newPage);
@@ -147,9 +176,17 @@ export const AdminNfcTagsPage = () => {
                       </div>
                     </td>
                     <td className="px-6 py-4">
-                      <Badge variant={tag.isActive ? 'success' : 'danger'}>
-                        {tag.isActive ? 'Active' : 'Inactive'}
-                      </Badge>
+                      <div className="flex flex-wrap gap-2">
+                        <Badge variant={tag.isActive ? 'success' : 'danger'}>
+                          {tag.isActive ? 'Active' : 'Inactive'}
+                        </Badge>
+                        {tag.secureMode && <Badge variant="info">Secure</Badge>}
+                        {tag.cloneSuspectedAt && (
+                          <Badge variant="warning">
+                            Clone suspected {new Date(tag.cloneSuspectedAt).toLocaleDateString()}
+                          </Badge>
+                        )}
+                      </div>
                     </td>
                     <td className="px-6 py-4 text-gray-600">
                       {tag.lastUsedAt 
@@ -159,6 +196,24 @@ export const AdminNfcTagsPage = () => {
                     </td>
                     <td className="px-6 py-4">
                       <div className="flex items-center justify-end gap-2">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => handleEnableSecureMode(tag)}
+                          title={tag.secureMode ? 'Issue new secure key' : 'Enable secure mode'}
+                        >
+                          <Shield className="w-4 h-4 text-blue-500" />
+                        </Button>
+                        {tag.secureMode && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => handleDisableSecureMode(tag)}
+                            title="Disable secure mode"
+                          >
+                            <ShieldOff className="w-4 h-4 text-gray-500" />
+                          </Button>
+                        )}
                         {tag.isActive ? (
                           <Button
                             variant="ghost"
@@ -252,6 +307,31 @@ export const AdminNfcTagsPage = () => {
         </div>
       </Modal>
 
+      {/* Secure Key Modal */}
+      <Modal
+        isOpen={secureKeyModal.open}
+        onClose={() => setSecureKeyModal({ open: false, tag: null, secretKey: '' })}
+        title="Secure Mode Key"
+      >
+        <div className="space-y-4">
+          <p className="text-gray-600">
+            Program this key as the SDM file read key of NTAG 424 DNA tag{' '}
+            <span className="font-mono">{secureKeyModal.tag?.uid}</span> and enable SUN mirroring of the UID,
+            read counter and MAC in its NDEF URL as{' '}
+            <span className="font-mono">uid=&lt;UID&gt;&amp;ctr=&lt;counter&gt;&amp;cmac=&lt;MAC&gt;</span>.
+            The key will not be shown again.
+          </p>
+          <code className="block p-3 bg-gray-100 rounded text-sm font-mono break-all">
+            {secureKeyModal.secretKey}
+          </code>
+          <div className="flex justify-end pt-4">
+            <Button onClick={() => setSecureKeyModal({ open: false, tag: null, secretKey: '' })}>
+              Done
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
       {/* Deactivate Modal */}
       <Modal
         isOpen={deactivateModal.open}
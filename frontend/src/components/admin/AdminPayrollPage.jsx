@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import { Wallet, Search, Download } from 'lucide-react';
+import { Card, Button, Input, Select, LoadingSpinner } from '../ui';
+import { formatMinutes } from '../timesheets/TimesheetsPage';
+import { adminService, teamService } from '../../services';
+import toast from 'react-hot-toast';
+
+// Local calendar date, so month boundaries don't shift with the UTC offset
+const formatDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+export const AdminPayrollPage = () => {
+  const [rows, setRows] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(null);
+  const [teams, setTeams] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [filters, setFilters] = useState(() => {
+    // Default to last month, the usual payroll period
+    const today = new Date();
+    return {
+      from: formatDate(new Date(today.getFullYear(), today.getMonth() - 1, 1)),
+      to: formatDate(new Date(today.getFullYear(), today.getMonth(), 0)),
+      teamId: '',
+      templateId: ''
+    };
+  });
+
+  useEffect(() => {
+    teamService.getTeams()
+      .then(response => setTeams(response.data.teams))
+      .catch(() => toast.error('Failed to load teams'));
+    adminService.getExportTemplates()
+      .then(response => setTemplates(response.data.templates))
+      .catch(() => toast.error('Failed to load export templates'));
+  }, []);
+
+  const params = () => ({
+    from: filters.from,
+    to: filters.to,
+    teamId: filters.teamId || undefined,
+    templateId: filters.templateId || undefined
+  });
+
+  const handlePreview = async () => {
+    if (!filters.from || !filters.to) {
+      toast.error('Select a date range');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await adminService.previewPayroll(params());
+      setRows(response.data.rows);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load payroll totals');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    if (!filters.from || !filters.to) {
+      toast.error('Select a date range');
+      return;
+    }
+
+    try {
+      setExporting(format);
+      const blob = await adminService.exportPayroll({ ...params(), format });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `payroll_${filters.from}_${filters.to}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export payroll');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Payroll Export</h1>
+          <p className="text-gray-500">Per-employee totals for active users; each download is recorded in the audit log</p>
+        </div>
+        <div className="flex gap-2 self-start">
+          <Button
+            variant="secondary"
+            onClick={() => handleExport('csv')}
+            loading={exporting === 'csv'}
+            disabled={!!exporting}
+          >
+            <Download className="w-4 h-4 mr-2" />
+            CSV
+          </Button>
+          <Button
+            variant="secondary"
+            onClick={() => handleExport('xlsx')}
+            loading={exporting === 'xlsx'}
+            disabled={!!exporting}
+          >
+            <Download className="w-4 h-4 mr-2" />
+            Excel
+          </Button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <Card className="p-4">
+        <div className="flex flex-col md:flex-row md:items-end gap-4">
+          <Input
+            label="From"
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+          />
+          <Input
+            label="To"
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+          />
+          <Select
+            label="Team"
+            value={filters.teamId}
+            onChange={(e) => setFilters({ ...filters, teamId: e.target.value })}
+            options={[
+              { value: '', label: 'All teams' },
+              ...teams.map(team => ({ value: team._id, label: team.name }))
+            ]}
+          />
+          <Select
+            label="Template"
+            value={filters.templateId}
+            onChange={(e) => setFilters({ ...filters, templateId: e.target.value })}
+            options={[
+              { value: '', label: 'Default layout' },
+              ...templates.map(template => ({ value: template._id, label: template.name }))
+            ]}
+          />
+          <Button onClick={handlePreview}>
+            <Search className="w-4 h-4 mr-2" />
+            Preview
+          </Button>
+        </div>
+      </Card>
+
+      {/* Totals */}
+      <Card className="overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : !rows || rows.length === 0 ? (
+          <div className="text-center py-12">
+            <Wallet className="w-16 h-16 text-gray-300 mx-auto" />
+            <p className="text-gray-500 mt-4">
+              {rows ? 'No active employees in this selection' : 'Preview the totals before downloading'}
+            </p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Employee</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Team</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Days</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Worked</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Overtime</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Leave</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Late</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {rows.map((row) => (
+                  <tr key={row.userId} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <p className="font-medium text-gray-900">{row.name}</p>
+                      <p className="text-sm text-gray-500">{row.email}</p>
+                    </td>
+                    <td className="px-6 py-4 text-gray-600">{row.team || '-'}</td>
+                    <td className="px-6 py-4 text-gray-600">{row.daysWorked}</td>
+                    <td className="px-6 py-4 text-gray-600">{formatMinutes(Math.round(row.workedMinutes))}</td>
+                    <td className="px-6 py-4 text-gray-600">{formatMinutes(Math.round(row.overtimeMinutes))}</td>
+                    <td className="px-6 py-4 text-gray-600">{formatMinutes(Math.round(row.leaveMinutes || 0))}</td>
+                    <td className="px-6 py-4 text-gray-600">{row.lateCount}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default AdminPayrollPage;
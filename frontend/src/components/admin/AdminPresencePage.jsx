@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { Activity, RefreshCw, Users } from 'lucide-react';
+import { Card, Button, Badge, LoadingSpinner } from '../ui';
+import { adminService } from '../../services';
+import { useDashboardStore } from '../../store/dashboardStore';
+import toast from 'react-hot-toast';
+
+const REFRESH_INTERVAL_MS = 30000;
+
+const STATES = {
+  working: { label: 'Working', variant: 'success', dot: 'bg-green-500' },
+  'on-break': { label: 'On Break', variant: 'warning', dot: 'bg-yellow-500' },
+  left: { label: 'Left', variant: 'default', dot: 'bg-gray-400' },
+  'not-arrived': { label: 'Not Arrived', variant: 'danger', dot: 'bg-red-500' },
+  'on-leave': { label: 'On Leave', variant: 'info', dot: 'bg-blue-500' },
+  off: { label: 'Off', variant: 'default', dot: 'bg-gray-300' }
+};
+
+const describeState = (member) => {
+  switch (member.state) {
+    case 'working':
+      return `Working since ${member.sinceLocal}`;
+    case 'on-break':
+      return `On break since ${member.sinceLocal}`;
+    case 'left':
+      return `Left at ${member.sinceLocal}`;
+    case 'on-leave':
+      return member.leaveTypes.length > 0 ? `On leave (${member.leaveTypes.join(', ')})` : 'On leave';
+    case 'off':
+      return 'Not scheduled today';
+    default:
+      return 'Not arrived';
+  }
+};
+
+export const AdminPresencePage = () => {
+  const [presence, setPresence] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const lastEvent = useDashboardStore((state) => state.lastEvent);
+
+  const fetchPresence = async () => {
+    try {
+      const response = await adminService.getPresence();
+      setPresence(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load presence');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPresence();
+
+    const interval = setInterval(fetchPresence, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Refresh as soon as anyone punches
+  useEffect(() => {
+    if (lastEvent) {
+      fetchPresence();
+    }
+  }, [lastEvent]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Who's In</h1>
+          <p className="text-gray-500">
+            {presence?.onSite || 0} on site
+            {presence?.generatedAt && ` · updated ${new Date(presence.generatedAt).toLocaleTimeString()}`}
+          </p>
+        </div>
+        <Button variant="secondary" onClick={fetchPresence}>
+          <RefreshCw className="w-4 h-4 mr-2" />
+          Refresh
+        </Button>
+      </div>
+
+      {/* Counts */}
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+        {Object.entries(STATES).map(([state, { label, dot }]) => (
+          <Card key={state} className="p-4">
+            <div className="flex items-center gap-2">
+              <span className={`w-2.5 h-2.5 rounded-full ${dot}`}></span>
+              <p className="text-sm text-gray-500">{label}</p>
+            </div>
+            <p className="text-2xl font-bold text-gray-900 mt-1">{presence?.counts?.[state] || 0}</p>
+          </Card>
+        ))}
+      </div>
+
+      {/* Teams */}
+      {presence?.teams?.length === 0 ? (
+        <Card className="text-center py-12">
+          <Users className="w-16 h-16 text-gray-300 mx-auto" />
+          <p className="text-gray-500 mt-4">No active users</p>
+        </Card>
+      ) : (
+        presence?.teams?.map((group) => (
+          <Card key={group.team?.id || 'none'} className="overflow-hidden">
+            <div className="flex items-center justify-between px-6 py-4 bg-gray-50 border-b">
+              <h3 className="font-semibold text-gray-900">{group.team?.name || 'No Team'}</h3>
+              <span className="text-sm text-gray-500">
+                {group.members.filter(m => m.state === 'working' || m.state === 'on-break').length} / {group.members.length} on site
+              </span>
+            </div>
+            <div className="divide-y divide-gray-100">
+              {group.members.map((member) => (
+                <div key={member.id} className="flex items-center justify-between px-6 py-3">
+                  <div className="flex items-center gap-3">
+                    <span className={`w-2.5 h-2.5 rounded-full ${STATES[member.state].dot}`}></span>
+                    <div>
+                      <p className="font-medium text-gray-900">{member.name}</p>
+                      <p className="text-sm text-gray-500">{describeState(member)}</p>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {member.source && <Badge variant="info">{member.source}</Badge>}
+                    <Badge variant={STATES[member.state].variant}>
+                      <Activity className="w-3 h-3 mr-1" />
+                      {STATES[member.state].label}
+                    </Badge>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </Card>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default AdminPresencePage;
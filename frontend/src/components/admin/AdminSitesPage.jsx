@@ -0,0 +1,359 @@
+import React, { useState, useEffect } from 'react';
+import { MapPin, Plus, Power, PowerOff, Edit2, Trash2, Crosshair } from 'lucide-react';
+import { Card, Button, Badge, Input, Select, Modal, LoadingSpinner } from '../ui';
+import { siteService } from '../../services';
+import { useGeolocation } from '../../hooks';
+import toast from 'react-hot-toast';
+
+const EMPTY_FORM = {
+  name: '',
+  fenceType: 'circle',
+  latitude: '',
+  longitude: '',
+  radiusMeters: '200',
+  polygon: '',
+  policy: 'warn',
+  trustedNetworks: '',
+  networkPolicy: 'flag'
+};
+
+const POLICIES = {
+  off: { label: 'Record only', variant: 'default' },
+  warn: { label: 'Warn', variant: 'warning' },
+  reject: { label: 'Reject', variant: 'danger' }
+};
+
+const NETWORK_POLICIES = {
+  off: 'Record only',
+  flag: 'Flag',
+  reason: 'Ask for reason',
+  block: 'Block'
+};
+
+const parseRanges = (text) => text.split(/[\s,]+/).map(range => range.trim()).filter(Boolean);
+
+// One "latitude, longitude" pair per line
+const parsePolygon = (text) => text
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map((line) => {
+    const [latitude, longitude] = line.split(/[\s,;]+/).map(Number);
+    return { latitude, longitude };
+  });
+
+const formatPolygon = (points) => points.map(p => `${p.latitude}, ${p.longitude}`).join('\n');
+
+const describeFence = (site) => (site.fenceType === 'polygon'
+  ? `Polygon, ${site.polygon.length} points`
+  : `${site.radiusMeters} m around ${site.center?.latitude.toFixed(5)}, ${site.center?.longitude.toFixed(5)}`);
+
+export const AdminSitesPage = () => {
+  const { isSupported: canLocate, getLocation } = useGeolocation();
+  const [sites, setSites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formModal, setFormModal] = useState({ open: false, site: null });
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [locating, setLocating] = useState(false);
+
+  const fetchSites = async () => {
+    try {
+      setLoading(true);
+      const response = await siteService.getSites();
+      setSites(response.data.sites);
+    } catch (error) {
+      toast.error('Failed to load sites');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSites();
+  }, []);
+
+  const openForm = (site = null) => {
+    setForm(site
+      ? {
+        name: site.name,
+        fenceType: site.fenceType,
+        latitude: site.center ? String(site.center.latitude) : '',
+        longitude: site.center ? String(site.center.longitude) : '',
+        radiusMeters: String(site.radiusMeters),
+        polygon: formatPolygon(site.polygon),
+        policy: site.policy,
+        trustedNetworks: site.trustedNetworks.join(', '),
+        networkPolicy: site.networkPolicy
+      }
+      : EMPTY_FORM
+    );
+    setFormModal({ open: true, site });
+  };
+
+  const handleUseMyLocation = async () => {
+    setLocating(true);
+    const location = await getLocation();
+    setLocating(false);
+
+    if (!location) {
+      toast.error('Could not read your location');
+      return;
+    }
+
+    setForm({ ...form, latitude: String(location.latitude), longitude: String(location.longitude) });
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      toast.error('Site name is required');
+      return;
+    }
+
+    const data = {
+      name: form.name.trim(),
+      fenceType: form.fenceType,
+      policy: form.policy,
+      trustedNetworks: parseRanges(form.trustedNetworks),
+      networkPolicy: form.networkPolicy
+    };
+
+    if (form.fenceType === 'circle') {
+      data.center = { latitude: Number(form.latitude), longitude: Number(form.longitude) };
+      data.radiusMeters = Number(form.radiusMeters);
+    } else {
+      data.polygon = parsePolygon(form.polygon);
+    }
+
+    try {
+      if (formModal.site) {
+        await siteService.updateSite(formModal.site._id, data);
+        toast.success('Site updated');
+      } else {
+        await siteService.createSite(data);
+        toast.success('Site created');
+      }
+      setFormModal({ open: false, site: null });
+      fetchSites();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to save site');
+    }
+  };
+
+  const handleToggle = async (site) => {
+    try {
+      await siteService.updateSite(site._id, { name: site.name, isActive: !site.isActive });
+      toast.success(site.isActive ? 'Site disabled' : 'Site enabled');
+      fetchSites();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update site');
+    }
+  };
+
+  const handleDelete = async (site) => {
+    if (!window.confirm(`Delete ${site.name}?`)) {
+      return;
+    }
+
+    try {
+      await siteService.deleteSite(site._id);
+      toast.success('Site deleted');
+      fetchSites();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete site');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Sites</h1>
+          <p className="text-gray-500">Office locations, their geofences and trusted networks</p>
+        </div>
+        <Button onClick={() => openForm()}>
+          <Plus className="w-4 h-4 mr-2" />
+          Add Site
+        </Button>
+      </div>
+
+      {/* Sites List */}
+      <Card className="overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : sites.length === 0 ? (
+          <div className="text-center py-12">
+            <MapPin className="w-16 h-16 text-gray-300 mx-auto" />
+            <p className="text-gray-500 mt-4">No sites defined, punch locations are recorded but not checked</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Site</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Geofence</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Outside Fence</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Trusted Networks</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-4 text-right text-xs font-semibold text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {sites.map((site) => (
+                  <tr key={site._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 font-medium text-gray-900">{site.name}</td>
+                    <td className="px-6 py-4 text-gray-600">{describeFence(site)}</td>
+                    <td className="px-6 py-4">
+                      <Badge variant={POLICIES[site.policy].variant}>{POLICIES[site.policy].label}</Badge>
+                    </td>
+                    <td className="px-6 py-4 text-gray-600">
+                      {site.trustedNetworks.length > 0 ? (
+                        <>
+                          <p>{site.trustedNetworks.join(', ')}</p>
+                          <p className="text-xs text-gray-500">Elsewhere: {NETWORK_POLICIES[site.networkPolicy]}</p>
+                        </>
+                      ) : 'Any'}
+                    </td>
+                    <td className="px-6 py-4">
+                      <Badge variant={site.isActive ? 'success' : 'danger'}>
+                        {site.isActive ? 'Enabled' : 'Disabled'}
+                      </Badge>
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex items-center justify-end gap-2">
+                        <Button variant="ghost" size="sm" onClick={() => openForm(site)}>
+                          <Edit2 className="w-4 h-4" />
+                        </Button>
+                        <Button variant="ghost" size="sm" onClick={() => handleToggle(site)}>
+                          {site.isActive
+                            ? <PowerOff className="w-4 h-4 text-red-500" />
+                            : <Power className="w-4 h-4 text-green-500" />
+                          }
+                        </Button>
+                        <Button variant="ghost" size="sm" onClick={() => handleDelete(site)}>
+                          <Trash2 className="w-4 h-4 text-red-500" />
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+
+      {/* Add / Edit Modal */}
+      <Modal
+        isOpen={formModal.open}
+        onClose={() => setFormModal({ open: false, site: null })}
+        title={formModal.site ? 'Edit Site' : 'Add Site'}
+      >
+        <div className="space-y-4">
+          <Input
+            label="Site Name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="e.g., Head Office"
+          />
+          <Select
+            label="Geofence Shape"
+            value={form.fenceType}
+            onChange={(e) => setForm({ ...form, fenceType: e.target.value })}
+            options={[
+              { value: 'circle', label: 'Circle' },
+              { value: 'polygon', label: 'Polygon' }
+            ]}
+          />
+          {form.fenceType === 'circle' ? (
+            <>
+              <div className="grid grid-cols-2 gap-3">
+                <Input
+                  label="Latitude"
+                  type="number"
+                  step="any"
+                  value={form.latitude}
+                  onChange={(e) => setForm({ ...form, latitude: e.target.value })}
+                />
+                <Input
+                  label="Longitude"
+                  type="number"
+                  step="any"
+                  value={form.longitude}
+                  onChange={(e) => setForm({ ...form, longitude: e.target.value })}
+                />
+              </div>
+              {canLocate && (
+                <Button variant="secondary" size="sm" onClick={handleUseMyLocation} disabled={locating}>
+                  <Crosshair className="w-4 h-4 mr-2" />
+                  {locating ? 'Locating...' : 'Use my location'}
+                </Button>
+              )}
+              <Input
+                label="Radius (meters)"
+                type="number"
+                min="10"
+                max="50000"
+                value={form.radiusMeters}
+                onChange={(e) => setForm({ ...form, radiusMeters: e.target.value })}
+              />
+            </>
+          ) : (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Corners</label>
+              <textarea
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                rows={5}
+                value={form.polygon}
+                onChange={(e) => setForm({ ...form, polygon: e.target.value })}
+                placeholder={'48.85837, 2.29448\n48.85900, 2.29530\n48.85790, 2.29610'}
+              />
+              <p className="text-xs text-gray-500 mt-1">One "latitude, longitude" per line, at least three.</p>
+            </div>
+          )}
+          <Select
+            label="Punches Outside the Fence"
+            value={form.policy}
+            onChange={(e) => setForm({ ...form, policy: e.target.value })}
+            options={[
+              { value: 'off', label: 'Record location only' },
+              { value: 'warn', label: 'Allow with a warning' },
+              { value: 'reject', label: 'Reject the punch' }
+            ]}
+          />
+          <Input
+            label="Trusted Networks (Optional)"
+            value={form.trustedNetworks}
+            onChange={(e) => setForm({ ...form, trustedNetworks: e.target.value })}
+            placeholder="e.g., 203.0.113.0/24, 198.51.100.7"
+          />
+          <Select
+            label="Manual Punches From Other Networks"
+            value={form.networkPolicy}
+            onChange={(e) => setForm({ ...form, networkPolicy: e.target.value })}
+            options={[
+              { value: 'off', label: 'Record the network only' },
+              { value: 'flag', label: 'Allow and flag the punch' },
+              { value: 'reason', label: 'Require a reason' },
+              { value: 'block', label: 'Block the punch' }
+            ]}
+          />
+          <p className="text-xs text-gray-500">Leave the networks empty to accept manual punches from anywhere.</p>
+          <div className="flex justify-end gap-3 pt-4">
+            <Button variant="secondary" onClick={() => setFormModal({ open: false, site: null })}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave}>
+              {formModal.site ? 'Save' : 'Add Site'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default AdminSitesPage;
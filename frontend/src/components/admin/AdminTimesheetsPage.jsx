@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import { FileCheck, Check, Undo2, Unlock, ChevronLeft, ChevronRight } from 'lucide-react';
+import { Card, Button, Badge, Input, Select, Modal, LoadingSpinner } from '../ui';
+import { STATUS_VARIANTS, formatMinutes, formatWeek } from '../timesheets/TimesheetsPage';
+import { timesheetService } from '../../services';
+import toast from 'react-hot-toast';
+
+const STATUS_OPTIONS = [
+  { value: 'Submitted', label: 'Awaiting review' },
+  { value: 'Approved', label: 'Approved' },
+  { value: 'Returned', label: 'Returned' },
+  { value: 'Reopened', label: 'Reopened' },
+  { value: '', label: 'All' }
+];
+
+const ACTIONS = {
+  approve: { title: 'Approve Timesheet', label: 'Note (optional)', button: 'Approve', variant: 'success', required: false },
+  return: { title: 'Return Timesheet', label: 'What needs fixing?', button: 'Return', variant: 'danger', required: true },
+  reopen: { title: 'Reopen Timesheet', label: 'Reason for reopening', button: 'Reopen', variant: 'primary', required: true }
+};
+
+export const AdminTimesheetsPage = () => {
+  const [timesheets, setTimesheets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('Submitted');
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [reviewModal, setReviewModal] = useState({ open: false, timesheet: null, action: null, note: '' });
+  const [saving, setSaving] = useState(false);
+
+  const fetchTimesheets = async (page = 1) => {
+    try {
+      setLoading(true);
+      const response = await timesheetService.getTimesheets({ status: status || undefined, page, limit: 20 });
+      setTimesheets(response.data.timesheets);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load timesheets');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTimesheets();
+  }, [status]);
+
+  const handlePageChange = (newPage) => {
+    if (newPage >= 1 && newPage <= pagination.pages) {
+      fetchTimesheets(newPage);
+    }
+  };
+
+  const openReview = (timesheet, action) => {
+    setReviewModal({ open: true, timesheet, action, note: '' });
+  };
+
+  const closeReview = () => {
+    setReviewModal({ open: false, timesheet: null, action: null, note: '' });
+  };
+
+  const handleReview = async (e) => {
+    e.preventDefault();
+    const { timesheet, action, note } = reviewModal;
+
+    try {
+      setSaving(true);
+      if (action === 'approve') {
+        await timesheetService.approveTimesheet(timesheet._id, note);
+        toast.success('Timesheet approved');
+      } else if (action === 'return') {
+        await timesheetService.returnTimesheet(timesheet._id, note);
+        toast.success('Timesheet returned for changes');
+      } else {
+        await timesheetService.reopenTimesheet(timesheet._id, note);
+        toast.success('Timesheet reopened');
+      }
+      closeReview();
+      fetchTimesheets(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update timesheet');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const action = ACTIONS[reviewModal.action];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Timesheet Approvals</h1>
+          <p className="text-gray-500">Approve submitted weeks, return them for changes or reopen approved ones</p>
+        </div>
+        <Select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          options={STATUS_OPTIONS}
+        />
+      </div>
+
+      {/* Timesheets List */}
+      <Card className="overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : timesheets.length === 0 ? (
+          <div className="text-center py-12">
+            <FileCheck className="w-16 h-16 text-gray-300 mx-auto" />
+            <p className="text-gray-500 mt-4">No timesheets to show</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">User</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Week</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Worked</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Overtime</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-4 text-right text-xs font-semibold text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {timesheets.map((timesheet) => (
+                  <tr key={timesheet._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <p className="font-medium text-gray-900">{timesheet.userId?.name}</p>
+                      <p className="text-sm text-gray-500">{timesheet.userId?.email}</p>
+                    </td>
+                    <td className="px-6 py-4 text-gray-900">
+                      {formatWeek(timesheet)}
+                      {timesheet.submitNote && <p className="text-sm text-gray-500">{timesheet.submitNote}</p>}
+                    </td>
+                    <td className="px-6 py-4 text-gray-600">
+                      {formatMinutes(timesheet.totals?.workedMinutes)}
+                      <span className="text-gray-400"> / {formatMinutes(timesheet.totals?.targetMinutes)}</span>
+                    </td>
+                    <td className="px-6 py-4 text-gray-600">{formatMinutes(timesheet.totals?.overtimeMinutes)}</td>
+                    <td className="px-6 py-4">
+                      <Badge variant={STATUS_VARIANTS[timesheet.status]}>{timesheet.status}</Badge>
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex items-center justify-end gap-2">
+                        {timesheet.status === 'Submitted' && (
+                          <>
+                            <Button variant="ghost" size="sm" onClick={() => openReview(timesheet, 'approve')} title="Approve">
+                              <Check className="w-4 h-4 text-green-600" />
+                            </Button>
+                            <Button variant="ghost" size="sm" onClick={() => openReview(timesheet, 'return')} title="Return for changes">
+                              <Undo2 className="w-4 h-4 text-red-600" />
+                            </Button>
+                          </>
+                        )}
+                        {timesheet.status === 'Approved' && (
+                          <Button variant="ghost" size="sm" onClick={() => openReview(timesheet, 'reopen')} title="Reopen">
+                            <Unlock className="w-4 h-4" />
+                          </Button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination.pages > 1 && (
+          <div className="flex items-center justify-between px-6 py-4 border-t">
+            <p className="text-sm text-gray-500">
+              Page {pagination.page} of {pagination.pages} ({pagination.total} timesheets)
+            </p>
+            <div className="flex gap-2">
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => handlePageChange(pagination.page - 1)}
+                disabled={pagination.page === 1}
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </Button>
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => handlePageChange(pagination.page + 1)}
+                disabled={pagination.page === pagination.pages}
+              >
+                <ChevronRight className="w-4 h-4" />
+              </Button>
+            </div>
+          </div>
+        )}
+      </Card>
+
+      {/* Review Modal */}
+      <Modal isOpen={reviewModal.open} onClose={closeReview} title={action?.title}>
+        {reviewModal.timesheet && (
+          <form onSubmit={handleReview} className="space-y-4">
+            <p className="text-gray-600">
+              {reviewModal.timesheet.userId?.name}, week of {formatWeek(reviewModal.timesheet)}
+            </p>
+            <Input
+              label={action.label}
+              value={reviewModal.note}
+              onChange={(e) => setReviewModal({ ...reviewModal, note: e.target.value })}
+              maxLength={500}
+              required={action.required}
+            />
+            <div className="flex justify-end gap-3 pt-4">
+              <Button type="button" variant="secondary" onClick={closeReview}>
+                Cancel
+              </Button>
+              <Button type="submit" variant={action.variant} loading={saving}>
+                {action.button}
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default AdminTimesheetsPage;
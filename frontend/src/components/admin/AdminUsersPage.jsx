@@ -1,16 +1,31 @@
 import React, { useState, useEffect } from 'react';
-import { Users, Edit2, Trash2, Eye, ChevronLeft, ChevronRight } from 'lucide-react';
+import { Users, Edit2, Trash2, Eye, MapPin, ShieldOff, ChevronLeft, ChevronRight } from 'lucide-react';
 import { Card, Button, Badge, Input, Select, Modal, LoadingSpinner } from '../ui';
-import { userService, dashboardService } from '../../services';
+import { userService, dashboardService, teamService, siteService } from '../../services';
+import { useAuthStore } from '../../store/authStore';
 import toast from 'react-hot-toast';
 
+// Work day cutoff; overnight shifts need a cutoff between their end and the next start
+const DAY_CUTOFF_OPTIONS = [
+  { value: '', label: 'Shift default' },
+  { value: '00:00', label: 'Midnight' },
+  { value: '04:00', label: '4:00 AM' },
+  { value: '08:00', label: '8:00 AM' },
+  { value: '12:00', label: 'Noon' },
+  { value: '14:00', label: '2:00 PM' },
+  { value: '16:00', label: '4:00 PM' }
+];
+
 export const AdminUsersPage = () => {
+  const { isAdmin } = useAuthStore();
   const [users, setUsers] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [sites, setSites] = useState([]);
   const [loading, setLoading] = useState(true);
   const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
   const [viewModal, setViewModal] = useState({ open: false, user: null, dashboard: null });
   const [editModal, setEditModal] = useState({ open: false, user: null });
-  const [editForm, setEditForm] = useState({ name: '', role: '', isActive: true });
+  const [editForm, setEditForm] = useState({ name: '', role: '', teamId: '', siteId: '', geofencePolicy: '', dayCutoff: '', twoFactorRequired: false, emailVerified: false, isActive: true });
 
   const fetchUsers = async (page = 1) => {
     try {
@@ -25,8 +40,30 @@ export const AdminUsersPage = () => {
     }
   };
 
+  const fetchTeams = async () => {
+    try {
+      const response = await teamService.getTeams();
+      setTeams(response.data.teams);
+    } catch (error) {
+      toast.error('Failed to load teams');
+    }
+  };
+
+  const fetchSites = async () => {
+    try {
+      const response = await siteService.getSites();
+      setSites(response.data.sites);
+    } catch (error) {
+      toast.error('Failed to load sites');
+    }
+  };
+
   useEffect(() => {
     fetchUsers();
+    fetchTeams();
+    if (isAdmin()) {
+      fetchSites();
+    }
   }, []);
 
   const handleViewUser = async (user) => {
@@ -46,6 +83,12 @@ export const AdminUsersPage = () => {
     setEditForm({
       name: user.name,
       role: user.role,
+      teamId: user.teamId || '',
+      siteId: user.profile?.siteId || '',
+      geofencePolicy: user.profile?.geofencePolicy || '',
+      dayCutoff: user.profile?.dayCutoff || '',
+      twoFactorRequired: user.twoFactor?.required || false,
+      emailVerified: user.emailVerified,
       isActive: user.isActive
     });
     setEditModal({ open: true, user });
@@ -53,7 +96,15 @@ export const AdminUsersPage = () => {
 
   const handleSaveUser = async () => {
     try {
-      await userService.updateUser(editModal.user.id, editForm);
+      const { siteId, geofencePolicy, dayCutoff, twoFactorRequired, ...fields } = editForm;
+      await userService.updateUser(editModal.user.id, {
+        ...fields,
+        teamId: editForm.teamId || null,
+        profile: { siteId: siteId || null, geofencePolicy: geofencePolicy || null, dayCutoff: dayCutoff || null }
+      });
+      if (twoFactorRequired !== (editModal.user.twoFactor?.required || false)) {
+        await userService.setTwoFactorRequired(editModal.user.id, twoFactorRequired);
+      }
       toast.success('User updated successfully');
       setEditModal({ open: false, user: null });
       fetchUsers(pagination.page);
@@ -74,6 +125,18 @@ export const AdminUsersPage = () => {
     }
   };
 
+  const handleResetTwoFactor = async (user) => {
+    if (!confirm(`Reset two-factor authentication for ${user.name}? They will be signed out and must enrol again.`)) return;
+
+    try {
+      await userService.resetTwoFactor(user.id);
+      toast.success('Two-factor authentication reset');
+      fetchUsers(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reset two-factor authentication');
+    }
+  };
+
   const handlePageChange = (newPage) => {
     if (newPage >= 1 && newPage <= pagination.pages) {
       fetchUsers(newPage);
@@ -85,8 +148,8 @@ export const AdminUsersPage = () => {
       {/* Header */}
       <div className="flex items-center justify-between">
         <div>
-          <h1 className="text-2xl font-bold text-gray-900">Users Management</h1>
-          <p className="text-gray-500">Manage all users in the system</p>
+          <h1 className="text-2xl font-bold text-gray-900">{isAdmin() ? 'Users Management' : 'My Team'}</h1>
+          <p className="text-gray-500">{isAdmin() ? 'Manage all users in the system' : 'Members of the teams you manage'}</p>
         </div>
       </div>
 
@@ -103,6 +166,7 @@ export const AdminUsersPage = () => {
                 <tr>
                   <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">User</th>
                   <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Role</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Team</th>
                   <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Timezone</th>
                   <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Status</th>
                   <th className="px-6 py-4 text-right text-xs font-semibold text-gray-500 uppercase">Actions</th>
@@ -125,10 +189,13 @@ export const AdminUsersPage = () => {
                       </div>
                     </td>
                     <td className="px-6 py-4">
-                      <Badge variant={user.role === 'Admin' ? 'info' : 'default'}>
+                      <Badge variant={user.role === 'Admin' ? 'info' : user.role === 'Manager' ? 'warning' : 'default'}>
                         {user.role}
                       </Badge>
                     </td>
+                    <td className="px-6 py-4 text-gray-600">
+                      {teams.find((team) => team._id === user.teamId)?.name || '-'}
+                    </td>
                     <td className="px-6 py-4 text-gray-600">
                       {user.profile?.timezone || 'Not set'}
                     </td>
@@ -136,6 +203,14 @@ export const AdminUsersPage = () => {
                       <Badge variant={user.isActive ? 'success' : 'danger'}>
                         {user.isActive ? 'Active' : 'Inactive'}
                       </Badge>
+                      {user.twoFactor?.enabled ? (
+                        <Badge variant="info" className="ml-2">2FA</Badge>
+                      ) : user.twoFactor?.required && (
+                        <Badge variant="warning" className="ml-2">2FA pending</Badge>
+                      )}
+                      {!user.emailVerified && (
+                        <Badge variant="warning" className="ml-2">Unverified</Badge>
+                      )}
                     </td>
                     <td className="px-6 py-4">
                       <div className="flex items-center justify-end gap-2">
@@ -146,14 +221,25 @@ export const AdminUsersPage = () => {
                         >
                           <Eye className="w-4 h-4" />
                         </Button>
-                        <Button
-                          variant="ghost"
-                          size="sm"
-                          onClick={() => handleEditUser(user)}
-                        >
-                          <Edit2 className="w-4 h-4" />
-                        </Button>
-                        {user.isActive && (
+                        {isAdmin() && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => handleEditUser(user)}
+                          >
+                            <Edit2 className="w-4 h-4" />
+                          </Button>
+                        )}
+                        {isAdmin() && user.twoFactor?.enabled && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => handleResetTwoFactor(user)}
+                          >
+                            <ShieldOff className="w-4 h-4 text-yellow-600" />
+                          </Button>
+                        )}
+                        {isAdmin() && user.isActive && (
                           <Button
                             variant="ghost"
                             size="sm"
@@ -249,7 +335,31 @@ export const AdminUsersPage = () => {
                         </Badge>
                         <span>{punch.timeLocal}</span>
                       </div>
-                      <Badge variant="info">{punch.source}</Badge>
+                      <div className="flex items-center gap-2">
+                        {punch.location && (
+                          <a
+                            href={`https://www.openstreetmap.org/?mlat=${punch.location.latitude}&mlon=${punch.location.longitude}#map=18/${punch.location.latitude}/${punch.location.longitude}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="flex items-center gap-1 text-sm text-primary-600 hover:underline"
+                            title={`${punch.location.latitude.toFixed(5)}, ${punch.location.longitude.toFixed(5)}${punch.location.accuracy ? ` (±${Math.round(punch.location.accuracy)} m)` : ''}`}
+                          >
+                            <MapPin className="w-4 h-4" />
+                            Map
+                          </a>
+                        )}
+                        {punch.distanceMeters !== null && punch.distanceMeters !== undefined && (
+                          <Badge variant={punch.outsideGeofence ? 'warning' : 'success'}>
+                            {punch.outsideGeofence ? `${punch.distanceMeters} m off site` : 'On site'}
+                          </Badge>
+                        )}
+                        {punch.outsideNetwork && (
+                          <span title={punch.outsideNetworkReason || undefined}>
+                            <Badge variant="warning">Off network</Badge>
+                          </span>
+                        )}
+                        <Badge variant="info">{punch.source}</Badge>
+                      </div>
                     </div>
                   ))}
                 </div>
@@ -277,9 +387,63 @@ export const AdminUsersPage = () => {
             onChange={(e) => setEditForm({ ...editForm, role: e.target.value })}
             options={[
               { value: 'User', label: 'User' },
+              { value: 'Manager', label: 'Manager' },
               { value: 'Admin', label: 'Admin' }
             ]}
           />
+          <Select
+            label="Team"
+            value={editForm.teamId}
+            onChange={(e) => setEditForm({ ...editForm, teamId: e.target.value })}
+            options={[
+              { value: '', label: 'No team' },
+              ...teams.map((team) => ({ value: team._id, label: team.name }))
+            ]}
+          />
+          <Select
+            label="Site"
+            value={editForm.siteId}
+            onChange={(e) => setEditForm({ ...editForm, siteId: e.target.value })}
+            options={[
+              { value: '', label: 'Any active site' },
+              ...sites.map((site) => ({ value: site._id, label: site.name }))
+            ]}
+          />
+          <Select
+            label="Geofence Policy"
+            value={editForm.geofencePolicy}
+            onChange={(e) => setEditForm({ ...editForm, geofencePolicy: e.target.value })}
+            options={[
+              { value: '', label: "Use the site's policy" },
+              { value: 'off', label: 'Off (record location only)' },
+              { value: 'warn', label: 'Warn outside the fence' },
+              { value: 'reject', label: 'Reject outside the fence' }
+            ]}
+          />
+          <Select
+            label="Work Day Starts At"
+            value={editForm.dayCutoff}
+            onChange={(e) => setEditForm({ ...editForm, dayCutoff: e.target.value })}
+            options={DAY_CUTOFF_OPTIONS}
+          />
+          <Select
+            label="Two-Factor Authentication"
+            value={editForm.twoFactorRequired}
+            onChange={(e) => setEditForm({ ...editForm, twoFactorRequired: e.target.value === 'true' })}
+            options={[
+              { value: false, label: 'Optional' },
+              { value: true, label: 'Required' }
+            ]}
+          />
+          <Select
+            label="Email Address"
+            value={editForm.emailVerified}
+            onChange={(e) => setEditForm({ ...editForm, emailVerified: e.target.value === 'true' })}
+            options={[
+              { value: true, label: 'Verified' },
+              { value: false, label: 'Not verified' }
+            ]}
+          />
           <Select
             label="Status"
             value={editForm.isActive}
@@ -1,11 +1,55 @@
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
-import { Clock, Mail, Lock, User } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Clock, Mail, Lock, User, ShieldCheck, CheckCircle, XCircle, Loader2 } from 'lucide-react';
 import { Card, Button, Input } from '../ui';
 import { authService } from '../../services';
 import { useAuthStore } from '../../store/authStore';
+import { TwoFactorSetup, RecoveryCodes } from './TwoFactorSetup';
 import toast from 'react-hot-toast';
 
+// Warn when the user is about to run out of recovery codes
+const LOW_RECOVERY_CODES = 2;
+
+// Logo and card shared by the email verification and password reset pages
+const AuthCard = ({ title, subtitle, children }) => (
+  <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4">
+    <div className="max-w-md w-full">
+      <div className="text-center mb-8">
+        <div className="w-16 h-16 bg-primary-500 rounded-2xl flex items-center justify-center mx-auto">
+          <Clock className="w-10 h-10 text-white" />
+        </div>
+        <h1 className="mt-4 text-2xl font-bold text-gray-900">{title}</h1>
+        {subtitle && <p className="text-gray-500 mt-1">{subtitle}</p>}
+      </div>
+      <Card className="p-8">
+        {children}
+      </Card>
+    </div>
+  </div>
+);
+
+const ResendVerification = ({ email }) => {
+  const [sending, setSending] = useState(false);
+
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      const response = await authService.resendVerification(email);
+      toast.success(response.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Button type="button" variant="secondary" className="w-full" onClick={handleResend} loading={sending}>
+      Resend Verification Email
+    </Button>
+  );
+};
+
 export const LoginPage = () => {
   const navigate = useNavigate();
   const { login } = useAuthStore();
@@ -15,6 +59,19 @@ export const LoginPage = () => {
     password: ''
   });
   const [errors, setErrors] = useState({});
+  // password -> code (enrolled) or setup (required by an admin, not enrolled yet)
+  const [step, setStep] = useState('password');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [enrolment, setEnrolment] = useState(null);
+  const [unverifiedEmail, setUnverifiedEmail] = useState(null);
+
+  const completeLogin = (data) => {
+    login(data.user, data.accessToken, data.refreshToken);
+    toast.success('Login successful!');
+    navigate('/dashboard');
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -31,23 +88,64 @@ export const LoginPage = () => {
 
     try {
       setLoading(true);
+      setUnverifiedEmail(null);
       const response = await authService.login(form.email, form.password);
-      
-      login(
-        response.data.user,
-        response.data.accessToken,
-        response.data.refreshToken
-      );
-      
-      toast.success('Login successful!');
-      navigate('/dashboard');
+
+      if (response.data.twoFactorRequired || response.data.twoFactorSetupRequired) {
+        setChallengeToken(response.data.challengeToken);
+        setStep(response.data.twoFactorRequired ? 'code' : 'setup');
+        return;
+      }
+
+      completeLogin(response.data);
     } catch (error) {
+      if (error.response?.data?.code === 'EMAIL_NOT_VERIFIED') {
+        setUnverifiedEmail(form.email);
+      }
       toast.error(error.response?.data?.message || 'Login failed');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleRestart = () => {
+    setStep('password');
+    setChallengeToken(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setEnrolment(null);
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await authService.verifyTwoFactor(
+        challengeToken,
+        useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() }
+      );
+
+      const remaining = response.data.recoveryCodesRemaining;
+      if (remaining !== undefined && remaining <= LOW_RECOVERY_CODES) {
+        toast(`Only ${remaining} recovery code${remaining === 1 ? '' : 's'} left. Generate new ones from your profile.`, { icon: '⚠️' });
+      }
+
+      completeLogin(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Verification failed');
+      // The challenge expires after a few minutes; start over with the password
+      if (error.response?.status === 401 && /expired/i.test(error.response?.data?.message || '')) {
+        handleRestart();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4">
       <div className="max-w-md w-full">
@@ -57,69 +155,154 @@ export const LoginPage = () => {
             <Clock className="w-10 h-10 text-white" />
           </div>
           <h1 className="mt-4 text-2xl font-bold text-gray-900">Time Manager</h1>
-          <p className="text-gray-500 mt-1">Sign in to your account</p>
+          <p className="text-gray-500 mt-1">
+            {step === 'password' ? 'Sign in to your account' : 'Two-factor authentication'}
+          </p>
         </div>
 
-        {/* Login Form */}
-        <Card className="p-8">
-          <form onSubmit={handleSubmit} className="space-y-6">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Email Address
-              </label>
-              <div className="relative">
-                <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
-                <input
-                  type="email"
-                  value={form.email}
-                  onChange={(e) => setForm({ ...form, email: e.target.value })}
-                  className={`w-full pl-10 pr-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 ${
-                    errors.email ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                  placeholder="you@example.com"
-                />
+        {step === 'code' && (
+          <Card className="p-8">
+            <form onSubmit={handleVerify} className="space-y-6">
+              <div className="flex items-center gap-3">
+                <ShieldCheck className="w-8 h-8 text-primary-500" />
+                <p className="text-gray-600">
+                  {useRecoveryCode
+                    ? 'Enter one of your recovery codes.'
+                    : 'Enter the 6-digit code from your authenticator app.'
+                  }
+                </p>
               </div>
-              {errors.email && <p className="mt-1 text-sm text-red-500">{errors.email}</p>}
+              <Input
+                label={useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                autoFocus
+              />
+              <Button type="submit" className="w-full" size="lg" loading={loading}>
+                Verify
+              </Button>
+            </form>
+
+            <div className="mt-6 flex justify-between text-sm">
+              <button
+                type="button"
+                className="text-primary-600 font-medium hover:underline"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setCode('');
+                }}
+              >
+                {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+              </button>
+              <button type="button" className="text-gray-500 hover:underline" onClick={handleRestart}>
+                Back to sign in
+              </button>
             </div>
+          </Card>
+        )}
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Password
-              </label>
-              <div className="relative">
-                <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
-                <input
-                  type="password"
-                  value={form.password}
-                  onChange={(e) => setForm({ ...form, password: e.target.value })}
-                  className={`w-full pl-10 pr-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 ${
-                    errors.password ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                  placeholder="••••••••"
+        {step === 'setup' && (
+          <Card className="p-8">
+            {enrolment ? (
+              <RecoveryCodes
+                codes={enrolment.recoveryCodes}
+                doneLabel="Continue"
+                onDone={() => completeLogin(enrolment)}
+              />
+            ) : (
+              <>
+                <p className="text-sm text-yellow-700 bg-yellow-50 rounded-lg p-3 mb-4">
+                  Your administrator requires two-factor authentication. Set it up to continue.
+                </p>
+                <TwoFactorSetup
+                  challengeToken={challengeToken}
+                  onEnabled={setEnrolment}
+                  onCancel={handleRestart}
                 />
+              </>
+            )}
+          </Card>
+        )}
+
+        {/* Login Form */}
+        {step === 'password' && (
+          <Card className="p-8">
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Email Address
+                </label>
+                <div className="relative">
+                  <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+                  <input
+                    type="email"
+                    value={form.email}
+                    onChange={(e) => setForm({ ...form, email: e.target.value })}
+                    className={`w-full pl-10 pr-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 ${
+                      errors.email ? 'border-red-500' : 'border-gray-300'
+                    }`}
+                    placeholder="you@example.com"
+                  />
+                </div>
+                {errors.email && <p className="mt-1 text-sm text-red-500">{errors.email}</p>}
               </div>
-              {errors.password && <p className="mt-1 text-sm text-red-500">{errors.password}</p>}
-            </div>
 
-            <Button
-              type="submit"
-              className="w-full"
-              size="lg"
-              loading={loading}
-            >
-              Sign In
-            </Button>
-          </form>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Password
+                </label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+                  <input
+                    type="password"
+                    value={form.password}
+                    onChange={(e) => setForm({ ...form, password: e.target.value })}
+                    className={`w-full pl-10 pr-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 ${
+                      errors.password ? 'border-red-500' : 'border-gray-300'
+                    }`}
+                    placeholder="••••••••"
+                  />
+                </div>
+                {errors.password && <p className="mt-1 text-sm text-red-500">{errors.password}</p>}
+                <div className="mt-2 text-right">
+                  <Link to="/forgot-password" className="text-sm text-primary-600 hover:underline">
+                    Forgot password?
+                  </Link>
+                </div>
+              </div>
 
-          <div className="mt-6 text-center">
-            <p className="text-gray-600">
-              Don't have an account?{' '}
-              <Link to="/register" className="text-primary-600 font-medium hover:underline">
-                Sign up
-              </Link>
-            </p>
-          </div>
-        </Card>
+              <Button
+                type="submit"
+                className="w-full"
+                size="lg"
+                loading={loading}
+              >
+                Sign In
+              </Button>
+            </form>
+
+            {unverifiedEmail && (
+              <div className="mt-6 space-y-3">
+                <p className="text-sm text-yellow-700 bg-yellow-50 rounded-lg p-3">
+                  Your email address is not verified yet. Use the link we emailed you, or request a new one.
+                </p>
+                <ResendVerification email={unverifiedEmail} />
+              </div>
+            )}
+
+            <div className="mt-6 text-center">
+              <p className="text-gray-600">
+                Don't have an account?{' '}
+                <Link to="/register" className="text-primary-600 font-medium hover:underline">
+                  Sign up
+                </Link>
+              </p>
+            </div>
+          </Card>
+        )}
       </div>
     </div>
   );
@@ -136,6 +319,8 @@ export const RegisterPage = () => {
     confirmPassword: ''
   });
   const [errors, setErrors] = useState({});
+  // Set when the account must be verified before the first login
+  const [registeredEmail, setRegisteredEmail] = useState(null);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -161,6 +346,11 @@ export const RegisterPage = () => {
     try {
       setLoading(true);
       const response = await authService.register(form.name, form.email, form.password);
+
+      if (response.data.emailVerificationRequired) {
+        setRegisteredEmail(form.email);
+        return;
+      }
       
       login(
         response.data.user,
@@ -177,6 +367,24 @@ export const RegisterPage = () => {
     }
   };
 
+  if (registeredEmail) {
+    return (
+      <AuthCard title="Check Your Email" subtitle="One more step">
+        <div className="space-y-6 text-center">
+          <Mail className="w-12 h-12 text-primary-500 mx-auto" />
+          <p className="text-gray-600">
+            We sent a verification link to <span className="font-medium">{registeredEmail}</span>.
+            Open it to activate your account, then sign in.
+          </p>
+          <ResendVerification email={registeredEmail} />
+          <Link to="/login" className="block text-primary-600 font-medium hover:underline">
+            Back to sign in
+          </Link>
+        </div>
+      </AuthCard>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4">
       <div className="max-w-md w-full">
@@ -291,3 +499,204 @@ export const RegisterPage = () => {
     </div>
   );
 };
+
+export const ForgotPasswordPage = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await authService.forgotPassword(email);
+      setSent(true);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to send reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthCard title="Forgot Password" subtitle="We'll email you a link to reset it">
+      {sent ? (
+        <div className="space-y-6 text-center">
+          <Mail className="w-12 h-12 text-primary-500 mx-auto" />
+          <p className="text-gray-600">
+            If an account exists for <span className="font-medium">{email}</span>, a reset link is on its way.
+            The link can be used once.
+          </p>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <Input
+            label="Email Address"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="you@example.com"
+            autoFocus
+          />
+          <Button type="submit" className="w-full" size="lg" loading={loading} disabled={!email}>
+            Send Reset Link
+          </Button>
+        </form>
+      )}
+
+      <div className="mt-6 text-center">
+        <Link to="/login" className="text-primary-600 font-medium hover:underline">
+          Back to sign in
+        </Link>
+      </div>
+    </AuthCard>
+  );
+};
+
+export const ResetPasswordPage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState({ password: '', confirmPassword: '' });
+  const [errors, setErrors] = useState({});
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrors({});
+
+    if (form.password.length < 6) {
+      setErrors({ password: 'Password must be at least 6 characters' });
+      return;
+    }
+    if (form.password !== form.confirmPassword) {
+      setErrors({ confirmPassword: 'Passwords do not match' });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await authService.resetPassword(token, form.password);
+      toast.success(response.message);
+      navigate('/login');
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <AuthCard title="Reset Password">
+        <div className="space-y-6 text-center">
+          <XCircle className="w-12 h-12 text-red-500 mx-auto" />
+          <p className="text-gray-600">This reset link is incomplete. Request a new one.</p>
+          <Link to="/forgot-password" className="block text-primary-600 font-medium hover:underline">
+            Forgot password
+          </Link>
+        </div>
+      </AuthCard>
+    );
+  }
+
+  return (
+    <AuthCard title="Reset Password" subtitle="Choose a new password">
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <Input
+          label="New Password"
+          type="password"
+          value={form.password}
+          onChange={(e) => setForm({ ...form, password: e.target.value })}
+          error={errors.password}
+          autoFocus
+        />
+        <Input
+          label="Confirm New Password"
+          type="password"
+          value={form.confirmPassword}
+          onChange={(e) => setForm({ ...form, confirmPassword: e.target.value })}
+          error={errors.confirmPassword}
+        />
+        <Button type="submit" className="w-full" size="lg" loading={loading}>
+          Reset Password
+        </Button>
+      </form>
+
+      <div className="mt-6 text-center">
+        <Link to="/login" className="text-primary-600 font-medium hover:underline">
+          Back to sign in
+        </Link>
+      </div>
+    </AuthCard>
+  );
+};
+
+export const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, updateUser } = useAuthStore();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error'); // verifying, success, error
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    const verify = async () => {
+      try {
+        const response = await authService.verifyEmail(token);
+        if (isAuthenticated) {
+          updateUser(response.data.user);
+        }
+        setStatus('success');
+      } catch (error) {
+        setMessage(error.response?.data?.message || 'Verification failed');
+        setStatus('error');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <AuthCard title="Email Verification">
+      <div className="space-y-6 text-center">
+        {status === 'verifying' && (
+          <>
+            <Loader2 className="w-12 h-12 text-primary-500 animate-spin mx-auto" />
+            <p className="text-gray-600">Verifying your email address...</p>
+          </>
+        )}
+
+        {status === 'success' && (
+          <>
+            <CheckCircle className="w-12 h-12 text-green-500 mx-auto" />
+            <p className="text-gray-600">Your email address is verified.</p>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <XCircle className="w-12 h-12 text-red-500 mx-auto" />
+            <p className="text-gray-600">{message} Request a new link from the sign-in page or your profile.</p>
+          </>
+        )}
+
+        {status !== 'verifying' && (
+          <Link
+            to={isAuthenticated ? '/dashboard' : '/login'}
+            className="block text-primary-600 font-medium hover:underline"
+          >
+            {isAuthenticated ? 'Go to dashboard' : 'Continue to sign in'}
+          </Link>
+        )}
+      </div>
+    </AuthCard>
+  );
+};
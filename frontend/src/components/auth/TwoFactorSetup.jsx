@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { Copy, Download } from 'lucide-react';
+import QRCode from 'qrcode';
+import { Button, Input, LoadingSpinner } from '../ui';
+import { authService } from '../../services';
+import toast from 'react-hot-toast';
+
+/**
+ * Enrol an authenticator app: shows the secret as a QR code and confirms the first code.
+ * Pass challengeToken when enrolling during login. onEnabled receives the API response data
+ * (user, recoveryCodes and, during login, the session tokens).
+ */
+export const TwoFactorSetup = ({ challengeToken = null, onEnabled, onCancel }) => {
+  const [setup, setSetup] = useState(null);
+  const [qrImage, setQrImage] = useState(null);
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const start = async () => {
+      try {
+        const response = await authService.startTwoFactorSetup(challengeToken);
+        setSetup(response.data);
+        setQrImage(await QRCode.toDataURL(response.data.otpauthUrl, { width: 220, margin: 1 }));
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+        onCancel?.();
+      }
+    };
+
+    start();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      const response = await authService.enableTwoFactor(code.trim(), challengeToken);
+      onEnabled(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Invalid code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!setup) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-gray-600">
+        Scan this QR code with an authenticator app (Google Authenticator, 1Password, Authy...),
+        then enter the 6-digit code it shows.
+      </p>
+      {qrImage && <img src={qrImage} alt="Two-factor QR code" className="w-48 h-48 mx-auto" />}
+      <div className="text-center">
+        <p className="text-xs text-gray-500">Can't scan? Enter this key instead:</p>
+        <code className="text-sm font-mono break-all">{setup.secret.match(/.{1,4}/g).join(' ')}</code>
+      </div>
+      <Input
+        label="Authentication Code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        maxLength={6}
+        placeholder="123456"
+      />
+      <div className="flex justify-end gap-3 pt-2">
+        {onCancel && (
+          <Button type="button" variant="secondary" onClick={onCancel}>
+            Cancel
+          </Button>
+        )}
+        <Button type="submit" loading={loading} disabled={code.trim().length !== 6}>
+          Enable
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * One-time recovery codes, shown once after enrolment or regeneration
+ */
+export const RecoveryCodes = ({ codes, onDone, doneLabel = 'Done' }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      toast.error('Copy failed, write the codes down instead');
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'time-manager-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-gray-600">
+        Keep these recovery codes somewhere safe. Each one can be used once to sign in
+        if you lose access to your authenticator app. They will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-4 bg-gray-100 rounded-lg">
+        {codes.map((code) => (
+          <code key={code} className="text-sm font-mono text-center">{code}</code>
+        ))}
+      </div>
+      <div className="flex justify-end gap-3 pt-2">
+        <Button variant="secondary" onClick={handleCopy}>
+          <Copy className="w-4 h-4 mr-2" />
+          Copy
+        </Button>
+        <Button variant="secondary" onClick={handleDownload}>
+          <Download className="w-4 h-4 mr-2" />
+          Download
+        </Button>
+        <Button onClick={onDone}>
+          {doneLabel}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { ClipboardList, XCircle } from 'lucide-react';
+import { Card, Button, Badge, LoadingSpinner } from '../ui';
+import { correctionService } from '../../services';
+import toast from 'react-hot-toast';
+
+export const STATUS_VARIANTS = {
+  Pending: 'warning',
+  Approved: 'success',
+  Rejected: 'danger',
+  Cancelled: 'default'
+};
+
+const formatTime = (time) => new Date(time).toLocaleString(undefined, {
+  weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+/**
+ * One-line summary of the punch change a request asks for
+ */
+export const describeCorrection = (request) => {
+  if (request.requestType === 'Add') {
+    return `Add ${request.punchType} at ${formatTime(request.punchTime)}`;
+  }
+  if (request.requestType === 'Delete') {
+    return `Delete ${request.originalPunchType} at ${formatTime(request.originalPunchTime)}`;
+  }
+  return `Move ${request.originalPunchType} at ${formatTime(request.originalPunchTime)} to ${request.punchType} at ${formatTime(request.punchTime)}`;
+};
+
+export const CorrectionsPage = () => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchRequests = async () => {
+    try {
+      setLoading(true);
+      const response = await correctionService.getMyCorrections({ limit: 50 });
+      setRequests(response.data.requests);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load correction requests');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRequests();
+  }, []);
+
+  const handleCancel = async (request) => {
+    if (!window.confirm('Cancel this correction request?')) {
+      return;
+    }
+
+    try {
+      await correctionService.cancelCorrection(request._id);
+      toast.success('Correction request cancelled');
+      fetchRequests();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel request');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Correction Requests</h1>
+        <p className="text-gray-500">Punch changes you asked for; request new ones from your dashboard</p>
+      </div>
+
+      {/* Requests List */}
+      <Card className="overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : requests.length === 0 ? (
+          <div className="text-center py-12">
+            <ClipboardList className="w-16 h-16 text-gray-300 mx-auto" />
+            <p className="text-gray-500 mt-4">No correction requests yet</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Change</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Reason</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Review</th>
+                  <th className="px-6 py-4 text-right text-xs font-semibold text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {requests.map((request) => (
+                  <tr key={request._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 font-medium text-gray-900">{describeCorrection(request)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{request.reason}</td>
+                    <td className="px-6 py-4">
+                      <Badge variant={STATUS_VARIANTS[request.status]}>{request.status}</Badge>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {request.reviewedBy && <p className="text-gray-900">{request.reviewedBy.name}</p>}
+                      {request.reviewNote}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex justify-end">
+                        {request.status === 'Pending' && (
+                          <Button variant="ghost" size="sm" onClick={() => handleCancel(request)} title="Cancel request">
+                            <XCircle className="w-4 h-4 text-red-600" />
+                          </Button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default CorrectionsPage;
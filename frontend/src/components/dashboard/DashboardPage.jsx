@@ -7,17 +7,166 @@ import {
   RefreshCw,
   Wifi,
   Edit3,
-  Trash2
+  Trash2,
+  Coffee
 } from 'lucide-react';
 import { Card, ProgressBar, Badge, Button, LoadingSpinner, Modal, Input, Select } from '../ui';
 import { LiveTimer, CountdownTimer } from '../ui/LiveTimer';
 import { DashboardAlerts, PunchIssuesList } from '../ui/WarningBanner';
 import { useDashboard } from '../../hooks';
-import { punchService } from '../../services';
+import { punchService, correctionService, dashboardService } from '../../services';
+import { useAuthStore } from '../../store/authStore';
 import toast from 'react-hot-toast';
 
+const formatBreakMinutes = (minutes) => {
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
+};
+
+/**
+ * Breaks Panel
+ * Today's breaks by category, weekly averages and the break in progress
+ */
+const BreaksPanel = ({ refreshKey }) => {
+  const [breaks, setBreaks] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    dashboardService.getBreaks()
+      .then(response => setBreaks(response.data))
+      .catch(() => setBreaks(null));
+  }, [refreshKey]);
+
+  // Keep the "on break for" indicator ticking between refreshes
+  useEffect(() => {
+    if (!breaks?.currentBreak) return;
+
+    const interval = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(interval);
+  }, [breaks?.currentBreak]);
+
+  if (!breaks) return null;
+
+  const currentBreak = breaks.currentBreak;
+  const breakMinutes = currentBreak
+    ? Math.max(0, Math.floor((now - new Date(currentBreak.startTime)) / 60000))
+    : 0;
+
+  return (
+    <Card className="p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold text-gray-900">Breaks</h3>
+        <Badge variant="default">Today: {breaks.today.totalBreakFormatted}</Badge>
+      </div>
+
+      {currentBreak && (
+        <div className={`flex items-center gap-3 p-4 mb-4 rounded-lg border ${
+          breakMinutes > 90 ? 'bg-red-50 border-red-200' : 'bg-yellow-50 border-yellow-200'
+        }`}>
+          <Coffee className={`w-5 h-5 animate-pulse ${breakMinutes > 90 ? 'text-red-600' : 'text-yellow-600'}`} />
+          <p className="text-sm text-gray-700">
+            On break for <span className="font-semibold">{formatBreakMinutes(breakMinutes)}</span>
+            <span className="text-gray-500"> (since {currentBreak.startTimeLocal})</span>
+          </p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Today by category */}
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">Today by Category</p>
+          {breaks.today.byCategory.length === 0 ? (
+            <p className="text-sm text-gray-500">No breaks taken today</p>
+          ) : (
+            <div className="space-y-2">
+              {breaks.today.byCategory.map(category => (
+                <div key={category.type} className="flex items-center justify-between text-sm">
+                  <span className="text-gray-600">
+                    {category.type} <span className="text-gray-400">x{category.count}</span>
+                  </span>
+                  <span className="font-medium text-gray-900">{category.totalFormatted}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Weekly averages */}
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">Weekly Averages (per day worked)</p>
+          {breaks.weeklyAverages.length === 0 ? (
+            <p className="text-sm text-gray-500">No breaks recorded in the last 4 weeks</p>
+          ) : (
+            <div className="space-y-2">
+              {breaks.weeklyAverages.map(week => (
+                <div key={week.weekStart} className="flex items-center justify-between text-sm">
+                  <span className="text-gray-600">Week of {week.weekStart}</span>
+                  <span className="font-medium text-gray-900">
+                    {week.averageDailyFormatted}
+                    <span className="text-gray-400 font-normal"> / {week.averageBreaksPerDay} breaks</span>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+/**
+ * Overtime Panel
+ * Regular, overtime and premium time for the current and the last three weeks
+ */
+const OvertimePanel = ({ refreshKey }) => {
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    dashboardService.getOvertime(0, 4)
+      .then(response => setReport(response.data))
+      .catch(() => setReport(null));
+  }, [refreshKey]);
+
+  if (!report) return null;
+
+  return (
+    <Card className="p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold text-gray-900">Overtime</h3>
+        <Badge variant={report.totals.overtimeMinutes > 0 ? 'warning' : 'default'}>
+          4 weeks: {report.totals.overtimeFormatted}
+        </Badge>
+      </div>
+
+      <div className="space-y-2">
+        {report.weeks.map((week, index) => (
+          <div key={week.weekStart} className="flex items-center justify-between text-sm">
+            <span className="text-gray-600">{index === 0 ? 'This week' : `Week of ${week.weekStart}`}</span>
+            <span className="font-medium text-gray-900">
+              {formatBreakMinutes(Math.round(week.overtimeMinutes))} overtime
+              <span className="text-gray-400 font-normal">
+                {' '}/ {formatBreakMinutes(Math.round(week.regularMinutes))} regular
+                {week.premiumMinutes > 0 && ` / +${formatBreakMinutes(Math.round(week.premiumMinutes))} premium`}
+              </span>
+            </span>
+          </div>
+        ))}
+      </div>
+
+      <p className="text-xs text-gray-400 mt-4">
+        Overtime starts after {formatBreakMinutes(report.policy.dailyThresholdMinutes)} a day or{' '}
+        {formatBreakMinutes(report.policy.weeklyThresholdMinutes)} a week and is paid at x{report.policy.multiplier}
+      </p>
+    </Card>
+  );
+};
+
 export const DashboardPage = () => {
   const { dashboard, loading, refresh } = useDashboard(true, 30000);
+  const { isAdmin } = useAuthStore();
   const [punching, setPunching] = useState(false);
   const [editModal, setEditModal] = useState({ open: false, punch: null });
   const [deleteModal, setDeleteModal] = useState({ open: false, punch: null });
@@ -44,16 +193,28 @@ export const DashboardPage = () => {
     }
 
     try {
-      await punchService.editPunch(editModal.punch.id, {
-        punchTime: new Date(editForm.punchTime).toISOString(),
-        punchType: editForm.punchType,
-        editReason: editForm.editReason
-      });
-      toast.success('Punch updated successfully');
+      // Admins edit directly; everyone else asks an approver to apply the change
+      if (isAdmin()) {
+        await punchService.editPunch(editModal.punch.id, {
+          punchTime: new Date(editForm.punchTime).toISOString(),
+          punchType: editForm.punchType,
+          editReason: editForm.editReason
+        });
+        toast.success('Punch updated successfully');
+      } else {
+        await correctionService.requestCorrection({
+          requestType: 'Move',
+          punchId: editModal.punch.id,
+          punchTime: new Date(editForm.punchTime).toISOString(),
+          punchType: editForm.punchType,
+          reason: editForm.editReason
+        });
+        toast.success('Correction request submitted for approval');
+      }
       setEditModal({ open: false, punch: null });
       refresh();
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Failed to update punch');
+      toast.error(error.response?.data?.message || (isAdmin() ? 'Failed to update punch' : 'Failed to submit correction request'));
     }
   };
 
@@ -64,13 +225,22 @@ export const DashboardPage = () => {
     }
 
     try {
-      await punchService.deletePunch(deleteModal.punch.id, deleteReason);
-      toast.success('Punch deleted successfully');
+      if (isAdmin()) {
+        await punchService.deletePunch(deleteModal.punch.id, deleteReason);
+        toast.success('Punch deleted successfully');
+      } else {
+        await correctionService.requestCorrection({
+          requestType: 'Delete',
+          punchId: deleteModal.punch.id,
+          reason: deleteReason
+        });
+        toast.success('Correction request submitted for approval');
+      }
       setDeleteModal({ open: false, punch: null });
       setDeleteReason('');
       refresh();
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Failed to delete punch');
+      toast.error(error.response?.data?.message || (isAdmin() ? 'Failed to delete punch' : 'Failed to submit correction request'));
     }
   };
 
@@ -256,8 +426,26 @@ export const DashboardPage = () => {
           <span>{dashboard?.todayStats?.totalWorkedFormatted || '0h'}</span>
           <span>{dashboard?.todayStats?.dailyTargetFormatted || '8h'}</span>
         </div>
+        {dashboard?.todayStats?.breaks && (
+          <div className="flex flex-wrap gap-x-6 gap-y-1 mt-4 pt-4 border-t border-gray-100 text-sm text-gray-600">
+            <span>Paid time: <span className="font-medium text-gray-900">{dashboard.todayStats.breaks.paidFormatted}</span></span>
+            <span>Paid breaks: {formatBreakMinutes(dashboard.todayStats.breaks.paidBreakMinutes)}</span>
+            <span>Unpaid breaks: {formatBreakMinutes(dashboard.todayStats.breaks.unpaidBreakMinutes)}</span>
+            {dashboard.todayStats.breaks.autoDeductedMinutes > 0 && (
+              <span className="text-orange-600">
+                Lunch auto-deducted: {formatBreakMinutes(dashboard.todayStats.breaks.autoDeductedMinutes)}
+              </span>
+            )}
+          </div>
+        )}
       </Card>
 
+      {/* Breaks */}
+      <BreaksPanel refreshKey={dashboard?.lastPunch?.time} />
+
+      {/* Overtime */}
+      <OvertimePanel refreshKey={dashboard?.lastPunch?.time} />
+
       {/* Today's Punches */}
       <Card className="p-6">
         <h3 className="font-semibold text-gray-900 mb-4">Today's Punches</h3>
@@ -318,7 +506,7 @@ export const DashboardPage = () => {
       <Modal
         isOpen={editModal.open}
         onClose={() => setEditModal({ open: false, punch: null })}
-        title="Edit Punch"
+        title={isAdmin() ? 'Edit Punch' : 'Request Punch Correction'}
       >
         <div className="space-y-4">
           <Select
@@ -337,11 +525,16 @@ export const DashboardPage = () => {
             onChange={(e) => setEditForm({ ...editForm, punchTime: e.target.value })}
           />
           <Input
-            label="Edit Reason"
+            label={isAdmin() ? 'Edit Reason' : 'Reason'}
             value={editForm.editReason}
             onChange={(e) => setEditForm({ ...editForm, editReason: e.target.value })}
             placeholder="Why are you editing this punch?"
           />
+          {!isAdmin() && (
+            <p className="text-sm text-gray-500">
+              Your manager will review this change before it is applied.
+            </p>
+          )}
           <div className="flex justify-end gap-3 pt-4">
             <Button
               variant="secondary"
@@ -350,7 +543,7 @@ export const DashboardPage = () => {
               Cancel
             </Button>
             <Button onClick={handleEditPunch}>
-              Save Changes
+              {isAdmin() ? 'Save Changes' : 'Submit Request'}
             </Button>
           </div>
         </div>
@@ -360,7 +553,7 @@ export const DashboardPage = () => {
       <Modal
         isOpen={deleteModal.open}
         onClose={() => setDeleteModal({ open: false, punch: null })}
-        title="Delete Punch"
+        title={isAdmin() ? 'Delete Punch' : 'Request Punch Removal'}
       >
         <div className="space-y-4">
           <div className="p-4 bg-red-50 rounded-lg">
@@ -385,7 +578,7 @@ export const DashboardPage = () => {
               Cancel
             </Button>
             <Button variant="danger" onClick={handleDeletePunch}>
-              Delete Punch
+              {isAdmin() ? 'Delete Punch' : 'Submit Request'}
             </Button>
           </div>
         </div>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Clock, Filter, ChevronLeft, ChevronRight } from 'lucide-react';
+import { Clock, Filter, ChevronLeft, ChevronRight, Download } from 'lucide-react';
 import { Card, Button, Badge, Input, LoadingSpinner } from '../ui';
 import { punchService } from '../../services';
 import { useAuthStore } from '../../store/authStore';
@@ -9,6 +9,7 @@ export const HistoryPage = () => {
   const { user } = useAuthStore();
   const [punches, setPunches] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(null);
   const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
   const [filters, setFilters] = useState({
     startDate: '',
@@ -46,6 +47,30 @@ export const HistoryPage = () => {
     setTimeout(() => fetchHistory(1), 0);
   };
 
+  const handleExport = async (format) => {
+    // Default to the current month when no range is selected
+    const today = new Date().toISOString().slice(0, 10);
+    const startDate = filters.startDate || `${today.slice(0, 8)}01`;
+    const endDate = filters.endDate || today;
+
+    try {
+      setExporting(format);
+      const blob = await punchService.exportHistory({ startDate, endDate, format });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `attendance_${startDate}_${endDate}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export punch history');
+    } finally {
+      setExporting(null);
+    }
+  };
+
   const handlePageChange = (newPage) => {
     if (newPage >= 1 && newPage <= pagination.pages) {
       fetchHistory(newPage);
@@ -65,9 +90,31 @@ export const HistoryPage = () => {
   return (
     <div className="space-y-6">
       {/* Header */}
-      <div>
-        <h1 className="text-2xl font-bold text-gray-900">Punch History</h1>
-        <p className="text-gray-500">View and filter your attendance records</p>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Punch History</h1>
+          <p className="text-gray-500">View and filter your attendance records</p>
+        </div>
+        <div className="flex gap-2 self-start">
+          <Button
+            variant="secondary"
+            onClick={() => handleExport('csv')}
+            loading={exporting === 'csv'}
+            disabled={!!exporting}
+          >
+            <Download className="w-4 h-4 mr-2" />
+            CSV
+          </Button>
+          <Button
+            variant="secondary"
+            onClick={() => handleExport('pdf')}
+            loading={exporting === 'pdf'}
+            disabled={!!exporting}
+          >
+            <Download className="w-4 h-4 mr-2" />
+            PDF
+          </Button>
+        </div>
       </div>
 
       {/* Filters */}
@@ -7,17 +7,29 @@ import {
   Users, 
   CreditCard, 
   History,
+  UserX,
+  Activity,
+  Tablet,
+  QrCode,
+  Cpu,
+  MapPin,
+  FileCheck,
+  ClipboardCheck,
+  ClipboardList,
+  CalendarDays,
+  Wallet,
   LogOut,
   Menu,
   X
 } from 'lucide-react';
 import { useAuthStore } from '../../store/authStore';
+import { useServerEvents } from '../../hooks';
 import NotificationCenter from '../ui/NotificationCenter';
 import NotificationPermissionPrompt from '../ui/NotificationPermissionPrompt';
 
 const Sidebar = ({ isOpen, onClose }) => {
   const navigate = useNavigate();
-  const { user, logout, isAdmin } = useAuthStore();
+  const { user, logout, isAdmin, isManager } = useAuthStore();
 
   const handleLogout = () => {
     logout();
@@ -28,12 +40,31 @@ const Sidebar = ({ isOpen, onClose }) => {
     { path: '/dashboard', icon: LayoutDashboard, label: 'Dashboard' },
     { path: '/punch', icon: Clock, label: 'Punch' },
     { path: '/history', icon: History, label: 'History' },
+    { path: '/timesheets', icon: FileCheck, label: 'Timesheets' },
+    { path: '/corrections', icon: ClipboardList, label: 'Corrections' },
+    { path: '/leaves', icon: CalendarDays, label: 'Leave' },
     { path: '/profile', icon: User, label: 'Profile' },
   ];
 
   const adminItems = [
     { path: '/admin/users', icon: Users, label: 'Users' },
+    { path: '/admin/timesheets', icon: ClipboardCheck, label: 'Approvals' },
+    { path: '/admin/corrections', icon: ClipboardList, label: 'Punch Corrections' },
+    { path: '/admin/leaves', icon: CalendarDays, label: 'Leave Requests' },
+    { path: '/admin/payroll', icon: Wallet, label: 'Payroll' },
     { path: '/admin/nfc-tags', icon: CreditCard, label: 'NFC Tags' },
+    { path: '/admin/devices', icon: Cpu, label: 'Devices' },
+    { path: '/admin/sites', icon: MapPin, label: 'Sites' },
+    { path: '/admin/presence', icon: Activity, label: "Who's In" },
+    { path: '/admin/absences', icon: UserX, label: 'Absences' },
+    { path: '/kiosk', icon: Tablet, label: 'Kiosk Mode' },
+    { path: '/kiosk/qr', icon: QrCode, label: 'QR Kiosk' },
+  ];
+
+  const managerItems = [
+    { path: '/admin/users', icon: Users, label: 'My Team' },
+    { path: '/admin/timesheets', icon: ClipboardCheck, label: 'Approvals' },
+    { path: '/admin/corrections', icon: ClipboardList, label: 'Punch Corrections' },
   ];
 
   const NavItem = ({ item }) => (
@@ -118,6 +149,19 @@ const Sidebar = ({ isOpen, onClose }) => {
               ))}
             </>
           )}
+
+          {isManager() && (
+            <>
+              <div className="pt-4 pb-2">
+                <p className="px-4 text-xs font-semibold text-gray-400 uppercase tracking-wider">
+                  Team
+                </p>
+              </div>
+              {managerItems.map((item) => (
+                <NavItem key={item.path} item={item} />
+              ))}
+            </>
+          )}
         </nav>
 
         {/* Logout */}
@@ -138,6 +182,9 @@ const Sidebar = ({ isOpen, onClose }) => {
 export const Layout = ({ children }) => {
   const [sidebarOpen, setSidebarOpen] = React.useState(false);
 
+  // Live punch updates for the dashboard and admin pages
+  useServerEvents();
+
   return (
     <div className="min-h-screen bg-gray-50">
       <Sidebar isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} />
@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import { CalendarDays, Send, XCircle } from 'lucide-react';
+import { Card, Button, Badge, Input, Select, LoadingSpinner } from '../ui';
+import { leaveService } from '../../services';
+import toast from 'react-hot-toast';
+
+export const STATUS_VARIANTS = {
+  Pending: 'warning',
+  Approved: 'success',
+  Rejected: 'danger',
+  Cancelled: 'default'
+};
+
+const LEAVE_TYPE_OPTIONS = [
+  { value: 'Casual', label: 'Casual' },
+  { value: 'Sick', label: 'Sick' },
+  { value: 'Earned', label: 'Earned' },
+  { value: 'Unpaid', label: 'Unpaid' },
+  { value: 'Other', label: 'Other' }
+];
+
+const DURATION_OPTIONS = [
+  { value: 'FullDay', label: 'Full day(s)' },
+  { value: 'HalfDay', label: 'Half day' },
+  { value: 'Hourly', label: 'Hours' }
+];
+
+const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString(undefined, {
+  weekday: 'short', month: 'short', day: 'numeric', year: 'numeric'
+});
+
+/**
+ * Dates and length of a leave request
+ */
+export const describeLeave = (leave) => {
+  const dates = leave.endDate && leave.endDate !== leave.startDate
+    ? `${formatDate(leave.startDate)} - ${formatDate(leave.endDate)}`
+    : formatDate(leave.startDate);
+
+  if (leave.duration === 'HalfDay') {
+    return `${dates} (${leave.halfDaySession === 'SecondHalf' ? 'afternoon' : 'morning'})`;
+  }
+  if (leave.duration === 'Hourly') {
+    return `${dates} (${Math.floor(leave.minutes / 60)}h ${String(leave.minutes % 60).padStart(2, '0')}m)`;
+  }
+  return dates;
+};
+
+const emptyForm = () => {
+  const today = new Date().toISOString().split('T')[0];
+  return { leaveType: 'Casual', duration: 'FullDay', startDate: today, endDate: today, halfDaySession: 'FirstHalf', hours: 2, reason: '' };
+};
+
+export const LeavesPage = () => {
+  const [leaves, setLeaves] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+
+  const fetchLeaves = async () => {
+    try {
+      setLoading(true);
+      const response = await leaveService.getMyLeaves({ limit: 50 });
+      setLeaves(response.data.leaves);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load leave requests');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchLeaves();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      await leaveService.requestLeave({
+        leaveType: form.leaveType,
+        duration: form.duration,
+        startDate: form.startDate,
+        endDate: form.duration === 'FullDay' ? form.endDate : form.startDate,
+        halfDaySession: form.duration === 'HalfDay' ? form.halfDaySession : undefined,
+        minutes: form.duration === 'Hourly' ? Math.round(Number(form.hours) * 60) : undefined,
+        reason: form.reason || undefined
+      });
+      toast.success('Leave request submitted');
+      setForm(emptyForm());
+      fetchLeaves();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to request leave');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (leave) => {
+    if (!window.confirm('Cancel this leave request?')) {
+      return;
+    }
+
+    try {
+      await leaveService.cancelLeave(leave._id);
+      toast.success('Leave request cancelled');
+      fetchLeaves();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel leave');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Leave</h1>
+        <p className="text-gray-500">Approved leave counts towards your daily target</p>
+      </div>
+
+      {/* Request */}
+      <Card className="p-4">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <Select
+              label="Type"
+              value={form.leaveType}
+              onChange={(e) => setForm({ ...form, leaveType: e.target.value })}
+              options={LEAVE_TYPE_OPTIONS}
+            />
+            <Select
+              label="Duration"
+              value={form.duration}
+              onChange={(e) => setForm({ ...form, duration: e.target.value })}
+              options={DURATION_OPTIONS}
+            />
+            <Input
+              label={form.duration === 'FullDay' ? 'From' : 'Date'}
+              type="date"
+              value={form.startDate}
+              onChange={(e) => setForm({ ...form, startDate: e.target.value, endDate: e.target.value > form.endDate ? e.target.value : form.endDate })}
+              required
+            />
+            {form.duration === 'FullDay' && (
+              <Input
+                label="To"
+                type="date"
+                min={form.startDate}
+                value={form.endDate}
+                onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+                required
+              />
+            )}
+            {form.duration === 'HalfDay' && (
+              <Select
+                label="Session"
+                value={form.halfDaySession}
+                onChange={(e) => setForm({ ...form, halfDaySession: e.target.value })}
+                options={[
+                  { value: 'FirstHalf', label: 'Morning' },
+                  { value: 'SecondHalf', label: 'Afternoon' }
+                ]}
+              />
+            )}
+            {form.duration === 'Hourly' && (
+              <Input
+                label="Hours"
+                type="number"
+                min="0.25"
+                max="24"
+                step="0.25"
+                value={form.hours}
+                onChange={(e) => setForm({ ...form, hours: e.target.value })}
+                required
+              />
+            )}
+          </div>
+          <div className="flex flex-col md:flex-row md:items-end gap-4">
+            <Input
+              label="Reason (optional)"
+              className="flex-1"
+              maxLength={500}
+              value={form.reason}
+              onChange={(e) => setForm({ ...form, reason: e.target.value })}
+            />
+            <Button type="submit" loading={submitting}>
+              <Send className="w-4 h-4 mr-2" />
+              Request Leave
+            </Button>
+          </div>
+        </form>
+      </Card>
+
+      {/* Leave List */}
+      <Card className="overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : leaves.length === 0 ? (
+          <div className="text-center py-12">
+            <CalendarDays className="w-16 h-16 text-gray-300 mx-auto" />
+            <p className="text-gray-500 mt-4">No leave requested yet</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Dates</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Type</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Review</th>
+                  <th className="px-6 py-4 text-right text-xs font-semibold text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {leaves.map((leave) => (
+                  <tr key={leave._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 font-medium text-gray-900">
+                      {describeLeave(leave)}
+                      {leave.reason && <p className="text-sm font-normal text-gray-500">{leave.reason}</p>}
+                    </td>
+                    <td className="px-6 py-4 text-gray-600">{leave.leaveType}</td>
+                    <td className="px-6 py-4">
+                      <Badge variant={STATUS_VARIANTS[leave.status]}>{leave.status}</Badge>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {leave.reviewedBy && <p className="text-gray-900">{leave.reviewedBy.name}</p>}
+                      {leave.reviewNote}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex justify-end">
+                        {['Pending', 'Approved'].includes(leave.status) && (
+                          <Button variant="ghost" size="sm" onClick={() => handleCancel(leave)} title="Cancel leave">
+                            <XCircle className="w-4 h-4 text-red-600" />
+                          </Button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default LeavesPage;
@@ -0,0 +1,268 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { CheckCircle, XCircle, Clock, Loader2, Wifi, WifiOff, Maximize, LogOut } from 'lucide-react';
+import { Card, Button, Input } from '../ui';
+import toast from 'react-hot-toast';
+import { nfcService, deviceService } from '../../services';
+import { useNfc } from '../../hooks';
+import { useAuthStore } from '../../store/authStore';
+import { useKioskStore } from '../../store/kioskStore';
+
+// How long a punch result stays on screen before resetting for the next person
+const RESULT_DISPLAY_MS = 4000;
+// Ignore the same tag while it is still held against the reader
+const REPEAT_TAP_MS = 10000;
+
+export const KioskSetup = ({
+  title = 'Kiosk Mode',
+  description = 'Register this device as a shared NFC reader. It will stay in kiosk mode and punch employees in and out when they tap their badge.'
+}) => {
+  const navigate = useNavigate();
+  const { user } = useAuthStore();
+  const { register } = useKioskStore();
+  const [deviceName, setDeviceName] = useState('');
+  const [apiKey, setApiKey] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!deviceName.trim()) {
+      return;
+    }
+
+    // Reuse a key issued on the Devices page, or register this browser as a new device
+    if (apiKey.trim()) {
+      register({ name: deviceName.trim() }, apiKey.trim(), user);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await deviceService.createDevice({ name: deviceName.trim() });
+      register(response.data.device, response.data.apiKey, user);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to register device');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <Card className="p-8 max-w-md w-full">
+        <h1 className="text-2xl font-bold text-gray-900">{title}</h1>
+        <p className="text-gray-500 mt-2">{description}</p>
+        <form onSubmit={handleSubmit} className="mt-6 space-y-4">
+          <Input
+            label="Device Name"
+            placeholder="e.g. Main Entrance"
+            value={deviceName}
+            onChange={(e) => setDeviceName(e.target.value)}
+            required
+          />
+          <Input
+            label="Existing Device Key (Optional)"
+            placeholder="Leave empty to register a new device"
+            value={apiKey}
+            onChange={(e) => setApiKey(e.target.value)}
+          />
+          <div className="flex gap-3">
+            <Button type="button" variant="secondary" className="flex-1" onClick={() => navigate('/dashboard')}>
+              Cancel
+            </Button>
+            <Button type="submit" className="flex-1" disabled={!deviceName.trim() || saving}>
+              Start Kiosk
+            </Button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+};
+
+export const KioskPage = () => {
+  const navigate = useNavigate();
+  const { deviceName, apiKey, unregister } = useKioskStore();
+  const { isSupported, isReading, startReading, stopReading, error: nfcError } = useNfc();
+  const [status, setStatus] = useState('idle'); // idle, punching, success, error
+  const [result, setResult] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [now, setNow] = useState(new Date());
+  const busyRef = useRef(false);
+  const lastTapRef = useRef({ uid: null, at: 0 });
+  const resetTimerRef = useRef(null);
+
+  // Clock
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const scheduleReset = () => {
+    clearTimeout(resetTimerRef.current);
+    resetTimerRef.current = setTimeout(() => {
+      setStatus('idle');
+      setResult(null);
+      setErrorMessage('');
+    }, RESULT_DISPLAY_MS);
+  };
+
+  const handleTap = async (uid, payload) => {
+    const repeated = lastTapRef.current.uid === uid && Date.now() - lastTapRef.current.at < REPEAT_TAP_MS;
+    if (busyRef.current || repeated) {
+      return;
+    }
+
+    busyRef.current = true;
+    lastTapRef.current = { uid, at: Date.now() };
+    clearTimeout(resetTimerRef.current);
+    setStatus('punching');
+
+    try {
+      const response = await nfcService.quickPunch(uid, apiKey, payload);
+      setResult(response.data);
+      setStatus('success');
+    } catch (error) {
+      setErrorMessage(error.response?.data?.message || 'Punch failed');
+      setStatus('error');
+    } finally {
+      busyRef.current = false;
+      scheduleReset();
+    }
+  };
+
+  // The reader's callback is registered once; route taps through a ref so it
+  // always sees the current handler
+  const handleTapRef = useRef(handleTap);
+  handleTapRef.current = handleTap;
+
+  const startReader = () => {
+    startReading((uid, payload) => handleTapRef.current(uid, payload));
+  };
+
+  // Keep the reader running for as long as the kiosk is open
+  useEffect(() => {
+    if (deviceName && isSupported) {
+      startReader();
+    }
+
+    return () => {
+      stopReading();
+      clearTimeout(resetTimerRef.current);
+    };
+  }, [deviceName, isSupported]);
+
+  const handleFullscreen = () => {
+    document.documentElement.requestFullscreen?.().catch(() => {});
+  };
+
+  const handleExit = () => {
+    if (window.confirm('Exit kiosk mode on this device?')) {
+      stopReading();
+      unregister();
+      if (document.fullscreenElement) {
+        document.exitFullscreen().catch(() => {});
+      }
+      navigate('/dashboard');
+    }
+  };
+
+  if (!deviceName) {
+    return <KioskSetup />;
+  }
+
+  const isIN = result?.punch?.type === 'IN';
+  const background = status === 'success'
+    ? isIN ? 'from-green-500 to-emerald-600' : 'from-orange-500 to-red-500'
+    : status === 'error'
+      ? 'from-red-500 to-pink-600'
+      : 'from-blue-500 to-indigo-600';
+
+  return (
+    <div className={`min-h-screen bg-gradient-to-br ${background} flex flex-col p-6 transition-colors`}>
+      {/* Header */}
+      <div className="flex items-center justify-between text-white">
+        <div>
+          <p className="text-lg font-semibold">{deviceName}</p>
+          <p className="text-sm text-white/80">
+            {now.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' })}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button onClick={handleFullscreen} className="p-2 rounded-lg hover:bg-white/20" title="Full screen">
+            <Maximize className="w-5 h-5" />
+          </button>
+          <button onClick={handleExit} className="p-2 rounded-lg hover:bg-white/20" title="Exit kiosk">
+            <LogOut className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {/* Body */}
+      <div className="flex-1 flex items-center justify-center">
+        <div className="bg-white rounded-2xl shadow-2xl p-10 max-w-lg w-full text-center">
+          {status === 'idle' && (
+            <>
+              <p className="text-6xl font-bold text-gray-900 tabular-nums">
+                {now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </p>
+              {!isSupported ? (
+                <div className="mt-8">
+                  <WifiOff className="w-16 h-16 text-red-500 mx-auto" />
+                  <p className="text-gray-600 mt-4">NFC is not supported on this device</p>
+                </div>
+              ) : isReading ? (
+                <div className="mt-8">
+                  <Wifi className="w-16 h-16 text-blue-500 mx-auto animate-pulse" />
+                  <p className="text-xl text-gray-700 mt-4">Tap your badge to punch in or out</p>
+                </div>
+              ) : (
+                <div className="mt-8">
+                  <WifiOff className="w-16 h-16 text-yellow-500 mx-auto" />
+                  <p className="text-gray-600 mt-4">{nfcError?.message || 'NFC reader is not running'}</p>
+                  <Button className="mt-4" onClick={startReader}>
+                    Start Reader
+                  </Button>
+                </div>
+              )}
+            </>
+          )}
+
+          {status === 'punching' && (
+            <>
+              <Loader2 className="w-16 h-16 text-blue-500 animate-spin mx-auto" />
+              <h2 className="text-2xl font-semibold text-gray-800 mt-4">Recording Punch...</h2>
+            </>
+          )}
+
+          {status === 'success' && (
+            <>
+              <CheckCircle className={`w-20 h-20 mx-auto ${isIN ? 'text-green-600' : 'text-orange-600'}`} />
+              <p className="text-3xl font-bold text-gray-900 mt-4">{result?.user?.name}</p>
+              <h2 className={`text-2xl font-semibold mt-2 ${isIN ? 'text-green-600' : 'text-orange-600'}`}>
+                Punch {result?.punch?.type}
+              </h2>
+              <div className="mt-4 flex items-center justify-center gap-2 text-gray-600">
+                <Clock className="w-5 h-5" />
+                <span className="text-lg font-medium">{result?.punch?.timeLocal}</span>
+              </div>
+              <p className="text-gray-500 mt-4">
+                Today: <span className="font-semibold text-gray-800">{result?.dashboard?.todayStats?.totalWorkedFormatted || '0m'}</span>
+              </p>
+            </>
+          )}
+
+          {status === 'error' && (
+            <>
+              <XCircle className="w-20 h-20 text-red-600 mx-auto" />
+              <h2 className="text-2xl font-bold text-red-600 mt-4">Punch Failed</h2>
+              <p className="text-gray-600 mt-2">{errorMessage}</p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default KioskPage;
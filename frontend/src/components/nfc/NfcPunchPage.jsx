@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { CheckCircle, XCircle, Clock, User, Loader2, AlertTriangle } from 'lucide-react';
 import { nfcService } from '../../services';
+import { useAuthStore } from '../../store/authStore';
+import { useKioskStore } from '../../store/kioskStore';
 
 const NfcPunchPage = () => {
   const { uid } = useParams();
@@ -45,11 +47,27 @@ const NfcPunchPage = () => {
       }
     }
 
+    // Punch as the registered device when this browser is a kiosk, otherwise
+    // as the logged-in user (the tag must belong to them)
+    const { apiKey } = useKioskStore.getState();
+    const { isAuthenticated, user } = useAuthStore.getState();
+
+    if (!apiKey && !isAuthenticated) {
+      setErrorMessage('Log in to punch with this tag.');
+      setStatus('error');
+      return;
+    }
+
+    // Secure-mode tags append their signed counter to the URL (?ctr=...&sig=...)
+    const payload = window.location.search.includes('ctr=') ? window.location.search.slice(1) : null;
+
     // Proceed with punch
     try {
       setStatus('punching');
-      const response = await nfcService.quickPunch(uid);
-      setPunchData(response.data);
+      const response = apiKey
+        ? await nfcService.quickPunch(uid, apiKey, payload)
+        : await nfcService.punchWithNfc(uid, payload);
+      setPunchData(apiKey ? response.data : { ...response.data, user: { id: user?.id, name: user?.name } });
       
       // Save punch time to prevent duplicates
       localStorage.setItem(lastPunchKey, Date.now().toString());
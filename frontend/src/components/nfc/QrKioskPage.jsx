@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Maximize, LogOut, WifiOff } from 'lucide-react';
+import QRCode from 'qrcode';
+import { punchService } from '../../services';
+import { useKioskStore } from '../../store/kioskStore';
+import { KioskSetup } from './KioskPage';
+
+// Wait before asking for a new code after a failed request
+const RETRY_MS = 10000;
+
+export const QrKioskPage = () => {
+  const navigate = useNavigate();
+  const { deviceName, apiKey, unregister } = useKioskStore();
+  const [qrImage, setQrImage] = useState(null);
+  const [rotation, setRotation] = useState(null); // { startedAt, seconds }
+  const [errorMessage, setErrorMessage] = useState('');
+  const [now, setNow] = useState(new Date());
+  const rotateTimerRef = useRef(null);
+
+  // Clock
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Fetch a fresh signed code, show it, and schedule the next one
+  useEffect(() => {
+    if (!deviceName) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const refreshCode = async () => {
+      try {
+        const response = await punchService.getQrToken(apiKey);
+        const { token, rotateSeconds } = response.data;
+        const image = await QRCode.toDataURL(token, { width: 480, margin: 1, errorCorrectionLevel: 'M' });
+
+        if (cancelled) {
+          return;
+        }
+
+        setQrImage(image);
+        setRotation({ startedAt: Date.now(), seconds: rotateSeconds });
+        setErrorMessage('');
+        rotateTimerRef.current = setTimeout(refreshCode, rotateSeconds * 1000);
+      } catch (error) {
+        if (cancelled) {
+          return;
+        }
+
+        setQrImage(null);
+        setErrorMessage(error.response?.data?.message || 'Could not load a QR code');
+        rotateTimerRef.current = setTimeout(refreshCode, RETRY_MS);
+      }
+    };
+
+    refreshCode();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(rotateTimerRef.current);
+    };
+  }, [deviceName, apiKey]);
+
+  const handleFullscreen = () => {
+    document.documentElement.requestFullscreen?.().catch(() => {});
+  };
+
+  const handleExit = () => {
+    if (window.confirm('Exit kiosk mode on this device?')) {
+      unregister();
+      if (document.fullscreenElement) {
+        document.exitFullscreen().catch(() => {});
+      }
+      navigate('/dashboard');
+    }
+  };
+
+  if (!deviceName) {
+    return (
+      <KioskSetup
+        title="QR Kiosk"
+        description="Register this device as a QR kiosk. It will show a code that changes every few seconds; employees scan it from the Punch page to punch in or out."
+      />
+    );
+  }
+
+  const remaining = rotation
+    ? Math.max(0, rotation.seconds - (now.getTime() - rotation.startedAt) / 1000)
+    : 0;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-500 to-indigo-600 flex flex-col p-6">
+      {/* Header */}
+      <div className="flex items-center justify-between text-white">
+        <div>
+          <p className="text-lg font-semibold">{deviceName}</p>
+          <p className="text-sm text-white/80">
+            {now.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' })}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button onClick={handleFullscreen} className="p-2 rounded-lg hover:bg-white/20" title="Full screen">
+            <Maximize className="w-5 h-5" />
+          </button>
+          <button onClick={handleExit} className="p-2 rounded-lg hover:bg-white/20" title="Exit kiosk">
+            <LogOut className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {/* Body */}
+      <div className="flex-1 flex items-center justify-center">
+        <div className="bg-white rounded-2xl shadow-2xl p-10 max-w-lg w-full text-center">
+          <p className="text-5xl font-bold text-gray-900 tabular-nums">
+            {now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          </p>
+
+          {qrImage ? (
+            <>
+              <img src={qrImage} alt="Punch QR code" className="w-72 h-72 mx-auto mt-6" />
+              <div className="mt-4 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-blue-500 transition-all duration-1000 ease-linear"
+                  style={{ width: `${(remaining / rotation.seconds) * 100}%` }}
+                ></div>
+              </div>
+              <p className="text-xl text-gray-700 mt-4">Scan from the Punch page to punch in or out</p>
+            </>
+          ) : (
+            <div className="mt-8">
+              <WifiOff className="w-16 h-16 text-yellow-500 mx-auto" />
+              <p className="text-gray-600 mt-4">{errorMessage || 'Loading QR code...'}</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QrKioskPage;
@@ -1,8 +1,9 @@
 import React, { useState } from 'react';
-import { User, Clock, Calendar, Globe, Save, Lock } from 'lucide-react';
-import { Card, Button, Input, Select, Badge } from '../ui';
+import { User, Clock, Calendar, Globe, Save, Lock, ShieldCheck } from 'lucide-react';
+import { Card, Button, Input, Select, Badge, Modal } from '../ui';
 import { useAuthStore } from '../../store/authStore';
 import { userService, authService } from '../../services';
+import { TwoFactorSetup, RecoveryCodes } from '../auth/TwoFactorSetup';
 import toast from 'react-hot-toast';
 
 const TIMEZONES = [
@@ -41,7 +42,11 @@ export const ProfilePage = () => {
     dailyWorkTarget: user?.profile?.dailyWorkTarget || 480,
     workingDays: user?.profile?.workingDays || ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
     breakDuration: user?.profile?.breakDuration || 60,
-    preferredPunchMethod: user?.profile?.preferredPunchMethod || 'NFC'
+    preferredPunchMethod: user?.profile?.preferredPunchMethod || 'NFC',
+    emailReports: {
+      weekly: user?.profile?.emailReports?.weekly || false,
+      monthly: user?.profile?.emailReports?.monthly || false
+    }
   });
 
   const [passwordForm, setPasswordForm] = useState({
@@ -50,6 +55,66 @@ export const ProfilePage = () => {
     confirmPassword: ''
   });
 
+  // Two-factor modal: setup, codes (show recovery codes), disable or regenerate (ask for a code)
+  const [twoFactorModal, setTwoFactorModal] = useState({ open: false, step: null });
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [twoFactorLoading, setTwoFactorLoading] = useState(false);
+  const [verificationSending, setVerificationSending] = useState(false);
+
+  const handleResendVerification = async () => {
+    try {
+      setVerificationSending(true);
+      await authService.resendVerification(user.email);
+      toast.success(`Verification link sent to ${user.email}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setVerificationSending(false);
+    }
+  };
+
+  const openTwoFactorModal = (step) => {
+    setTwoFactorCode('');
+    setTwoFactorModal({ open: true, step });
+  };
+
+  const closeTwoFactorModal = () => {
+    setTwoFactorModal({ open: false, step: null });
+    setRecoveryCodes([]);
+  };
+
+  const handleTwoFactorEnabled = (data) => {
+    updateUser(data.user);
+    setRecoveryCodes(data.recoveryCodes);
+    setTwoFactorModal({ open: true, step: 'codes' });
+    toast.success('Two-factor authentication enabled');
+  };
+
+  const handleTwoFactorConfirm = async () => {
+    // Accept either an authenticator code or a recovery code
+    const value = twoFactorCode.trim();
+    const payload = /^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value };
+
+    try {
+      setTwoFactorLoading(true);
+      if (twoFactorModal.step === 'disable') {
+        const response = await authService.disableTwoFactor(payload);
+        updateUser(response.data.user);
+        closeTwoFactorModal();
+        toast.success('Two-factor authentication disabled');
+      } else {
+        const response = await authService.regenerateRecoveryCodes(payload);
+        setRecoveryCodes(response.data.recoveryCodes);
+        setTwoFactorModal({ open: true, step: 'codes' });
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Verification failed');
+    } finally {
+      setTwoFactorLoading(false);
+    }
+  };
+
   const handleDayToggle = (day) => {
     setProfileForm(prev => ({
       ...prev,
@@ -69,7 +134,8 @@ export const ProfilePage = () => {
           dailyWorkTarget: parseInt(profileForm.dailyWorkTarget),
           workingDays: profileForm.workingDays,
           breakDuration: parseInt(profileForm.breakDuration),
-          preferredPunchMethod: profileForm.preferredPunchMethod
+          preferredPunchMethod: profileForm.preferredPunchMethod,
+          emailReports: profileForm.emailReports
         }
       });
       updateUser(response.data.user);
@@ -126,7 +192,21 @@ export const ProfilePage = () => {
             <Badge variant={user?.role === 'Admin' ? 'info' : 'default'} className="mt-1">
               {user?.role}
             </Badge>
+            {user && !user.emailVerified && (
+              <Badge variant="warning" className="mt-1 ml-2">Email not verified</Badge>
+            )}
           </div>
+          {user && !user.emailVerified && (
+            <Button
+              variant="secondary"
+              size="sm"
+              className="ml-auto"
+              onClick={handleResendVerification}
+              loading={verificationSending}
+            >
+              Resend Verification
+            </Button>
+          )}
         </div>
 
         <div className="space-y-4">
@@ -192,6 +272,31 @@ export const ProfilePage = () => {
               ]}
             />
           </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Email Summaries
+            </label>
+            <div className="space-y-2">
+              {[
+                { key: 'weekly', label: 'Weekly summary (every Sunday, for the previous week)' },
+                { key: 'monthly', label: 'Monthly report (on the 1st, for the previous month)' }
+              ].map(({ key, label }) => (
+                <label key={key} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={profileForm.emailReports[key]}
+                    onChange={(e) => setProfileForm({
+                      ...profileForm,
+                      emailReports: { ...profileForm.emailReports, [key]: e.target.checked }
+                    })}
+                    className="w-4 h-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </div>
         </div>
 
         <div className="mt-6 pt-4 border-t flex justify-end">
@@ -241,6 +346,95 @@ export const ProfilePage = () => {
           </Button>
         </div>
       </Card>
+
+      {/* Two-Factor Authentication */}
+      <Card className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <ShieldCheck className="w-5 h-5 text-primary-500" />
+            <h3 className="text-lg font-semibold text-gray-900">Two-Factor Authentication</h3>
+          </div>
+          <Badge variant={user?.twoFactor?.enabled ? 'success' : 'default'}>
+            {user?.twoFactor?.enabled ? 'Enabled' : 'Disabled'}
+          </Badge>
+        </div>
+
+        <p className="text-sm text-gray-600">
+          {user?.twoFactor?.enabled
+            ? `Sign-ins require a code from your authenticator app${user.twoFactor.enabledAt ? ` (enabled ${new Date(user.twoFactor.enabledAt).toLocaleDateString()})` : ''}.`
+            : 'Protect your account with a code from an authenticator app in addition to your password.'
+          }
+          {user?.twoFactor?.required && ' Your administrator requires two-factor authentication.'}
+        </p>
+
+        <div className="mt-6 pt-4 border-t flex justify-end gap-3">
+          {user?.twoFactor?.enabled ? (
+            <>
+              <Button variant="secondary" onClick={() => openTwoFactorModal('regenerate')}>
+                New Recovery Codes
+              </Button>
+              {!user.twoFactor.required && (
+                <Button variant="danger" onClick={() => openTwoFactorModal('disable')}>
+                  Disable
+                </Button>
+              )}
+            </>
+          ) : (
+            <Button onClick={() => openTwoFactorModal('setup')}>
+              Enable Two-Factor
+            </Button>
+          )}
+        </div>
+      </Card>
+
+      <Modal
+        isOpen={twoFactorModal.open}
+        onClose={closeTwoFactorModal}
+        title={{
+          setup: 'Set Up Two-Factor Authentication',
+          codes: 'Recovery Codes',
+          disable: 'Disable Two-Factor Authentication',
+          regenerate: 'New Recovery Codes'
+        }[twoFactorModal.step]}
+      >
+        {twoFactorModal.step === 'setup' && (
+          <TwoFactorSetup onEnabled={handleTwoFactorEnabled} onCancel={closeTwoFactorModal} />
+        )}
+
+        {twoFactorModal.step === 'codes' && (
+          <RecoveryCodes codes={recoveryCodes} onDone={closeTwoFactorModal} />
+        )}
+
+        {(twoFactorModal.step === 'disable' || twoFactorModal.step === 'regenerate') && (
+          <div className="space-y-4">
+            <p className="text-gray-600">
+              {twoFactorModal.step === 'disable'
+                ? 'Enter a code from your authenticator app or a recovery code to turn off two-factor authentication.'
+                : 'Enter a code from your authenticator app. Your current recovery codes will stop working.'
+              }
+            </p>
+            <Input
+              label="Authentication or Recovery Code"
+              value={twoFactorCode}
+              onChange={(e) => setTwoFactorCode(e.target.value)}
+              autoComplete="one-time-code"
+            />
+            <div className="flex justify-end gap-3 pt-2">
+              <Button variant="secondary" onClick={closeTwoFactorModal}>
+                Cancel
+              </Button>
+              <Button
+                variant={twoFactorModal.step === 'disable' ? 'danger' : 'primary'}
+                onClick={handleTwoFactorConfirm}
+                loading={twoFactorLoading}
+                disabled={!twoFactorCode.trim()}
+              >
+                {twoFactorModal.step === 'disable' ? 'Disable' : 'Generate'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
     </div>
   );
 };
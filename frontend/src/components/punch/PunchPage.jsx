@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import { Wifi, WifiOff, Clock, CheckCircle, XCircle } from 'lucide-react';
-import { Card, Button, Badge, LoadingSpinner } from '../ui';
+import { Wifi, WifiOff, Clock, CheckCircle, XCircle, QrCode } from 'lucide-react';
+import { Card, Button, Badge, Input, Modal, LoadingSpinner } from '../ui';
 import { PunchIssuesList, ValidationWarnings } from '../ui/WarningBanner';
 import { LiveTimer } from '../ui/LiveTimer';
-import { useNfc, useDashboard } from '../../hooks';
+import { QrScanner } from './QrScanner';
+import { useNfc, useDashboard, useGeolocation } from '../../hooks';
 import useNotifications from '../../hooks/useNotifications';
 import { punchService, nfcService } from '../../services';
 import toast from 'react-hot-toast';
@@ -12,10 +13,15 @@ export const PunchPage = () => {
   const { dashboard, refresh } = useDashboard();
   const { isSupported, isReading, startReading, stopReading, error: nfcError } = useNfc();
   const { sendPunchSuccess } = useNotifications();
+  const { getLocation } = useGeolocation();
   const [punching, setPunching] = useState(false);
   const [lastAction, setLastAction] = useState(null);
   const [punchWarnings, setPunchWarnings] = useState([]);
   const [punchIssues, setPunchIssues] = useState([]);
+  // retry re-sends the punch that was refused with the reason entered
+  const [reasonModal, setReasonModal] = useState({ open: false, message: '', retry: null });
+  const [reason, setReason] = useState('');
+  const [scanning, setScanning] = useState(false);
 
   useEffect(() => {
     if (isSupported) {
@@ -29,10 +35,25 @@ export const PunchPage = () => {
     };
   }, [isSupported]);
 
-  const handleNfcRead = async (uid) => {
+  // Off the trusted office network: ask why and retry with the reason
+  const askForReason = (error, retry) => {
+    if (error.response?.data?.code !== 'REASON_REQUIRED') {
+      return false;
+    }
+    
+    setReason('');
+    setReasonModal({ open: true, message: error.response.data.message, retry });
+    return true;
+  };
+
+  const closeReasonModal = () => setReasonModal({ open: false, message: '', retry: null });
+
+  const handleNfcRead = async (uid, payload, withReason = null) => {
     try {
       setPunching(true);
-      const response = await nfcService.punchWithNfc(uid);
+      const location = await getLocation();
+      const response = await nfcService.punchWithNfc(uid, payload, location, withReason);
+      closeReasonModal();
       
       setLastAction({
         success: true,
@@ -48,6 +69,10 @@ export const PunchPage = () => {
       
       refresh();
     } catch (error) {
+      if (askForReason(error, (text) => handleNfcRead(uid, payload, text))) {
+        return;
+      }
+      
       setLastAction({
         success: false,
         message: error.response?.data?.message || 'NFC punch failed'
@@ -62,10 +87,49 @@ export const PunchPage = () => {
     toast.error(error.message || 'NFC read error');
   };
 
-  const handleManualPunch = async () => {
+  const handleQrScan = async (token, withReason = null) => {
+    setScanning(false);
+    
+    try {
+      setPunching(true);
+      const location = await getLocation();
+      const response = await punchService.punchWithQr(token, location, withReason);
+      closeReasonModal();
+      
+      setLastAction({
+        success: true,
+        message: response.message,
+        punchType: response.data.punch.type,
+        time: response.data.punch.timeLocal
+      });
+      setPunchWarnings(response.data.warnings || []);
+      setPunchIssues(response.data.issues || []);
+      
+      toast.success(response.message);
+      sendPunchSuccess(response.data.punch.type, response.data.punch.timeLocal);
+      
+      refresh();
+    } catch (error) {
+      if (askForReason(error, (text) => handleQrScan(token, text))) {
+        return;
+      }
+      
+      setLastAction({
+        success: false,
+        message: error.response?.data?.message || 'QR punch failed'
+      });
+      toast.error(error.response?.data?.message || 'QR punch failed');
+    } finally {
+      setPunching(false);
+    }
+  };
+
+  const handleManualPunch = async (withReason = null) => {
     try {
       setPunching(true);
-      const response = await punchService.punch('Manual');
+      const location = await getLocation();
+      const response = await punchService.punch('Manual', null, location, withReason);
+      closeReasonModal();
       
       setLastAction({
         success: true,
@@ -94,6 +158,10 @@ export const PunchPage = () => {
       
       refresh();
     } catch (error) {
+      if (askForReason(error, handleManualPunch)) {
+        return;
+      }
+      
       setLastAction({
         success: false,
         message: error.response?.data?.message || 'Punch failed'
@@ -195,7 +263,7 @@ export const PunchPage = () => {
                   ? isReading
                     ? 'Waiting for NFC tag...'
                     : 'NFC reader is ready'
-                  : 'Use manual punch instead'
+                  : 'Scan a kiosk QR code or use manual punch instead'
                 }
               </p>
             </div>
@@ -231,7 +299,7 @@ export const PunchPage = () => {
           <Button
             variant={dashboard?.nextPunchType === 'IN' ? 'success' : 'danger'}
             size="lg"
-            onClick={handleManualPunch}
+            onClick={() => handleManualPunch()}
             loading={punching}
             className="w-full sm:w-auto min-w-[200px] punch-button-pulse"
           >
@@ -241,6 +309,16 @@ export const PunchPage = () => {
           <p className="text-sm text-gray-500 mt-4">
             This will record a manual punch
           </p>
+
+          <Button
+            variant="secondary"
+            onClick={() => setScanning(true)}
+            disabled={punching}
+            className="mt-4"
+          >
+            <QrCode className="w-4 h-4 mr-2" />
+            Scan Kiosk QR Code
+          </Button>
         </div>
       </Card>
 
@@ -292,12 +370,57 @@ export const PunchPage = () => {
                   </div>
                   <span className="font-medium text-gray-900">{punch.timeLocal}</span>
                 </div>
-                <Badge variant="info">{punch.source}</Badge>
+                <div className="flex items-center gap-2">
+                  {punch.outsideNetwork && (
+                    <Badge variant="warning">Off network</Badge>
+                  )}
+                  <Badge variant="info">{punch.source}</Badge>
+                </div>
               </div>
             ))}
           </div>
         )}
       </Card>
+
+      {/* QR Scan Modal */}
+      <Modal
+        isOpen={scanning}
+        onClose={() => setScanning(false)}
+        title="Scan Kiosk QR Code"
+      >
+        <div className="space-y-4">
+          {scanning && <QrScanner onScan={handleQrScan} />}
+          <p className="text-sm text-gray-500 text-center">
+            Point your camera at the code on the kiosk screen
+          </p>
+        </div>
+      </Modal>
+
+      {/* Reason Modal */}
+      <Modal
+        isOpen={reasonModal.open}
+        onClose={closeReasonModal}
+        title="Reason Required"
+      >
+        <div className="space-y-4">
+          <p className="text-gray-600">{reasonModal.message}</p>
+          <Input
+            label="Reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="e.g., Working from the client site"
+            maxLength={500}
+          />
+          <div className="flex justify-end gap-3 pt-4">
+            <Button variant="secondary" onClick={closeReasonModal}>
+              Cancel
+            </Button>
+            <Button onClick={() => reasonModal.retry(reason.trim())} loading={punching} disabled={!reason.trim()}>
+              Punch {dashboard?.nextPunchType || 'IN'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
     </div>
   );
 };
@@ -0,0 +1,104 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { CameraOff } from 'lucide-react';
+import jsQR from 'jsqr';
+
+/**
+ * Camera view that decodes QR codes frame by frame and reports the first one found.
+ * Decoding runs in JavaScript so it works on browsers without BarcodeDetector (iOS Safari).
+ */
+export const QrScanner = ({ onScan }) => {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [error, setError] = useState(null);
+  // The scan callback may change between renders; the frame loop reads it through a ref
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  useEffect(() => {
+    let stream = null;
+    let frameId = null;
+    let stopped = false;
+
+    const scanFrame = () => {
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+
+      if (stopped || !video || !canvas) {
+        return;
+      }
+
+      if (video.readyState === video.HAVE_ENOUGH_DATA) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+        const image = context.getImageData(0, 0, canvas.width, canvas.height);
+        const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+
+        if (code?.data) {
+          stopped = true;
+          onScanRef.current(code.data);
+          return;
+        }
+      }
+
+      frameId = requestAnimationFrame(scanFrame);
+    };
+
+    const start = async () => {
+      if (!navigator.mediaDevices?.getUserMedia) {
+        setError('Camera access is not supported in this browser');
+        return;
+      }
+
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: 'environment' },
+          audio: false
+        });
+
+        if (stopped) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+
+        videoRef.current.srcObject = stream;
+        // iOS needs playsInline + an explicit play() before frames are available
+        await videoRef.current.play();
+        frameId = requestAnimationFrame(scanFrame);
+      } catch (err) {
+        setError(err.name === 'NotAllowedError'
+          ? 'Camera permission was denied'
+          : 'Could not start the camera');
+      }
+    };
+
+    start();
+
+    return () => {
+      stopped = true;
+      cancelAnimationFrame(frameId);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, []);
+
+  if (error) {
+    return (
+      <div className="text-center py-8">
+        <CameraOff className="w-12 h-12 text-red-500 mx-auto" />
+        <p className="text-gray-600 mt-4">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative rounded-lg overflow-hidden bg-black">
+      <video ref={videoRef} className="w-full" playsInline muted />
+      <div className="absolute inset-8 border-4 border-white/70 rounded-lg pointer-events-none"></div>
+      <canvas ref={canvasRef} className="hidden" />
+    </div>
+  );
+};
+
+export default QrScanner;
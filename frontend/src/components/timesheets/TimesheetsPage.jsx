@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import { FileCheck, Send } from 'lucide-react';
+import { Card, Button, Badge, Input, Select, LoadingSpinner } from '../ui';
+import { timesheetService } from '../../services';
+import toast from 'react-hot-toast';
+
+export const STATUS_VARIANTS = {
+  Submitted: 'warning',
+  Approved: 'success',
+  Returned: 'danger',
+  Reopened: 'info'
+};
+
+export const formatMinutes = (minutes = 0) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hours}h ${String(mins).padStart(2, '0')}m`;
+};
+
+export const formatWeek = (timesheet) =>
+  `${new Date(`${timesheet.weekStart}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} - ${
+    new Date(`${timesheet.weekEnd}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })
+  }`;
+
+// Only finished weeks can be submitted
+const WEEK_OPTIONS = [
+  { value: 1, label: 'Last week' },
+  { value: 2, label: '2 weeks ago' },
+  { value: 3, label: '3 weeks ago' },
+  { value: 4, label: '4 weeks ago' }
+];
+
+export const TimesheetsPage = () => {
+  const [timesheets, setTimesheets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [form, setForm] = useState({ weekOffset: 1, note: '' });
+
+  const fetchTimesheets = async () => {
+    try {
+      setLoading(true);
+      const response = await timesheetService.getMyTimesheets({ limit: 20 });
+      setTimesheets(response.data.timesheets);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load timesheets');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTimesheets();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      await timesheetService.submitTimesheet(Number(form.weekOffset), form.note);
+      toast.success('Timesheet submitted for approval');
+      setForm({ ...form, note: '' });
+      fetchTimesheets();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to submit timesheet');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Timesheets</h1>
+        <p className="text-gray-500">Submit finished weeks for approval; submitted weeks are locked against punch changes</p>
+      </div>
+
+      {/* Submit */}
+      <Card className="p-4">
+        <form onSubmit={handleSubmit} className="flex flex-col md:flex-row md:items-end gap-4">
+          <Select
+            label="Week"
+            value={form.weekOffset}
+            onChange={(e) => setForm({ ...form, weekOffset: e.target.value })}
+            options={WEEK_OPTIONS}
+          />
+          <Input
+            label="Note (optional)"
+            className="flex-1"
+            maxLength={500}
+            value={form.note}
+            onChange={(e) => setForm({ ...form, note: e.target.value })}
+          />
+          <Button type="submit" loading={submitting}>
+            <Send className="w-4 h-4 mr-2" />
+            Submit
+          </Button>
+        </form>
+      </Card>
+
+      {/* Timesheets List */}
+      <Card className="overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : timesheets.length === 0 ? (
+          <div className="text-center py-12">
+            <FileCheck className="w-16 h-16 text-gray-300 mx-auto" />
+            <p className="text-gray-500 mt-4">No timesheets submitted yet</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Week</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Worked</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Overtime</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-gray-500 uppercase">Review</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {timesheets.map((timesheet) => (
+                  <tr key={timesheet._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 font-medium text-gray-900">{formatWeek(timesheet)}</td>
+                    <td className="px-6 py-4 text-gray-600">
+                      {formatMinutes(timesheet.totals?.workedMinutes)}
+                      <span className="text-gray-400"> / {formatMinutes(timesheet.totals?.targetMinutes)}</span>
+                    </td>
+                    <td className="px-6 py-4 text-gray-600">{formatMinutes(timesheet.totals?.overtimeMinutes)}</td>
+                    <td className="px-6 py-4">
+                      <Badge variant={STATUS_VARIANTS[timesheet.status]}>{timesheet.status}</Badge>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {timesheet.reviewedBy && <p className="text-gray-900">{timesheet.reviewedBy.name}</p>}
+                      {timesheet.status === 'Reopened' ? timesheet.reopenReason : timesheet.reviewNote}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default TimesheetsPage;
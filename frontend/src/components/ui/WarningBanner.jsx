@@ -143,8 +143,8 @@ export const ValidationWarnings = ({ warnings }) => {
 export const DashboardAlerts = ({ alerts }) => {
   if (!alerts) return null;
 
-  const { hasOpenPunch, hasOddPunchCount, isWeekend } = alerts;
-  const hasAlerts = hasOpenPunch || hasOddPunchCount || isWeekend;
+  const { hasOpenPunch, hasOddPunchCount, isWeekend, isHoliday, holidayName } = alerts;
+  const hasAlerts = hasOpenPunch || hasOddPunchCount || isWeekend || isHoliday;
 
   if (!hasAlerts) return null;
 
@@ -166,10 +166,10 @@ export const DashboardAlerts = ({ alerts }) => {
         />
       )}
 
-      {isWeekend && (
+      {(isWeekend || isHoliday) && (
         <WarningBanner
           type="WEEKEND_WORK"
-          message="Weekend/Holiday Work"
+          message={isHoliday ? `Holiday: ${holidayName}` : 'Weekend/Holiday Work'}
           details="Today is not a working day. This will be counted as overtime."
         />
       )}
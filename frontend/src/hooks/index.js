@@ -1,3 +1,5 @@
 export { useNfc } from './useNfc';
 export { useDashboard } from './useDashboard';
 export { default as useNotifications } from './useNotifications';
+export { useServerEvents } from './useServerEvents';
+export { useGeolocation } from './useGeolocation';
@@ -0,0 +1,35 @@
+import { useCallback } from 'react';
+
+// Give up on a fix after this long rather than holding up the punch
+const LOCATION_TIMEOUT_MS = 10000;
+
+/**
+ * Hook for reading the browser's current position
+ * getLocation resolves to { latitude, longitude, accuracy } or null when the
+ * position is unavailable or permission is denied
+ */
+export const useGeolocation = () => {
+  const isSupported = typeof navigator !== 'undefined' && 'geolocation' in navigator;
+
+  const getLocation = useCallback(() => {
+    if (!isSupported) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+      navigator.geolocation.getCurrentPosition(
+        (position) => resolve({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy
+        }),
+        () => resolve(null),
+        { enableHighAccuracy: true, timeout: LOCATION_TIMEOUT_MS, maximumAge: 60000 }
+      );
+    });
+  }, [isSupported]);
+
+  return { isSupported, getLocation };
+};
+
+export default useGeolocation;
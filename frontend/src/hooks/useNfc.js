@@ -1,9 +1,29 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef } from 'react';
+
+/**
+ * Read the SUN message (uid=...&ctr=...&cmac=...) from a tag's URL or text record, if any
+ */
+const readSecurePayload = (message) => {
+  for (const record of message?.records || []) {
+    if (!['text', 'url', 'absolute-url'].includes(record.recordType)) {
+      continue;
+    }
+
+    const text = new TextDecoder(record.encoding || 'utf-8').decode(record.data);
+    if (text.includes('ctr=')) {
+      return text;
+    }
+  }
+
+  return null;
+};
 
 export const useNfc = () => {
   const [isSupported, setIsSupported] = useState('NDEFReader' in window);
   const [isReading, setIsReading] = useState(false);
   const [error, setError] = useState(null);
+  // Aborts the running scan; the reader keeps delivering tags until then
+  const scanControllerRef = useRef(null);
 
   const startReading = useCallback(async (onRead, onError) => {
     if (!isSupported) {
@@ -14,16 +34,20 @@ export const useNfc = () => {
     }
 
     try {
+      scanControllerRef.current?.abort();
+      const controller = new AbortController();
+      scanControllerRef.current = controller;
+
       const ndef = new window.NDEFReader();
-      await ndef.scan();
+      await ndef.scan({ signal: controller.signal });
       
       setIsReading(true);
       setError(null);
 
-      ndef.addEventListener('reading', ({ serialNumber }) => {
+      ndef.addEventListener('reading', ({ serialNumber, message }) => {
         // Convert serial number to uppercase hex string
         const uid = serialNumber.replace(/:/g, '').toUpperCase();
-        onRead?.(uid);
+        onRead?.(uid, readSecurePayload(message));
       });
 
       ndef.addEventListener('readingerror', () => {
@@ -33,6 +57,7 @@ export const useNfc = () => {
       });
 
       return () => {
+        controller.abort();
         setIsReading(false);
       };
     } catch (err) {
@@ -43,6 +68,8 @@ export const useNfc = () => {
   }, [isSupported]);
 
   const stopReading = useCallback(() => {
+    scanControllerRef.current?.abort();
+    scanControllerRef.current = null;
     setIsReading(false);
   }, []);
 
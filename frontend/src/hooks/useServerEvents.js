@@ -0,0 +1,125 @@
+import { useEffect } from 'react';
+import { dashboardService } from '../services';
+import { useAuthStore } from '../store/authStore';
+import { useDashboardStore } from '../store/dashboardStore';
+
+const API_URL = import.meta.env.VITE_API_URL || '/api';
+
+const PUNCH_EVENTS = ['punch-created', 'punch-edited', 'punch-deleted', 'punch-auto-closed'];
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * Parse one server-sent event block into { type, data }
+ */
+const parseEvent = (block) => {
+  let type = 'message';
+  const data = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) {
+      type = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).trim());
+    }
+  }
+
+  if (data.length === 0) {
+    return null;
+  }
+
+  try {
+    return { type, data: JSON.parse(data.join('\n')) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Subscribe to the server's punch event stream while logged in.
+ * Own punch events refresh the dashboard store; every event is stored as
+ * lastEvent so pages (e.g. admin presence) can react to org-wide changes.
+ * Uses fetch rather than EventSource so the bearer token can be sent.
+ */
+export const useServerEvents = () => {
+  const token = useAuthStore((state) => state.token);
+
+  useEffect(() => {
+    if (!token) {
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    let retryTimer = null;
+    let retryDelay = 1000;
+
+    const handleEvent = async ({ type, data }) => {
+      if (!PUNCH_EVENTS.includes(type)) {
+        return;
+      }
+
+      const { setLastEvent, setDashboard } = useDashboardStore.getState();
+      setLastEvent(data);
+
+      if (data.userId === useAuthStore.getState().user?.id) {
+        try {
+          const response = await dashboardService.getDashboard();
+          setDashboard(response.data);
+        } catch {
+          // The next poll picks up the change
+        }
+      }
+    };
+
+    const connect = async () => {
+      try {
+        const response = await fetch(`${API_URL}/events`, {
+          headers: {
+            Accept: 'text/event-stream',
+            Authorization: `Bearer ${useAuthStore.getState().token}`
+          },
+          signal: controller.signal
+        });
+
+        if (!response.ok || !response.body) {
+          throw new Error(`Event stream failed (${response.status})`);
+        }
+
+        retryDelay = 1000;
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+          let boundary = buffer.indexOf('\n\n');
+
+          while (boundary !== -1) {
+            const event = parseEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            if (event) handleEvent(event);
+            boundary = buffer.indexOf('\n\n');
+          }
+        }
+      } catch {
+        if (controller.signal.aborted) return;
+      }
+
+      // Stream closed or failed: reconnect with backoff (an expired token is
+      // refreshed by the next API call in the meantime)
+      if (!controller.signal.aborted) {
+        retryTimer = setTimeout(connect, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+      }
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+    };
+  }, [token]);
+};
@@ -31,7 +31,8 @@ api.interceptors.response.use(
     const originalRequest = error.config;
 
     // If 401 and not already retrying, try to refresh token
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    // (device-authenticated requests fail on the device key, not the session)
+    if (error.response?.status === 401 && !originalRequest._retry && !originalRequest.skipAuthRefresh) {
       originalRequest._retry = true;
 
       const refreshToken = useAuthStore.getState().refreshToken;
@@ -24,6 +24,59 @@ export const authService = {
   changePassword: async (currentPassword, newPassword) => {
     const response = await api.put('/auth/password', { currentPassword, newPassword });
     return response.data;
+  },
+
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  resetPassword: async (token, password) => {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  },
+
+  verifyEmail: async (token) => {
+    const response = await api.post('/auth/verify-email', { token });
+    return response.data;
+  },
+
+  resendVerification: async (email) => {
+    const response = await api.post('/auth/verify-email/resend', { email });
+    return response.data;
+  },
+
+  // Second login step; a wrong code must not trigger the session refresh
+  verifyTwoFactor: async (challengeToken, { code, recoveryCode }) => {
+    const response = await api.post('/auth/2fa/verify', { challengeToken, code, recoveryCode }, {
+      skipAuthRefresh: true
+    });
+    return response.data;
+  },
+
+  // challengeToken is given when enrolling during login (required by an admin)
+  startTwoFactorSetup: async (challengeToken = null) => {
+    const response = await api.post('/auth/2fa/setup', { challengeToken }, {
+      skipAuthRefresh: !!challengeToken
+    });
+    return response.data;
+  },
+
+  enableTwoFactor: async (code, challengeToken = null) => {
+    const response = await api.post('/auth/2fa/enable', { code, challengeToken }, {
+      skipAuthRefresh: !!challengeToken
+    });
+    return response.data;
+  },
+
+  disableTwoFactor: async ({ code, recoveryCode }) => {
+    const response = await api.post('/auth/2fa/disable', { code, recoveryCode });
+    return response.data;
+  },
+
+  regenerateRecoveryCodes: async ({ code, recoveryCode }) => {
+    const response = await api.post('/auth/2fa/recovery-codes', { code, recoveryCode });
+    return response.data;
   }
 };
 
@@ -51,6 +104,16 @@ export const userService = {
   deleteUser: async (userId) => {
     const response = await api.delete(`/users/${userId}`);
     return response.data;
+  },
+
+  setTwoFactorRequired: async (userId, required) => {
+    const response = await api.put(`/users/${userId}/two-factor`, { required });
+    return response.data;
+  },
+
+  resetTwoFactor: async (userId) => {
+    const response = await api.delete(`/users/${userId}/two-factor`);
+    return response.data;
   }
 };
 
@@ -65,6 +128,16 @@ export const dashboardService = {
     return response.data;
   },
 
+  getOvertime: async (weekOffset = 0, weeks = 1) => {
+    const response = await api.get('/dashboard/overtime', { params: { weekOffset, weeks } });
+    return response.data;
+  },
+
+  getBreaks: async (from, to) => {
+    const response = await api.get('/dashboard/breaks', { params: { from, to } });
+    return response.data;
+  },
+
   getStats: async () => {
     const response = await api.get('/dashboard/stats');
     return response.data;
@@ -77,8 +150,8 @@ export const dashboardService = {
 };
 
 export const punchService = {
-  punch: async (source = 'Manual', nfcUID = null) => {
-    const response = await api.post('/punch', { source, nfcUID });
+  punch: async (source = 'Manual', nfcUID = null, location = null, reason = null) => {
+    const response = await api.post('/punch', { source, nfcUID, location, reason });
     return response.data;
   },
 
@@ -87,6 +160,20 @@ export const punchService = {
     return response.data;
   },
 
+  punchWithQr: async (token, location = null, reason = null) => {
+    const response = await api.post('/punch/qr', { token, location, reason });
+    return response.data;
+  },
+
+  // Kiosk device fetching the code it displays
+  getQrToken: async (deviceKey) => {
+    const response = await api.get('/punch/qr/token', {
+      headers: { 'X-Device-Key': deviceKey },
+      skipAuthRefresh: true
+    });
+    return response.data;
+  },
+
   createManualPunch: async (data) => {
     const response = await api.post('/punch/manual', data);
     return response.data;
@@ -107,6 +194,11 @@ export const punchService = {
     return response.data;
   },
 
+  exportHistory: async (params = {}) => {
+    const response = await api.get('/punch/history/export', { params, responseType: 'blob' });
+    return response.data;
+  },
+
   getUserHistory: async (userId, params = {}) => {
     const response = await api.get(`/punch/history/${userId}`, { params });
     return response.data;
@@ -124,18 +216,26 @@ export const nfcService = {
     return response.data;
   },
 
-  validateTag: async (uid) => {
-    const response = await api.post('/nfc/validate', { uid });
+  // Reader endpoints authenticate the registered device, not the user
+  validateTag: async (uid, deviceKey, payload = null) => {
+    const response = await api.post('/nfc/validate', { uid, payload }, {
+      headers: { 'X-Device-Key': deviceKey },
+      skipAuthRefresh: true
+    });
     return response.data;
   },
 
-  quickPunch: async (uid) => {
-    const response = await api.post('/nfc/punch', { uid });
+  quickPunch: async (uid, deviceKey, payload = null) => {
+    const response = await api.post('/nfc/punch', { uid, payload }, {
+      headers: { 'X-Device-Key': deviceKey },
+      skipAuthRefresh: true
+    });
     return response.data;
   },
 
-  punchWithNfc: async (uid) => {
-    const response = await api.post('/nfc/punch', { uid });
+  // Logged-in user tapping their own tag
+  punchWithNfc: async (uid, payload = null, location = null, reason = null) => {
+    const response = await api.post('/punch/nfc', { nfcUID: uid, nfcPayload: payload, location, reason });
     return response.data;
   },
 
@@ -162,6 +262,173 @@ export const nfcService = {
   reactivateTag: async (tagId) => {
     const response = await api.put(`/nfc/${tagId}/reactivate`);
     return response.data;
+  },
+
+  enableSecureMode: async (tagId) => {
+    const response = await api.put(`/nfc/${tagId}/secure-mode`);
+    return response.data;
+  },
+
+  disableSecureMode: async (tagId) => {
+    const response = await api.delete(`/nfc/${tagId}/secure-mode`);
+    return response.data;
+  }
+};
+
+export const deviceService = {
+  getDevices: async (params = {}) => {
+    const response = await api.get('/devices', { params });
+    return response.data;
+  },
+
+  createDevice: async (data) => {
+    const response = await api.post('/devices', data);
+    return response.data;
+  },
+
+  updateDevice: async (deviceId, data) => {
+    const response = await api.put(`/devices/${deviceId}`, data);
+    return response.data;
+  },
+
+  rotateKey: async (deviceId) => {
+    const response = await api.post(`/devices/${deviceId}/rotate-key`);
+    return response.data;
+  }
+};
+
+export const siteService = {
+  getSites: async (params = {}) => {
+    const response = await api.get('/sites', { params });
+    return response.data;
+  },
+
+  createSite: async (data) => {
+    const response = await api.post('/sites', data);
+    return response.data;
+  },
+
+  updateSite: async (siteId, data) => {
+    const response = await api.put(`/sites/${siteId}`, data);
+    return response.data;
+  },
+
+  deleteSite: async (siteId) => {
+    const response = await api.delete(`/sites/${siteId}`);
+    return response.data;
+  }
+};
+
+export const correctionService = {
+  requestCorrection: async (data) => {
+    const response = await api.post('/corrections', data);
+    return response.data;
+  },
+
+  getMyCorrections: async (params = {}) => {
+    const response = await api.get('/corrections/my', { params });
+    return response.data;
+  },
+
+  getCorrections: async (params = {}) => {
+    const response = await api.get('/corrections', { params });
+    return response.data;
+  },
+
+  approveCorrection: async (requestId, note) => {
+    const response = await api.put(`/corrections/${requestId}/approve`, { note });
+    return response.data;
+  },
+
+  rejectCorrection: async (requestId, note) => {
+    const response = await api.put(`/corrections/${requestId}/reject`, { note });
+    return response.data;
+  },
+
+  cancelCorrection: async (requestId) => {
+    const response = await api.put(`/corrections/${requestId}/cancel`);
+    return response.data;
+  }
+};
+
+export const leaveService = {
+  requestLeave: async (data) => {
+    const response = await api.post('/leaves', data);
+    return response.data;
+  },
+
+  getMyLeaves: async (params = {}) => {
+    const response = await api.get('/leaves/my', { params });
+    return response.data;
+  },
+
+  getLeaves: async (params = {}) => {
+    const response = await api.get('/leaves', { params });
+    return response.data;
+  },
+
+  approveLeave: async (leaveId, note) => {
+    const response = await api.put(`/leaves/${leaveId}/approve`, { note: note || undefined });
+    return response.data;
+  },
+
+  rejectLeave: async (leaveId, note) => {
+    const response = await api.put(`/leaves/${leaveId}/reject`, { note });
+    return response.data;
+  },
+
+  cancelLeave: async (leaveId) => {
+    const response = await api.put(`/leaves/${leaveId}/cancel`);
+    return response.data;
+  }
+};
+
+export const timesheetService = {
+  submitTimesheet: async (weekOffset = 1, note = null) => {
+    const response = await api.post('/timesheets/submit', { weekOffset, note: note || undefined });
+    return response.data;
+  },
+
+  getMyTimesheets: async (params = {}) => {
+    const response = await api.get('/timesheets/my', { params });
+    return response.data;
+  },
+
+  getTimesheets: async (params = {}) => {
+    const response = await api.get('/timesheets', { params });
+    return response.data;
+  },
+
+  getTimesheet: async (timesheetId) => {
+    const response = await api.get(`/timesheets/${timesheetId}`);
+    return response.data;
+  },
+
+  approveTimesheet: async (timesheetId, note) => {
+    const response = await api.put(`/timesheets/${timesheetId}/approve`, { note: note || undefined });
+    return response.data;
+  },
+
+  returnTimesheet: async (timesheetId, note) => {
+    const response = await api.put(`/timesheets/${timesheetId}/return`, { note });
+    return response.data;
+  },
+
+  reopenTimesheet: async (timesheetId, reason) => {
+    const response = await api.put(`/timesheets/${timesheetId}/reopen`, { reason });
+    return response.data;
+  }
+};
+
+export const teamService = {
+  getTeams: async () => {
+    const response = await api.get('/teams');
+    return response.data;
+  },
+
+  getTeam: async (teamId) => {
+    const response = await api.get(`/teams/${teamId}`);
+    return response.data;
   }
 };
 
@@ -174,5 +441,30 @@ export const adminService = {
   getStats: async () => {
     const response = await api.get('/admin/stats');
     return response.data;
+  },
+
+  getAbsences: async (params = {}) => {
+    const response = await api.get('/admin/absences', { params });
+    return response.data;
+  },
+
+  getPresence: async () => {
+    const response = await api.get('/admin/presence');
+    return response.data;
+  },
+
+  previewPayroll: async (params = {}) => {
+    const response = await api.get('/admin/exports/payroll', { params: { ...params, format: 'json' } });
+    return response.data;
+  },
+
+  exportPayroll: async (params = {}) => {
+    const response = await api.get('/admin/exports/payroll', { params, responseType: 'blob' });
+    return response.data;
+  },
+
+  getExportTemplates: async () => {
+    const response = await api.get('/admin/exports/templates');
+    return response.data;
   }
 };
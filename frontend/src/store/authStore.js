@@ -31,7 +31,9 @@ export const useAuthStore = create(
         user: { ...state.user, ...userData }
       })),
 
-      isAdmin: () => get().user?.role === 'Admin'
+      isAdmin: () => get().user?.role === 'Admin',
+
+      isManager: () => get().user?.role === 'Manager'
     }),
     {
       name: 'auth-storage',
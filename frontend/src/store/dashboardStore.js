@@ -5,6 +5,8 @@ export const useDashboardStore = create((set) => ({
   loading: false,
   error: null,
   lastUpdated: null,
+  // Most recent punch event pushed by the server
+  lastEvent: null,
 
   setDashboard: (dashboard) => set({ 
     dashboard, 
@@ -16,10 +18,13 @@ export const useDashboardStore = create((set) => ({
 
   setError: (error) => set({ error }),
 
+  setLastEvent: (lastEvent) => set({ lastEvent }),
+
   reset: () => set({
     dashboard: null,
     loading: false,
     error: null,
-    lastUpdated: null
+    lastUpdated: null,
+    lastEvent: null
   })
 }));
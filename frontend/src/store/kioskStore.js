@@ -0,0 +1,39 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+
+/**
+ * Kiosk Store
+ * Registration of this browser as a shared NFC reader (e.g. at the office entrance).
+ * Persisted so the kiosk survives reloads and restarts of the device; punches
+ * are authenticated with the device's API key.
+ */
+export const useKioskStore = create(
+  persist(
+    (set) => ({
+      deviceId: null,
+      deviceName: null,
+      apiKey: null,
+      registeredBy: null,
+      registeredAt: null,
+
+      register: (device, apiKey, user) => set({
+        deviceId: device?._id || null,
+        deviceName: device?.name || null,
+        apiKey,
+        registeredBy: user?.name || null,
+        registeredAt: new Date().toISOString()
+      }),
+
+      unregister: () => set({
+        deviceId: null,
+        deviceName: null,
+        apiKey: null,
+        registeredBy: null,
+        registeredAt: null
+      })
+    }),
+    {
+      name: 'kiosk-storage'
+    }
+  )
+);